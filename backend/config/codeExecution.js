@@ -0,0 +1,40 @@
+// Where submitted quiz code runs. `piston` sends it to a Piston API; `local` runs it
+// on this server in sandboxed child processes (services/codeExecutors/local.js)
+const path = require('path');
+const os = require('os');
+
+const listFromEnv = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+module.exports = {
+    executor: process.env.CODE_EXECUTOR || 'piston',
+    pistonUrl: process.env.PISTON_URL || 'https://emkc.org/api/v2/piston/execute',
+    // Limits for one run of a submission in the local executor
+    limits: {
+        cpuSeconds: Number(process.env.CODE_RUN_CPU_SECONDS) || 5,
+        wallTimeMs: Number(process.env.CODE_RUN_TIMEOUT_MS) || 10000,
+        memoryMb: Number(process.env.CODE_RUN_MEMORY_MB) || 256,
+        outputBytes: Number(process.env.CODE_RUN_OUTPUT_BYTES) || 64 * 1024,
+        fileSizeMb: Number(process.env.CODE_RUN_FILE_SIZE_MB) || 16
+    },
+    // Compilers need more room than the programs they build
+    compileLimits: {
+        cpuSeconds: Number(process.env.CODE_COMPILE_CPU_SECONDS) || 20,
+        wallTimeMs: Number(process.env.CODE_COMPILE_TIMEOUT_MS) || 30000,
+        memoryMb: Number(process.env.CODE_COMPILE_MEMORY_MB) || 1024
+    },
+    local: {
+        maxConcurrentRuns: Number(process.env.CODE_RUN_CONCURRENCY) || 2,
+        workRoot: process.env.CODE_RUN_DIR || path.join(os.tmpdir(), 'code-runs'),
+        // The only host paths a submission sees, mounted read-only: interpreters,
+        // compilers and the libraries they load. Everything else (the backend, home
+        // directories, /tmp) is absent from its root
+        systemPaths: listFromEnv(process.env.CODE_RUN_SYSTEM_PATHS).length > 0
+            ? listFromEnv(process.env.CODE_RUN_SYSTEM_PATHS)
+            : ['/usr', '/bin', '/sbin', '/lib', '/lib32', '/lib64', '/libx32', '/etc/alternatives', '/etc/ld.so.cache'],
+        commands: {
+            python: process.env.CODE_RUN_PYTHON || 'python3',
+            gcc: process.env.CODE_RUN_GCC || 'gcc',
+            gxx: process.env.CODE_RUN_GXX || 'g++'
+        }
+    }
+};
@@ -0,0 +1,13 @@
+// Seller details printed on tax invoices
+module.exports = {
+    sellerName: process.env.INVOICE_SELLER_NAME || 'Beeja Academy',
+    sellerAddress: process.env.INVOICE_SELLER_ADDRESS || '',
+    sellerGstin: process.env.INVOICE_SELLER_GSTIN || '',
+    sellerState: process.env.INVOICE_SELLER_STATE || 'Tamil Nadu',
+    sellerStateCode: process.env.INVOICE_SELLER_STATE_CODE || '33',
+    sellerEmail: process.env.INVOICE_SELLER_EMAIL || 'dinesh@beejaacademy.com',
+    sellerPhone: process.env.INVOICE_SELLER_PHONE || '+91 9585113955',
+    // SAC for commercial training and coaching services
+    sacCode: process.env.INVOICE_SAC_CODE || '999293',
+    numberPrefix: process.env.INVOICE_PREFIX || 'BA'
+};
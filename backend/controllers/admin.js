@@ -577,6 +577,36 @@ exports.setCourseType = async (req, res) => {
 };
 
 // ================ GET ANALYTICS DATA ================
+// Revenue between two dates: payments (by the date they were paid) count as positive
+// entries and processed refunds (by the date they were processed) as negative ones
+const getRevenueEntries = async (from, to) => {
+    const [payments] = await Order.aggregate([
+        {
+            $match: {
+                // Fully refunded orders were paid too; their refunds are taken off below
+                status: { $in: [...Order.PURCHASED_STATUSES, 'refunded'] },
+                paidAt: { $gte: from, $lt: to }
+            }
+        },
+        { $group: { _id: null, total: { $sum: '$totalAmount' } } }
+    ]);
+
+    const [refunds] = await Order.aggregate([
+        { $unwind: '$refunds' },
+        {
+            $match: {
+                'refunds.status': 'processed',
+                'refunds.processedAt': { $gte: from, $lt: to }
+            }
+        },
+        { $group: { _id: null, total: { $sum: '$refunds.amount' } } }
+    ]);
+
+    const gross = payments?.total || 0;
+    const refunded = refunds?.total || 0;
+    return { gross, refunded, net: gross - refunded };
+};
+
 exports.getAnalytics = async (req, res) => {
     try {
         const totalUsers = await User.countDocuments();
@@ -596,6 +626,17 @@ exports.getAnalytics = async (req, res) => {
             createdAt: { $gte: thirtyDaysAgo }
         });
 
+        // Revenue net of refunds, overall and for the last 30 days against the 30 before
+        const now = new Date();
+        const sixtyDaysAgo = new Date();
+        sixtyDaysAgo.setDate(sixtyDaysAgo.getDate() - 60);
+        const allTimeRevenue = await getRevenueEntries(new Date(0), now);
+        const monthlyRevenue = await getRevenueEntries(thirtyDaysAgo, now);
+        const previousMonthRevenue = await getRevenueEntries(sixtyDaysAgo, thirtyDaysAgo);
+        const growthPercentage = previousMonthRevenue.net > 0
+            ? Math.round(((monthlyRevenue.net - previousMonthRevenue.net) / previousMonthRevenue.net) * 100)
+            : 0;
+
         // Get pending access requests count
         const CourseAccessRequest = require('../models/courseAccessRequest');
         const pendingRequests = await CourseAccessRequest.countDocuments({ status: 'Pending' });
@@ -666,6 +707,14 @@ exports.getAnalytics = async (req, res) => {
                 requests: {
                     pendingAccessRequests: pendingRequests
                 },
+                revenue: {
+                    totalRevenue: allTimeRevenue.net,
+                    grossRevenue: allTimeRevenue.gross,
+                    refundedAmount: allTimeRevenue.refunded,
+                    monthlyRevenue: monthlyRevenue.net,
+                    monthlyRefunds: monthlyRevenue.refunded,
+                    growthPercentage
+                },
                 recentCourses: recentCourses,
                 recentLogins: recentLogins,
                 activeLogins: activeLogins
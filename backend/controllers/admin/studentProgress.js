@@ -3,6 +3,7 @@ const User = require('../../models/user');
 const CourseProgress = require('../../models/courseProgress');
 const Certificate = require('../../models/certificate');
 const Order = require('../../models/order');
+const { countsTowardsProgress } = require('../../utils/lessonProgress');
 
 // Get all students enrolled in a course
 exports.getStudentsByCourse = async (req, res) => {
@@ -51,8 +52,9 @@ exports.getStudentsByCourse = async (req, res) => {
         // Get enrollment date from order purchase date, then course progress creation, then user creation date
         const order = await Order.findOne({
           user: student._id,
-          course: courseId,
-          status: true
+          items: { $elemMatch: { course: courseId, status: 'active' } },
+          status: { $in: Order.PURCHASED_STATUSES },
+          isActive: true
         }).sort({ purchaseDate: 1 }); // Get the earliest purchase if multiple exist
         
         const enrollmentDate = order?.purchaseDate || progress?.createdAt || student.createdAt;
@@ -200,7 +202,7 @@ exports.getStudentProgress = async (req, res) => {
   }
 };
 
-// Helper function to get total videos in a course
+// Helper function to count the lessons to complete in a course (videos, articles and files)
 async function getTotalVideosInCourse(courseId) {
   try {
     const course = await Course.findById(courseId)
@@ -217,7 +219,7 @@ async function getTotalVideosInCourse(courseId) {
     let totalVideos = 0;
     course.courseContent.forEach(section => {
       section.subSection.forEach(subSection => {
-        if (subSection.videoUrl) {
+        if (countsTowardsProgress(subSection)) {
           totalVideos++;
         }
       });
@@ -30,11 +30,7 @@ exports.generateCertificate = async (req, res) => {
     
     if (!isFree) {
       const Order = require('../models/order');
-      const activeOrder = await Order.findOne({
-        user: userId,
-        course: courseId,
-        status: true
-      });
+      const activeOrder = await Order.findActiveForCourse(userId, courseId);
 
       // Allow certificate generation if user is enrolled, regardless of current course type
       // This ensures students who enrolled when course was free can still get certificates
@@ -87,7 +83,7 @@ exports.generateCertificate = async (req, res) => {
 
     courseProgress.courseID.courseContent?.forEach((section) => {
       section.subSection?.forEach((subsection) => {
-        // Count video
+        // Count the lesson, whether a video, an article or files
         totalItems += 1;
         if (courseProgress.completedVideos.includes(subsection._id)) {
           completedItems += 1;
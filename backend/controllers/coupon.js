@@ -1,26 +1,104 @@
+const mongoose = require('mongoose');
 const Coupon = require('../models/coupon');
+const Course = require('../models/course');
+const CouponCampaign = require('../models/couponCampaign');
+const { priceCart, normalizeCouponCodes, findBestCoupons } = require('../services/cartPricing');
+const { createCampaign, getCampaignStats, createCampaignCsv } = require('../services/couponCampaign');
+const { createEligibilityContext, getEligibilityRejectionReason, isOpenToAnonymous } = require('../services/couponEligibility');
+const { getCouponRejectionReason } = require('../utils/couponCalculator');
+const { roundAmount } = require('../utils/orderPricing');
+
+// Discount rules shared by single coupons and campaign codes, validated and with
+// defaults filled in. Returns { error } or { rules }
+const getCouponRules = (body) => {
+  const {
+    discountType,
+    discountValue,
+    maxDiscountAmount,
+    usageLimit,
+    perUserLimit,
+    minimumOrderAmount,
+    courses,
+    categories,
+    startDate,
+    expiryDate,
+    isActive,
+    linkedTo,
+    showOnFront,
+    priority,
+    isCombinable,
+    eligibility = {}
+  } = body;
+
+  // Additional validation for percentage discounts
+  if (discountType === 'percentage' && discountValue > 100) {
+    return { error: 'Percentage discount cannot exceed 100%' };
+  }
+
+  // Validate negative values
+  if (discountValue < 0) {
+    return { error: 'Discount value cannot be negative' };
+  }
+
+  // Parse dates and ensure they are in UTC
+  const parsedStartDate = new Date(startDate);
+  const parsedExpiryDate = new Date(expiryDate);
+
+  // Validate dates
+  if (isNaN(parsedStartDate.getTime()) || isNaN(parsedExpiryDate.getTime())) {
+    return { error: 'Invalid date format' };
+  }
+
+  // Ensure expiry date is after start date
+  if (parsedExpiryDate <= parsedStartDate) {
+    return { error: 'Expiry date must be after start date' };
+  }
+
+  const idLists = ['users', 'enrolledInCourses', 'notPurchasedCategories'];
+  for (const list of idLists) {
+    if (eligibility[list] && (!Array.isArray(eligibility[list])
+      || !eligibility[list].every(id => mongoose.Types.ObjectId.isValid(id)))) {
+      return { error: `Invalid IDs in eligibility.${list}` };
+    }
+  }
+
+  const accountCreatedAfter = eligibility.accountCreatedAfter ? new Date(eligibility.accountCreatedAfter) : undefined;
+  if (accountCreatedAfter && isNaN(accountCreatedAfter.getTime())) {
+    return { error: 'Invalid account creation date' };
+  }
+
+  return {
+    rules: {
+      discountType,
+      discountValue,
+      maxDiscountAmount: maxDiscountAmount || 0,
+      usageLimit: usageLimit || 0,
+      perUserLimit: perUserLimit || 0,
+      minimumOrderAmount: minimumOrderAmount || 0,
+      courses: courses || [],
+      categories: categories || [],
+      startDate: parsedStartDate,
+      expiryDate: parsedExpiryDate,
+      isActive: isActive !== undefined ? isActive : true,
+      linkedTo: linkedTo || 'course',
+      showOnFront: showOnFront || false,
+      priority: priority || 0,
+      isCombinable: isCombinable || false,
+      eligibility: {
+        users: eligibility.users || [],
+        accountCreatedAfter,
+        firstPurchaseOnly: !!eligibility.firstPurchaseOnly,
+        enrolledInCourses: eligibility.enrolledInCourses || [],
+        notPurchasedCategories: eligibility.notPurchasedCategories || []
+      }
+    }
+  };
+};
 
 // Create a new coupon
 exports.createCoupon = async (req, res) => {
   try {
-    const {
-      code,
-      discountType,
-      discountValue,
-      maxDiscountAmount,
-      usageLimit,
-      perUserLimit,
-      minimumOrderAmount,
-      courses,
-      categories,
-      startDate,
-      expiryDate,
-      isActive,
-      linkedTo,
-      showOnFront,
-      priority,
-      isCombinable
-    } = req.body;
+    const { code } = req.body;
 
     // Validate unique coupon code
     const existingCoupon = await Coupon.findOne({ code: code.toUpperCase() });
@@ -31,71 +109,76 @@ exports.createCoupon = async (req, res) => {
       });
     }
 
-    // Additional validation for percentage discounts
-    if (discountType === 'percentage' && discountValue > 100) {
+    const { error, rules } = getCouponRules(req.body);
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Percentage discount cannot exceed 100%'
+        message: error
       });
     }
 
-    // Validate negative values
-    if (discountValue < 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Discount value cannot be negative'
-      });
-    }
+    // Create new coupon with parsed dates
+    const newCoupon = new Coupon({
+      code: code.toUpperCase(),
+      ...rules
+    });
 
-    // Parse dates and ensure they are in UTC
-    const parsedStartDate = new Date(startDate);
-    const parsedExpiryDate = new Date(expiryDate);
+    await newCoupon.save();
 
-    // Validate dates
-    if (isNaN(parsedStartDate.getTime()) || isNaN(parsedExpiryDate.getTime())) {
+    return res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: newCoupon
+    });
+  } catch (error) {
+    console.error('Error creating coupon:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Generate a campaign of unique codes that share the same discount rules.
+// Campaign codes are single use unless the request sets other limits
+exports.createCouponCampaign = async (req, res) => {
+  try {
+    const { name, description, prefix, codeLength = 8, count, usageLimit, perUserLimit } = req.body;
+
+    const { error: rulesError, rules } = getCouponRules({
+      ...req.body,
+      usageLimit: usageLimit ?? 1,
+      perUserLimit: perUserLimit ?? 1,
+      showOnFront: false
+    });
+    if (rulesError) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid date format'
+        message: rulesError
       });
     }
 
-    // Ensure expiry date is after start date
-    if (parsedExpiryDate <= parsedStartDate) {
+    const { error, campaign, codeCount } = await createCampaign(
+      { name, description, prefix, codeLength, count, createdBy: req.user.id },
+      rules
+    );
+    if (error) {
       return res.status(400).json({
         success: false,
-        message: 'Expiry date must be after start date'
+        message: error
       });
     }
 
-    // Create new coupon with parsed dates
-    const newCoupon = new Coupon({
-      code: code.toUpperCase(),
-      discountType,
-      discountValue,
-      maxDiscountAmount: maxDiscountAmount || 0,
-      usageLimit: usageLimit || 0,
-      perUserLimit: perUserLimit || 0,
-      minimumOrderAmount: minimumOrderAmount || 0,
-      courses: courses || [],
-      categories: categories || [],
-      startDate: parsedStartDate,
-      expiryDate: parsedExpiryDate,
-      isActive: isActive !== undefined ? isActive : true,
-      linkedTo: linkedTo || 'course',
-      showOnFront: showOnFront || false,
-      priority: priority || 0,
-      isCombinable: isCombinable || false
-    });
-
-    await newCoupon.save();
-
     return res.status(201).json({
       success: true,
-      message: 'Coupon created successfully',
-      data: newCoupon
+      message: codeCount < Number(count)
+        ? `Campaign created with ${codeCount} of ${count} codes`
+        : `Campaign created with ${codeCount} codes`,
+      data: campaign
     });
   } catch (error) {
-    console.error('Error creating coupon:', error);
+    console.error('Error creating coupon campaign:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -104,171 +187,275 @@ exports.createCoupon = async (req, res) => {
   }
 };
 
-// Validate and apply a coupon code (combined endpoint)
-exports.validateAndApplyCoupon = async (req, res) => {
+// List campaigns with the analytics of their codes rolled up (admin only)
+exports.getCouponCampaigns = async (req, res) => {
   try {
-    const { code, courseId, totalAmount, checkoutType, applyImmediately = false } = req.body;
-    const userId = req.user.id;
+    const campaigns = await CouponCampaign.find()
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'firstName lastName')
+      .lean();
 
-    console.log('Validating coupon:', {
-      code: code.toUpperCase(),
-      checkoutType,
-      totalAmount,
-      userId,
-      applyImmediately
-    });
+    const stats = await getCampaignStats(campaigns.map(campaign => campaign._id));
 
-    const coupon = await Coupon.findOne({ 
-      code: code.toUpperCase(),
-      linkedTo: checkoutType // Only find coupons linked to this checkout type
+    return res.status(200).json({
+      success: true,
+      message: 'Coupon campaigns fetched successfully',
+      data: campaigns.map(campaign => ({
+        ...campaign,
+        analytics: stats[campaign._id.toString()] || { codeCount: 0 }
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching coupon campaigns:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
     });
+  }
+};
 
-    // Update analytics - increment validation attempts
-    if (coupon) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.timesValidated': 1 }
+// Analytics of one campaign, plus the coupon that every code shares the rules of
+exports.getCouponCampaignAnalytics = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    const campaign = await CouponCampaign.findById(campaignId).lean();
+    if (!campaign) {
+      return res.status(404).json({
+        success: false,
+        message: 'Campaign not found'
       });
     }
 
-    console.log('Found coupon:', coupon ? {
-      code: coupon.code,
-      linkedTo: coupon.linkedTo,
-      isActive: coupon.isActive,
-      discountType: coupon.discountType,
-      discountValue: coupon.discountValue
-    } : 'No coupon found');
+    const stats = await getCampaignStats([campaign._id]);
+    const sampleCoupon = await Coupon.findOne({ campaign: campaign._id })
+      .select('discountType discountValue maxDiscountAmount usageLimit perUserLimit minimumOrderAmount linkedTo startDate expiryDate')
+      .lean();
 
-    if (!coupon) {
-      // Update failed attempts analytics for any coupon with this code
-      await Coupon.updateOne(
-        { code: code.toUpperCase() },
-        { $inc: { 'analytics.failedAttempts': 1 } }
-      );
+    return res.status(200).json({
+      success: true,
+      message: 'Campaign analytics fetched successfully',
+      data: {
+        campaign,
+        rules: sampleCoupon,
+        analytics: stats[campaign._id.toString()] || { codeCount: 0 }
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching campaign analytics:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Download every code of a campaign as CSV
+exports.exportCouponCampaign = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+
+    const campaign = await CouponCampaign.findById(campaignId);
+    if (!campaign) {
       return res.status(404).json({
         success: false,
-        message: 'Invalid coupon code or not applicable for this checkout type'
+        message: 'Campaign not found'
       });
     }
 
-    // Check if coupon is active
-    if (!coupon.isActive) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
+    const csv = await createCampaignCsv(campaign._id);
+    const fileName = campaign.name.replace(/[^a-z0-9-]+/gi, '-').toLowerCase() || 'campaign';
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename=${fileName}-codes.csv`);
+    return res.send(csv);
+  } catch (error) {
+    console.error('Error exporting coupon campaign:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Activate or deactivate every code of a campaign at once
+exports.toggleCouponCampaignStatus = async (req, res) => {
+  try {
+    const { campaignId } = req.params;
+    const { isActive } = req.body;
+
+    if (typeof isActive !== 'boolean') {
       return res.status(400).json({
         success: false,
-        message: 'Coupon is not active'
+        message: 'isActive must be true or false'
       });
     }
 
-    // Check expiry - use more precise date comparison
-    const now = new Date();
-    const startDate = new Date(coupon.startDate);
-    const expiryDate = new Date(coupon.expiryDate);
-    
-    if (now < startDate) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
+    const campaign = await CouponCampaign.findById(campaignId);
+    if (!campaign) {
+      return res.status(404).json({
         success: false,
-        message: 'Coupon is not yet active'
+        message: 'Campaign not found'
       });
     }
-    
-    if (now > expiryDate) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
+
+    const result = await Coupon.updateMany({ campaign: campaign._id }, { $set: { isActive } });
+
+    return res.status(200).json({
+      success: true,
+      message: `${result.modifiedCount} codes ${isActive ? 'activated' : 'deactivated'}`
+    });
+  } catch (error) {
+    console.error('Error toggling coupon campaign:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Validate and apply one or more stacked coupon codes (combined endpoint).
+// With coursesId the cart is priced line by line so course/category scoped coupons
+// only discount matching courses; otherwise totalAmount is treated as a single line
+exports.validateAndApplyCoupon = async (req, res) => {
+  try {
+    const { code, codes, courseId, coursesId, totalAmount, checkoutType = 'course', applyImmediately = false } = req.body;
+    const userId = req.user.id;
+    const couponCodes = normalizeCouponCodes(codes || code);
+
+    if (couponCodes.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'Coupon has expired'
+        message: 'Please enter a coupon code'
       });
     }
 
-    // Check usage limit
-    if (coupon.usageLimit > 0 && coupon.usedCount >= coupon.usageLimit) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
-      return res.status(400).json({
+    let courses;
+    const cartCourseIds = coursesId || (courseId ? [courseId] : []);
+    if (cartCourseIds.length > 0) {
+      courses = await Course.find({ _id: { $in: cartCourseIds } }).select('courseName price courseType category');
+      if (courses.length !== cartCourseIds.length) {
+        return res.status(404).json({
+          success: false,
+          message: 'One or more courses not found'
+        });
+      }
+    } else {
+      courses = [{ _id: null, courseName: 'Order total', price: Number(totalAmount) || 0 }];
+    }
+
+    // Update analytics - increment validation attempts
+    await Coupon.updateMany(
+      { code: { $in: couponCodes }, linkedTo: checkoutType },
+      { $inc: { 'analytics.timesValidated': 1 } }
+    );
+
+    const pricing = await priceCart(courses, userId, couponCodes, checkoutType);
+    if (pricing.error) {
+      const failedCode = pricing.invalidCode || pricing.rejectedCoupon?.code;
+      if (failedCode) {
+        await Coupon.updateOne(
+          { code: failedCode },
+          { $inc: { 'analytics.failedAttempts': 1 } }
+        );
+      }
+      return res.status(pricing.invalidCode ? 404 : 400).json({
         success: false,
-        message: 'Coupon usage limit exceeded'
+        message: pricing.error
       });
     }
 
-    // Check per-user limit
-    const userUsage = coupon.userUsage.find(u => u.user.toString() === userId);
-    if (coupon.perUserLimit > 0 && userUsage && userUsage.usedCount >= coupon.perUserLimit) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
+    const appliedCoupons = pricing.couponBreakdown.map(({ coupon, discount }) => ({
+      code: coupon.code,
+      discountType: coupon.discountType,
+      discountValue: coupon.discountValue,
+      maxDiscountAmount: coupon.maxDiscountAmount,
+      discount
+    }));
+    const lines = pricing.items.map((item, index) => ({
+      course: item.course,
+      courseName: item.courseName,
+      price: item.price,
+      bundleDiscount: roundAmount(item.discount - item.couponDiscount),
+      couponDiscount: item.couponDiscount,
+      amount: item.amount,
+      coupons: pricing.couponBreakdown
+        .filter(({ lineDiscounts }) => lineDiscounts[index] > 0)
+        .map(({ coupon, lineDiscounts }) => ({ code: coupon.code, discount: lineDiscounts[index] }))
+    }));
+    const [firstCoupon] = appliedCoupons;
+
+    // Usage is only counted once the order is paid (see services/couponRedemption),
+    // so applyImmediately no longer consumes the coupon here
+    return res.status(200).json({
+      success: true,
+      message: applyImmediately ? 'Coupon applied successfully' : 'Coupon is valid',
+      data: {
+        discountAmount: pricing.couponDiscount,
+        subtotal: pricing.subtotal,
+        bundleDiscount: pricing.bundleDiscount,
+        finalAmount: pricing.totalAmount,
+        coupons: appliedCoupons,
+        lines,
+        // Single coupon fields kept for older clients
+        discountType: firstCoupon.discountType,
+        discountValue: firstCoupon.discountValue,
+        maxDiscountAmount: firstCoupon.maxDiscountAmount,
+        applied: false
+      }
+    });
+  } catch (error) {
+    console.error('Error validating coupon:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+// Best storefront coupon (or stack of combinable coupons) for the user's cart,
+// with the reason each other coupon isn't part of it
+exports.getBestCoupons = async (req, res) => {
+  try {
+    const { coursesId, checkoutType = 'course' } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(coursesId) || coursesId.length === 0) {
       return res.status(400).json({
         success: false,
-        message: 'You have exceeded the usage limit for this coupon'
+        message: 'Invalid course IDs provided'
       });
     }
 
-    // Check minimum order amount
-    if (coupon.minimumOrderAmount > 0 && totalAmount < coupon.minimumOrderAmount) {
-      await Coupon.findByIdAndUpdate(coupon._id, {
-        $inc: { 'analytics.failedAttempts': 1 }
-      });
+    if (!['course', 'bundle'].includes(checkoutType)) {
       return res.status(400).json({
         success: false,
-        message: `Minimum order amount of ₹${coupon.minimumOrderAmount} required`
+        message: 'Invalid checkout type. Must be either "course" or "bundle".'
       });
     }
 
-    // Calculate discount
-    let discountAmount = 0;
-    if (coupon.discountType === 'percentage') {
-      discountAmount = (totalAmount * coupon.discountValue) / 100;
-      // Apply maximum discount limit if set
-      if (coupon.maxDiscountAmount > 0) {
-        discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
-      }
-    } else {
-      discountAmount = coupon.discountValue;
+    const courses = await Course.find({ _id: { $in: coursesId } }).select('courseName price courseType category');
+    if (courses.length !== coursesId.length) {
+      return res.status(404).json({
+        success: false,
+        message: 'One or more courses not found'
+      });
     }
 
-    // Ensure discount doesn't exceed order amount
-    discountAmount = Math.min(discountAmount, totalAmount);
-
-    // If applyImmediately is true, update usage counts
-    if (applyImmediately) {
-      // Update usage counts
-      coupon.usedCount += 1;
-      coupon.lastUsed = new Date();
-
-      // Update user usage
-      const userUsageIndex = coupon.userUsage.findIndex(u => u.user.toString() === userId);
-      if (userUsageIndex >= 0) {
-        coupon.userUsage[userUsageIndex].usedCount += 1;
-      } else {
-        coupon.userUsage.push({ user: userId, usedCount: 1 });
-      }
-
-      // Update analytics
-      coupon.analytics.successfulUses += 1;
-
-      await coupon.save();
-    }
+    const result = await findBestCoupons(courses, userId, checkoutType);
 
     return res.status(200).json({
       success: true,
-      message: applyImmediately ? 'Coupon applied successfully' : 'Coupon is valid',
-      data: {
-        discountAmount,
-        discountType: coupon.discountType,
-        discountValue: coupon.discountValue,
-        maxDiscountAmount: coupon.maxDiscountAmount,
-        finalAmount: totalAmount - discountAmount,
-        applied: applyImmediately
-      }
+      message: result.best ? 'Best coupon found' : 'No coupon applies to this cart',
+      data: result
     });
   } catch (error) {
-    console.error('Error validating coupon:', error);
+    console.error('Error finding best coupon:', error);
     return res.status(500).json({
       success: false,
       message: 'Internal server error',
@@ -294,7 +481,9 @@ exports.applyCoupon = async (req, res) => {
 // Get all coupons with analytics (admin only)
 exports.getAllCoupons = async (req, res) => {
   try {
-    const coupons = await Coupon.find()
+    // Campaign codes can run into thousands, so they are only listed per campaign
+    const { campaign } = req.query;
+    const coupons = await Coupon.find({ campaign: campaign || { $exists: false } })
       .sort({ createdAt: -1 })
       .lean(); // Use lean() for better performance
 
@@ -458,9 +647,28 @@ exports.getFrontendCoupons = async (req, res) => {
     
     // Filter coupons that should be shown on frontend
     // Sort by priority (descending) then by creation date (newest first)
-    const coupons = await Coupon.find(filter)
+    const candidates = await Coupon.find(filter)
       .sort({ priority: -1, createdAt: -1 })
-      .select('-userUsage -analytics'); // Exclude sensitive data
+      .lean();
+
+    // A logged in user only sees coupons they can use; visitors don't see ones
+    // targeted at specific users. The minimum order amount depends on the cart,
+    // so it isn't checked here
+    let visibleCoupons = candidates.filter(isOpenToAnonymous);
+    if (req.user) {
+      const eligibilityContext = createEligibilityContext(req.user.id);
+      visibleCoupons = [];
+      for (const coupon of candidates) {
+        const rejectionReason = getCouponRejectionReason(coupon, req.user.id, Infinity)
+          || await getEligibilityRejectionReason(coupon, eligibilityContext);
+        if (!rejectionReason) {
+          visibleCoupons.push(coupon);
+        }
+      }
+    }
+
+    // Exclude sensitive data
+    const coupons = visibleCoupons.map(({ userUsage, analytics, reservations, eligibility, ...coupon }) => coupon);
 
     // Update analytics - increment times viewed for all returned coupons
     if (coupons.length > 0) {
@@ -7,6 +7,7 @@ const CourseProgress = require('../models/courseProgress')
 const RatingAndReview = require('../models/ratingAndReview')
 
 const { uploadImageToCloudinary, deleteResourceFromCloudinary } = require('../utils/imageUploader');
+const { deleteLessonResource } = require('../utils/lessonResourceUploader');
 const { convertSecondsToDuration } = require("../utils/secToDuration")
 const { cleanupCourseFiles } = require('../utils/fileCleanup');
 const mongoose = require('mongoose');
@@ -324,7 +325,7 @@ exports.getCourseDetails = async (req, res) => {
                 path: "courseContent",
                 populate: {
                     path: "subSection",
-                    select: "-videoUrl",
+                    select: "-videoUrl -articleContent -resources",
                 },
             })
             .exec()
@@ -434,18 +435,15 @@ exports.getFullCourseDetails = async (req, res) => {
             const isFree = course.courseType === 'Free' || course.adminSetFree;
             if (!isFree) {
                 const Order = require('../models/order');
-                const activeOrder = await Order.findOne({
-                    user: userId,
-                    course: courseId,
-                    status: true
-                });
+                const activeOrder = await Order.findActiveForCourse(userId, courseId);
 
                 if (!activeOrder) {
-                    // Check if there's an inactive order
+                    // Check if there's an order an admin has deactivated
                     const inactiveOrder = await Order.findOne({
                         user: userId,
-                        course: courseId,
-                        status: false
+                        items: { $elemMatch: { course: courseId, status: 'active' } },
+                        status: { $in: Order.PURCHASED_STATUSES },
+                        isActive: false
                     });
 
                     if (inactiveOrder) {
@@ -824,6 +822,7 @@ exports.deleteCourse = async (req, res) => {
                 if (subSection?.videoUrl) {
                     await deleteResourceFromCloudinary(subSection.videoUrl);
                 }
+                await Promise.all((subSection?.resources || []).map(deleteLessonResource));
                 await SubSection.findByIdAndDelete(subSectionId);
             }),
 
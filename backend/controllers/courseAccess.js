@@ -206,12 +206,19 @@ exports.handleAccessRequest = async (req, res) => {
             const freeOrderTransactionId = `FREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
             await Order.create({
                 user: accessRequest.user._id,
-                course: accessRequest.course._id,
-                amount: 0,
-                status: true,
+                items: [{
+                    course: course._id,
+                    courseName: course.courseName,
+                    price: 0,
+                    amount: 0
+                }],
+                subtotal: 0,
+                totalAmount: 0,
+                status: 'paid',
                 paymentMethod: 'Free',
                 transactionId: freeOrderTransactionId,
-                purchaseDate: new Date()
+                purchaseDate: new Date(),
+                paidAt: new Date()
             });
         }
 
@@ -456,21 +463,24 @@ exports.updateBundleRequestStatus = async (req, res) => {
             });
             await user.save();
 
-            // Create order records for each free course in the bundle
-            const orderCreationPromises = bundleRequest.courses.map(async (course) => {
-                const freeOrderTransactionId = `FREE_BUNDLE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-                return Order.create({
-                    user: bundleRequest.user._id,
+            // Create a single order with a line for each free course in the bundle
+            const freeOrderTransactionId = `FREE_BUNDLE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+            await Order.create({
+                user: bundleRequest.user._id,
+                items: bundleRequest.courses.map(course => ({
                     course: course._id,
-                    amount: 0,
-                    status: true,
-                    paymentMethod: 'Free',
-                    transactionId: freeOrderTransactionId,
-                    purchaseDate: new Date()
-                });
+                    courseName: course.courseName,
+                    price: 0,
+                    amount: 0
+                })),
+                subtotal: 0,
+                totalAmount: 0,
+                status: 'paid',
+                paymentMethod: 'Free',
+                transactionId: freeOrderTransactionId,
+                purchaseDate: new Date(),
+                paidAt: new Date()
             });
-
-            await Promise.all(orderCreationPromises);
         }
 
         const updatedRequest = await BundleAccessRequest.findById(bundleId)
@@ -2,6 +2,7 @@ const mongoose = require("mongoose")
 const Section = require("../models/section")
 const SubSection = require("../models/subSection")
 const CourseProgress = require("../models/courseProgress")
+const { countsTowardsProgress } = require("../utils/lessonProgress")
 
 
 // ================ update Course Progress ================
@@ -26,11 +27,7 @@ exports.updateCourseProgress = async (req, res) => {
     }
 
     const isFree = course.courseType === 'Free' || course.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
+    const activeOrder = await Order.findActiveForCourse(userId, courseId);
 
     if (!isFree && !activeOrder) {
       return res.status(403).json({
@@ -118,11 +115,7 @@ exports.updateQuizProgress = async (req, res) => {
     }
 
     const isFree = course.courseType === 'Free' || course.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
+    const activeOrder = await Order.findActiveForCourse(userId, courseId);
 
     if (!isFree && !activeOrder) {
       return res.status(403).json({
@@ -242,11 +235,7 @@ exports.checkSectionAccess = async (req, res) => {
     }
 
     const isFree = courseBasic.courseType === 'Free' || courseBasic.adminSetFree;
-    const activeOrder = await Order.findOne({
-      user: userId,
-      course: courseId,
-      status: true
-    });
+    const activeOrder = await Order.findActiveForCourse(userId, courseId);
 
     if (!isFree && !activeOrder) {
       console.log(`Access denied for user ${userId} - no active order for course ${courseId}`);
@@ -304,27 +293,37 @@ exports.checkSectionAccess = async (req, res) => {
       })
     }
 
-    // Check if previous section is completed (both video and quiz)
-    const previousSection = course.courseContent[sectionIndex - 1]
+    // Check if every earlier section is completed (both video and quiz). Not just the
+    // one right before: sections can be reordered and lectures moved between them, so
+    // an earlier section may still be incomplete or the previous one empty
+    let previousSection = course.courseContent[sectionIndex - 1]
     let previousSectionCompleted = true
     let incompleteItems = [];
 
-    for (const subsection of previousSection.subSection) {
-      // Check if video is completed
-      const videoCompleted = courseProgress?.completedVideos?.includes(subsection._id)
-      
-      // Check if quiz is completed (if quiz exists)
-      let quizCompleted = true
-      if (subsection.quiz) {
-        quizCompleted = courseProgress?.completedQuizzes?.includes(subsection._id)
+    for (const section of course.courseContent.slice(0, sectionIndex)) {
+      for (const subsection of section.subSection) {
+        // Check if video is completed
+        const videoCompleted = courseProgress?.completedVideos?.includes(subsection._id)
+
+        // Check if quiz is completed (if quiz exists)
+        let quizCompleted = true
+        if (subsection.quiz) {
+          quizCompleted = courseProgress?.completedQuizzes?.includes(subsection._id)
+        }
+
+        if (!videoCompleted || !quizCompleted) {
+          incompleteItems.push({
+            type: !videoCompleted ? subsection.lessonType || 'video' : 'quiz',
+            title: subsection.title
+          });
+        }
       }
 
-      if (!videoCompleted || !quizCompleted) {
-        previousSectionCompleted = false;
-        incompleteItems.push({
-          type: !videoCompleted ? 'video' : 'quiz',
-          title: subsection.title
-        });
+      // Report the first section that still has something to do
+      if (incompleteItems.length > 0) {
+        previousSection = section
+        previousSectionCompleted = false
+        break
       }
     }
 
@@ -392,8 +391,8 @@ exports.getProgressPercentage = async (req, res) => {
 
     courseProgress.courseID.courseContent?.forEach((section) => {
       section.subSection?.forEach((subsection) => {
-        // Count video
-        if (subsection.videoUrl) {
+        // Count the lesson: its video, article or files
+        if (countsTowardsProgress(subsection)) {
           totalItems += 1
           if (courseProgress.completedVideos.includes(subsection._id)) {
             completedItems += 1
@@ -437,6 +437,35 @@ exports.createCourseEnrollmentConfirmation = async (studentId, courseId) => {
     }
 };
 
+exports.createOrderRefundNotification = async (studentId, order, refund) => {
+    try {
+        const refundedCourses = order.items
+            .filter(item => refund.items.some(itemId => itemId.equals(item._id)))
+            .map(item => item.courseName);
+
+        const accessMessage = refundedCourses.length > 0
+            ? ` Access to ${refundedCourses.map(name => `"${name}"`).join(', ')} has been removed.`
+            : '';
+
+        return await exports.createAdvancedNotification({
+            recipient: studentId,
+            type: 'ORDER_REFUNDED',
+            title: 'Order Refunded',
+            message: `A refund of Rs. ${refund.amount} has been issued for your order.${accessMessage}`,
+            priority: 'high',
+            actionUrl: '/dashboard/purchase-history',
+            metadata: {
+                orderId: order._id,
+                refundId: refund._id,
+                amount: refund.amount,
+                reason: refund.reason
+            }
+        });
+    } catch (error) {
+        console.error('Error creating refund notification:', error);
+    }
+};
+
 exports.createNewContentNotification = async (courseId, sectionId, subSectionId) => {
     try {
         const course = await Course.findById(courseId)
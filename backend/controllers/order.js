@@ -1,14 +1,26 @@
 const Order = require('../models/order');
 const mongoose = require('mongoose');
+const { refundOrder } = require('../services/orderRefund');
 
 // ================ ORDER MANAGEMENT ================
 
+// Lifecycle status, with paid orders shown as Active/Inactive as before
+const getOrderStatusLabel = (order) => {
+    if (order.status === 'partially_refunded') {
+        return 'Part Refunded';
+    }
+    if (order.status !== 'paid') {
+        return order.status.charAt(0).toUpperCase() + order.status.slice(1);
+    }
+    return order.isActive ? 'Active' : 'Inactive';
+};
+
 // Get all orders
 exports.getAllOrders = async (req, res) => {
     try {
         const orders = await Order.find({})
             .populate('user', 'firstName lastName email')
-            .populate('course', 'courseName')
+            .populate('items.course', 'courseName')
             .sort({ purchaseDate: -1 });
 
         return res.status(200).json({
@@ -62,11 +74,11 @@ exports.deleteOrder = async (req, res) => {
     }
 };
 
-// Update order status
+// Activate or deactivate the course access granted by an order
 exports.updateOrderStatus = async (req, res) => {
     try {
         const { orderId } = req.params;
-        const { status } = req.body;
+        const { isActive } = req.body;
 
         if (!mongoose.Types.ObjectId.isValid(orderId)) {
             return res.status(400).json({
@@ -75,12 +87,19 @@ exports.updateOrderStatus = async (req, res) => {
             });
         }
 
+        if (typeof isActive !== 'boolean') {
+            return res.status(400).json({
+                success: false,
+                message: 'isActive must be true or false'
+            });
+        }
+
         const order = await Order.findByIdAndUpdate(
             orderId,
-            { status },
+            { isActive },
             { new: true }
         ).populate('user', 'firstName lastName email')
-         .populate('course', 'courseName');
+         .populate('items.course', 'courseName');
 
         if (!order) {
             return res.status(404).json({
@@ -104,6 +123,71 @@ exports.updateOrderStatus = async (req, res) => {
     }
 };
 
+// Refund an order in full or for selected lines and take back the refunded courses
+exports.refundOrder = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+        const { itemIds, amount, reason, gatewayReference } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid order ID'
+            });
+        }
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A refund reason is required'
+            });
+        }
+
+        const order = await Order.findById(orderId);
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const result = await refundOrder(order, {
+            itemIds,
+            amount,
+            reason: reason.trim(),
+            gatewayReference,
+            processedBy: req.user.id
+        });
+
+        if (result.error) {
+            return res.status(400).json({
+                success: false,
+                message: result.error
+            });
+        }
+
+        const updatedOrder = await Order.findById(orderId)
+            .populate('user', 'firstName lastName email')
+            .populate('items.course', 'courseName');
+
+        return res.status(200).json({
+            success: true,
+            order: updatedOrder,
+            refund: result.refund,
+            message: result.refund.status === 'pending'
+                ? 'Refund initiated, awaiting confirmation from the payment gateway'
+                : 'Order refunded successfully'
+        });
+    } catch (error) {
+        console.error('Error refunding order:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error refunding order',
+            error: error.message
+        });
+    }
+};
+
 // Generate Orders PDF
 exports.generateOrdersPDF = async (req, res) => {
     try {
@@ -111,7 +195,7 @@ exports.generateOrdersPDF = async (req, res) => {
         
         const orders = await Order.find({})
             .populate('user', 'firstName lastName email')
-            .populate('course', 'courseName')
+            .populate('items.course', 'courseName')
             .sort({ purchaseDate: -1 });
 
         console.log(`Found ${orders.length} orders for PDF generation`);
@@ -149,11 +233,16 @@ exports.generateOrdersPDF = async (req, res) => {
         
         doc.moveDown(2);
 
-        // Add summary section
-        const totalRevenue = orders.reduce((sum, order) => sum + order.amount, 0);
-        const activeOrders = orders.filter(order => order.status).length;
-        const freeOrders = orders.filter(order => order.amount === 0).length;
-        const paidOrders = orders.filter(order => order.amount > 0).length;
+        // Add summary section - money figures only count orders that were actually paid
+        const settledOrders = orders.filter(order => Order.PURCHASED_STATUSES.includes(order.status) || order.status === 'refunded');
+        const totalRefunds = settledOrders.reduce((sum, order) => sum + order.getProcessedRefundAmount(), 0);
+        const totalRevenue = settledOrders.reduce((sum, order) => sum + order.totalAmount, 0) - totalRefunds;
+        const totalDiscounts = settledOrders.reduce((sum, order) => sum + order.bundleDiscount + order.couponDiscount, 0);
+        const totalTax = settledOrders.reduce((sum, order) => sum + order.taxAmount, 0);
+        const refundedOrders = settledOrders.filter(order => order.status === 'refunded').length;
+        const activeOrders = settledOrders.filter(order => order.status !== 'refunded' && order.isActive).length;
+        const freeOrders = settledOrders.filter(order => order.totalAmount === 0).length;
+        const paidOrders = settledOrders.filter(order => order.totalAmount > 0).length;
         
         doc.fontSize(14)
            .font('Helvetica-Bold')
@@ -162,9 +251,13 @@ exports.generateOrdersPDF = async (req, res) => {
         doc.fontSize(12)
            .font('Helvetica')
            .text(`Total Orders: ${orders.length}`)
-           .text(`Total Revenue: Rs. ${totalRevenue}`)
+           .text(`Total Revenue: Rs. ${totalRevenue.toFixed(2)}`)
+           .text(`Refunds Issued: Rs. ${totalRefunds.toFixed(2)}`)
+           .text(`Discounts Given: Rs. ${totalDiscounts.toFixed(2)}`)
+           .text(`Tax Collected (incl.): Rs. ${totalTax.toFixed(2)}`)
            .text(`Active Orders: ${activeOrders}`)
-           .text(`Inactive Orders: ${orders.length - activeOrders}`)
+           .text(`Inactive Orders: ${settledOrders.length - activeOrders - refundedOrders}`)
+           .text(`Refunded Orders: ${refundedOrders}`)
            .text(`Free Orders: ${freeOrders}`)
            .text(`Paid Orders: ${paidOrders}`);
         
@@ -193,7 +286,7 @@ exports.generateOrdersPDF = async (req, res) => {
                .fill('#2c3e50');
 
             let xPos = tableLeft;
-            const headers = ['S.No', 'User Details', 'Course', 'Amount', 'Status', 'Date'];
+            const headers = ['S.No', 'User Details', 'Courses', 'Amount', 'Status', 'Date'];
             
             // Header text
             doc.fontSize(10)
@@ -268,8 +361,10 @@ exports.generateOrdersPDF = async (req, res) => {
                 });
                 xPos += colWidths[1];
                 
-                // Course
-                const courseName = order.course?.courseName || 'N/A';
+                // Courses
+                const courseName = order.items
+                    .map(item => item.course?.courseName || item.courseName || 'N/A')
+                    .join(', ');
                 doc.text(courseName, xPos + 5, yPos + 2, {
                     width: colWidths[2] - 10,
                     align: 'left'
@@ -277,7 +372,7 @@ exports.generateOrdersPDF = async (req, res) => {
                 xPos += colWidths[2];
                 
                 // Amount
-                const amountText = order.amount === 0 ? 'Free' : `Rs. ${order.amount}`;
+                const amountText = order.totalAmount === 0 ? 'Free' : `Rs. ${order.totalAmount}`;
                 doc.font('Helvetica-Bold')
                    .text(amountText, xPos + 5, yPos + 2, {
                     width: colWidths[3] - 10,
@@ -287,7 +382,7 @@ exports.generateOrdersPDF = async (req, res) => {
                 
                 // Status
                 doc.font('Helvetica')
-                   .text(order.status ? 'Active' : 'Inactive', xPos + 5, yPos + 2, {
+                   .text(getOrderStatusLabel(order), xPos + 5, yPos + 2, {
                     width: colWidths[4] - 10,
                     align: 'center'
                 });
@@ -1,27 +1,158 @@
 const User = require("../models/user");
 const Course = require("../models/course");
 const Order = require("../models/order");
+const PaymentEvent = require("../models/paymentEvent");
 const mongoose = require("mongoose");
 const mailSender = require("../utils/mailSender");
 const { courseEnrollmentEmail } = require("../mail/templates/courseEnrollmentEmail");
+const paymentGateway = require("../services/paymentGateway");
+const { recordGatewayRefund, markGatewayRefundFailed } = require("../services/orderRefund");
+const { assignInvoiceNumber, createInvoicePdf } = require("../services/invoice");
+const { reserveCoupons, redeemCoupons, releaseCoupons } = require("../services/couponRedemption");
+const { priceCart } = require("../services/cartPricing");
+
+// 2-digit state code, 10-character PAN, entity number, "Z", checksum
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// Totals sent back to the checkout page
+const getPricingSummary = (pricing) => ({
+    subtotal: pricing.subtotal,
+    bundleDiscount: pricing.bundleDiscount,
+    couponDiscount: pricing.couponDiscount,
+    coupons: pricing.coupons,
+    taxAmount: pricing.taxAmount,
+    totalAmount: pricing.totalAmount,
+    items: pricing.items.map(({ course, courseName, price, discount, couponDiscount, amount }) => ({
+        course, courseName, price, discount, couponDiscount, amount
+    }))
+});
+
+// Number the invoice of a paid order and render it as an email attachment
+const getInvoiceAttachments = async (order) => {
+    if (order.totalAmount === 0) {
+        return [];
+    }
+
+    try {
+        const invoicedOrder = await assignInvoiceNumber(order);
+        await invoicedOrder.populate('user', 'firstName lastName email');
+        const pdf = await createInvoicePdf(invoicedOrder);
+
+        return [{
+            filename: `invoice-${invoicedOrder.invoiceNumber.replace(/\//g, '-')}.pdf`,
+            content: pdf,
+            contentType: 'application/pdf'
+        }];
+    } catch (invoiceError) {
+        // The invoice can still be downloaded later from purchase history
+        console.error("Error generating invoice:", invoiceError);
+        return [];
+    }
+};
+
+// Enroll the user in every course on a paid order and send the confirmation emails.
+// Safe to repeat: the courses are added to sets, and the emails only go out from the
+// call that records the enrollment on the order
+const enrollStudent = async (order) => {
+    const coursesId = order.items.map(item => item.course);
+
+    // Add courses to user's enrolled courses using $addToSet to avoid duplicates
+    const updatedUser = await User.findByIdAndUpdate(
+        order.user,
+        {
+            $addToSet: { courses: { $each: coursesId } }
+        },
+        { new: true }
+    );
+
+    // Update course student counts
+    await Course.updateMany(
+        { _id: { $in: coursesId } },
+        { $addToSet: { studentsEnrolled: order.user } }
+    );
+
+    const enrolledOrder = await Order.findOneAndUpdate(
+        { _id: order._id, enrolledAt: null },
+        { $set: { enrolledAt: new Date() } }
+    );
+    if (!enrolledOrder) {
+        return;
+    }
+
+    // Send confirmation emails, with the invoice attached to the first one
+    const invoiceAttachments = await getInvoiceAttachments(order);
+    for (const [index, item] of order.items.entries()) {
+        try {
+            const emailSubject = order.couponCode 
+                ? `Successfully enrolled in ${item.courseName} with coupon ${order.couponCode}`
+                : `Successfully enrolled in ${item.courseName}`;
+
+            await mailSender(
+                updatedUser.email,
+                emailSubject,
+                courseEnrollmentEmail(item.courseName, updatedUser.firstName),
+                index === 0 ? invoiceAttachments : []
+            );
+        } catch (emailError) {
+            console.error("Error sending enrollment email:", emailError);
+            // Don't fail the enrollment if email fails
+        }
+    }
+};
+
+// Move an unpaid order to paid and enroll the student. The conditional update makes
+// this safe to call from both verifyPayment and the webhook: only one of them marks it
+// paid. Either one also finishes the enrollment of an order already paid when an
+// earlier call failed to enroll the student, so a retry doesn't leave them out
+const markOrderPaid = async (filter, transactionId) => {
+    const order = await Order.findOneAndUpdate(
+        { ...filter, status: { $in: ['created', 'failed'] } },
+        { $set: { status: 'paid', transactionId, paidAt: new Date() } },
+        { new: true }
+    );
+
+    if (order) {
+        // The customer has paid the discounted price, so the order goes through either
+        // way; a failed redemption only means the use isn't counted
+        const couponIds = order.coupons.map(({ coupon }) => coupon);
+        const unredeemed = await redeemCoupons(couponIds, order.user, order._id);
+        if (unredeemed.length > 0) {
+            console.warn(`Coupons ${unredeemed.join(', ')} could not be redeemed for paid order ${order._id}`);
+        }
+    }
+
+    const paidOrder = order || await Order.findOne({ ...filter, status: 'paid', isActive: true, enrolledAt: null });
+    if (paidOrder) {
+        await enrollStudent(paidOrder);
+    }
+
+    return paidOrder;
+};
 
 exports.capturePayment = async (req, res) => {
     try {
-        const { coursesId, couponCode, discountAmount } = req.body;
+        const { coursesId, couponCode, couponCodes, checkoutType, billingDetails = {} } = req.body;
         const userId = req.user.id;
 
         // Validate coursesId
-        if (!coursesId || !Array.isArray(coursesId)) {
+        if (!coursesId || !Array.isArray(coursesId) || coursesId.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: "Please provide valid course IDs"
             });
         }
 
+        if (billingDetails.gstin && !GSTIN_PATTERN.test(billingDetails.gstin.trim().toUpperCase())) {
+            return res.status(400).json({
+                success: false,
+                message: "Please provide a valid GSTIN"
+            });
+        }
+
         // Check if user already enrolled in any of these courses
-        const user = await User.findById(userId);
+        const user = await User.findById(userId).populate('additionalDetails', 'contactNumber');
         const alreadyEnrolledCourses = coursesId.filter(courseId => 
-            user.courses.includes(courseId)
+            user.courses.some(enrolledId => enrolledId.toString() === courseId.toString())
         );
 
         if (alreadyEnrolledCourses.length > 0) {
@@ -34,116 +165,203 @@ exports.capturePayment = async (req, res) => {
         // Get course details
         const courses = await Course.find({ _id: { $in: coursesId } });
         
-        if (!courses || courses.length === 0) {
+        if (courses.length !== coursesId.length) {
             return res.status(404).json({
                 success: false,
-                message: "Courses not found"
+                message: "One or more courses not found"
             });
         }
 
-        // Log coupon usage if provided
-        if (couponCode) {
-            console.log(`Coupon ${couponCode} applied for user ${userId}, discount: ${discountAmount}`);
+        const pricing = await priceCart(courses, userId, couponCodes || couponCode, checkoutType);
+        if (pricing.error) {
+            return res.status(400).json({
+                success: false,
+                message: pricing.error
+            });
         }
 
-        // For test development, proceed directly to enrollment
+        // Nothing to charge (free courses or a full discount) - no gateway order needed
+        if (pricing.totalAmount === 0) {
+            return res.status(200).json({
+                success: true,
+                message: "Proceed with enrollment",
+                couponApplied: pricing.coupons.length > 0,
+                data: {
+                    ...getPricingSummary(pricing),
+                    orderId: null
+                }
+            });
+        }
+
+        // Hold a use of each coupon until the payment completes or the hold expires
+        const orderId = new mongoose.Types.ObjectId();
+        const couponIds = pricing.coupons.map(({ coupon }) => coupon);
+        if (!(await reserveCoupons(couponIds, userId, orderId))) {
+            return res.status(400).json({
+                success: false,
+                message: "Coupon usage limit exceeded"
+            });
+        }
+
+        let gatewayOrder;
+        try {
+            gatewayOrder = await paymentGateway.createGatewayOrder({
+                amount: pricing.totalAmount,
+                receipt: `rcpt_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+                notes: {
+                    userId,
+                    coursesId: coursesId.join(','),
+                    couponCode: pricing.couponCode || ''
+                }
+            });
+        } catch (error) {
+            await releaseCoupons(couponIds, orderId);
+            throw error;
+        }
+
+        await Order.create({
+            _id: orderId,
+            user: userId,
+            ...pricing,
+            status: 'created',
+            paymentMethod: 'razorpay',
+            gatewayOrderId: gatewayOrder.id,
+            billing: {
+                name: `${user.firstName} ${user.lastName}`.trim(),
+                email: user.email,
+                phone: billingDetails.phone || user.additionalDetails?.contactNumber,
+                state: billingDetails.state,
+                gstin: billingDetails.gstin
+            }
+        });
+
         return res.status(200).json({
             success: true,
-            message: "Proceed with enrollment",
-            couponApplied: !!couponCode
+            message: "Payment order created",
+            couponApplied: pricing.coupons.length > 0,
+            data: {
+                ...getPricingSummary(pricing),
+                orderId: gatewayOrder.id,
+                amount: gatewayOrder.amount,
+                currency: gatewayOrder.currency,
+                key: paymentGateway.getGatewayKey()
+            }
         });
 
     } catch (error) {
         console.error("Error in capturePayment:", error);
         res.status(500).json({
             success: false,
-            message: "Could not process enrollment"
+            message: "Could not initiate payment"
         });
     }
 };
 
 exports.verifyPayment = async (req, res) => {
     try {
-        const { coursesId, couponCode, discountAmount } = req.body;
+        const {
+            razorpay_order_id,
+            razorpay_payment_id,
+            razorpay_signature,
+            coursesId,
+            couponCode,
+            couponCodes,
+            checkoutType
+        } = req.body;
         const userId = req.user.id;
 
-        if (!coursesId || !Array.isArray(coursesId)) {
+        // Paid checkout: the signature proves the gateway captured this order
+        if (razorpay_order_id || razorpay_payment_id || razorpay_signature) {
+            const isSignatureValid = paymentGateway.verifyPaymentSignature({
+                orderId: razorpay_order_id,
+                paymentId: razorpay_payment_id,
+                signature: razorpay_signature
+            });
+
+            if (!isSignatureValid) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Payment verification failed"
+                });
+            }
+
+            const order = await Order.findOne({ gatewayOrderId: razorpay_order_id, user: userId });
+            if (!order) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Payment does not belong to this user"
+                });
+            }
+
+            // Already marked paid (e.g. by the webhook) - then this only finishes an enrollment that failed
+            await markOrderPaid({ _id: order._id }, razorpay_payment_id);
+
+            return res.status(200).json({
+                success: true,
+                message: "Courses enrolled successfully",
+                couponApplied: !!order.couponCode,
+                data: { orderId: order._id }
+            });
+        }
+
+        // Without a gateway payment only a zero-total cart can be enrolled
+        if (!coursesId || !Array.isArray(coursesId) || coursesId.length === 0) {
             return res.status(400).json({
                 success: false,
                 message: "Invalid course IDs provided"
             });
         }
 
-        // Find user and validate
-        const user = await User.findById(userId);
-        if (!user) {
-            throw new Error("User not found");
-        }
-
         // Validate courses exist
         const courses = await Course.find({ _id: { $in: coursesId } });
         if (courses.length !== coursesId.length) {
             throw new Error("One or more courses not found");
         }
 
-        // Create order records for each course with active status
-        const orderPromises = courses.map(course => {
-            return Order.create({
-                user: userId,
-                course: course._id,
-                amount: course.price || 0,
-                status: true, // Set as active by default
-                paymentMethod: 'test', // Default payment method for testing
-                transactionId: `TXN_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                purchaseDate: new Date()
+        const pricing = await priceCart(courses, userId, couponCodes || couponCode, checkoutType);
+        if (pricing.error) {
+            return res.status(400).json({
+                success: false,
+                message: pricing.error
             });
-        });
+        }
 
-        const orders = await Promise.all(orderPromises);
+        if (pricing.totalAmount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Payment signature is missing"
+            });
+        }
 
-        // Add courses to user's enrolled courses using $addToSet to avoid duplicates
-        const updatedUser = await User.findByIdAndUpdate(
-            userId,
-            {
-                $addToSet: { courses: { $each: coursesId } }
-            },
-            { new: true }
-        );
+        // Nothing is paid, so the coupon uses are taken right away. Reserving the whole
+        // stack first means either every coupon is redeemed or none is
+        const orderId = new mongoose.Types.ObjectId();
+        const couponIds = pricing.coupons.map(({ coupon }) => coupon);
+        if (!(await reserveCoupons(couponIds, userId, orderId))) {
+            return res.status(400).json({
+                success: false,
+                message: "Coupon usage limit exceeded"
+            });
+        }
+        await redeemCoupons(couponIds, userId, orderId);
 
-        // Update course student counts
-        await Course.updateMany(
-            { _id: { $in: coursesId } },
-            { $addToSet: { studentsEnrolled: userId } }
-        );
+        const order = await Order.create({
+            _id: orderId,
+            user: userId,
+            ...pricing,
+            status: 'paid',
+            paymentMethod: 'free',
+            transactionId: `FREE_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            paidAt: new Date()
+        });
 
-        // If a coupon was used, log the usage
-        if (couponCode) {
-            console.log(`Verifying enrollment with coupon ${couponCode} for user ${userId}`);
-            console.log(`Applied discount amount: ${discountAmount}`);
-        }
-
-        // Send confirmation emails
-        for (const course of courses) {
-            try {
-                const emailSubject = couponCode 
-                    ? `Successfully enrolled in ${course.courseName} with coupon ${couponCode}`
-                    : `Successfully enrolled in ${course.courseName}`;
-
-                await mailSender(
-                    updatedUser.email,
-                    emailSubject,
-                    courseEnrollmentEmail(course.courseName, updatedUser.firstName)
-                );
-            } catch (emailError) {
-                console.error("Error sending enrollment email:", emailError);
-                // Don't fail the enrollment if email fails
-            }
-        }
+        await enrollStudent(order);
 
         return res.status(200).json({
             success: true,
             message: "Courses enrolled successfully",
-            couponApplied: !!couponCode
+            couponApplied: !!order.couponCode,
+            data: { orderId: order._id }
         });
 
     } catch (error) {
@@ -155,34 +373,137 @@ exports.verifyPayment = async (req, res) => {
     }
 };
 
-exports.getPurchaseHistory = async (req, res) => {
+const webhookHandlers = {
+    'payment.captured': async (payload) => {
+        const payment = payload.payment.entity;
+        const order = await markOrderPaid({ gatewayOrderId: payment.order_id }, payment.id);
+        return order ? 'processed' : 'ignored';
+    },
+    'payment.failed': async (payload) => {
+        const order = await Order.findOneAndUpdate(
+            { gatewayOrderId: payload.payment.entity.order_id, status: 'created' },
+            { $set: { status: 'failed' } }
+        );
+        if (!order) {
+            return 'ignored';
+        }
+
+        // A retried payment redeems without the hold, if the coupon still has uses
+        await releaseCoupons(order.coupons.map(({ coupon }) => coupon), order._id);
+        return 'processed';
+    },
+    'refund.processed': (payload) => recordGatewayRefund(payload.refund.entity),
+    'refund.failed': (payload) => markGatewayRefundFailed(payload.refund.entity)
+};
+
+exports.handlePaymentWebhook = async (req, res) => {
     try {
-        const userId = req.user.id;
+        const signature = req.header('x-razorpay-signature');
+        if (!paymentGateway.verifyWebhookSignature(req.rawBody, signature)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid webhook signature"
+            });
+        }
+
+        const { event, payload = {} } = req.body;
+        const entity = payload.payment?.entity || payload.refund?.entity || {};
+        const eventId = req.header('x-razorpay-event-id') || `${event}:${entity.id}`;
 
-        // Find the user and populate their purchased courses
-        const user = await User.findById(userId)
-            .populate({
-                path: 'courses',
-                model: 'Course',
-                select: 'courseName price description thumbnail createdAt'
+        // Store the event first; a duplicate ID means it was already handled
+        let paymentEvent;
+        try {
+            paymentEvent = await PaymentEvent.create({
+                eventId,
+                event,
+                paymentId: entity.payment_id || entity.id,
+                gatewayOrderId: entity.order_id,
+                payload
             });
+        } catch (error) {
+            if (error.code !== 11000) {
+                throw error;
+            }
 
-        if (!user) {
-            return res.status(404).json({
+            paymentEvent = await PaymentEvent.findOne({ eventId });
+            if (paymentEvent.status !== 'failed') {
+                return res.status(200).json({
+                    success: true,
+                    message: "Event already processed"
+                });
+            }
+        }
+
+        const handler = webhookHandlers[event];
+        try {
+            paymentEvent.status = handler ? await handler(payload) : 'ignored';
+            paymentEvent.error = undefined;
+        } catch (error) {
+            console.error(`Error processing ${event} webhook:`, error);
+            paymentEvent.status = 'failed';
+            paymentEvent.error = error.message;
+        }
+        paymentEvent.processedAt = new Date();
+        await paymentEvent.save();
+
+        // A non-2xx response makes the gateway retry the failed event later
+        if (paymentEvent.status === 'failed') {
+            return res.status(500).json({
                 success: false,
-                message: "User not found"
+                message: "Could not process webhook event"
             });
         }
 
-        // Transform the courses data to include purchase details
-        const purchaseHistory = user.courses.map(course => ({
-            _id: course._id,
-            courseName: course.courseName,
-            courseDescription: course.description,
-            thumbnail: course.thumbnail,
-            price: course.price || 0,
-            purchaseDate: course.createdAt,
-            status: "Completed"
+        return res.status(200).json({
+            success: true,
+            message: `Event ${paymentEvent.status}`
+        });
+
+    } catch (error) {
+        console.error("Error in handlePaymentWebhook:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not process webhook event"
+        });
+    }
+};
+
+// Orders the student has paid for, newest first, including refunded ones
+exports.getPurchaseHistory = async (req, res) => {
+    try {
+        const userId = req.user.id;
+
+        const orders = await Order.find({
+            user: userId,
+            status: { $in: [...Order.PURCHASED_STATUSES, 'refunded'] }
+        })
+            .populate('items.course', 'courseName description thumbnail')
+            .sort({ purchaseDate: -1 });
+
+        const purchaseHistory = orders.map(order => ({
+            _id: order._id,
+            invoiceNumber: order.invoiceNumber,
+            hasInvoice: order.totalAmount > 0,
+            purchaseDate: order.paidAt || order.purchaseDate,
+            status: order.status,
+            paymentMethod: order.paymentMethod,
+            subtotal: order.subtotal,
+            bundleDiscount: order.bundleDiscount,
+            couponCode: order.couponCode,
+            couponDiscount: order.couponDiscount,
+            taxAmount: order.taxAmount,
+            totalAmount: order.totalAmount,
+            refundedAmount: order.refundedAmount,
+            items: order.items.map(item => ({
+                _id: item._id,
+                courseId: item.course?._id || item.course,
+                courseName: item.course?.courseName || item.courseName,
+                courseDescription: item.course?.description,
+                thumbnail: item.course?.thumbnail,
+                price: item.price,
+                amount: item.amount,
+                status: item.status
+            }))
         }));
 
         return res.status(200).json({
@@ -199,3 +520,50 @@ exports.getPurchaseHistory = async (req, res) => {
         });
     }
 };
+
+// Download the tax invoice of an order; students get their own, admins any
+exports.getOrderInvoice = async (req, res) => {
+    try {
+        const { orderId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(orderId)) {
+            return res.status(400).json({
+                success: false,
+                message: "Invalid order ID"
+            });
+        }
+
+        let order = await Order.findById(orderId);
+        if (!order || (order.user.toString() !== req.user.id && req.user.accountType !== 'Admin')) {
+            return res.status(404).json({
+                success: false,
+                message: "Order not found"
+            });
+        }
+
+        const wasPaid = Order.PURCHASED_STATUSES.includes(order.status) || order.status === 'refunded';
+        if (!wasPaid || order.totalAmount === 0) {
+            return res.status(400).json({
+                success: false,
+                message: "Only paid orders have an invoice"
+            });
+        }
+
+        // Orders paid before invoicing existed get their number on first download
+        order = await assignInvoiceNumber(order);
+        await order.populate('user', 'firstName lastName email');
+        const pdf = await createInvoicePdf(order);
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename=invoice-${order.invoiceNumber.replace(/\//g, '-')}.pdf`);
+        return res.send(pdf);
+
+    } catch (error) {
+        console.error("Error generating invoice:", error);
+        return res.status(500).json({
+            success: false,
+            message: "Could not generate invoice",
+            error: error.message
+        });
+    }
+};
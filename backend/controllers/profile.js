@@ -9,6 +9,7 @@ const Certificate = require('../models/certificate');
 const RatingAndReview = require('../models/ratingAndReview');
 
 const { uploadImageToCloudinary, deleteResourceFromCloudinary } = require('../utils/imageUploader');
+const { deleteLessonResource } = require('../utils/lessonResourceUploader');
 const { convertSecondsToDuration } = require('../utils/secToDuration');
 const { cleanupCourseFiles } = require('../utils/fileCleanup');
 
@@ -152,6 +153,7 @@ exports.deleteAccount = async (req, res) => {
                         if (subSection?.videoUrl) {
                             await deleteResourceFromCloudinary(subSection.videoUrl);
                         }
+                        await Promise.all((subSection?.resources || []).map(deleteLessonResource));
                         await SubSection.findByIdAndDelete(subSectionId);
                     }),
 
@@ -319,25 +321,18 @@ exports.getEnrolledCourses = async (req, res) => {
             const isFree = course.courseType === 'Free' || course.adminSetFree;
             
             // Check if user has an active order for paid courses
-            const activeOrder = await Order.findOne({
-                user: userId,
-                course: course._id,
-                status: true
-            })
+            const activeOrder = await Order.findActiveForCourse(userId, course._id)
 
             // Determine if course should be accessible
             let isAccessible = true;
             let isDeactivated = false;
             
-            // Check if there's any order (active or inactive) for this course
-            const anyOrder = await Order.findOne({
-                user: userId,
-                course: course._id
-            });
+            // Check if there's any paid order (active or inactive) for this course
+            const anyOrder = await Order.findPaidForCourse(userId, course._id);
             
             if (anyOrder) {
-                // If there's an order, check its status
-                if (!anyOrder.status) {
+                // If there's an order, check whether it is still active
+                if (!activeOrder) {
                     // Order exists but is inactive - course is deactivated
                     isDeactivated = true;
                     isAccessible = false;
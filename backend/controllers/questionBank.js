@@ -0,0 +1,328 @@
+const QuestionBank = require('../models/questionBank');
+const Quiz = require('../models/quiz');
+const { getQuestionError } = require('../utils/questionValidation');
+
+const MAX_QUESTIONS_PER_REQUEST = 200;
+
+// Banks are shared for drawing, but only their author or an admin may change them
+const canEditBank = (bank, user) => user.accountType === 'Admin' || bank.createdBy.toString() === user.id;
+
+// Why questions sent for a bank can't be saved, or null when they can
+const getBankQuestionsError = (questions) => {
+    if (!Array.isArray(questions) || questions.length > MAX_QUESTIONS_PER_REQUEST) {
+        return `Questions must be an array of at most ${MAX_QUESTIONS_PER_REQUEST} items`;
+    }
+    for (const question of questions) {
+        const questionError = getQuestionError(question);
+        if (questionError) {
+            return questionError;
+        }
+    }
+    return null;
+};
+
+// What the bank list shows of each bank: no question content
+const toBankSummary = (bank) => {
+    const countBy = (field) => bank.questions.reduce((counts, question) => {
+        if (question[field]) {
+            counts[question[field]] = (counts[question[field]] || 0) + 1;
+        }
+        return counts;
+    }, {});
+
+    return {
+        _id: bank._id,
+        name: bank.name,
+        description: bank.description,
+        createdBy: bank.createdBy,
+        questionCount: bank.questions.length,
+        topics: countBy('topic'),
+        difficulties: countBy('difficulty'),
+        updatedAt: bank.updatedAt
+    };
+};
+
+// List every question bank, with question counts by topic and difficulty
+exports.getQuestionBanks = async (req, res) => {
+    try {
+        const banks = await QuestionBank.find()
+            .select('name description createdBy questions.topic questions.difficulty updatedAt')
+            .populate('createdBy', 'firstName lastName')
+            .sort({ updatedAt: -1 });
+
+        return res.status(200).json({
+            success: true,
+            data: banks.map(toBankSummary)
+        });
+    } catch (error) {
+        console.error('Error fetching question banks:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching question banks',
+            error: error.message
+        });
+    }
+};
+
+// Get a question bank with its questions
+exports.getQuestionBank = async (req, res) => {
+    try {
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error fetching question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching question bank',
+            error: error.message
+        });
+    }
+};
+
+// Create a question bank, optionally with its first questions
+exports.createQuestionBank = async (req, res) => {
+    try {
+        const { name, description, questions = [] } = req.body;
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Bank name is required'
+            });
+        }
+
+        const questionsError = getBankQuestionsError(questions);
+        if (questionsError) {
+            return res.status(400).json({
+                success: false,
+                message: questionsError
+            });
+        }
+
+        const bank = await QuestionBank.create({
+            name,
+            description,
+            questions,
+            createdBy: req.user.id
+        });
+
+        return res.status(201).json({
+            success: true,
+            message: 'Question bank created successfully',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error creating question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error creating question bank',
+            error: error.message
+        });
+    }
+};
+
+// Rename a bank or replace its questions
+exports.updateQuestionBank = async (req, res) => {
+    try {
+        const { name, description, questions } = req.body;
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canEditBank(bank, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author of a question bank or an admin can change it'
+            });
+        }
+
+        if (name !== undefined) {
+            if (!name.trim()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Bank name is required'
+                });
+            }
+            bank.name = name;
+        }
+        if (description !== undefined) {
+            bank.description = description;
+        }
+        if (questions !== undefined) {
+            const questionsError = getBankQuestionsError(questions);
+            if (questionsError) {
+                return res.status(400).json({
+                    success: false,
+                    message: questionsError
+                });
+            }
+            bank.questions = questions;
+        }
+
+        await bank.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question bank updated successfully',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error updating question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error updating question bank',
+            error: error.message
+        });
+    }
+};
+
+// Append questions to a bank
+exports.addBankQuestions = async (req, res) => {
+    try {
+        const { questions } = req.body;
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canEditBank(bank, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author of a question bank or an admin can change it'
+            });
+        }
+
+        const questionsError = getBankQuestionsError(questions);
+        if (questionsError || questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: questionsError || 'At least one question is required'
+            });
+        }
+
+        bank.questions.push(...questions);
+        await bank.save();
+
+        return res.status(200).json({
+            success: true,
+            message: `${questions.length} question(s) added to the bank`,
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error adding questions to bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error adding questions to bank',
+            error: error.message
+        });
+    }
+};
+
+// Remove one question from a bank. Attempts that already drew it keep their copy
+exports.removeBankQuestion = async (req, res) => {
+    try {
+        const { bankId, questionId } = req.params;
+        const bank = await QuestionBank.findById(bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canEditBank(bank, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author of a question bank or an admin can change it'
+            });
+        }
+
+        const question = bank.questions.id(questionId);
+        if (!question) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question not found in this bank'
+            });
+        }
+
+        question.deleteOne();
+        await bank.save();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question removed from the bank',
+            data: bank
+        });
+    } catch (error) {
+        console.error('Error removing bank question:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error removing bank question',
+            error: error.message
+        });
+    }
+};
+
+// Delete a bank no quiz draws from
+exports.deleteQuestionBank = async (req, res) => {
+    try {
+        const bank = await QuestionBank.findById(req.params.bankId);
+
+        if (!bank) {
+            return res.status(404).json({
+                success: false,
+                message: 'Question bank not found'
+            });
+        }
+
+        if (!canEditBank(bank, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the author of a question bank or an admin can delete it'
+            });
+        }
+
+        const quizzesUsingBank = await Quiz.countDocuments({ 'drawRules.banks': bank._id });
+        if (quizzesUsingBank > 0) {
+            return res.status(409).json({
+                success: false,
+                message: `This bank is used by ${quizzesUsingBank} quiz(zes). Remove it from their draw rules first.`
+            });
+        }
+
+        await bank.deleteOne();
+
+        return res.status(200).json({
+            success: true,
+            message: 'Question bank deleted successfully'
+        });
+    } catch (error) {
+        console.error('Error deleting question bank:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error deleting question bank',
+            error: error.message
+        });
+    }
+};
@@ -1,27 +1,155 @@
+const mongoose = require('mongoose');
 const Quiz = require('../models/quiz');
 const CourseProgress = require('../models/courseProgress');
 const SubSection = require('../models/subSection');
+const Section = require('../models/section');
 const Course = require('../models/course');
-const { executeCode } = require('../services/codeExecution');
+const Order = require('../models/order');
+const { executeCode, runTestCases } = require('../services/codeExecution');
+const QuizSubmission = require('../models/quizSubmission');
+const { getComparison } = require('../services/codeGrading');
+const QuizAttempt = require('../models/quizAttempt');
+const { getRetakeStatus, getPassingPercentage } = require('../services/quizResults');
+const { toSubmissionStatus } = require('../services/gradingQueue');
+const QuizSession = require('../models/quizSession');
+const { scoreAnswers } = require('../services/quizGrading');
+const {
+    createSession,
+    findActiveSession,
+    closeExpiredSession,
+    submitAttempt,
+    getDeadlines,
+    getSessionQuestions,
+    sanitizeQuestionTimes,
+    toSessionStatus
+} = require('../services/quizSessions');
+const { buildAttemptQuestions, getDrawCandidates, getQuestionCount } = require('../services/questionDraw');
+const { getReviewBlock, toAttemptReview } = require('../services/attemptReview');
+const { getQuestionError, DIFFICULTIES } = require('../utils/questionValidation');
 const { handleNewContentAddition } = require('../utils/certificateRegeneration');
 
+const QUIZ_SETTINGS = [
+    'passingPercentage',
+    'maxAttempts',
+    'cooldownMinutes',
+    'scoringPolicy',
+    'lateSubmissionPolicy',
+    'reviewPolicy',
+    'questionSource',
+    'shuffleQuestions',
+    'shuffleOptions'
+];
+const QUESTION_SOURCES = ['fixed', 'bank'];
+const MAX_QUESTIONS = 25;
+const SCORING_POLICIES = ['highest', 'latest', 'average'];
+const LATE_SUBMISSION_POLICIES = ['reject', 'autoSubmit'];
+const REVIEW_POLICIES = ['never', 'afterSubmit', 'afterPassing', 'afterAttemptLimit'];
+
+// Why the attempt settings in a create/update body can't be used, or null when they can
+const getQuizSettingsError = ({ passingPercentage, maxAttempts, cooldownMinutes, scoringPolicy, lateSubmissionPolicy, reviewPolicy }) => {
+    if (passingPercentage !== undefined && (typeof passingPercentage !== 'number' || passingPercentage < 0 || passingPercentage > 100)) {
+        return 'Passing percentage must be between 0 and 100';
+    }
+    if (maxAttempts !== undefined && !(Number.isInteger(maxAttempts) && maxAttempts >= 0)) {
+        return 'Maximum attempts must be a whole number, 0 for unlimited';
+    }
+    if (cooldownMinutes !== undefined && (typeof cooldownMinutes !== 'number' || cooldownMinutes < 0)) {
+        return 'Cooldown must be zero or more minutes';
+    }
+    if (scoringPolicy !== undefined && !SCORING_POLICIES.includes(scoringPolicy)) {
+        return `Scoring policy must be one of: ${SCORING_POLICIES.join(', ')}`;
+    }
+    if (lateSubmissionPolicy !== undefined && !LATE_SUBMISSION_POLICIES.includes(lateSubmissionPolicy)) {
+        return `Late submission policy must be one of: ${LATE_SUBMISSION_POLICIES.join(', ')}`;
+    }
+    if (reviewPolicy !== undefined && !REVIEW_POLICIES.includes(reviewPolicy)) {
+        return `Review policy must be one of: ${REVIEW_POLICIES.join(', ')}`;
+    }
+    return null;
+};
+
+// Draw rules as sent by the quiz editor, with empty filters dropped
+const normalizeDrawRules = (drawRules) => drawRules.map(rule => ({
+    banks: rule.banks || [],
+    topic: rule.topic ? String(rule.topic).trim() : undefined,
+    difficulty: rule.difficulty || undefined,
+    tags: rule.tags || [],
+    count: rule.count
+}));
+
+// Why the questions of a create/update body (the draw rules, for bank quizzes)
+// can't be used, or null when they can
+const getQuestionSetError = async ({ questionSource = 'fixed', questions, drawRules }) => {
+    if (!QUESTION_SOURCES.includes(questionSource)) {
+        return `Question source must be one of: ${QUESTION_SOURCES.join(', ')}`;
+    }
+
+    // Bank quizzes may keep questions of their own, they just don't ask them
+    if (questionSource === 'fixed' || questions !== undefined) {
+        const minQuestions = questionSource === 'fixed' ? 1 : 0;
+        if (!Array.isArray(questions) || questions.length < minQuestions || questions.length > MAX_QUESTIONS) {
+            return `Questions must be an array with ${minQuestions} to ${MAX_QUESTIONS} items`;
+        }
+        for (const question of questions) {
+            const questionError = getQuestionError(question);
+            if (questionError) {
+                return questionError;
+            }
+        }
+    }
+
+    if (questionSource === 'bank') {
+        if (!Array.isArray(drawRules) || drawRules.length === 0) {
+            return 'Quizzes drawing from question banks need at least one draw rule';
+        }
+
+        let totalCount = 0;
+        for (const rule of normalizeDrawRules(drawRules)) {
+            if (!Number.isInteger(rule.count) || rule.count < 1) {
+                return 'Every draw rule must draw at least one question';
+            }
+            if (!Array.isArray(rule.banks) || !rule.banks.every(bankId => mongoose.isValidObjectId(bankId))) {
+                return 'Draw rules must list valid question bank IDs';
+            }
+            if (rule.difficulty && !DIFFICULTIES.includes(rule.difficulty)) {
+                return `Difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+            }
+
+            const available = (await getDrawCandidates(rule)).length;
+            if (available < rule.count) {
+                return `A draw rule asks for ${rule.count} questions but only ${available} match it`;
+            }
+            totalCount += rule.count;
+        }
+        if (totalCount > MAX_QUESTIONS) {
+            return `An attempt can draw at most ${MAX_QUESTIONS} questions`;
+        }
+    }
+
+    return null;
+};
+
+// The question fields of a create/update body, ready for the Quiz document
+const pickQuestionSet = ({ questions, drawRules }) => {
+    const questionSet = {};
+    if (questions !== undefined) {
+        questionSet.questions = questions;
+    }
+    if (drawRules !== undefined) {
+        questionSet.drawRules = normalizeDrawRules(drawRules);
+    }
+    return questionSet;
+};
+
 // Create a new quiz
 exports.createQuiz = async (req, res) => {
     try {
-        const { subSectionId, questions, timeLimit } = req.body;
-
-        if (!subSectionId || !questions) {
-            return res.status(400).json({
-                success: false,
-                message: 'SubSection ID and questions are required'
-            });
-        }
+        const { subSectionId, timeLimit } = req.body;
 
-        // Validate questions array
-        if (!Array.isArray(questions) || questions.length < 1 || questions.length > 25) {
+        if (!subSectionId) {
             return res.status(400).json({
                 success: false,
-                message: 'Questions must be an array with 1 to 25 items'
+                message: 'SubSection ID is required'
             });
         }
 
@@ -35,35 +163,20 @@ exports.createQuiz = async (req, res) => {
             }
         }
 
-        // Validate code solving questions
-        for (const question of questions) {
-            if (question.questionType === 'codeSolve') {
-                if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have at least one test case'
-                    });
-                }
-                
-                // Validate test cases
-                for (const testCase of question.testCases) {
-                    if (!testCase.expectedOutput || testCase.expectedOutput.trim() === '') {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'All test cases must have expected output'
-                        });
-                    }
-                }
-                
-                // Validate programming language
-                const validLanguages = ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql', 'open'];
-                if (!question.programmingLanguage || !validLanguages.includes(question.programmingLanguage)) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have a valid programming language'
-                    });
-                }
-            }
+        const settingsError = getQuizSettingsError(req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
+        }
+
+        const questionSetError = await getQuestionSetError(req.body);
+        if (questionSetError) {
+            return res.status(400).json({
+                success: false,
+                message: questionSetError
+            });
         }
 
         // Check if quiz already exists for this subsection
@@ -78,13 +191,18 @@ exports.createQuiz = async (req, res) => {
         // Create quiz data
         const quizData = {
             subSection: subSectionId,
-            questions
+            ...pickQuestionSet(req.body)
         };
 
         // Add timeLimit if provided, otherwise use default
         if (timeLimit !== undefined) {
             quizData.timeLimit = timeLimit;
         }
+        QUIZ_SETTINGS.forEach((setting) => {
+            if (req.body[setting] !== undefined) {
+                quizData[setting] = req.body[setting];
+            }
+        });
 
         // Create quiz
         const quiz = await Quiz.create(quizData);
@@ -95,7 +213,6 @@ exports.createQuiz = async (req, res) => {
         // Handle certificate regeneration for students who completed the course
         try {
             // Find the section that contains this subsection
-            const Section = require('../models/section');
             const section = await Section.findOne({
                 subSection: subSectionId
             });
@@ -112,7 +229,7 @@ exports.createQuiz = async (req, res) => {
                         {
                             subSectionId,
                             quizId: quiz._id,
-                            questionsCount: questions.length,
+                            questionsCount: getQuestionCount(quiz),
                             timeLimit: quiz.timeLimit
                         }
                     );
@@ -142,22 +259,7 @@ exports.createQuiz = async (req, res) => {
 exports.updateQuiz = async (req, res) => {
     try {
         const { quizId } = req.params;
-        const { questions, timeLimit } = req.body;
-
-        if (!questions) {
-            return res.status(400).json({
-                success: false,
-                message: 'Questions are required'
-            });
-        }
-
-        // Validate questions array
-        if (!Array.isArray(questions) || questions.length < 1 || questions.length > 25) {
-            return res.status(400).json({
-                success: false,
-                message: 'Questions must be an array with 1 to 25 items'
-            });
-        }
+        const { timeLimit } = req.body;
 
         // Validate timeLimit if provided
         if (timeLimit !== undefined) {
@@ -169,42 +271,32 @@ exports.updateQuiz = async (req, res) => {
             }
         }
 
-        // Validate code solving questions
-        for (const question of questions) {
-            if (question.questionType === 'codeSolve') {
-                if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have at least one test case'
-                    });
-                }
-                
-                // Validate test cases
-                for (const testCase of question.testCases) {
-                    if (!testCase.expectedOutput || testCase.expectedOutput.trim() === '') {
-                        return res.status(400).json({
-                            success: false,
-                            message: 'All test cases must have expected output'
-                        });
-                    }
-                }
+        const settingsError = getQuizSettingsError(req.body);
+        if (settingsError) {
+            return res.status(400).json({
+                success: false,
+                message: settingsError
+            });
+        }
 
-                // Validate programming language
-                const validLanguages = ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'rust', 'ruby', 'csharp', 'kotlin', 'typescript', 'sql', 'open'];
-                if (!question.programmingLanguage || !validLanguages.includes(question.programmingLanguage)) {
-                    return res.status(400).json({
-                        success: false,
-                        message: 'Code solving questions must have a valid programming language'
-                    });
-                }
-            }
+        const questionSetError = await getQuestionSetError(req.body);
+        if (questionSetError) {
+            return res.status(400).json({
+                success: false,
+                message: questionSetError
+            });
         }
 
         // Create update data
-        const updateData = { questions };
+        const updateData = pickQuestionSet(req.body);
         if (timeLimit !== undefined) {
             updateData.timeLimit = timeLimit;
         }
+        QUIZ_SETTINGS.forEach((setting) => {
+            if (req.body[setting] !== undefined) {
+                updateData[setting] = req.body[setting];
+            }
+        });
 
         const quiz = await Quiz.findByIdAndUpdate(
             quizId,
@@ -226,7 +318,6 @@ exports.updateQuiz = async (req, res) => {
             
             if (subSection) {
                 // Find the section that contains this subsection
-                const Section = require('../models/section');
                 const section = await Section.findOne({
                     subSection: subSection._id
                 });
@@ -243,7 +334,7 @@ exports.updateQuiz = async (req, res) => {
                             {
                                 subSectionId: subSection._id,
                                 quizId: quiz._id,
-                                questionsCount: questions.length,
+                                questionsCount: getQuestionCount(quiz),
                                 timeLimit: quiz.timeLimit,
                                 updateType: 'modification'
                             }
@@ -306,9 +397,18 @@ exports.getQuizById = async (req, res) => {
             });
         }
 
+        // Students only get the quiz's settings: their questions come with the attempt
+        // started for them (services/quizSessions.js), drawn and shuffled for it, since
+        // the stored questions give away the correct ordering and matching pairs
+        const canSeeAnswers = ['Admin', 'Instructor'].includes(req.user.accountType);
+        const { questions, drawRules, ...settings } = quiz.toObject();
+
         return res.status(200).json({
             success: true,
-            data: quiz
+            data: {
+                ...(canSeeAnswers ? { ...settings, questions, drawRules } : settings),
+                questionCount: getQuestionCount(quiz)
+            }
         });
     } catch (error) {
         console.error('Error fetching quiz:', error);
@@ -385,7 +485,7 @@ exports.validateSectionAccess = async (req, res) => {
             });
         }
 
-        // Check if all previous quizzes are passed with 60% or higher
+        // Check if all previous quizzes are passed
         for (const subsection of subsections) {
             if (subsection._id === sectionId) {
                 break;
@@ -395,7 +495,7 @@ exports.validateSectionAccess = async (req, res) => {
                 return res.status(200).json({
                     success: true,
                     canAccess: false,
-                    message: 'Pass previous quizzes with at least 60% to unlock this section'
+                    message: 'Pass previous quizzes to unlock this section'
                 });
             }
         }
@@ -421,48 +521,56 @@ exports.getQuizStatus = async (req, res) => {
         const { quizId } = req.params;
         const userId = req.user.id;
 
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        // Closes an attempt left open past its deadline, so do this before reading results
+        const activeSession = await findActiveSession(userId, quiz);
+
+        // An attempt whose code answers are still being graded
+        const pendingSubmission = await QuizSubmission.exists({
+            user: userId,
+            quiz: quizId,
+            status: { $in: ['queued', 'running'] }
+        });
+        const pendingSubmissionId = pendingSubmission?._id || null;
+
         const courseProgress = await CourseProgress.findOne({
             userId,
             'quizResults.quiz': quizId
         });
 
-        if (!courseProgress) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    attempts: 0,
-                    passed: false,
-                    lastAttempt: null
-                }
-            });
-        }
-
-        const quizResult = courseProgress.quizResults.find(
+        const quizResult = courseProgress?.quizResults.find(
             result => result.quiz.toString() === quizId
         );
-
-        if (!quizResult) {
-            return res.status(200).json({
-                success: true,
-                data: {
-                    attempts: 0,
-                    passed: false,
-                    lastAttempt: null
-                }
-            });
-        }
+        const { attemptsRemaining, nextAttemptAt } = getRetakeStatus(quiz, quizResult);
 
         return res.status(200).json({
             success: true,
             data: {
-                attempts: quizResult.attempts,
-                passed: quizResult.passed,
-                lastAttempt: {
+                attempts: quizResult?.attempts || 0,
+                passed: quizResult?.passed || false,
+                pendingReview: quizResult?.pendingReview || false,
+                lastAttempt: quizResult ? {
                     score: quizResult.score,
                     totalMarks: quizResult.totalMarks,
                     percentage: quizResult.percentage,
                     completedAt: quizResult.completedAt
-                }
+                } : null,
+                passingPercentage: getPassingPercentage(quiz),
+                maxAttempts: quiz.maxAttempts,
+                attemptsRemaining,
+                nextAttemptAt,
+                scoringPolicy: quiz.scoringPolicy,
+                reviewPolicy: quiz.reviewPolicy,
+                reviewAvailable: Boolean(quizResult) && !getReviewBlock(quiz, quizResult, attemptsRemaining),
+                activeAttempt: activeSession ? { expiresAt: getDeadlines(activeSession).expiresAt } : null,
+                pendingSubmissionId
             }
         });
     } catch (error) {
@@ -475,17 +583,252 @@ exports.getQuizStatus = async (req, res) => {
     }
 };
 
+// Why the student can't start a new attempt at `quiz`, as { status, body } for the
+// response, or null when they can
+const getAttemptBlock = async (userId, quiz, courseID) => {
+    const courseProgress = await CourseProgress.findOne({ userId, courseID });
+    const previousResult = courseProgress?.quizResults?.find(
+        result => result.quiz.toString() === quiz._id.toString()
+    );
+
+    if (previousResult?.passed) {
+        return {
+            status: 400,
+            body: {
+                success: false,
+                message: 'Quiz already passed. Retakes not allowed for passed quizzes.',
+                data: {
+                    score: previousResult.score,
+                    totalMarks: previousResult.totalMarks,
+                    percentage: previousResult.percentage,
+                    passed: true
+                }
+            }
+        };
+    }
+
+    // One attempt at a time: the previous one may still turn out to pass
+    if (previousResult?.pendingReview) {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                message: 'Your previous attempt is waiting for your instructor to grade it'
+            }
+        };
+    }
+
+    const pendingSubmission = await QuizSubmission.exists({
+        user: userId,
+        quiz: quiz._id,
+        status: { $in: ['queued', 'running'] }
+    });
+    if (pendingSubmission) {
+        return {
+            status: 409,
+            body: {
+                success: false,
+                message: 'Your previous submission is still being graded',
+                data: { submissionId: pendingSubmission._id }
+            }
+        };
+    }
+
+    // Attempt limit and cooldown between attempts, as set on the quiz
+    const { attemptsUsed, attemptsRemaining, nextAttemptAt } = getRetakeStatus(quiz, previousResult);
+    if (attemptsRemaining === 0) {
+        return {
+            status: 403,
+            body: {
+                success: false,
+                message: `You have used all ${attemptsUsed} attempts allowed for this quiz`,
+                data: { attempts: attemptsUsed, maxAttempts: quiz.maxAttempts }
+            }
+        };
+    }
+    if (nextAttemptAt) {
+        return {
+            status: 429,
+            body: {
+                success: false,
+                message: `You can retake this quiz after ${nextAttemptAt.toISOString()}`,
+                data: { nextAttemptAt }
+            }
+        };
+    }
+
+    return null;
+};
+
+// Response for a submitted attempt: 202 while code answers are graded, the result otherwise
+const sendSubmissionOutcome = (res, { submission, result }, quiz, message) => {
+    if (submission) {
+        return res.status(202).json({
+            success: true,
+            message: message || 'Quiz submitted. Your code is being graded.',
+            data: {
+                submissionId: submission._id,
+                status: submission.status
+            }
+        });
+    }
+
+    return res.status(200).json({
+        success: true,
+        message: message || (result.pendingReview
+            ? 'Quiz submitted. Some answers will be graded by your instructor.'
+            : (result.passed ? 'Quiz passed successfully!' : 'Quiz submitted successfully, but did not meet passing score.')),
+        data: {
+            score: result.score,
+            totalMarks: result.totalMarks,
+            percentage: result.percentage.toFixed(1),
+            passed: result.passed,
+            pendingReview: result.pendingReview,
+            requiredPercentage: result.passingPercentage,
+            attemptNumber: result.attemptNumber,
+            countedPercentage: result.countedPercentage.toFixed(1),
+            scoringPolicy: quiz.scoringPolicy
+        }
+    });
+};
+
+// Start a timed attempt, or resume the one in progress (e.g. after a page reload).
+// The returned attemptToken goes with every autosave and the submission
+exports.startQuizAttempt = async (req, res) => {
+    try {
+        const { quizId, courseID, subsectionId } = req.body;
+        const userId = req.user.id;
+
+        if (!quizId || !courseID || !subsectionId) {
+            return res.status(400).json({
+                success: false,
+                message: 'quizId, courseID and subsectionId are required'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const activeSession = await findActiveSession(userId, quiz);
+        if (activeSession) {
+            return res.status(200).json({
+                success: true,
+                message: 'Quiz attempt resumed',
+                data: { ...toSessionStatus(activeSession, quiz), resumed: true }
+            });
+        }
+
+        const attemptBlock = await getAttemptBlock(userId, quiz, courseID);
+        if (attemptBlock) {
+            return res.status(attemptBlock.status).json(attemptBlock.body);
+        }
+
+        const questions = await buildAttemptQuestions(quiz);
+        if (questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This quiz has no questions yet'
+            });
+        }
+
+        let session;
+        try {
+            session = await createSession({ userId, quiz, courseID, subsectionId, questions });
+        } catch (error) {
+            // Another request started an attempt in the meantime (e.g. a double click)
+            const startedSession = error.code === 11000
+                && await QuizSession.findOne({ user: userId, quiz: quiz._id, status: 'active' });
+            if (!startedSession) {
+                throw error;
+            }
+
+            return res.status(200).json({
+                success: true,
+                message: 'Quiz attempt resumed',
+                data: { ...toSessionStatus(startedSession, quiz), resumed: true }
+            });
+        }
+
+        return res.status(201).json({
+            success: true,
+            message: 'Quiz attempt started',
+            data: { ...toSessionStatus(session, quiz), resumed: false }
+        });
+    } catch (error) {
+        console.error('Error starting quiz attempt:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error starting quiz attempt',
+            error: error.message
+        });
+    }
+};
+
+// Autosave the answers of an attempt in progress, with the seconds spent on each
+// question so far (optional questionTimes)
+exports.saveQuizAnswers = async (req, res) => {
+    try {
+        const { attemptToken, answers, questionTimes } = req.body;
+
+        if (!attemptToken || !answers || typeof answers !== 'object') {
+            return res.status(400).json({
+                success: false,
+                message: 'attemptToken and answers are required'
+            });
+        }
+
+        const session = await QuizSession.findOne({ attemptToken, user: req.user.id, status: 'active' });
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'No quiz attempt in progress'
+            });
+        }
+
+        // Answers saved after the deadline would let a late policy of 'autoSubmit' grade them
+        if (getDeadlines(session).closesAt < new Date()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Time is up for this attempt'
+            });
+        }
+
+        session.savedAnswers = answers;
+        if (questionTimes !== undefined) {
+            session.questionTimes = sanitizeQuestionTimes(session, questionTimes);
+        }
+        session.lastSavedAt = new Date();
+        await session.save();
+
+        return res.status(200).json({
+            success: true,
+            data: { savedAt: session.lastSavedAt }
+        });
+    } catch (error) {
+        console.error('Error saving quiz answers:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error saving quiz answers',
+            error: error.message
+        });
+    }
+};
+
+// Submit an attempt started with startQuizAttempt. The server's clock decides
+// whether time ran out: only then may required questions be left unanswered
 exports.submitQuiz = async (req, res) => {
     console.log('=== QUIZ SUBMISSION START ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
     console.log('User:', req.user);
     
     try {
-        const { quizId, courseID, subsectionId, answers, timerExpired } = req.body;
+        const { attemptToken, answers, questionTimes } = req.body;
         const userId = req.user?.id;
 
-        console.log('Extracted data:', { quizId, courseID, subsectionId, userId, timerExpired });
-
         // Validate user
         if (!userId) {
             console.log('ERROR: User not authenticated');
@@ -495,324 +838,113 @@ exports.submitQuiz = async (req, res) => {
             });
         }
 
-        if (!quizId) {
-            console.log('ERROR: quizId missing');
+        if (!attemptToken) {
             return res.status(400).json({
                 success: false,
-                message: 'quizId is required'
+                message: 'attemptToken is required. Start the quiz before submitting.'
             });
         }
 
-        if (!courseID) {
-            console.log('ERROR: courseID missing');
+        // Validate answers object
+        if (!answers || typeof answers !== 'object') {
+            console.log('ERROR: answers object invalid');
             return res.status(400).json({
                 success: false,
-                message: 'courseID is required'
+                message: 'answers object is required'
             });
         }
 
-        if (!subsectionId) {
-            console.log('ERROR: subsectionId missing');
-            return res.status(400).json({
+        const session = await QuizSession.findOne({ attemptToken, user: userId });
+        if (!session) {
+            return res.status(404).json({
                 success: false,
-                message: 'subsectionId is required'
+                message: 'Quiz attempt not found'
             });
         }
-
-        // Validate answers object
-        if (!answers || typeof answers !== 'object') {
-            console.log('ERROR: answers object invalid');
-            return res.status(400).json({
+        if (session.status !== 'active') {
+            return res.status(409).json({
                 success: false,
-                message: 'answers object is required'
+                message: 'This attempt has already been submitted'
             });
         }
 
-        console.log('All validations passed, finding quiz...');
-
         // Find quiz
-        const quiz = await Quiz.findById(quizId);
+        const quiz = await Quiz.findById(session.quiz);
         if (!quiz) {
-            console.log('ERROR: Quiz not found for ID:', quizId);
+            console.log('ERROR: Quiz not found for ID:', session.quiz);
             return res.status(404).json({
                 success: false,
                 message: 'Quiz not found'
             });
         }
 
-        console.log('Quiz found:', quiz.title || 'Untitled Quiz');
-
-        // Find existing course progress
-        console.log('Finding course progress for:', { userId, courseID });
-        let courseProgress = await CourseProgress.findOne({ userId, courseID });
-        console.log('Found course progress:', courseProgress ? 'Yes' : 'No');
-        
-        // Check if quiz is already passed
-        const existingResult = courseProgress?.quizResults?.find(
-            result => result.quiz.toString() === quiz._id.toString() && result.passed
-        );
-        console.log('Existing quiz result:', existingResult ? 'Yes (Passed)' : 'No');
-        
-        if (existingResult) {
-            console.log('Quiz already passed, returning existing result');
-            return res.status(400).json({
-                success: false,
-                message: 'Quiz already passed. Retakes not allowed for passed quizzes.',
-                data: {
-                    score: existingResult.score,
-                    totalMarks: existingResult.totalMarks,
-                    percentage: existingResult.percentage,
-                    passed: true
-                }
-            });
-        }
+        const now = new Date();
+        const { expiresAt, closesAt } = getDeadlines(session);
 
-        console.log('Starting score calculation...');
-
-        // Validate required questions and calculate score
-        let score = 0;
-        let totalMarks = 0;
-        const unansweredQuestions = [];
-
-        for (let i = 0; i < quiz.questions.length; i++) {
-            const question = quiz.questions[i];
-            const questionId = question._id.toString();
-            
-            totalMarks += question.marks;
-
-            // Check if question is answered based on question type
-            let isAnswered = false;
-            let isCorrect = false;
-
-            // Check if answer exists for this question
-            const answer = answers[questionId];
-
-            if (question.questionType === 'codeSolve') {
-                // For code solving questions
-                isAnswered = answer && typeof answer.code === 'string' && answer.code.trim() !== '';
-                
-                if (isAnswered) {
-                    // Execute code against test cases
-                    try {
-                        const testResults = await Promise.all(question.testCases.map(async testCase => {
-                            const result = await executeCode(
-                                answer.code,
-                                question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage,
-                                testCase.input
-                            );
-                            
-                            // Clean up output (remove trailing newlines, etc)
-                            const cleanOutput = (output) => output.trim().replace(/\r\n/g, '\n');
-                            const expectedOutput = cleanOutput(testCase.expectedOutput);
-                            const actualOutput = cleanOutput(result.data.stdout || '');
-                            
-                            return {
-                                passed: expectedOutput === actualOutput,
-                                input: testCase.input,
-                                expectedOutput,
-                                actualOutput,
-                                error: result.data.stderr || null
-                            };
-                        }));
-
-                        // Question is correct if all test cases pass
-                        isCorrect = testResults.every(result => result.passed);
-                        
-                        // Store test results for feedback
-                        answer.testResults = testResults;
-                    } catch (error) {
-                        console.error('Code execution error:', error);
-                        isCorrect = false;
-                        answer.error = error.message;
-                    }
-                }
-            } else if (question.questionType === 'matchTheFollowing') {
-                // For match the following, check if all pairs are answered
-                const hasAllMatches = question.options.every((_, optionIndex) => 
-                    answers[`${questionId}_${optionIndex}`] !== undefined && 
-                    answers[`${questionId}_${optionIndex}`] !== ''
-                );
-                isAnswered = hasAllMatches;
-                
-                if (isAnswered) {
-                    // Check if ALL matches are correct - if any one is wrong, entire question is wrong
-                    isCorrect = question.options.every((_, optionIndex) => {
-                        const userAnswer = answers[`${questionId}_${optionIndex}`];
-                        // The correct answer should match the option index
-                        return parseInt(userAnswer) === optionIndex;
-                    });
-                }
-            } else if (question.questionType === 'multipleChoice') {
-                // For multiple choice questions
-                const answer = answers[questionId];
-                isAnswered = Array.isArray(answer) && answer.length > 0;
-                
-                if (isAnswered && question.correctAnswers && question.correctAnswers.length > 0) {
-                    // Check if selected answers match correct answers
-                    const selectedIndices = answer.sort();
-                    const correctIndices = question.correctAnswers.sort();
-                    isCorrect = selectedIndices.length === correctIndices.length && 
-                               selectedIndices.every((val, index) => val === correctIndices[index]);
-                }
-            } else if (question.questionType === 'singleAnswer') {
-                // For single answer questions
-                const answer = answers[questionId];
-                isAnswered = answer !== undefined && answer !== null;
-                
-                if (isAnswered) {
-                    const correctNum = Number(question.correctAnswer);
-                    const answerNum = Number(answer);
-                    isCorrect = answerNum === correctNum;
-                }
-            } else {
-                // For other question types (shortAnswer, longAnswer)
-                const answer = answers[questionId];
-                isAnswered = answer !== undefined && answer !== null && 
-                           (typeof answer === 'string' ? answer.trim() !== '' : true);
-                
-                // For short answer questions, check if at least 50% of keywords match
-                if (isAnswered && question.questionType === 'shortAnswer') {
-                  if (!question.keywords || question.keywords.length === 0) {
-                    isCorrect = true; // If no keywords defined, consider it correct
-                  } else {
-                    const studentAnswer = answer.toLowerCase();
-                    const matchedKeywords = question.keywords.filter(keyword => 
-                      studentAnswer.includes(keyword.toLowerCase())
-                    );
-                    isCorrect = matchedKeywords.length >= Math.ceil(question.keywords.length * 0.5);
-                  }
-                } else if (isAnswered) {
-                  isCorrect = true; // For other text answers (like longAnswer)
-                }
-            }
-
-            // Track unanswered required questions (only if timer hasn't expired)
-            if (question.required && !isAnswered && !timerExpired) {
-                return res.status(400).json({
+        // Past the grace period the answers in this request don't count
+        if (now > closesAt) {
+            const outcome = await closeExpiredSession(session, quiz);
+            if (!outcome) {
+                return res.status(409).json({
                     success: false,
-                    message: `Answer required for question ${i + 1}`
+                    message: 'This attempt has already been submitted'
                 });
             }
-
-            // Add to score if correct
-            if (isCorrect) {
-                score += question.marks;
+            if (quiz.lateSubmissionPolicy === 'reject') {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Time is up. Late submissions are not accepted for this quiz.'
+                });
             }
+            return sendSubmissionOutcome(res, outcome, quiz, 'Time ran out. Your last saved answers were submitted.');
         }
 
-        console.log('Score calculation complete:', { score, totalMarks });
+        const questions = getSessionQuestions(session, quiz);
+        const scored = scoreAnswers(questions, answers);
+        console.log('Score calculation complete:', { score: scored.score, totalMarks: scored.totalMarks });
 
-        // Only validate required questions if timer hasn't expired
-        if (!timerExpired && unansweredQuestions.length > 0) {
-            console.log('Unanswered questions found:', unansweredQuestions);
+        if (now < expiresAt && scored.unansweredRequired.length > 0) {
             return res.status(400).json({
                 success: false,
-                message: `Please answer all questions before submitting. Unanswered questions: ${unansweredQuestions.join(', ')}`
+                message: `Answer required for question ${scored.unansweredRequired[0]}`
             });
         }
 
-        // Calculate percentage
-        const percentage = (score / totalMarks) * 100;
-        const passed = percentage >= 60;
-
-        console.log('Starting course progress update...');
-
-        // Simplified course progress update
-        if (!courseProgress) {
-            console.log('Creating new course progress');
-            try {
-                courseProgress = new CourseProgress({
-                    userId,
-                    courseID,
-                    completedVideos: [],
-                    completedQuizzes: passed ? [subsectionId] : [],
-                    passedQuizzes: passed ? [subsectionId] : [],
-                    quizResults: [{
-                        quiz: quiz._id,
-                        subSection: subsectionId,
-                        score,
-                        totalMarks,
-                        percentage,
-                        passed,
-                        attempts: 1,
-                        completedAt: new Date()
-                    }]
-                });
-                await courseProgress.save();
-                console.log('Course progress created successfully');
-            } catch (saveError) {
-                console.error('Error creating course progress:', saveError);
-                throw saveError;
-            }
-        } else {
-            console.log('Updating existing course progress');
-            try {
-                // Find existing quiz result
-                const existingQuizResultIndex = courseProgress.quizResults.findIndex(
-                    result => result.quiz.toString() === quiz._id.toString()
-                );
-
-                const newQuizResult = {
-                    quiz: quiz._id,
-                    subSection: subsectionId,
-                    score,
-                    totalMarks,
-                    percentage,
-                    passed,
-                    attempts: existingQuizResultIndex >= 0 ? courseProgress.quizResults[existingQuizResultIndex].attempts + 1 : 1,
-                    completedAt: new Date()
-                };
-
-                if (existingQuizResultIndex >= 0) {
-                    // Update existing result
-                    courseProgress.quizResults[existingQuizResultIndex] = newQuizResult;
-                } else {
-                    // Add new result
-                    courseProgress.quizResults.push(newQuizResult);
-                }
-
-                // Update completed and passed quizzes if passed
-                if (passed) {
-                    if (!courseProgress.completedQuizzes.includes(subsectionId)) {
-                        courseProgress.completedQuizzes.push(subsectionId);
-                    }
-                    if (!courseProgress.passedQuizzes.includes(subsectionId)) {
-                        courseProgress.passedQuizzes.push(subsectionId);
-                    }
-                }
-
-                await courseProgress.save();
-                console.log('Course progress updated successfully');
-            } catch (updateError) {
-                console.error('Error updating course progress:', updateError);
-                throw updateError;
-            }
+        // Claiming the session keeps a double submit from counting twice
+        const claimed = await QuizSession.findOneAndUpdate(
+            { _id: session._id, status: 'active' },
+            { status: 'submitted', submittedAt: now, savedAnswers: answers },
+            { new: true }
+        );
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'This attempt has already been submitted'
+            });
         }
 
+        const outcome = await submitAttempt({
+            userId,
+            quiz,
+            courseID: session.courseID,
+            subsectionId: session.subSection,
+            questions,
+            answers,
+            scored,
+            questionTimes: sanitizeQuestionTimes(session, questionTimes ?? session.questionTimes)
+        });
+
         console.log('Sending success response...');
 
-        return res.status(200).json({
-            success: true,
-            message: passed ? 'Quiz passed successfully!' : 'Quiz submitted successfully, but did not meet passing score.',
-            data: {
-                score,
-                totalMarks,
-                percentage: percentage.toFixed(1),
-                passed,
-                requiredPercentage: 60
-            }
-        });
+        return sendSubmissionOutcome(res, outcome, quiz);
     } catch (error) {
         console.error('=== QUIZ SUBMISSION ERROR ===');
         console.error('Error message:', error.message);
         console.error('Error stack:', error.stack);
         console.error('Error name:', error.name);
         console.error('Request data:', {
-            quizId: req.body?.quizId,
-            courseID: req.body?.courseID,
-            subsectionId: req.body?.subsectionId,
-            userId: req.user?.id,
-            timerExpired: req.body?.timerExpired
+            attemptToken: req.body?.attemptToken,
+            userId: req.user?.id
         });
 
         // Check for specific error types
@@ -852,3 +984,229 @@ exports.submitQuiz = async (req, res) => {
         });
     }
 };
+
+// The student's own attempt history for a quiz, oldest first
+exports.getQuizAttempts = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+
+        const attempts = await QuizAttempt.find({ user: req.user.id, quiz: quizId })
+            .sort({ attemptNumber: 1 })
+            .select('attemptNumber status score totalMarks percentage passed codeResults reviews submittedAt');
+
+        return res.status(200).json({
+            success: true,
+            // Instructor grades and comments on free-text answers, without the grader
+            data: attempts.map(attempt => ({
+                ...attempt.toObject(),
+                reviews: attempt.reviews.map(review => ({
+                    question: review.question,
+                    status: review.status,
+                    score: review.score,
+                    maxScore: review.maxScore,
+                    comment: review.comment
+                }))
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching quiz attempts:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching quiz attempts',
+            error: error.message
+        });
+    }
+};
+
+// One of the student's own attempts with the correct answers and explanations, when
+// the quiz's reviewPolicy allows it (services/attemptReview.js)
+exports.getAttemptReview = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid attempt ID'
+            });
+        }
+
+        const attempt = await QuizAttempt.findOne({ _id: attemptId, user: req.user.id });
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attempt not found'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quiz);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const courseProgress = await CourseProgress.findOne({ userId: req.user.id, courseID: attempt.courseID });
+        const quizResult = courseProgress?.quizResults.find(
+            result => result.quiz.toString() === quiz._id.toString()
+        );
+        const { attemptsRemaining } = getRetakeStatus(quiz, quizResult);
+
+        const reviewBlock = getReviewBlock(quiz, quizResult, attemptsRemaining);
+        if (reviewBlock) {
+            return res.status(403).json({
+                success: false,
+                message: reviewBlock
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: toAttemptReview(attempt, quiz)
+        });
+    } catch (error) {
+        console.error('Error fetching attempt review:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching attempt review',
+            error: error.message
+        });
+    }
+};
+
+// Grading status of a queued submission, for clients that missed the socket update
+exports.getQuizSubmission = async (req, res) => {
+    try {
+        const { submissionId } = req.params;
+        const submission = await QuizSubmission.findOne({ _id: submissionId, user: req.user.id });
+
+        if (!submission) {
+            return res.status(404).json({
+                success: false,
+                message: 'Submission not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: toSubmissionStatus(submission)
+        });
+    } catch (error) {
+        console.error('Error fetching quiz submission:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching quiz submission',
+            error: error.message
+        });
+    }
+};
+
+// Run code from the quiz editor. With `stdin` the code runs once on that input;
+// without it, against the question's visible test cases. Hidden test cases are
+// only ever run by submitQuiz, and the browser never talks to the code executor
+// Whether a user may run code against a quiz's questions: admins, the instructor of
+// the quiz's course, and students with access to it (a free course or an active
+// order, as for the course progress)
+const canRunQuizCode = async (user, quiz) => {
+    if (user.accountType === 'Admin') {
+        return true;
+    }
+
+    const section = await Section.findOne({ subSection: quiz.subSection }).select('_id');
+    const course = section && await Course.findOne({ courseContent: section._id }).select('instructor courseType adminSetFree');
+    if (!course) {
+        return false;
+    }
+
+    if (course.instructor?.toString() === user.id) {
+        return true;
+    }
+
+    const isFree = course.courseType === 'Free' || course.adminSetFree;
+    return isFree || Boolean(await Order.findActiveForCourse(user.id, course._id));
+};
+
+exports.runCode = async (req, res) => {
+    try {
+        const { quizId, questionId, code, language, stdin } = req.body;
+
+        if (!quizId || !questionId || typeof code !== 'string' || !code.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Quiz, question and code are required'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId).select('subSection questions').lean();
+        if (quiz && !(await canRunQuizCode(req.user, quiz))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You do not have access to this quiz'
+            });
+        }
+
+        let question = quiz?.questions.find(q => q._id.toString() === questionId);
+        // Questions drawn from a bank only exist in the student's attempt
+        if (quiz && !question) {
+            const session = await QuizSession.findOne({ user: req.user.id, quiz: quizId, status: 'active' }).select('questions');
+            question = session?.questions.find(q => q._id.toString() === questionId);
+        }
+
+        if (!question || question.questionType !== 'codeSolve') {
+            return res.status(404).json({
+                success: false,
+                message: 'Code question not found'
+            });
+        }
+
+        const runLanguage = question.programmingLanguage === 'open' ? language : question.programmingLanguage;
+        if (!runLanguage) {
+            return res.status(400).json({
+                success: false,
+                message: 'Language is required'
+            });
+        }
+
+        if (typeof stdin === 'string') {
+            const result = await executeCode(code, runLanguage, stdin);
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.error
+                });
+            }
+
+            return res.status(200).json({
+                success: true,
+                data: {
+                    mode: 'custom',
+                    ...result.data
+                }
+            });
+        }
+
+        const visibleTestCases = question.testCases
+            .map((testCase, index) => ({ ...testCase, index }))
+            .filter(testCase => !testCase.isHidden);
+        const { compileOutput, results } = await runTestCases(code, runLanguage, visibleTestCases, getComparison(question));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                mode: 'tests',
+                compileOutput,
+                results,
+                passedCount: results.filter(result => result.passed).length,
+                totalCount: visibleTestCases.length
+            }
+        });
+    } catch (error) {
+        console.error('Error running code:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error running code',
+            error: error.message
+        });
+    }
+};
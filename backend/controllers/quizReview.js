@@ -0,0 +1,241 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/quiz');
+const Course = require('../models/course');
+const Section = require('../models/section');
+const QuizAttempt = require('../models/quizAttempt');
+const {
+    toReviewItems,
+    getGradesError,
+    gradeAttempt,
+    findReviewAttempts
+} = require('../services/manualGrading');
+const { getItemAnalysis, createItemAnalysisCsv } = require('../services/itemAnalysis');
+
+// Free-text answers are graded by the course's instructor or an admin
+const canReviewCourse = (course, user) => user.accountType === 'Admin' ||
+    Boolean(course && course.instructor && course.instructor.toString() === user.id);
+
+// The course a quiz belongs to, through its sub-section's section
+const findQuizCourse = async (quiz) => {
+    const section = await Section.findOne({ subSection: quiz.subSection });
+    return section ? Course.findOne({ courseContent: section._id }) : null;
+};
+
+const toReviewAttempt = (attempt, quiz) => ({
+    attemptId: attempt._id,
+    attemptNumber: attempt.attemptNumber,
+    student: attempt.user,
+    submittedAt: attempt.submittedAt,
+    status: attempt.status,
+    score: attempt.score,
+    totalMarks: attempt.totalMarks,
+    percentage: attempt.percentage,
+    items: toReviewItems(attempt, quiz)
+});
+
+// Number of attempts waiting for review per quiz, across the courses the user teaches
+exports.getReviewSummary = async (req, res) => {
+    try {
+        const match = { status: 'pendingReview' };
+        if (req.user.accountType !== 'Admin') {
+            const courses = await Course.find({ instructor: req.user.id }).select('_id');
+            match.courseID = { $in: courses.map(course => course._id) };
+        }
+
+        const pending = await QuizAttempt.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$quiz',
+                    pendingAttempts: { $sum: 1 },
+                    oldestSubmittedAt: { $min: '$submittedAt' }
+                }
+            },
+            { $sort: { oldestSubmittedAt: 1 } }
+        ]);
+
+        return res.status(200).json({
+            success: true,
+            data: pending.map(entry => ({
+                quiz: entry._id,
+                pendingAttempts: entry.pendingAttempts,
+                oldestSubmittedAt: entry.oldestSubmittedAt
+            }))
+        });
+    } catch (error) {
+        console.error('Error fetching review summary:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching review summary',
+            error: error.message
+        });
+    }
+};
+
+// The grading queue of a quiz: attempts with free-text answers waiting for review,
+// oldest first. ?include=graded lists graded ones too, to override their grades
+exports.getReviewQueue = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(quizId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quiz ID'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        if (!canReviewCourse(await findQuizCourse(quiz), req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the course instructor or an admin can grade this quiz'
+            });
+        }
+
+        const attempts = await findReviewAttempts(quiz._id, req.query.include === 'graded');
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                quiz: { _id: quiz._id, title: quiz.title },
+                attempts: attempts.map(attempt => toReviewAttempt(attempt, quiz))
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching review queue:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching review queue',
+            error: error.message
+        });
+    }
+};
+
+// Grade (or regrade) free-text answers of an attempt. Body: { grades: [{ questionId,
+// score | rubricScores, comment }] }
+exports.gradeQuizAttempt = async (req, res) => {
+    try {
+        const { attemptId } = req.params;
+        const { grades } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(attemptId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid attempt ID'
+            });
+        }
+
+        const attempt = await QuizAttempt.findById(attemptId);
+        if (!attempt) {
+            return res.status(404).json({
+                success: false,
+                message: 'Attempt not found'
+            });
+        }
+
+        if (!canReviewCourse(await Course.findById(attempt.courseID), req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the course instructor or an admin can grade this quiz'
+            });
+        }
+
+        const quiz = await Quiz.findById(attempt.quiz);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const gradesError = getGradesError(attempt, quiz, grades);
+        if (gradesError) {
+            return res.status(400).json({
+                success: false,
+                message: gradesError
+            });
+        }
+
+        const graded = await gradeAttempt({ attempt, quiz, grades, graderId: req.user.id });
+        await graded.attempt.populate('user', 'firstName lastName email');
+
+        return res.status(200).json({
+            success: true,
+            message: graded.attempt.status === 'graded'
+                ? 'Attempt graded. The student\'s result has been updated.'
+                : 'Grades saved. Some answers still need review.',
+            data: {
+                attempt: toReviewAttempt(graded.attempt, quiz),
+                quizResult: graded.quizResult
+            }
+        });
+    } catch (error) {
+        console.error('Error grading quiz attempt:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error grading quiz attempt',
+            error: error.message
+        });
+    }
+};
+
+// Item analysis of a quiz's questions over every attempt (services/itemAnalysis.js).
+// ?format=csv downloads it as a CSV file
+exports.getQuizItemAnalysis = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(quizId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quiz ID'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        if (!canReviewCourse(await findQuizCourse(quiz), req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Only the course instructor or an admin can view this report'
+            });
+        }
+
+        const analysis = await getItemAnalysis(quiz);
+
+        if (req.query.format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename=quiz-${quiz._id}-item-analysis.csv`);
+            return res.send(createItemAnalysisCsv(analysis));
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                quiz: { _id: quiz._id, title: quiz.title },
+                ...analysis
+            }
+        });
+    } catch (error) {
+        console.error('Error building quiz item analysis:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error building quiz item analysis',
+            error: error.message
+        });
+    }
+};
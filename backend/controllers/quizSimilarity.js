@@ -0,0 +1,259 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const SimilarityFlag = require('../models/similarityFlag');
+const { scanQuiz, diffLines, voidAttempt, SIMILARITY_THRESHOLD } = require('../services/codeSimilarity');
+
+const MAX_NOTE_LENGTH = 2000;
+const FLAG_STATUSES = ['flagged', 'cleared', 'voided'];
+
+const populateSubmission = (path, fields) => ({
+    path,
+    select: fields,
+    populate: [
+        { path: 'user', select: 'firstName lastName email' },
+        { path: 'attempt', select: 'attemptNumber status percentage submittedAt' }
+    ]
+});
+
+const toSide = (submission) => ({
+    submissionId: submission._id,
+    student: submission.user,
+    attemptId: submission.attempt?._id || null,
+    attemptNumber: submission.attempt?.attemptNumber ?? null,
+    attemptStatus: submission.attempt?.status || null,
+    percentage: submission.attempt?.percentage ?? null,
+    submittedAt: submission.submittedAt,
+    language: submission.language
+});
+
+const toFlagSummary = (flag) => ({
+    flagId: flag._id,
+    question: flag.question,
+    questionText: flag.submissionA.questionText,
+    similarity: flag.similarity,
+    status: flag.status,
+    note: flag.note,
+    reviewedAt: flag.reviewedAt,
+    first: toSide(flag.submissionA),
+    second: toSide(flag.submissionB)
+});
+
+// Pairs of code answers flagged as similar in a quiz, most similar first.
+// ?status=flagged|cleared|voided narrows them down; all are listed without it
+exports.getSimilarityFlags = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const { status } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(quizId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quiz ID'
+            });
+        }
+        if (status !== undefined && !FLAG_STATUSES.includes(status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Status must be one of: ${FLAG_STATUSES.join(', ')}`
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId).select('title');
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const flags = await SimilarityFlag.find({ quiz: quiz._id, ...(status && { status }) })
+            .sort({ similarity: -1, createdAt: 1 })
+            .populate(populateSubmission('submissionA', 'user attempt questionText submittedAt language'))
+            .populate(populateSubmission('submissionB', 'user attempt questionText submittedAt language'));
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                quiz: { _id: quiz._id, title: quiz.title },
+                threshold: SIMILARITY_THRESHOLD,
+                flags: flags.filter(flag => flag.submissionA && flag.submissionB).map(toFlagSummary)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching similarity flags:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching similarity flags',
+            error: error.message
+        });
+    }
+};
+
+// Check every code answer of a quiz again, including attempts graded before
+// similarity checks ran
+exports.scanQuizSimilarity = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(quizId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quiz ID'
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        const scan = await scanQuiz(quiz);
+
+        return res.status(200).json({
+            success: true,
+            message: `Checked ${scan.submissions} code answer(s); ${scan.flagged} pair(s) are similar`,
+            data: scan
+        });
+    } catch (error) {
+        console.error('Error scanning quiz for similar code:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error scanning quiz for similar code',
+            error: error.message
+        });
+    }
+};
+
+// A flagged pair with both answers and a side-by-side diff of them
+exports.getSimilarityFlag = async (req, res) => {
+    try {
+        const { flagId } = req.params;
+
+        if (!mongoose.Types.ObjectId.isValid(flagId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid flag ID'
+            });
+        }
+
+        const flag = await SimilarityFlag.findById(flagId)
+            .populate(populateSubmission('submissionA', 'user attempt questionText submittedAt language code'))
+            .populate(populateSubmission('submissionB', 'user attempt questionText submittedAt language code'))
+            .populate('reviewedBy', 'firstName lastName');
+        if (!flag || !flag.submissionA || !flag.submissionB) {
+            return res.status(404).json({
+                success: false,
+                message: 'Flag not found'
+            });
+        }
+
+        return res.status(200).json({
+            success: true,
+            data: {
+                ...toFlagSummary(flag),
+                reviewedBy: flag.reviewedBy,
+                first: { ...toSide(flag.submissionA), code: flag.submissionA.code },
+                second: { ...toSide(flag.submissionB), code: flag.submissionB.code },
+                diff: diffLines(flag.submissionA.code, flag.submissionB.code)
+            }
+        });
+    } catch (error) {
+        console.error('Error fetching similarity flag:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error fetching similarity flag',
+            error: error.message
+        });
+    }
+};
+
+// Settle a flagged pair. Body: { action: 'clear' } when the answers aren't copied, or
+// { action: 'void', attemptIds } to void one or both of the pair's attempts; an
+// optional note goes with either
+exports.reviewSimilarityFlag = async (req, res) => {
+    try {
+        const { flagId } = req.params;
+        const { action, attemptIds, note } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(flagId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid flag ID'
+            });
+        }
+        if (!['clear', 'void'].includes(action)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Action must be clear or void'
+            });
+        }
+        if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+            return res.status(400).json({
+                success: false,
+                message: `Notes must be text of at most ${MAX_NOTE_LENGTH} characters`
+            });
+        }
+
+        const flag = await SimilarityFlag.findById(flagId).populate('submissionA submissionB', 'attempt');
+        if (!flag || !flag.submissionA || !flag.submissionB) {
+            return res.status(404).json({
+                success: false,
+                message: 'Flag not found'
+            });
+        }
+
+        if (action === 'clear') {
+            if (flag.status === 'voided') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Attempts voided for this pair can\'t be restored'
+                });
+            }
+        } else {
+            const pairAttempts = [flag.submissionA.attempt.toString(), flag.submissionB.attempt.toString()];
+            if (!Array.isArray(attemptIds) || attemptIds.length === 0 ||
+                !attemptIds.every(attemptId => pairAttempts.includes(String(attemptId)))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Choose which of the two attempts to void'
+                });
+            }
+
+            const quiz = await Quiz.findById(flag.quiz);
+            if (!quiz) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Quiz not found'
+                });
+            }
+            for (const attempt of await QuizAttempt.find({ _id: { $in: [...new Set(attemptIds.map(String))] } })) {
+                await voidAttempt(attempt, quiz);
+            }
+        }
+
+        flag.status = action === 'clear' ? 'cleared' : 'voided';
+        if (note !== undefined) {
+            flag.note = note.trim();
+        }
+        flag.reviewedBy = req.user.id;
+        flag.reviewedAt = new Date();
+        await flag.save();
+
+        return res.status(200).json({
+            success: true,
+            message: action === 'clear' ? 'Pair cleared' : 'Attempt voided. The student\'s result has been updated.',
+            data: { flagId: flag._id, status: flag.status, note: flag.note, reviewedAt: flag.reviewedAt }
+        });
+    } catch (error) {
+        console.error('Error reviewing similarity flag:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error reviewing similarity flag',
+            error: error.message
+        });
+    }
+};
@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+const Quiz = require('../models/quiz');
+const SubSection = require('../models/subSection');
+const { FORMATS, previewImport, exportQuestions } = require('../services/quizFormats');
+
+// Largest file accepted for import, before base64 encoding
+const MAX_IMPORT_BYTES = 5 * 1024 * 1024;
+
+// Check a GIFT, QTI or CSV file without saving anything. Body: { format, content,
+// encoding: 'text' | 'base64' }. The valid questions come back ready for the quiz
+// editor, which saves them through createQuiz/updateQuiz
+exports.previewQuizImport = async (req, res) => {
+    try {
+        const { format, content, encoding = 'text' } = req.body;
+
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${FORMATS.join(', ')}`
+            });
+        }
+
+        if (!['text', 'base64'].includes(encoding)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Encoding must be text or base64'
+            });
+        }
+
+        if (typeof content !== 'string' || content.trim() === '') {
+            return res.status(400).json({
+                success: false,
+                message: 'File content is required'
+            });
+        }
+
+        const size = encoding === 'base64' ? Buffer.byteLength(content, 'base64') : Buffer.byteLength(content);
+        if (size > MAX_IMPORT_BYTES) {
+            return res.status(413).json({
+                success: false,
+                message: `Files can be at most ${MAX_IMPORT_BYTES / (1024 * 1024)} MB`
+            });
+        }
+
+        const preview = previewImport({ format, content, encoding });
+        const invalidCount = preview.items.filter(item => item.error).length;
+
+        return res.status(200).json({
+            success: true,
+            message: preview.fileError
+                ? 'The file could not be read'
+                : `${preview.questions.length} question(s) can be imported, ${invalidCount} have errors`,
+            data: preview
+        });
+    } catch (error) {
+        console.error('Error previewing quiz import:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error previewing quiz import',
+            error: error.message
+        });
+    }
+};
+
+// Download a quiz's own questions as GIFT, QTI (a base64 ZIP package) or CSV.
+// Questions the format can't hold are listed in `skipped`
+exports.exportQuiz = async (req, res) => {
+    try {
+        const { quizId } = req.params;
+        const { format } = req.query;
+
+        if (!mongoose.Types.ObjectId.isValid(quizId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid quiz ID'
+            });
+        }
+
+        if (!FORMATS.includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: `Format must be one of: ${FORMATS.join(', ')}`
+            });
+        }
+
+        const quiz = await Quiz.findById(quizId);
+        if (!quiz) {
+            return res.status(404).json({
+                success: false,
+                message: 'Quiz not found'
+            });
+        }
+
+        if (quiz.questions.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'This quiz has no questions of its own to export'
+            });
+        }
+
+        const subSection = await SubSection.findById(quiz.subSection).select('title');
+        const baseName = (subSection?.title || 'quiz')
+            .replace(/[^\w-]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .toLowerCase() || 'quiz';
+
+        const exported = exportQuestions(format, quiz.toObject().questions, baseName);
+
+        return res.status(200).json({
+            success: true,
+            message: exported.skipped.length > 0
+                ? `${exported.skipped.length} question(s) could not be exported as ${format.toUpperCase()}`
+                : 'Quiz exported successfully',
+            data: exported
+        });
+    } catch (error) {
+        console.error('Error exporting quiz:', error);
+        return res.status(500).json({
+            success: false,
+            message: 'Error exporting quiz',
+            error: error.message
+        });
+    }
+};
@@ -1,5 +1,6 @@
 const Course = require('../models/course');
 const Section = require('../models/section');
+const { canEditCourse, getOrderError, reorderSections } = require('../services/courseContentOrder');
 
 // ================ create Section ================
 exports.createSection = async (req, res) => {
@@ -147,3 +148,71 @@ exports.deleteSection = async (req, res) => {
     }
 }
 
+
+// ================ Reorder Sections ================
+// Body: { courseId, sectionIds } with every section of the course in its new order
+exports.reorderSections = async (req, res) => {
+    try {
+        const { courseId, sectionIds } = req.body;
+
+        if (!courseId) {
+            return res.status(400).json({
+                success: false,
+                message: 'Course ID is required'
+            });
+        }
+
+        const course = await Course.findById(courseId);
+        if (!course) {
+            return res.status(404).json({
+                success: false,
+                message: 'Course not found'
+            });
+        }
+        if (!canEditCourse(course, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: "You don't have permission to edit this course"
+            });
+        }
+
+        const orderError = getOrderError(course.courseContent, sectionIds, 'sections');
+        if (orderError) {
+            return res.status(400).json({
+                success: false,
+                message: orderError
+            });
+        }
+
+        const reordered = await reorderSections(course, sectionIds);
+        if (!reordered) {
+            return res.status(409).json({
+                success: false,
+                message: 'The course changed while you were reordering it. Reload it and try again'
+            });
+        }
+
+        const updatedCourseDetails = await Course.findById(courseId)
+            .populate({
+                path: 'courseContent',
+                populate: {
+                    path: 'subSection'
+                }
+            })
+
+        res.status(200).json({
+            success: true,
+            data: updatedCourseDetails,
+            message: 'Sections reordered successfully'
+        })
+    }
+    catch (error) {
+        console.log('Error while reordering sections');
+        console.log(error);
+        res.status(500).json({
+            success: false,
+            error: error.message,
+            message: 'Error while reordering sections'
+        })
+    }
+}
@@ -3,13 +3,43 @@ const SubSection = require('../models/subSection');
 const Course = require('../models/course');
 const Quiz = require('../models/quiz');
 const { uploadImageToCloudinary } = require('../utils/imageUploader');
+const { uploadLessonResource, deleteLessonResource, MAX_LESSON_RESOURCES } = require('../utils/lessonResourceUploader');
 const { createNewContentNotification } = require('./notification');
 const { handleNewContentAddition } = require('../utils/certificateRegeneration');
+const { canEditCourse, getOrderError, reorderSubSections, moveSubSection } = require('../services/courseContentOrder');
+
+const LESSON_TYPES = ['video', 'article', 'resource'];
+const MAX_ARTICLE_LENGTH = 100000;
+
+// Why a lesson of this type can't be saved with this content, or null
+const getLessonContentError = (lessonType, articleContent, resourceCount) => {
+    if (!LESSON_TYPES.includes(lessonType)) {
+        return `Lesson type must be one of: ${LESSON_TYPES.join(', ')}`;
+    }
+    if (lessonType === 'article' && !articleContent?.trim()) {
+        return 'Article lessons need the article text';
+    }
+    if (articleContent && articleContent.length > MAX_ARTICLE_LENGTH) {
+        return `Articles can be at most ${MAX_ARTICLE_LENGTH} characters`;
+    }
+    if (lessonType === 'resource' && resourceCount === 0) {
+        return 'Resource lessons need at least one file';
+    }
+    if (resourceCount > MAX_LESSON_RESOURCES) {
+        return `A lesson can have at most ${MAX_LESSON_RESOURCES} files`;
+    }
+    return null;
+};
+
+// Upload a lesson's new files, resolving to their SubSection.resources entries
+const uploadResources = (files) => Promise.all(
+    files.map(file => uploadLessonResource(file, process.env.FOLDER_NAME || 'course-content'))
+);
 
 // ================ Update SubSection ================
 exports.updateSubSection = async (req, res) => {
     try {
-        const { sectionId, subSectionId, title, description, questions } = req.body;
+        const { sectionId, subSectionId, title, description, questions, lessonType, articleContent, removedResources } = req.body;
 
         // validation
         if (!subSectionId) {
@@ -29,19 +59,45 @@ exports.updateSubSection = async (req, res) => {
             });
         }
 
+        // the lesson as it will be once saved: removedResources lists ids of files to drop
+        const videoFile = req.files?.videoFile?.[0] || req.file;
+        const resourceFiles = req.files?.resources || [];
+        const removedResourceIds = [].concat(removedResources || []).map(String);
+        const keptResources = subSection.resources.filter(resource => !removedResourceIds.includes(resource._id.toString()));
+        const droppedResources = subSection.resources.filter(resource => removedResourceIds.includes(resource._id.toString()));
+        const contentError = getLessonContentError(
+            lessonType || subSection.lessonType,
+            articleContent !== undefined ? articleContent : subSection.articleContent,
+            keptResources.length + resourceFiles.length
+        );
+        if (contentError) {
+            return res.status(400).json({
+                success: false,
+                message: contentError
+            });
+        }
+
         // add data
         if (title) {
             subSection.title = title;
         }
 
+        if (lessonType) {
+            subSection.lessonType = lessonType;
+        }
+
+        if (articleContent !== undefined) {
+            subSection.articleContent = articleContent;
+        }
+
         if (description) {
             subSection.description = description;
         }
 
         // upload video to cloudinary
-        if (req.file) {
+        if (videoFile) {
             try {
-                const video = req.file;
+                const video = videoFile;
                 console.log('Uploading video file (update):', video.originalname);
                 
                 // Check file size limit (100MB for free Cloudinary account)
@@ -104,8 +160,8 @@ exports.updateSubSection = async (req, res) => {
                     message: errorMessage,
                     error: uploadError.message,
                     details: {
-                        fileName: req.file ? req.file.originalname : 'unknown',
-                        fileSize: req.file ? req.file.size : 0,
+                        fileName: videoFile.originalname,
+                        fileSize: videoFile.size,
                         errorType: uploadError.name,
                         suggestion: statusCode === 202 ? 'The video is being processed in the background. You can continue and the video will be available shortly.' : 'Please try uploading a smaller or different video file.'
                     }
@@ -132,13 +188,20 @@ exports.updateSubSection = async (req, res) => {
             }
         }
 
+        // upload the new files
+        if (resourceFiles.length > 0 || droppedResources.length > 0) {
+            subSection.resources = [...keptResources, ...await uploadResources(resourceFiles)];
+        }
+
         // save data to DB
         await subSection.save();
+        await Promise.all(droppedResources.map(deleteLessonResource));
 
         const updatedSection = await Section.findById(sectionId).populate("subSection");
 
         // Handle certificate regeneration if content was modified
-        if (title || description || req.file || req.body.quiz !== undefined) {
+        if (title || description || videoFile || lessonType || articleContent !== undefined ||
+            resourceFiles.length > 0 || req.body.quiz !== undefined) {
             // Find the course that contains this section
             const course = await Course.findOne({
                 courseContent: sectionId
@@ -154,6 +217,7 @@ exports.updateSubSection = async (req, res) => {
                             subSectionId,
                             title: subSection.title,
                             hasVideo: !!subSection.videoUrl,
+                            lessonType: subSection.lessonType,
                             hasQuiz: !!subSection.quiz,
                             updateType: 'modification'
                         }
@@ -186,10 +250,11 @@ exports.updateSubSection = async (req, res) => {
 exports.createSubSection = async (req, res) => {
     try {
         // extract data
-        const { title, description, sectionId, questions } = req.body;
+        const { title, description, sectionId, questions, lessonType = 'video', articleContent } = req.body;
 
         // extract video file - handle both single file and files array
-        const videoFile = req.files?.videoFile?.[0] || req.file;
+        const videoFile = req.files?.video?.[0] || req.files?.videoFile?.[0] || req.file;
+        const resourceFiles = req.files?.resources || [];
         console.log('req.files:', req.files);
         console.log('req.file:', req.file);
 
@@ -201,6 +266,14 @@ exports.createSubSection = async (req, res) => {
             });
         }
 
+        const contentError = getLessonContentError(lessonType, articleContent, resourceFiles.length);
+        if (contentError) {
+            return res.status(400).json({
+                success: false,
+                message: contentError
+            });
+        }
+
         // Validate section exists
         const section = await Section.findById(sectionId);
         if (!section) {
@@ -213,7 +286,8 @@ exports.createSubSection = async (req, res) => {
         let videoUrl = '';
         let timeDuration = 0;
 
-        if (videoFile) {
+        // Only video lessons have a video
+        if (videoFile && lessonType === 'video') {
             try {
                 console.log('Starting video upload to Cloudinary...');
                 console.log('Video file details:', {
@@ -305,12 +379,17 @@ exports.createSubSection = async (req, res) => {
             videoUrl = null; // No video URL when no file is provided
         }
 
+        const resources = await uploadResources(resourceFiles);
+
         // create entry in DB
         const SubSectionDetails = await SubSection.create({
             title, 
             timeDuration, 
             description, 
-            videoUrl 
+            videoUrl,
+            lessonType,
+            articleContent,
+            resources
         });
 
         // Handle quiz attachment
@@ -357,7 +436,8 @@ exports.createSubSection = async (req, res) => {
                         sectionId,
                         subSectionId: SubSectionDetails._id,
                         title: SubSectionDetails.title,
-                        hasVideo: !!videoUrl
+                        hasVideo: !!videoUrl,
+                        lessonType
                     }
                 );
             } catch (certError) {
@@ -409,6 +489,7 @@ exports.deleteSubSection = async (req, res) => {
                 .status(404)
                 .json({ success: false, message: "SubSection not found" })
         }
+        await Promise.all(subSection.resources.map(deleteLessonResource))
 
         const updatedSection = await Section.findById(sectionId).populate('subSection')
 
@@ -430,3 +511,122 @@ exports.deleteSubSection = async (req, res) => {
         })
     }
 }
+
+// The course (checked to be editable by the user) and those of its sections with
+// the given ids, or { error: { status, message } }
+const findEditableSections = async (courseId, sectionIds, user) => {
+    if (!courseId || sectionIds.some(sectionId => !sectionId)) {
+        return { error: { status: 400, message: 'Course and section IDs are required' } };
+    }
+
+    const course = await Course.findById(courseId);
+    if (!course) {
+        return { error: { status: 404, message: 'Course not found' } };
+    }
+    if (!canEditCourse(course, user)) {
+        return { error: { status: 403, message: "You don't have permission to edit this course" } };
+    }
+
+    const inCourse = sectionIds.every(sectionId => course.courseContent.some(id => id.toString() === String(sectionId)));
+    const sections = inCourse ? await Section.find({ _id: { $in: sectionIds } }) : [];
+    const found = sectionIds.map(sectionId => sections.find(section => section._id.toString() === String(sectionId)));
+    if (found.some(section => !section)) {
+        return { error: { status: 404, message: 'Section not found in this course' } };
+    }
+    return { course, sections: found };
+};
+
+const findCourseDetails = (courseId) => Course.findById(courseId)
+    .populate({
+        path: 'courseContent',
+        populate: {
+            path: 'subSection'
+        }
+    });
+
+// ================ Reorder SubSections ================
+// Body: { courseId, sectionId, subSectionIds } with every sub-section of the
+// section in its new order
+exports.reorderSubSections = async (req, res) => {
+    try {
+        const { courseId, sectionId, subSectionIds } = req.body;
+
+        const { error, sections } = await findEditableSections(courseId, [sectionId], req.user);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+
+        const orderError = getOrderError(sections[0].subSection, subSectionIds, 'lectures');
+        if (orderError) {
+            return res.status(400).json({ success: false, message: orderError });
+        }
+
+        if (!await reorderSubSections(sections[0], subSectionIds)) {
+            return res.status(409).json({
+                success: false,
+                message: 'The section changed while you were reordering it. Reload the course and try again'
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: await findCourseDetails(courseId),
+            message: 'Lectures reordered successfully'
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            error: error.message,
+            message: 'An error occurred while reordering the lectures'
+        });
+    }
+}
+
+// ================ Move SubSection ================
+// Body: { courseId, subSectionId, fromSectionId, toSectionId, index } moves the
+// sub-section to position `index` of another section of the same course
+exports.moveSubSection = async (req, res) => {
+    try {
+        const { courseId, subSectionId, fromSectionId, toSectionId, index } = req.body;
+
+        if (String(fromSectionId) === String(toSectionId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Use reorderSubSections to reorder lectures within a section'
+            });
+        }
+        if (!Number.isInteger(Number(index)) || Number(index) < 0) {
+            return res.status(400).json({ success: false, message: 'Index must be a position in the section' });
+        }
+
+        const { error, sections } = await findEditableSections(courseId, [fromSectionId, toSectionId], req.user);
+        if (error) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        const [fromSection, toSection] = sections;
+        if (!fromSection.subSection.some(id => id.toString() === String(subSectionId))) {
+            return res.status(404).json({ success: false, message: 'Lecture not found in that section' });
+        }
+
+        if (!await moveSubSection({ subSectionId, fromSection, toSection, index: Number(index) })) {
+            return res.status(409).json({
+                success: false,
+                message: 'The course changed while you were moving the lecture. Reload it and try again'
+            });
+        }
+
+        return res.json({
+            success: true,
+            data: await findCourseDetails(courseId),
+            message: 'Lecture moved successfully'
+        });
+    } catch (error) {
+        console.error(error);
+        return res.status(500).json({
+            success: false,
+            error: error.message,
+            message: 'An error occurred while moving the lecture'
+        });
+    }
+}
@@ -114,14 +114,14 @@ exports.getUserAnalytics = async (req, res) => {
             .slice(0, 5);
 
         // Get user's orders for purchase history analytics
-        const userOrders = await Order.find({ user: userId })
-            .populate('course', 'courseName price')
+        const userOrders = await Order.find({ user: userId, status: { $in: Order.PURCHASED_STATUSES } })
+            .populate('items.course', 'courseName price')
             .sort({ createdAt: -1 })
             .limit(10);
 
         // Calculate total spent
         const totalSpent = userOrders.reduce((total, order) => {
-            return total + (order.amount || 0);
+            return total + (order.totalAmount || 0) - order.getProcessedRefundAmount();
         }, 0);
 
         // Get course categories user is interested in
@@ -183,6 +183,7 @@ exports.getUserAnalytics = async (req, res) => {
             // Get order activities for the day
             const orderActivities = await Order.find({
                 user: userId,
+                status: { $in: Order.PURCHASED_STATUSES },
                 createdAt: { $gte: dayStart, $lte: dayEnd }
             });
 
@@ -207,10 +208,10 @@ exports.getUserAnalytics = async (req, res) => {
             .limit(10)
             .populate('courseID', 'courseName');
 
-        const recentOrders = await Order.find({ user: userId })
+        const recentOrders = await Order.find({ user: userId, status: { $in: Order.PURCHASED_STATUSES } })
             .sort({ createdAt: -1 })
             .limit(5)
-            .populate('course', 'courseName');
+            .populate('items.course', 'courseName');
 
         // validCourseProgress is already calculated above
 
@@ -277,14 +278,16 @@ exports.getUserAnalytics = async (req, res) => {
 
         // Add enrollment activities
         for (const order of recentOrders) {
-            const courseName = order.course ? order.course.courseName : 'Unknown Course';
-            allActivities.push({
-                action: 'Course Enrollment',
-                details: `Enrolled in ${courseName}`,
-                timestamp: order.createdAt,
-                type: 'enrollment',
-                amount: order.amount
-            });
+            for (const item of order.items) {
+                const courseName = item.course ? item.course.courseName : 'Unknown Course';
+                allActivities.push({
+                    action: 'Course Enrollment',
+                    details: `Enrolled in ${courseName}`,
+                    timestamp: order.createdAt,
+                    type: 'enrollment',
+                    amount: item.amount
+                });
+            }
         }
 
         // Sort activities by timestamp
@@ -360,14 +363,19 @@ exports.getUserActivity = async (req, res) => {
         // Get orders in the time period
         const orders = await Order.find({
             user: userId,
+            status: { $in: Order.PURCHASED_STATUSES },
             createdAt: { $gte: startDate, $lte: endDate }
-        }).populate('course', 'courseName');
+        }).populate('items.course', 'courseName');
 
         // Filter out progress updates where courseID is null (deleted courses)
         const validProgressUpdates = progressUpdates.filter(progress => progress.courseID !== null);
 
-        // Filter out orders with null courses (deleted courses)
-        const validOrders = orders.filter(order => order.course);
+        // One enrollment per order line, skipping deleted courses
+        const validOrderItems = orders.flatMap(order =>
+            order.items
+                .filter(item => item.course)
+                .map(item => ({ order, item }))
+        );
 
         const activity = {
             progressUpdates: validProgressUpdates.map(progress => ({
@@ -376,10 +384,10 @@ exports.getUserActivity = async (req, res) => {
                 completedVideos: progress.completedVideos ? progress.completedVideos.length : 0,
                 updatedAt: progress.updatedAt
             })),
-            newEnrollments: validOrders.map(order => ({
+            newEnrollments: validOrderItems.map(({ order, item }) => ({
                 orderId: order._id,
-                course: order.course ? order.course.courseName : 'Unknown Course',
-                amount: order.amount,
+                course: item.course.courseName,
+                amount: item.amount,
                 createdAt: order.createdAt
             }))
         };
@@ -73,6 +73,25 @@ exports.auth = (req, res, next) => {
 }
 
 
+// ================ OPTIONAL AUTH ================
+// For public routes that tailor the response to a logged in user: sets req.user
+// when a valid token is sent, otherwise carries on anonymously
+exports.optionalAuth = (req, res, next) => {
+    const token = req.body?.token || req.cookies?.token || req.header('Authorization')?.replace('Bearer ', '');
+
+    if (token) {
+        try {
+            req.user = jwt.verify(token, process.env.JWT_SECRET);
+        }
+        catch (error) {
+            req.user = undefined;
+        }
+    }
+
+    next();
+}
+
+
 
 
 
@@ -0,0 +1,34 @@
+const multer = require('multer');
+const path = require('path');
+const { LESSON_RESOURCE_EXTENSIONS, MAX_LESSON_RESOURCES } = require('../utils/lessonResourceUploader');
+
+// Configure memory storage for direct streaming to Cloudinary
+const storage = multer.memoryStorage();
+
+// A lesson's video (field `video` or `videoFile`) and its downloadable files (field `resources`)
+const lessonUpload = multer({
+    storage: storage,
+    limits: {
+        fileSize: 100 * 1024 * 1024, // 100MB for free Cloudinary account compatibility
+    },
+    fileFilter: function (req, file, cb) {
+        if (file.fieldname === 'resources') {
+            const extension = path.extname(file.originalname).slice(1).toLowerCase();
+            if (!LESSON_RESOURCE_EXTENSIONS.includes(extension)) {
+                return cb(new Error(`Lesson files must be one of: ${LESSON_RESOURCE_EXTENSIONS.join(', ')}`), false);
+            }
+            return cb(null, true);
+        }
+        if (!file.originalname.match(/\.(mp4|mov|avi|wmv|mkv|flv|webm|jpg|jpeg|png|gif)$/i)) {
+            return cb(new Error('Only video and image files are allowed!'), false);
+        }
+        cb(null, true);
+    }
+});
+
+const lessonFields = (videoField) => lessonUpload.fields([
+    { name: videoField, maxCount: 1 },
+    { name: 'resources', maxCount: MAX_LESSON_RESOURCES }
+]);
+
+module.exports = { lessonFields };
@@ -12,6 +12,21 @@ const couponValidationLimiter = rateLimit({
     legacyHeaders: false, // Disable the `X-RateLimit-*` headers
 });
 
+// Runs from the quiz code editor, counted per student rather than per IP.
+// Must come after auth
+const codeRunLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: Number(process.env.CODE_RUNS_PER_MINUTE) || 10,
+    keyGenerator: (req) => req.user.id,
+    message: {
+        success: false,
+        message: 'Too many code runs. Please wait a minute before running again.'
+    },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
 module.exports = {
-    couponValidationLimiter
+    couponValidationLimiter,
+    codeRunLimiter
 };
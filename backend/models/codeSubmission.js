@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// A graded code answer, kept with its fingerprints to check it for similarity with
+// other students' answers to the same question (services/codeSimilarity.js)
+const codeSubmissionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    courseID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    attempt: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "QuizAttempt",
+        required: true
+    },
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // As asked, since bank questions may change or go away later
+    questionText: {
+        type: String,
+        default: ''
+    },
+    language: {
+        type: String
+    },
+    code: {
+        type: String,
+        required: true
+    },
+    // Winnowed k-gram hashes of the normalized tokens, starter code left out
+    fingerprints: {
+        type: [Number],
+        default: []
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true });
+
+codeSubmissionSchema.index({ quiz: 1, question: 1 });
+codeSubmissionSchema.index({ attempt: 1, question: 1 }, { unique: true });
+
+module.exports = mongoose.model("CodeSubmission", codeSubmissionSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named sequences, e.g. invoice numbers per financial year
+const counterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+// Atomically take the next value of a sequence, creating it on first use. Within a
+// transaction (`session`) the value is given back if the transaction aborts
+counterSchema.statics.nextValue = async function (name, session) {
+    const counter = await this.findByIdAndUpdate(
+        name,
+        { $inc: { seq: 1 } },
+        { new: true, upsert: true, session }
+    );
+    return counter.seq;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
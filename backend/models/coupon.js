@@ -98,6 +98,49 @@ const couponSchema = new mongoose.Schema({
             default: 1
         }
     }],
+    // Who may use the coupon. Every rule that is set must hold; empty rules don't restrict
+    eligibility: {
+        users: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }],
+        accountCreatedAfter: {
+            type: Date
+        },
+        firstPurchaseOnly: {
+            type: Boolean,
+            default: false
+        },
+        // Student must already be enrolled in at least one of these
+        enrolledInCourses: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Course'
+        }],
+        // Student must never have bought a course in any of these
+        notPurchasedCategories: [{
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Category'
+        }]
+    },
+    // Set on codes generated in bulk for a marketing campaign
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'CouponCampaign'
+    },
+    // Uses held for orders awaiting payment; they count against the limits until they expire
+    reservations: [{
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        order: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Order'
+        },
+        expiresAt: {
+            type: Date
+        }
+    }],
     analytics: {
         timesViewed: {
             type: Number,
@@ -131,5 +174,6 @@ couponSchema.index({ isActive: 1 });
 couponSchema.index({ startDate: 1, expiryDate: 1 });
 couponSchema.index({ linkedTo: 1 });
 couponSchema.index({ showOnFront: 1 });
+couponSchema.index({ campaign: 1 });
 
 module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A batch of generated single-use coupon codes that share the same discount rules.
+// The codes themselves are Coupon documents pointing back here through `campaign`
+const couponCampaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        trim: true
+    },
+    prefix: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        default: ''
+    },
+    codeLength: {
+        type: Number,
+        required: true
+    },
+    codeCount: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    linkedTo: {
+        type: String,
+        enum: ['course', 'bundle'],
+        default: 'course'
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+module.exports = mongoose.model("CouponCampaign", couponCampaignSchema);
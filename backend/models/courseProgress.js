@@ -44,6 +44,11 @@ const courseProgressSchema = new mongoose.Schema({
                 type: Boolean,
                 default: false
             },
+            // An attempt has free-text answers waiting for an instructor
+            pendingReview: {
+                type: Boolean,
+                default: false
+            },
             attempts: {
                 type: Number,
                 default: 1
@@ -30,6 +30,9 @@ const notificationSchema = new mongoose.Schema({
             'NEW_CONTENT_ADDED',
             'COURSE_PROGRESS_MILESTONE',
             'NEW_RATING_ON_ENROLLED_COURSE',
+            'ORDER_REFUNDED',
+            'QUIZ_GRADED',
+            'QUIZ_ATTEMPT_VOIDED',
             
             // Instructor notifications
             'NEW_STUDENT_ENROLLMENT',
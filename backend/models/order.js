@@ -1,21 +1,192 @@
 const mongoose = require("mongoose");
 
-const orderSchema = new mongoose.Schema({
-    user: {
-        type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
-        required: true
-    },
+// One purchased course within an order
+const orderItemSchema = new mongoose.Schema({
     course: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Course',
         required: true
     },
+    courseName: {
+        type: String
+    },
+    // List price of the course at the time of purchase
+    price: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    // Share of the cart-level discounts (bundle + coupon) taken off this line
+    discount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Part of discount that came from coupons scoped to this line
+    couponDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Tax included in the line amount
+    taxAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // What was actually charged for this line (price - discount)
     amount: {
         type: Number,
+        required: true,
+        min: 0
+    },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // A refunded line no longer grants access to its course
+    status: {
+        type: String,
+        enum: ['active', 'refunded'],
+        default: 'active'
+    }
+}, { _id: true });
+
+// Buyer details captured at checkout for the tax invoice
+const billingSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        trim: true
+    },
+    email: {
+        type: String,
+        trim: true
+    },
+    phone: {
+        type: String,
+        trim: true
+    },
+    // Place of supply; decides between CGST + SGST and IGST
+    state: {
+        type: String,
+        trim: true
+    },
+    gstin: {
+        type: String,
+        uppercase: true,
+        trim: true
+    }
+}, { _id: false });
+
+// A full or partial refund of an order
+const refundSchema = new mongoose.Schema({
+    // Order lines covered by this refund; empty when it isn't tied to specific lines
+    items: [{
+        type: mongoose.Schema.Types.ObjectId
+    }],
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    reason: {
+        type: String,
+        trim: true
+    },
+    // Refund id from the payment gateway, or a reference for a manual refund
+    gatewayRefundId: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    processedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+const orderSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
         required: true
     },
+    items: {
+        type: [orderItemSchema],
+        validate: {
+            validator: (items) => items.length > 0,
+            message: 'An order needs at least one item'
+        }
+    },
+    subtotal: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    bundleDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Coupons applied, in the order they were stacked
+    coupons: [{
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: {
+            type: String
+        },
+        discount: {
+            type: Number,
+            default: 0
+        }
+    }],
+    // Applied codes joined for display, e.g. "WELCOME10, REACT50"
+    couponCode: {
+        type: String,
+        uppercase: true,
+        trim: true
+    },
+    couponDiscount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Tax rate in percent; prices are tax inclusive so taxAmount is part of totalAmount
+    taxRate: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    taxAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    totalAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    currency: {
+        type: String,
+        default: 'INR'
+    },
     status: {
+        type: String,
+        enum: ['created', 'paid', 'failed', 'partially_refunded', 'refunded'],
+        default: 'created'
+    },
+    // Admin switch to suspend or restore course access granted by this order
+    isActive: {
         type: Boolean,
         default: true
     },
@@ -23,14 +194,75 @@ const orderSchema = new mongoose.Schema({
         type: String,
         required: true
     },
+    // Gateway payment id (or a generated id for free enrollments), set once paid
     transactionId: {
-        type: String,
-        required: true
+        type: String
+    },
+    gatewayOrderId: {
+        type: String
     },
     purchaseDate: {
         type: Date,
         default: Date.now
+    },
+    paidAt: {
+        type: Date
+    },
+    // Set once the student is enrolled in the order's courses and has been emailed
+    // (controllers/payments.js); a paid order without it still needs enrolling
+    enrolledAt: {
+        type: Date
+    },
+    billing: billingSchema,
+    // Sequential per financial year, e.g. BA/26-27/00042; only paid orders get one
+    invoiceNumber: {
+        type: String
+    },
+    invoiceDate: {
+        type: Date
+    },
+    refunds: [refundSchema],
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
     }
 }, { timestamps: true });
 
+orderSchema.index({ gatewayOrderId: 1 }, { unique: true, sparse: true });
+orderSchema.index({ transactionId: 1 });
+orderSchema.index({ invoiceNumber: 1 }, { unique: true, sparse: true });
+orderSchema.index({ user: 1, 'items.course': 1, status: 1 });
+
+// Statuses of orders whose non-refunded lines still count as purchased
+const PURCHASED_STATUSES = ['paid', 'partially_refunded'];
+
+// Paid order that currently gives the user access to the course
+orderSchema.statics.findActiveForCourse = function (userId, courseId) {
+    return this.findOne({
+        user: userId,
+        items: { $elemMatch: { course: courseId, status: 'active' } },
+        status: { $in: PURCHASED_STATUSES },
+        isActive: true
+    });
+};
+
+// Any paid order for the course, including ones an admin has deactivated
+orderSchema.statics.findPaidForCourse = function (userId, courseId) {
+    return this.findOne({
+        user: userId,
+        items: { $elemMatch: { course: courseId, status: 'active' } },
+        status: { $in: PURCHASED_STATUSES }
+    });
+};
+
+orderSchema.statics.PURCHASED_STATUSES = PURCHASED_STATUSES;
+
+// What was actually paid back: processed refunds only, not pending or failed ones
+orderSchema.methods.getProcessedRefundAmount = function () {
+    return this.refunds
+        .filter(refund => refund.status === 'processed')
+        .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
 module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Webhook events received from the payment gateway, stored so replays are ignored
+const paymentEventSchema = new mongoose.Schema({
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    paymentId: {
+        type: String
+    },
+    gatewayOrderId: {
+        type: String
+    },
+    status: {
+        type: String,
+        enum: ['received', 'processed', 'ignored', 'failed'],
+        default: 'received'
+    },
+    error: {
+        type: String
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed
+    },
+    processedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+paymentEventSchema.index({ paymentId: 1 });
+
+module.exports = mongoose.model("PaymentEvent", paymentEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require("mongoose");
+const { questionSchema } = require("./quizQuestion");
+
+// A reusable set of questions that bank-sourced quizzes draw from
+const questionBankSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    questions: {
+        type: [questionSchema],
+        default: []
+    }
+}, { timestamps: true });
+
+questionBankSchema.index({ 'questions.topic': 1, 'questions.difficulty': 1 });
+
+module.exports = mongoose.model("QuestionBank", questionBankSchema);
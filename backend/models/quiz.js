@@ -1,74 +1,29 @@
 const mongoose = require('mongoose');
+const { questionSchema } = require('./quizQuestion');
 
-const testCaseSchema = new mongoose.Schema({
-    input: {
+// Which questions an attempt at a bank-sourced quiz draws: `count` random questions
+// from the given banks (all banks when empty) matching the topic, difficulty and tags
+const drawRuleSchema = new mongoose.Schema({
+    banks: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'QuestionBank'
+    }],
+    topic: {
         type: String,
-        default: ''
+        trim: true
     },
-    expectedOutput: {
+    difficulty: {
         type: String,
-        required: true
+        enum: ['easy', 'medium', 'hard']
     },
-    isHidden: {
-        type: Boolean,
-        default: false
-    }
-});
-
-const questionSchema = new mongoose.Schema({
-    questionText: {
-        type: String,
-        required: true
-    },
-    questionType: {
-        type: String,
-        enum: ['multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve'],
-        required: true
-    },
-    options: [
-        {
-            type: String
-        }
-    ],
-    answers: [
-        {
-            type: String // Array of answers for match the following questions
-        }
-    ],
-    correctAnswers: [
-        {
-            type: Number // Array of indices for multiple choice questions
-        }
-    ],
-    correctAnswer: {
-        type: Number // Single index for single answer questions
-    },
-    keywords: {
-        type: [String], // Array of keywords for short answer questions
+    tags: {
+        type: [String],
         default: []
     },
-    // Code solving specific fields
-    programmingLanguage: {
-        type: String,
-        enum: ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'open'], // 'open' means multiple languages allowed
-        default: 'javascript'
-    },
-    starterCode: {
-        type: String,
-        default: ''
-    },
-    solutionCode: {
-        type: String,
-        default: ''
-    },
-    testCases: [testCaseSchema],
-    marks: {
+    count: {
         type: Number,
-        default: 1
-    },
-    required: {
-        type: Boolean,
-        default: true
+        required: true,
+        min: 1
     }
 });
 
@@ -87,6 +42,22 @@ const quizSchema = new mongoose.Schema({
         required: true,
         unique: true
     },
+    // 'fixed' quizzes ask `questions`; 'bank' quizzes draw from question banks per attempt
+    questionSource: {
+        type: String,
+        enum: ['fixed', 'bank'],
+        default: 'fixed'
+    },
+    drawRules: [drawRuleSchema],
+    // Shuffled on the server when an attempt starts (services/questionDraw.js)
+    shuffleQuestions: {
+        type: Boolean,
+        default: false
+    },
+    shuffleOptions: {
+        type: Boolean,
+        default: false
+    },
     questions: {
         type: [questionSchema],
         validate: {
@@ -104,6 +75,44 @@ const quizSchema = new mongoose.Schema({
         default: 10 * 60, // Default 10 minutes in seconds
         min: 1 * 60, // Minimum 1 minute
         max: 180 * 60 // Maximum 3 hours
+    },
+    passingPercentage: {
+        type: Number,
+        default: 60,
+        min: 0,
+        max: 100
+    },
+    // 0 allows unlimited attempts
+    maxAttempts: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // Minimum wait between two attempts
+    cooldownMinutes: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // What happens to an attempt still open after the time limit and grace period
+    // (services/quizSessions.js): grade the last autosaved answers, or count it as empty
+    lateSubmissionPolicy: {
+        type: String,
+        enum: ['reject', 'autoSubmit'],
+        default: 'autoSubmit'
+    },
+    // Which attempt's score is kept in the course progress (services/quizResults.js)
+    scoringPolicy: {
+        type: String,
+        enum: ['highest', 'latest', 'average'],
+        default: 'latest'
+    },
+    // When students may review their attempts with the correct answers and
+    // explanations (services/attemptReview.js)
+    reviewPolicy: {
+        type: String,
+        enum: ['never', 'afterSubmit', 'afterPassing', 'afterAttemptLimit'],
+        default: 'never'
     }
 });
 
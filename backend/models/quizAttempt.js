@@ -0,0 +1,188 @@
+const mongoose = require("mongoose");
+
+// An instructor's grade (or the keyword grade) of one free-text answer
+const answerReviewSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    questionType: {
+        type: String
+    },
+    maxScore: {
+        type: Number,
+        required: true
+    },
+    // The keyword-matching score, shown to the grader
+    suggestedScore: {
+        type: Number,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'graded'],
+        default: 'pending'
+    },
+    score: {
+        type: Number,
+        default: null
+    },
+    // Points given per line of the question's rubric
+    rubricScores: {
+        type: [Number],
+        default: []
+    },
+    comment: {
+        type: String,
+        default: ''
+    },
+    // Unset when graded by keywords
+    gradedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    gradedAt: {
+        type: Date
+    }
+}, { _id: false });
+
+// The outcome of one question of an attempt, for item analysis
+const questionResponseSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    questionType: {
+        type: String
+    },
+    // The student's answer; an array for match the following and cloze
+    response: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    answered: {
+        type: Boolean,
+        default: false
+    },
+    // Null while a code or free-text answer waits to be graded
+    correct: {
+        type: Boolean,
+        default: null
+    },
+    earnedMarks: {
+        type: Number,
+        default: null
+    },
+    maxMarks: {
+        type: Number,
+        required: true
+    },
+    // Choice questions: the picked options, as indices into the question's own
+    // (unshuffled) options
+    selectedOptions: {
+        type: [Number],
+        default: undefined
+    },
+    // Code questions: the output of each failed test case
+    wrongOutputs: {
+        type: [{
+            testCase: Number,
+            output: String
+        }],
+        default: undefined
+    },
+    // Seconds the student spent on the question, as reported by the quiz page
+    timeSpent: {
+        type: Number,
+        default: null
+    }
+}, { _id: false });
+
+// One graded quiz attempt. Every attempt is kept; the course progress only holds
+// the score counted under the quiz's scoring policy
+const quizAttemptSchema = new mongoose.Schema({
+    // The QuizSubmission this attempt was graded from, when it had code answers
+    submission: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "QuizSubmission"
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    courseID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubSection",
+        required: true
+    },
+    attemptNumber: {
+        type: Number,
+        required: true
+    },
+    // The attempt's questions as they were asked (services/questionDraw.js)
+    questions: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // The answers as submitted, keyed like submitQuiz's `answers`
+    answers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Per-question test results of code answers, as returned to the student
+    codeResults: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // 'pendingReview' until every free-text answer in `reviews` is graded; 'voided'
+    // attempts were found copied (services/codeSimilarity.js) and don't count
+    status: {
+        type: String,
+        enum: ['graded', 'pendingReview', 'voided'],
+        default: 'graded'
+    },
+    reviews: [answerReviewSchema],
+    responses: [questionResponseSchema],
+    // Marks from everything but the reviewed answers; score adds the graded reviews
+    autoScore: {
+        type: Number
+    },
+    score: {
+        type: Number,
+        required: true
+    },
+    totalMarks: {
+        type: Number,
+        required: true
+    },
+    percentage: {
+        type: Number,
+        required: true
+    },
+    passed: {
+        type: Boolean,
+        default: false
+    },
+    submittedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, { timestamps: true });
+
+quizAttemptSchema.index({ user: 1, quiz: 1, attemptNumber: 1 });
+quizAttemptSchema.index({ quiz: 1, status: 1, submittedAt: 1 });
+// One attempt per graded submission (services/quizResults.js)
+quizAttemptSchema.index({ submission: 1 }, { unique: true, partialFilterExpression: { submission: { $exists: true } } });
+
+module.exports = mongoose.model("QuizAttempt", quizAttemptSchema);
@@ -0,0 +1,191 @@
+const mongoose = require('mongoose');
+
+// Question schema shared by quizzes and question banks
+const testCaseSchema = new mongoose.Schema({
+    input: {
+        type: String,
+        default: ''
+    },
+    expectedOutput: {
+        type: String,
+        required: true
+    },
+    isHidden: {
+        type: Boolean,
+        default: false
+    },
+    // Share of the question's marks this test case is worth, relative to the others
+    weight: {
+        type: Number,
+        default: 1,
+        min: 0
+    }
+});
+
+// One line of a free-text question's grading rubric
+const rubricCriterionSchema = new mongoose.Schema({
+    criterion: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    points: {
+        type: Number,
+        required: true,
+        min: 0
+    }
+});
+
+// A unit a numeric answer may be given in. multiplier is how many of this unit make
+// one of the answer's unit (e.g. cm: 100 when the answer is in metres)
+const numericUnitSchema = new mongoose.Schema({
+    unit: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    multiplier: {
+        type: Number,
+        default: 1
+    }
+}, { _id: false });
+
+// One blank of a cloze question, marked [[n]] in the question text
+const clozeBlankSchema = new mongoose.Schema({
+    answers: {
+        type: [String], // Any of these is accepted
+        default: []
+    },
+    caseSensitive: {
+        type: Boolean,
+        default: false
+    }
+}, { _id: false });
+
+const questionSchema = new mongoose.Schema({
+    questionText: {
+        type: String,
+        required: true
+    },
+    questionType: {
+        type: String,
+        enum: ['multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve', 'numeric', 'ordering', 'cloze'],
+        required: true
+    },
+    options: [
+        {
+            type: String // Items of ordering questions, in the correct order
+        }
+    ],
+    answers: [
+        {
+            type: String // Array of answers for match the following questions
+        }
+    ],
+    correctAnswers: [
+        {
+            type: Number // Array of indices for multiple choice questions
+        }
+    ],
+    correctAnswer: {
+        type: Number // Single index for single answer questions
+    },
+    keywords: {
+        type: [String], // Array of keywords for short answer questions
+        default: []
+    },
+    // Share of the keywords (in %) a short answer must contain to earn its marks
+    keywordThreshold: {
+        type: Number,
+        default: 50,
+        min: 1,
+        max: 100
+    },
+    // Short answers are left to an instructor instead of keyword matching.
+    // Long answers always are (services/manualGrading.js)
+    manualGrading: {
+        type: Boolean,
+        default: false
+    },
+    rubric: [rubricCriterionSchema],
+    // Numeric questions: the answer, how far off an answer may be (an absolute amount,
+    // or a % of the answer) and the units it may be given in. Without units any
+    // number is taken in the answer's unit
+    numericAnswer: {
+        type: Number
+    },
+    tolerance: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    toleranceType: {
+        type: String,
+        enum: ['absolute', 'relative'],
+        default: 'absolute'
+    },
+    units: [numericUnitSchema],
+    unitRequired: {
+        type: Boolean,
+        default: false
+    },
+    blanks: [clozeBlankSchema],
+    // Code solving specific fields
+    programmingLanguage: {
+        type: String,
+        enum: ['javascript', 'python', 'java', 'cpp', 'c', 'go', 'open'], // 'open' means multiple languages allowed
+        default: 'javascript'
+    },
+    starterCode: {
+        type: String,
+        default: ''
+    },
+    solutionCode: {
+        type: String,
+        default: ''
+    },
+    testCases: [testCaseSchema],
+    // How program output is compared with expectedOutput (utils/outputComparison.js)
+    outputComparison: {
+        type: String,
+        enum: ['exact', 'trim', 'token', 'float', 'regex'],
+        default: 'trim'
+    },
+    floatTolerance: {
+        type: Number,
+        default: 1e-6,
+        min: 0
+    },
+    marks: {
+        type: Number,
+        default: 1
+    },
+    // Shown with the correct answer when students review an attempt, as the quiz's
+    // reviewPolicy allows
+    explanation: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    required: {
+        type: Boolean,
+        default: true
+    },
+    // Used to pick questions from banks (models/questionBank.js) by topic and difficulty
+    topic: {
+        type: String,
+        trim: true,
+        default: ''
+    },
+    difficulty: {
+        type: String,
+        enum: ['easy', 'medium', 'hard'],
+        default: 'medium'
+    },
+    tags: {
+        type: [String],
+        default: []
+    }
+});
+
+module.exports = { questionSchema, testCaseSchema };
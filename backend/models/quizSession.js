@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+// An attempt in progress, from the start-attempt request to its submission. The
+// server's startedAt and the quiz's time limit decide when answers stop counting
+const quizSessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    courseID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubSection",
+        required: true
+    },
+    // Sent with every autosave and the submission
+    attemptToken: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    status: {
+        type: String,
+        enum: ['active', 'submitted', 'expired'],
+        default: 'active'
+    },
+    startedAt: {
+        type: Date,
+        default: Date.now
+    },
+    // The quiz's timeLimit (seconds) when the attempt started
+    timeLimit: {
+        type: Number,
+        required: true
+    },
+    // The questions drawn for this attempt, with their shuffled option order and
+    // answer keys (services/questionDraw.js)
+    questions: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // Latest autosave, keyed like submitQuiz's `answers`
+    savedAnswers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    // Seconds spent on each question, keyed by question id (see sanitizeQuestionTimes)
+    questionTimes: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    lastSavedAt: {
+        type: Date
+    },
+    submittedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+quizSessionSchema.index({ user: 1, quiz: 1, status: 1 });
+// At most one attempt in progress per student and quiz, even when two start requests
+// race (startQuizAttempt resumes the one that won)
+quizSessionSchema.index({ user: 1, quiz: 1 }, { unique: true, partialFilterExpression: { status: 'active' } });
+
+module.exports = mongoose.model("QuizSession", quizSessionSchema);
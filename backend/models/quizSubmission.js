@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+// A quiz submission with code answers, graded in the background by services/gradingQueue.js
+const quizSubmissionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+        required: true
+    },
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    courseID: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Course",
+        required: true
+    },
+    subSection: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "SubSection",
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'graded', 'error'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    error: {
+        type: String
+    },
+    // Marks from the questions graded at submission, before any code ran
+    baseScore: {
+        type: Number,
+        default: 0
+    },
+    totalMarks: {
+        type: Number,
+        required: true
+    },
+    // The attempt's questions as they were asked (services/questionDraw.js)
+    questions: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // Every answer as submitted, kept for the attempt history
+    answers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    codeAnswers: [{
+        question: {
+            type: mongoose.Schema.Types.ObjectId,
+            required: true
+        },
+        code: {
+            type: String,
+            required: true
+        },
+        language: {
+            type: String
+        }
+    }],
+    // Free-text answers for manual grading, as returned by scoreAnswers
+    reviews: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // Per-question outcomes as returned by scoreAnswers; code answers are filled in
+    // once graded
+    responses: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    // Per-question test results as returned to the student (hidden test cases reduced to pass/fail)
+    codeResults: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    result: {
+        score: Number,
+        totalMarks: Number,
+        percentage: Number,
+        passed: Boolean,
+        attemptNumber: Number,
+        countedScore: Number,
+        countedPercentage: Number,
+        passingPercentage: Number,
+        pendingReview: Boolean
+    },
+    startedAt: {
+        type: Date
+    },
+    gradedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+quizSubmissionSchema.index({ user: 1, quiz: 1, status: 1 });
+quizSubmissionSchema.index({ status: 1, createdAt: 1 });
+
+module.exports = mongoose.model("QuizSubmission", quizSubmissionSchema);
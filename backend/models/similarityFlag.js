@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Two students' code answers to the same question that are similar enough to have
+// been copied. An admin clears the pair or voids the attempts involved
+const similarityFlagSchema = new mongoose.Schema({
+    quiz: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "Quiz",
+        required: true
+    },
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // The older submission is always submissionA, so a pair is flagged once
+    submissionA: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CodeSubmission",
+        required: true
+    },
+    submissionB: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "CodeSubmission",
+        required: true
+    },
+    // Share of the shorter answer's fingerprints found in the other, 0 to 1
+    similarity: {
+        type: Number,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['flagged', 'cleared', 'voided'],
+        default: 'flagged'
+    },
+    note: {
+        type: String,
+        default: ''
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User"
+    },
+    reviewedAt: {
+        type: Date
+    }
+}, { timestamps: true });
+
+similarityFlagSchema.index({ submissionA: 1, submissionB: 1 }, { unique: true });
+similarityFlagSchema.index({ quiz: 1, status: 1, similarity: -1 });
+
+module.exports = mongoose.model("SimilarityFlag", similarityFlagSchema);
@@ -14,6 +14,35 @@ const subSectionSchema = new mongoose.Schema({
     videoUrl: {
         type: String
     },
+    // What the lesson is: a video (videoUrl), a markdown article (articleContent) or
+    // files to download (resources). Any lesson may have resources attached
+    lessonType: {
+        type: String,
+        enum: ['video', 'article', 'resource'],
+        default: 'video'
+    },
+    articleContent: {
+        type: String
+    },
+    resources: [
+        {
+            name: {
+                type: String,
+                required: true
+            },
+            url: {
+                type: String,
+                required: true
+            },
+            publicId: {
+                type: String
+            },
+            size: {
+                type: Number,
+                default: 0
+            }
+        }
+    ],
     quiz: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Quiz'
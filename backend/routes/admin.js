@@ -25,16 +25,22 @@ const {
     validateCoupon, 
     applyCoupon, 
     validateAndApplyCoupon,
+    getBestCoupons,
+    createCouponCampaign,
+    getCouponCampaigns,
+    getCouponCampaignAnalytics,
+    exportCouponCampaign,
+    toggleCouponCampaignStatus,
     getAllCoupons, 
     getFrontendCoupons, 
     toggleCouponStatus,
     getCouponAnalytics,
     cleanupExpiredCoupons
 } = require('../controllers/coupon');
-const { getAllOrders, deleteOrder, updateOrderStatus, generateOrdersPDF } = require('../controllers/order');
+const { getAllOrders, deleteOrder, updateOrderStatus, refundOrder, generateOrdersPDF } = require('../controllers/order');
 
 // Import middleware
-const { auth, isAdmin } = require('../middleware/auth');
+const { auth, optionalAuth, isAdmin } = require('../middleware/auth');
 const { upload } = require('../middleware/multer');
 const { couponValidationLimiter } = require('../middleware/rateLimiter');
 
@@ -61,19 +67,26 @@ router.get('/analytics', auth, isAdmin, getAnalytics);
 
 // ================ COUPON ROUTES ================
 router.get('/coupons', auth, isAdmin, getAllCoupons);
-router.get('/coupons/frontend', getFrontendCoupons); // Public endpoint for frontend coupons
+router.get('/coupons/frontend', optionalAuth, getFrontendCoupons); // Public endpoint, filtered for the user when logged in
 router.get('/coupons/:couponId/analytics', auth, isAdmin, getCouponAnalytics); // Get analytics for specific coupon
 router.post('/coupons/create', auth, isAdmin, createCoupon);
 router.post('/coupons/validate', auth, couponValidationLimiter, validateCoupon); // Legacy endpoint with rate limiting
 router.post('/coupons/apply', auth, couponValidationLimiter, applyCoupon); // Legacy endpoint with rate limiting
 router.post('/coupons/validate-and-apply', auth, couponValidationLimiter, validateAndApplyCoupon); // New combined endpoint
+router.post('/coupons/best', auth, getBestCoupons); // Best coupon or stack for the current cart
 router.patch('/coupons/:couponId/toggle', auth, isAdmin, toggleCouponStatus);
 router.post('/coupons/cleanup-expired', auth, isAdmin, cleanupExpiredCoupons); // Cleanup expired coupons
+router.get('/coupons/campaigns', auth, isAdmin, getCouponCampaigns);
+router.post('/coupons/campaigns', auth, isAdmin, createCouponCampaign); // Bulk generate unique codes
+router.get('/coupons/campaigns/:campaignId/analytics', auth, isAdmin, getCouponCampaignAnalytics);
+router.get('/coupons/campaigns/:campaignId/export', auth, isAdmin, exportCouponCampaign); // CSV of the campaign codes
+router.patch('/coupons/campaigns/:campaignId/toggle', auth, isAdmin, toggleCouponCampaignStatus);
 
 // ================ ORDER ROUTES ================
 router.get('/orders', auth, isAdmin, getAllOrders);
 router.delete('/orders/:orderId', auth, isAdmin, deleteOrder);
 router.patch('/orders/:orderId/status', auth, isAdmin, updateOrderStatus);
+router.post('/orders/:orderId/refund', auth, isAdmin, refundOrder);
 router.get('/orders/export-pdf', auth, isAdmin, generateOrdersPDF);
 // ================ NOTIFICATION MANAGEMENT ROUTES ================
 router.post('/notifications/send', auth, isAdmin, sendNotification);
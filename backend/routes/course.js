@@ -32,6 +32,7 @@ const {
     createSection,
     updateSection,
     deleteSection,
+    reorderSections,
 } = require('../controllers/section');
 
 
@@ -39,7 +40,9 @@ const {
 const {
     createSubSection,
     updateSubSection,
-    deleteSubSection
+    deleteSubSection,
+    reorderSubSections,
+    moveSubSection
 } = require('../controllers/subSection');
 
 
@@ -54,6 +57,7 @@ const {
 // Middlewares
 const { auth, isAdmin, isInstructor, isStudent } = require('../middleware/auth')
 const { upload } = require('../middleware/multer')
+const { lessonFields } = require('../middleware/lessonMulter')
 
 
 // ********************************************************************************************************
@@ -66,11 +70,14 @@ router.post('/createCourse', auth, isInstructor, upload.single('thumbnailImage')
 router.post('/addSection', auth, isInstructor, createSection);
 router.post('/updateSection', auth, isInstructor, updateSection);
 router.post('/deleteSection', auth, isInstructor, deleteSection);
+router.post('/reorderSections', auth, isInstructor, reorderSections);
 
 // Subsection (Lecture) Management
-router.post('/addSubSection', auth, isInstructor, upload.single('video'), createSubSection);
-router.post('/updateSubSection', auth, isInstructor, upload.single('videoFile'), updateSubSection);
+router.post('/addSubSection', auth, isInstructor, lessonFields('video'), createSubSection);
+router.post('/updateSubSection', auth, isInstructor, lessonFields('videoFile'), updateSubSection);
 router.post('/deleteSubSection', auth, isInstructor, deleteSubSection);
+router.post('/reorderSubSections', auth, isInstructor, reorderSubSections);
+router.post('/moveSubSection', auth, isInstructor, moveSubSection);
 
 
 // Get Details for a Specific Courses
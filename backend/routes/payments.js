@@ -1,11 +1,15 @@
 const express = require('express');
 const router = express.Router();
 
-const { capturePayment, verifyPayment, getPurchaseHistory } = require('../controllers/payments');
+const { capturePayment, verifyPayment, getPurchaseHistory, getOrderInvoice, handlePaymentWebhook } = require('../controllers/payments');
 const { auth, isAdmin, isInstructor, isStudent } = require('../middleware/auth');
 
 router.post('/capturePayment', auth, isStudent, capturePayment);
 router.post('/verifyPayment', auth, isStudent, verifyPayment);
 router.get('/purchaseHistory', auth, isStudent, getPurchaseHistory);
+router.get('/invoice/:orderId', auth, getOrderInvoice);
+
+// Called by the payment gateway, authenticated by its signature instead of a token
+router.post('/webhook', handlePaymentWebhook);
 
 module.exports = router
@@ -0,0 +1,25 @@
+const express = require('express');
+const router = express.Router();
+
+const {
+    getQuestionBanks,
+    getQuestionBank,
+    createQuestionBank,
+    updateQuestionBank,
+    addBankQuestions,
+    removeBankQuestion,
+    deleteQuestionBank
+} = require('../controllers/questionBank');
+
+const { auth, isInstructor } = require('../middleware/auth');
+
+// Instructor and admin routes
+router.get('/', auth, isInstructor, getQuestionBanks);
+router.post('/', auth, isInstructor, createQuestionBank);
+router.get('/:bankId', auth, isInstructor, getQuestionBank);
+router.put('/:bankId', auth, isInstructor, updateQuestionBank);
+router.delete('/:bankId', auth, isInstructor, deleteQuestionBank);
+router.post('/:bankId/questions', auth, isInstructor, addBankQuestions);
+router.delete('/:bankId/questions/:questionId', auth, isInstructor, removeBankQuestion);
+
+module.exports = router;
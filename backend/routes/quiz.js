@@ -4,6 +4,7 @@ const quizController = require('../controllers/quiz');
 
 // Import middleware
 const { auth, isInstructor, isStudent, isAdmin } = require('../middleware/auth');
+const { codeRunLimiter } = require('../middleware/rateLimiter');
 const {
   createQuiz,
   updateQuiz,
@@ -12,8 +13,27 @@ const {
   getQuizResults,
   validateSectionAccess,
   submitQuiz,
-  getQuizStatus
+  getQuizStatus,
+  runCode,
+  getQuizSubmission,
+  getQuizAttempts,
+  getAttemptReview,
+  startQuizAttempt,
+  saveQuizAnswers
 } = require('../controllers/quiz');
+const {
+  getReviewSummary,
+  getReviewQueue,
+  gradeQuizAttempt,
+  getQuizItemAnalysis
+} = require('../controllers/quizReview');
+const { previewQuizImport, exportQuiz } = require('../controllers/quizTransfer');
+const {
+  getSimilarityFlags,
+  scanQuizSimilarity,
+  getSimilarityFlag,
+  reviewSimilarityFlag
+} = require('../controllers/quizSimilarity');
 
 // Routes
 router.get('/all', auth, getAllQuizzes);
@@ -29,8 +49,21 @@ router.post('/create', auth, (req, res, next) => {
   }
 }, createQuiz);
 router.get('/status/:quizId', auth, getQuizStatus);
+router.get('/submissions/:submissionId', auth, getQuizSubmission);
 router.get('/results/:quizId', auth, getQuizResults);
+router.get('/attempts/:quizId', auth, getQuizAttempts);
+router.get('/attempts/:attemptId/review', auth, getAttemptReview);
 router.get('/validate-access/:sectionId', auth, validateSectionAccess);
+router.get('/reviews', auth, isInstructor, getReviewSummary);
+router.get('/reviews/:quizId', auth, isInstructor, getReviewQueue);
+router.put('/reviews/attempts/:attemptId', auth, isInstructor, gradeQuizAttempt);
+router.get('/analysis/:quizId', auth, isInstructor, getQuizItemAnalysis);
+router.post('/import/preview', auth, isInstructor, previewQuizImport);
+router.get('/export/:quizId', auth, isInstructor, exportQuiz);
+router.get('/similarity/flags/:flagId', auth, isAdmin, getSimilarityFlag);
+router.put('/similarity/flags/:flagId', auth, isAdmin, reviewSimilarityFlag);
+router.get('/similarity/:quizId', auth, isAdmin, getSimilarityFlags);
+router.post('/similarity/:quizId/scan', auth, isAdmin, scanQuizSimilarity);
 router.get('/:quizId', auth, getQuizById);
 router.put('/update/:quizId', auth, (req, res, next) => {
   // Allow both admin and instructor to update quizzes
@@ -43,6 +76,9 @@ router.put('/update/:quizId', auth, (req, res, next) => {
     });
   }
 }, updateQuiz);
+router.post('/start', auth, startQuizAttempt);
+router.put('/save-answers', auth, saveQuizAnswers);
 router.post('/submit', auth, submitQuiz);
+router.post('/run-code', auth, codeRunLimiter, runCode);
 
 module.exports = router;
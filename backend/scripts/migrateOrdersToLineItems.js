@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+require('../models/course');
+const Order = require('../models/order');
+
+// Converts single-course orders ({ course, amount, status: Boolean }) into
+// the line-item format, keeping the old Boolean status as isActive
+const migrateOrdersToLineItems = async () => {
+    try {
+        // Connect to MongoDB
+        await mongoose.connect(process.env.MONGODB_URL, {
+            useNewUrlParser: true,
+            useUnifiedTopology: true,
+        });
+        console.log('Connected to MongoDB');
+
+        // Read the raw documents, the old fields are no longer in the schema
+        const legacyOrders = await Order.collection.find({
+            items: { $exists: false },
+            course: { $exists: true }
+        }).toArray();
+
+        console.log(`Found ${legacyOrders.length} orders to update`);
+
+        const Course = mongoose.model('Course');
+
+        for (const legacyOrder of legacyOrders) {
+            const course = await Course.findById(legacyOrder.course).select('courseName');
+            const amount = legacyOrder.amount || 0;
+
+            await Order.collection.updateOne(
+                { _id: legacyOrder._id },
+                {
+                    $set: {
+                        items: [{
+                            _id: new mongoose.Types.ObjectId(),
+                            course: legacyOrder.course,
+                            courseName: course?.courseName,
+                            price: amount,
+                            discount: 0,
+                            taxAmount: 0,
+                            amount,
+                            refundedAmount: 0,
+                            status: 'active'
+                        }],
+                        subtotal: amount,
+                        bundleDiscount: 0,
+                        couponDiscount: 0,
+                        taxRate: 0,
+                        taxAmount: 0,
+                        totalAmount: amount,
+                        currency: 'INR',
+                        status: 'paid',
+                        isActive: legacyOrder.status !== false,
+                        paidAt: legacyOrder.purchaseDate || legacyOrder.createdAt
+                    },
+                    $unset: { course: '', amount: '' }
+                }
+            );
+            console.log(`Updated order: ${legacyOrder._id}`);
+        }
+
+        // Lines written before refunds existed have no status; access queries match on it
+        const backfill = await Order.collection.updateMany(
+            { 'items.status': { $exists: false } },
+            { $set: { 'items.$[item].status': 'active', 'items.$[item].refundedAmount': 0 } },
+            { arrayFilters: [{ 'item.status': { $exists: false } }] }
+        );
+        console.log(`Backfilled line status on ${backfill.modifiedCount} orders`);
+
+        // The old per-course unique index doesn't apply to line items
+        const indexes = await Order.collection.indexes();
+        if (indexes.some(index => index.name === 'transactionId_1_course_1')) {
+            await Order.collection.dropIndex('transactionId_1_course_1');
+        }
+        await Order.syncIndexes();
+
+        console.log('Migration completed successfully');
+        process.exit(0);
+    } catch (error) {
+        console.error('Migration failed:', error);
+        process.exit(1);
+    }
+};
+
+migrateOrdersToLineItems();
@@ -25,6 +25,7 @@ const adminRoutes = require('./routes/admin');
 const studentProgressRoutes = require('./routes/admin/studentProgress');
 const courseAccessRoutes = require('./routes/courseAccess');
 const quizRoutes = require('./routes/quiz');
+const questionBankRoutes = require('./routes/questionBank');
 const certificateRoutes = require('./routes/certificate');
 const notificationRoutes = require('./routes/notification');
 const contactMessageRoutes = require('./routes/contactMessage');
@@ -199,8 +200,19 @@ io.on('connection', (socket) => {
 // Make io available to routes
 app.set('io', io);
 
+// Grade queued quiz code submissions and push results to students' rooms
+require('./services/gradingQueue').start(io);
+
 // Body parser middleware with increased limits
-app.use(express.json({ limit: '500mb' }));
+app.use(express.json({
+    limit: '500mb',
+    // Keep the raw body around for payment webhook signature checks
+    verify: (req, res, buf) => {
+        if (req.originalUrl.startsWith('/api/v1/payment/webhook')) {
+            req.rawBody = buf;
+        }
+    }
+}));
 app.use(express.urlencoded({ extended: true, limit: '500mb' }));
 
 // Increase timeout for large uploads
@@ -228,6 +240,7 @@ app.use('/api/v1/admin', adminRoutes);
 app.use('/api/v1/admin', studentProgressRoutes);
 app.use('/api/v1/course-access', courseAccessRoutes);
 app.use('/api/v1/quiz', quizRoutes);
+app.use('/api/v1/question-banks', questionBankRoutes);
 app.use('/api/v1/certificate', certificateRoutes);
 app.use('/api/v1/notification', notificationRoutes);
 app.use('/api/v1/contact', contactMessageRoutes);
@@ -0,0 +1,119 @@
+// Students reviewing a submitted attempt: their answers, which were right, the
+// correct answers and the instructor's explanations. The quiz's reviewPolicy says
+// when that's allowed, so retakes can't be answered from a review
+const { scoreAnswers } = require('./quizGrading');
+
+/**
+ * Why the student can't review their attempts at `quiz` yet, given their course
+ * progress entry for it and getRetakeStatus's attemptsRemaining, or null when they can
+ */
+exports.getReviewBlock = (quiz, quizResult, attemptsRemaining) => {
+    switch (quiz.reviewPolicy || 'never') {
+        case 'afterSubmit':
+            return null;
+        case 'afterPassing':
+            return quizResult?.passed ? null : 'Answers are shown once you pass this quiz';
+        case 'afterAttemptLimit':
+            // Passing ends retakes too
+            return quizResult?.passed || attemptsRemaining === 0
+                ? null
+                : 'Answers are shown once you have no attempts left';
+        default:
+            return 'Answers aren\'t shown for this quiz';
+    }
+};
+
+// The correct answer of a question, in terms of the options as the attempt showed
+// them (services/questionDraw.js). Code questions keep their solution hidden
+const getCorrectAnswer = (question) => {
+    switch (question.questionType) {
+        case 'singleAnswer':
+            return question.correctAnswer;
+        case 'multipleChoice':
+            return question.correctAnswers || [];
+        case 'shortAnswer':
+            return question.keywords || [];
+        case 'matchTheFollowing':
+            // The position in the shown answer column of each option's match
+            return question.matchKey || question.options.map((_, index) => index);
+        case 'numeric':
+            return {
+                numericAnswer: question.numericAnswer,
+                tolerance: question.tolerance || 0,
+                toleranceType: question.toleranceType || 'absolute'
+            };
+        case 'ordering': {
+            // The shown items, by position, in the correct order
+            const order = question.options.map((_, index) => index);
+            return question.orderKey
+                ? order.sort((a, b) => question.orderKey[a] - question.orderKey[b])
+                : order;
+        }
+        case 'cloze':
+            return (question.blanks || []).map(blank => blank.answers);
+        default:
+            return null;
+    }
+};
+
+/**
+ * What the student sees when reviewing `attempt` of `quiz`: one entry per question
+ * with their response, whether it was correct (null while waiting to be graded),
+ * the marks earned, the correct answer and the explanation
+ */
+exports.toAttemptReview = (attempt, quiz) => {
+    const questions = attempt.questions.length > 0
+        ? attempt.questions
+        : quiz.questions.map(question => question.toObject());
+    // Attempts made before responses were recorded are scored again for the review
+    const responses = attempt.responses.length > 0
+        ? attempt.responses
+        : scoreAnswers(questions, attempt.answers || {}).responses;
+
+    return {
+        attemptId: attempt._id,
+        attemptNumber: attempt.attemptNumber,
+        status: attempt.status,
+        score: attempt.score,
+        totalMarks: attempt.totalMarks,
+        percentage: attempt.percentage,
+        passed: attempt.passed,
+        submittedAt: attempt.submittedAt,
+        questions: questions.map((question, index) => {
+            const questionId = question._id.toString();
+            const response = responses.find(entry => entry.question.toString() === questionId) || {};
+            const review = attempt.reviews.find(entry => entry.question.toString() === questionId);
+            const codeResult = attempt.codeResults.find(entry => entry.question.toString() === questionId);
+
+            let correct = response.correct ?? null;
+            let earnedMarks = response.earnedMarks ?? null;
+            // Grades given after the responses were recorded
+            if (review?.status === 'graded') {
+                earnedMarks = review.score;
+                correct = review.score === review.maxScore;
+            } else if (codeResult) {
+                earnedMarks = codeResult.earnedMarks;
+                correct = codeResult.earnedMarks === codeResult.marks;
+            }
+
+            return {
+                questionId,
+                number: index + 1,
+                questionText: question.questionText,
+                questionType: question.questionType,
+                marks: question.marks,
+                options: question.options || [],
+                answers: question.questionType === 'matchTheFollowing' ? question.answers || [] : undefined,
+                units: question.questionType === 'numeric' ? question.units || [] : undefined,
+                response: response.response ?? null,
+                answered: Boolean(response.answered),
+                correct,
+                earnedMarks,
+                correctAnswer: getCorrectAnswer(question),
+                explanation: question.explanation || '',
+                comment: review?.comment || '',
+                codeResult: codeResult || null
+            };
+        })
+    };
+};
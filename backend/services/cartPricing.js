@@ -0,0 +1,172 @@
+// Prices a cart on the server, including the bundle discount and stacked coupons,
+// so the client never decides what it pays
+const Coupon = require('../models/coupon');
+const { roundAmount, buildOrderPricing, getBundleDiscountRate, getLineAmountsAfterBundle } = require('../utils/orderPricing');
+const { getCouponRejectionReason, applyCouponsToLines } = require('../utils/couponCalculator');
+const { createEligibilityContext, getEligibilityRejectionReason } = require('./couponEligibility');
+
+// Accepts a single code, a comma separated list or an array; returns unique uppercase codes
+const normalizeCouponCodes = (codes) => {
+    const list = Array.isArray(codes) ? codes : String(codes || '').split(',');
+    return [...new Set(list.map(code => String(code).trim().toUpperCase()).filter(Boolean))];
+};
+
+const getBundleDiscount = (courses, checkoutType) => {
+    if (checkoutType !== 'bundle') {
+        return 0;
+    }
+    const { subtotal } = buildOrderPricing(courses);
+    return subtotal - Math.round(subtotal * (1 - getBundleDiscountRate(courses.length)));
+};
+
+// Cart lines as the coupon calculator sees them: what is left after the bundle discount
+const getCartLines = (courses, bundleDiscount) => {
+    const lineAmounts = getLineAmountsAfterBundle(courses, bundleDiscount);
+    return courses.map((course, index) => ({
+        course: course._id,
+        category: course.category?._id || course.category,
+        amount: lineAmounts[index]
+    }));
+};
+
+const getStackDiscount = (applied) => roundAmount(applied.coupons.reduce((sum, { discount }) => sum + discount, 0));
+
+/**
+ * Price courses for a user with the given coupon codes. Returns { error } when a
+ * code is unknown (invalidCode) or can't be used (rejectedCoupon), otherwise the Order pricing fields plus
+ * couponBreakdown: [{ coupon, discount, lineDiscounts }] for showing per-line discounts
+ */
+exports.priceCart = async (courses, userId, couponCodes, checkoutType = 'course') => {
+    const bundleDiscount = getBundleDiscount(courses, checkoutType);
+    const codes = normalizeCouponCodes(couponCodes);
+
+    if (codes.length === 0) {
+        return { ...buildOrderPricing(courses, { bundleDiscount }), coupons: [], couponBreakdown: [] };
+    }
+
+    const coupons = await Coupon.find({ code: { $in: codes }, linkedTo: checkoutType });
+    const missingCode = codes.find(code => !coupons.some(coupon => coupon.code === code));
+    if (missingCode) {
+        return { error: `Invalid coupon code ${missingCode} or not applicable for this checkout type`, invalidCode: missingCode };
+    }
+
+    const { subtotal } = buildOrderPricing(courses);
+    const eligibilityContext = createEligibilityContext(userId);
+    for (const coupon of coupons) {
+        const rejectionReason = getCouponRejectionReason(coupon, userId, subtotal)
+            || await getEligibilityRejectionReason(coupon, eligibilityContext);
+        if (rejectionReason) {
+            return { error: coupons.length > 1 ? `${coupon.code}: ${rejectionReason}` : rejectionReason, rejectedCoupon: coupon };
+        }
+    }
+
+    const lines = getCartLines(courses, bundleDiscount);
+    const applied = applyCouponsToLines(coupons, lines);
+    if (applied.error) {
+        return { error: applied.error };
+    }
+
+    return {
+        ...buildOrderPricing(courses, { bundleDiscount, lineCouponDiscounts: applied.lineDiscounts }),
+        coupons: applied.coupons.map(({ coupon, discount }) => ({ coupon: coupon._id, code: coupon.code, discount })),
+        couponCode: applied.coupons.map(({ coupon }) => coupon.code).join(', '),
+        couponBreakdown: applied.coupons
+    };
+};
+
+/**
+ * Work out the best offer among the coupons shown on the storefront for this cart.
+ * Combinable coupons are stacked highest priority first, keeping each one that adds
+ * to the discount; the stack is then compared with the best coupon used on its own.
+ * Resolves to { best: { codes, discountAmount, finalAmount, coupons } | null, coupons },
+ * where coupons lists every candidate with its discount or the reason it isn't used
+ */
+exports.findBestCoupons = async (courses, userId, checkoutType = 'course') => {
+    const now = new Date();
+    const bundleDiscount = getBundleDiscount(courses, checkoutType);
+    const { subtotal, totalAmount } = buildOrderPricing(courses, { bundleDiscount });
+    const lines = getCartLines(courses, bundleDiscount);
+
+    const candidates = await Coupon.find({
+        showOnFront: true,
+        isActive: true,
+        linkedTo: checkoutType,
+        startDate: { $lte: now },
+        expiryDate: { $gt: now }
+    }).sort({ priority: -1, createdAt: -1 });
+
+    const eligibilityContext = createEligibilityContext(userId);
+    const evaluateCoupon = async (coupon) => {
+        const rejectionReason = getCouponRejectionReason(coupon, userId, subtotal)
+            || await getEligibilityRejectionReason(coupon, eligibilityContext);
+        if (rejectionReason) {
+            return { coupon, discount: 0, reason: rejectionReason };
+        }
+        const applied = applyCouponsToLines([coupon], lines);
+        if (applied.error) {
+            return { coupon, discount: 0, reason: applied.error };
+        }
+        if (applied.coupons[0].discount <= 0) {
+            return { coupon, discount: 0, reason: 'Gives no discount on this cart' };
+        }
+        return { coupon, discount: applied.coupons[0].discount, reason: null };
+    };
+
+    const evaluated = [];
+    for (const coupon of candidates) {
+        evaluated.push(await evaluateCoupon(coupon));
+    }
+    const usable = evaluated.filter(entry => !entry.reason);
+
+    // Greedy stack of combinable coupons; a coupon that adds nothing would only use up a redemption
+    let stack = [];
+    let stackDiscount = 0;
+    for (const { coupon } of usable.filter(entry => entry.coupon.isCombinable)) {
+        const applied = applyCouponsToLines([...stack, coupon], lines);
+        if (!applied.error && getStackDiscount(applied) > stackDiscount) {
+            stack = [...stack, coupon];
+            stackDiscount = getStackDiscount(applied);
+        }
+    }
+
+    const bestSingle = usable.reduce((best, entry) => (!best || entry.discount > best.discount ? entry : best), null);
+    if (bestSingle && bestSingle.discount >= stackDiscount) {
+        stack = [bestSingle.coupon];
+    }
+
+    let best = null;
+    if (stack.length > 0) {
+        const applied = applyCouponsToLines(stack, lines);
+        const discountAmount = getStackDiscount(applied);
+        best = {
+            codes: applied.coupons.map(({ coupon }) => coupon.code),
+            discountAmount,
+            finalAmount: roundAmount(totalAmount - discountAmount),
+            coupons: applied.coupons.map(({ coupon, discount }) => ({ code: coupon.code, discount }))
+        };
+    }
+
+    const stackIds = stack.map(coupon => coupon._id.toString());
+    const coupons = evaluated.map(({ coupon, discount, reason }) => {
+        const selected = stackIds.includes(coupon._id.toString());
+        let unusedReason = reason;
+        if (!selected && !reason) {
+            unusedReason = coupon.isCombinable && stack.every(c => c.isCombinable)
+                ? 'Adds nothing on top of the best offer'
+                : 'A better offer is available';
+        }
+        return {
+            code: coupon.code,
+            discountType: coupon.discountType,
+            discountValue: coupon.discountValue,
+            isCombinable: coupon.isCombinable,
+            discount,
+            selected,
+            reason: unusedReason
+        };
+    });
+
+    return { best, coupons };
+};
+
+exports.normalizeCouponCodes = normalizeCouponCodes;
@@ -1,30 +1,14 @@
-// Real code execution service using Piston API
-const fetch = require('node-fetch');
-
-// Rate limiting setup
-const rateLimiter = {
-  tokens: 5,
-  lastRefill: Date.now(),
-  refillRate: 2000, // 1 token per 2 seconds
-  maxTokens: 5
-};
-
-// Helper to check rate limit
-const checkRateLimit = () => {
-  const now = Date.now();
-  const timePassed = now - rateLimiter.lastRefill;
-  const tokensToAdd = Math.floor(timePassed / rateLimiter.refillRate);
-  
-  if (tokensToAdd > 0) {
-    rateLimiter.tokens = Math.min(rateLimiter.maxTokens, rateLimiter.tokens + tokensToAdd);
-    rateLimiter.lastRefill = now;
-  }
-
-  if (rateLimiter.tokens <= 0) {
-    throw new Error("Rate limit exceeded. Please wait a moment before trying again.");
-  }
-
-  rateLimiter.tokens--;
+// Runs submitted code with the executor chosen by CODE_EXECUTOR (config/codeExecution.js).
+// An executor exports `languages`, the language ids it can run, and
+// `run({ language, code, stdin })`, which resolves to { stdout, stderr, compileOutput,
+// compileFailed, exitCode, signal, timedOut, outputTruncated, time, memory } and
+// rejects only when the executor itself can't be used
+const config = require('../config/codeExecution');
+const { compareOutput } = require('../utils/outputComparison');
+
+const executors = {
+  piston: require('./codeExecutors/piston'),
+  local: require('./codeExecutors/local')
 };
 
 // Transform JavaScript code to work in Node.js environment
@@ -65,190 +49,80 @@ ${code}
   return wrappedCode;
 };
 
-// Transform Java code to handle input without displaying prompts
-const transformJavaCode = (code, customInput) => {
-  if (!code.includes('Scanner') && !code.includes('System.in')) {
-    return code;
+// Remove common input prompt patterns
+const inputPromptPatterns = [
+  /Enter\s+.*?:\s*/gi,
+  /Input\s+.*?:\s*/gi,
+  /Please\s+enter\s+.*?:\s*/gi,
+  /Enter\s+first\s+.*?:\s*/gi,
+  /Enter\s+second\s+.*?:\s*/gi,
+  /Enter\s+the\s+.*?:\s*/gi,
+  /Enter\s+a\s+string:\s*/gi,
+  /Enter\s+a\s+number:\s*/gi,
+  /Enter\s+value:\s*/gi,
+  /Enter\s+.*?number.*?:\s*/gi,
+  /Enter\s+.*?name.*?:\s*/gi,
+  /Enter\s+.*?text.*?:\s*/gi,
+  /Type\s+.*?:\s*/gi,
+  /Provide\s+.*?:\s*/gi,
+  /Give\s+.*?:\s*/gi
+];
+
+const getStatus = (result) => {
+  if (result.compileFailed) {
+    return { id: 6, description: "Compilation Error" };
   }
-
-  // Convert input to array of lines
-  const inputLines = customInput.split('\n').filter(line => line.trim());
-  
-  // Create a mock input stream with proper escaping
-  const mockInput = inputLines.join('\\n');
-  
-  // Replace Scanner with a custom implementation that doesn't show prompts
-  const transformedCode = code.replace(
-    /Scanner\s+(\w+)\s*=\s*new\s+Scanner\s*\(\s*System\.in\s*\)\s*;/g,
-    `Scanner $1 = new Scanner("${mockInput.replace(/"/g, '\\"')}");`
-  );
-
-  return transformedCode;
+  if (result.timedOut) {
+    return { id: 5, description: "Time Limit Exceeded" };
+  }
+  if (result.outputTruncated) {
+    return { id: 11, description: "Output Limit Exceeded" };
+  }
+  return result.exitCode === 0
+    ? { id: 3, description: "Accepted" }
+    : { id: 11, description: "Runtime Error" };
 };
 
+// Language ids the configured executor can run
+exports.getSupportedLanguages = () => executors[config.executor]?.languages || [];
+
 exports.executeCode = async (code, language, customInput = "") => {
   try {
-    // Check rate limit before executing
-    checkRateLimit();
-    
-    const pistonLanguageMap = {
-      javascript: "javascript",
-      python: "python",
-      java: "java",
-      cpp: "cpp",
-      c: "c",
-      go: "go",
-      rust: "rust",
-      ruby: "ruby",
-      csharp: "csharp",
-      kotlin: "kotlin",
-      typescript: "typescript",
-      sql: "sqlite"
-    };
+    const executor = executors[config.executor];
+    if (!executor) {
+      throw new Error(`Unknown code executor: ${config.executor}`);
+    }
 
-    const pistonLanguage = pistonLanguageMap[language];
-    if (!pistonLanguage) {
+    if (!executor.languages.includes(language)) {
       return {
         success: false,
+        // A problem of this server's setup, not of the code, so it must not be graded
+        retryable: true,
         error: `Language ${language} not supported`
       };
     }
 
-    // Transform code based on language
     let processedCode = code;
     let processedInput = customInput;
 
     if (language === 'javascript') {
       processedCode = transformJavaScriptCode(code, customInput);
       processedInput = ''; // Input is now handled within the code
-    } else if (language === 'kotlin') {
-      // Check if code needs Scanner (contains readLine, nextInt, etc.)
-      const needsScanner = code.includes('readLine') || code.includes('nextInt') || code.includes('nextDouble') || code.includes('next()') || code.includes('scanner.');
-      
-      // Ensure Kotlin code has proper main function structure
-      if (!code.includes('fun main')) {
-        if (needsScanner && customInput && customInput.trim()) {
-          processedCode = `
-import java.util.*
-
-fun main() {
-    val scanner = Scanner(System.\`in\`)
-${code.split('\n').map(line => '    ' + line).join('\n')}
-}`;
-        } else {
-          processedCode = `
-fun main() {
-${code.split('\n').map(line => '    ' + line).join('\n')}
-}`;
-        }
-      } else if (needsScanner && customInput && customInput.trim() && !code.includes('Scanner')) {
-        // Add Scanner import if needed but main function exists
-        processedCode = `import java.util.*
-
-${code}`;
-      }
-    }
-    // For other languages, we'll use the normal stdin approach
-
-    // Determine the correct filename and extension
-    let fileName = 'main';
-    if (language === 'java') {
-      fileName = 'Main.java';
-    } else if (language === 'cpp') {
-      fileName = 'main.cpp';
-    } else if (language === 'c') {
-      fileName = 'main.c';
-    } else if (language === 'go') {
-      fileName = 'main.go';
-    } else if (language === 'rust') {
-      fileName = 'main.rs';
-    } else if (language === 'ruby') {
-      fileName = 'main.rb';
-    } else if (language === 'python') {
-      fileName = 'main.py';
-    } else if (language === 'javascript') {
-      fileName = 'main.js';
-    } else if (language === 'typescript') {
-      fileName = 'main.ts';
-    } else if (language === 'csharp') {
-      fileName = 'main.cs';
-    } else if (language === 'kotlin') {
-      fileName = 'main.kt';
-    } else if (language === 'sql') {
-      fileName = 'main.sql';
-      // Add SQLite setup commands
-      processedCode = `
--- Enable column headers in output
-.headers on
-.mode column
-
--- Create temporary in-memory database
-.open :memory:
-
--- Execute user's SQL code
-${code}`;
     }
 
-    const pistonData = {
-      language: pistonLanguage,
-      version: "*",
-      files: [
-        {
-          name: fileName,
-          content: processedCode
-        }
-      ],
-      stdin: processedInput,
-      // Add compilation and runtime args - increase timeouts for Kotlin
-      compile_timeout: language === 'kotlin' ? 30000 : 10000,
-      run_timeout: language === 'kotlin' ? 15000 : 10000,
-      compile_memory_limit: -1,
-      run_memory_limit: -1
-    };
-
-    const response = await fetch("https://emkc.org/api/v2/piston/execute", {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-      },
-      body: JSON.stringify(pistonData)
-    });
-
-    if (!response.ok) {
-      throw new Error(`Execution API error: ${response.status}`);
-    }
+    const result = await executor.run({ language, code: processedCode, stdin: processedInput });
 
-    const result = await response.json();
+    // Output for display and lenient comparison: prompts and blank lines removed.
+    // rawStdout keeps what the program printed, for exact comparison
+    let stdout = result.stdout;
 
-    // Get clean output
-    let stdout = result.run.stdout || "";
-    
     // Clean input prompts from output for all languages
     if (language !== 'javascript') {
-      // Remove common input prompt patterns
-      const inputPromptPatterns = [
-        /Enter\s+.*?:\s*/gi,
-        /Input\s+.*?:\s*/gi,
-        /Please\s+enter\s+.*?:\s*/gi,
-        /Enter\s+first\s+.*?:\s*/gi,
-        /Enter\s+second\s+.*?:\s*/gi,
-        /Enter\s+the\s+.*?:\s*/gi,
-        /Enter\s+a\s+string:\s*/gi,
-        /Enter\s+a\s+number:\s*/gi,
-        /Enter\s+value:\s*/gi,
-        /Enter\s+.*?number.*?:\s*/gi,
-        /Enter\s+.*?name.*?:\s*/gi,
-        /Enter\s+.*?text.*?:\s*/gi,
-        /Type\s+.*?:\s*/gi,
-        /Provide\s+.*?:\s*/gi,
-        /Give\s+.*?:\s*/gi
-      ];
-      
       for (const pattern of inputPromptPatterns) {
         stdout = stdout.replace(pattern, '');
       }
     }
-    
+
     // Clean up extra newlines and whitespace
     stdout = stdout.replace(/\n\s*\n/g, '\n').trim();
 
@@ -256,20 +130,24 @@ ${code}`;
       success: true,
       data: {
         stdout,
-        stderr: result.run.stderr || "",
-        compile_output: result.compile?.stderr || "",
-        status: { 
-          id: result.run.code === 0 ? 3 : 6, 
-          description: result.run.code === 0 ? "Accepted" : "Runtime Error" 
-        },
-        time: result.run.time || "0.01",
-        memory: result.run.memory || 1024
+        rawStdout: result.stdout,
+        stderr: result.stderr,
+        compile_output: result.compileOutput,
+        status: getStatus(result),
+        time: result.time,
+        memory: result.memory,
+        exitCode: result.exitCode,
+        signal: result.signal,
+        timedOut: result.timedOut,
+        truncated: result.outputTruncated
       }
     };
   } catch (error) {
     console.error("Code execution error:", error);
     return {
       success: false,
+      // The executor failed rather than the code, so running again may work
+      retryable: true,
       error: error.message.includes("Rate limit exceeded") 
         ? "Too many requests. Please wait a few seconds before trying again."
         : error.message
@@ -277,56 +155,60 @@ ${code}`;
   }
 };
 
-// Helper function to add delay between requests
-const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-
-// Validate code with test cases using real execution
-exports.validateCodeWithTestCases = async (code, language, testCases) => {
-  // Execute test cases with a small delay between each to avoid rate limiting
-  const testPromises = testCases.map((testCase, index) => 
-    delay(index * 200).then(() => exports.executeCode(code, language, testCase.input)
-      .then(result => {
-        if (result.success) {
-          const cleanOutput = (output) => output.trim().replace(/\r\n/g, '\n');
-          const expectedOutput = cleanOutput(testCase.expectedOutput);
-          const actualOutput = cleanOutput(result.data.stdout || '');
-          
-          const passed = expectedOutput === actualOutput;
-          
-          return {
-            passed,
-            input: testCase.input,
-            expectedOutput,
-            actualOutput,
-            error: result.data.stderr || null
-          };
-        } else {
-          return {
-            passed: false,
-            input: testCase.input,
-            expectedOutput: testCase.expectedOutput,
-            actualOutput: "",
-            error: result.error || "Execution failed"
-          };
-        }
-      })
-      .catch(error => ({
-        passed: false,
+/**
+ * Run code against test cases one after another, judging output with
+ * `comparison` ({ mode, tolerance }, see utils/outputComparison.js). Resolves to
+ * { compileOutput, results } with one result per test case, or no results when the
+ * code doesn't compile. Exact comparison judges the output as printed; the other
+ * modes judge it with input prompts and blank lines removed. A result is { index, input, expectedOutput, actualOutput,
+ * passed, status, stderr, exitCode, time, timedOut, truncated }; `index` is the
+ * position in `testCases` unless the test case carries its own
+ */
+exports.runTestCases = async (code, language, testCases, comparison = {}) => {
+  const results = [];
+
+  for (const [position, testCase] of testCases.entries()) {
+    const execution = await exports.executeCode(code, language, testCase.input || '');
+    const index = testCase.index ?? position;
+
+    if (!execution.success) {
+      results.push({
+        index,
         input: testCase.input,
         expectedOutput: testCase.expectedOutput,
-        actualOutput: "",
-        error: error.message
-      })))
-  );
+        actualOutput: '',
+        passed: false,
+        status: { id: 13, description: 'Internal Error' },
+        stderr: execution.error,
+        exitCode: null,
+        time: null,
+        timedOut: false,
+        truncated: false,
+        retryable: !!execution.retryable
+      });
+      continue;
+    }
+
+    const { data } = execution;
+    if (data.status.id === 6) {
+      return { compileOutput: data.compile_output, results: [] };
+    }
 
-  // Wait for all test cases to complete
-  const results = await Promise.all(testPromises);
-  const passedCount = results.filter(r => r.passed).length;
+    const actualOutput = comparison.mode === 'exact' ? data.rawStdout : data.stdout;
+    results.push({
+      index,
+      input: testCase.input,
+      expectedOutput: testCase.expectedOutput,
+      actualOutput,
+      passed: compareOutput(testCase.expectedOutput, actualOutput, comparison),
+      status: data.status,
+      stderr: data.stderr,
+      exitCode: data.exitCode,
+      time: data.time,
+      timedOut: data.timedOut,
+      truncated: data.truncated
+    });
+  }
 
-  return {
-    results,
-    passedCount,
-    totalCount: testCases.length,
-    allPassed: passedCount === testCases.length
-  };
+  return { compileOutput: '', results };
 };
@@ -0,0 +1,273 @@
+// Executor that runs submissions on this server. Each run gets its own directory and
+// is started through `unshare` in fresh user, network, mount and PID namespaces, so
+// it has no network, cannot see other processes and is gone as soon as we kill it.
+// The run is moved into a root of its own with `pivot_root`: the system paths
+// read-only, its directory as /box and a small /tmp are the only writable places.
+// Inside, capabilities are dropped with `setpriv` and rlimits set with `prlimit`
+// (CPU time, address space, file size).
+// Needs util-linux and a kernel that allows unprivileged user namespaces
+const { spawn } = require('child_process');
+const fsp = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const config = require('../../config/codeExecution');
+
+const { limits, compileLimits } = config;
+const { workRoot, commands, maxConcurrentRuns } = config.local;
+
+const LANGUAGES = {
+    javascript: {
+        fileName: 'main.js',
+        // V8 reserves far more address space than it uses, so cap its heap instead
+        run: [process.execPath, `--max-old-space-size=${limits.memoryMb}`, 'main.js'],
+        limitAddressSpace: false
+    },
+    python: {
+        fileName: 'main.py',
+        run: [commands.python, 'main.py']
+    },
+    c: {
+        fileName: 'main.c',
+        compile: [commands.gcc, '-O2', '-std=c17', '-o', 'main', 'main.c', '-lm'],
+        run: ['./main']
+    },
+    cpp: {
+        fileName: 'main.cpp',
+        compile: [commands.gxx, '-O2', '-std=c++17', '-o', 'main', 'main.cpp'],
+        run: ['./main']
+    }
+};
+
+const UNSHARE_ARGS = ['--user', '--map-root-user', '--net', '--mount', '--pid', '--fork', '--kill-child', '--mount-proc'];
+const SETPRIV_ARGS = ['--inh-caps=-all', '--bounding-set=-all', '--no-new-privs'];
+
+// Runs as root of the new user namespace. Builds the run's root on a tmpfs over the
+// work root: the system paths bound read-only, this run's directory (still our cwd)
+// as /box, a size-limited /tmp, a few devices and a fresh /proc. Then switches to it
+// and drops the old root, so nothing else of the host filesystem is reachable
+const SANDBOX_SCRIPT = [
+    'cd "$1" || exit 125',
+    'root=$2; tmp_size=$3; count=$4; shift 4',
+    'mount -t tmpfs -o size=64k,mode=0755 tmpfs "$root" || exit 125',
+    'mkdir "$root/box" "$root/tmp" "$root/dev" "$root/proc" || exit 125',
+    'mount --bind /proc/self/cwd "$root/box" || exit 125',
+    'mount -t tmpfs -o "size=$tmp_size,mode=1777" tmpfs "$root/tmp" || exit 125',
+    'while [ "$count" -gt 0 ]; do',
+    '  target=$root$1',
+    '  if [ -L "$1" ]; then',
+    '    mkdir -p "${target%/*}" && ln -s "$(readlink "$1")" "$target" || exit 125',
+    '  elif [ -e "$1" ]; then',
+    '    if [ -d "$1" ]; then mkdir -p "$target"; else mkdir -p "${target%/*}" && : > "$target"; fi || exit 125',
+    '    mount --bind "$1" "$target" && mount -o remount,bind,ro "$target" || exit 125',
+    '  fi',
+    '  shift; count=$((count - 1))',
+    'done',
+    'for device in null zero random urandom; do',
+    '  : > "$root/dev/$device" && mount --bind "/dev/$device" "$root/dev/$device" || exit 125',
+    'done',
+    'mount -t proc proc "$root/proc" || exit 125',
+    'cd "$root" && mkdir .old && pivot_root . .old && umount -l /.old && rmdir /.old || exit 125',
+    'mount -o remount,ro / || exit 125',
+    // Not exec: the program must not be PID 1, which ignores signals it has no handler for
+    'cd /box && "$@"'
+].join('\n');
+
+const isWithin = (parent, child) => {
+    const relative = path.relative(parent, child);
+    return !relative.startsWith('..') && !path.isAbsolute(relative);
+};
+
+// Node runs the JavaScript submissions, so its binary must be in the run's root too
+const systemPaths = config.local.systemPaths.some(systemPath => isWithin(systemPath, process.execPath))
+    ? config.local.systemPaths
+    : [...config.local.systemPaths, process.execPath];
+
+// Run `command` in `workDir` inside the sandbox. Never rejects: limits that were hit
+// are reported through timedOut and outputTruncated
+const runSandboxed = (workDir, command, runLimits, stdin = '') => new Promise((resolve) => {
+    const rlimits = [
+        `--cpu=${runLimits.cpuSeconds}`,
+        `--fsize=${limits.fileSizeMb * 1024 * 1024}`,
+        '--nofile=64',
+        '--core=0'
+    ];
+    if (runLimits.limitAddressSpace !== false) {
+        rlimits.push(`--as=${runLimits.memoryMb * 1024 * 1024}`);
+    }
+
+    const startedAt = process.hrtime.bigint();
+    const child = spawn('unshare', [
+        ...UNSHARE_ARGS,
+        'sh', '-c', SANDBOX_SCRIPT, 'sandbox',
+        workDir, workRoot, `${limits.fileSizeMb}m`, String(systemPaths.length), ...systemPaths,
+        'setpriv', ...SETPRIV_ARGS,
+        'prlimit', ...rlimits, '--',
+        ...command
+    ], {
+        cwd: workDir,
+        env: { PATH: process.env.PATH, HOME: '/box', TMPDIR: '/tmp', LANG: 'C.UTF-8' },
+        detached: true
+    });
+
+    const output = { stdout: [], stderr: [] };
+    let outputBytes = 0;
+    let outputTruncated = false;
+    let timedOut = false;
+    let killed = false;
+
+    // The whole process group; --kill-child then takes down everything in the PID namespace
+    const kill = () => {
+        killed = true;
+        try {
+            process.kill(-child.pid, 'SIGKILL');
+        } catch (error) {
+            // Already exited
+        }
+    };
+
+    const timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+    }, runLimits.wallTimeMs);
+
+    const collect = (stream) => (chunk) => {
+        const room = limits.outputBytes - outputBytes;
+        if (chunk.length > room) {
+            output[stream].push(chunk.subarray(0, Math.max(room, 0)));
+            outputBytes = limits.outputBytes;
+            if (!outputTruncated) {
+                outputTruncated = true;
+                kill();
+            }
+            return;
+        }
+        output[stream].push(chunk);
+        outputBytes += chunk.length;
+    };
+    child.stdout.on('data', collect('stdout'));
+    child.stderr.on('data', collect('stderr'));
+
+    // The program may exit without reading its input
+    child.stdin.on('error', () => {});
+    child.stdin.end(stdin);
+
+    const finish = (exitCode, signal, error) => {
+        clearTimeout(timer);
+        // The sandbox shell reports a program killed by a signal as exit code 128 + signal
+        if (exitCode > 128) {
+            signal = Object.keys(os.constants.signals).find(name => os.constants.signals[name] === exitCode - 128) || null;
+            exitCode = signal ? null : exitCode;
+        }
+        resolve({
+            stdout: Buffer.concat(output.stdout).toString('utf8'),
+            stderr: error ? error.message : Buffer.concat(output.stderr).toString('utf8'),
+            exitCode,
+            signal,
+            // SIGKILL that we didn't send comes from the hard CPU limit
+            timedOut: timedOut || signal === 'SIGXCPU' || (signal === 'SIGKILL' && !killed),
+            outputTruncated,
+            time: (Number(process.hrtime.bigint() - startedAt) / 1e9).toFixed(3)
+        });
+    };
+    child.on('error', (error) => finish(null, null, error));
+    child.on('close', finish);
+});
+
+// Runs of the local executor share this server's CPU, so only a few go at once
+let activeRuns = 0;
+const waitingRuns = [];
+
+const acquireRunSlot = () => new Promise((resolve) => {
+    if (activeRuns < maxConcurrentRuns) {
+        activeRuns++;
+        resolve();
+    } else {
+        waitingRuns.push(resolve);
+    }
+});
+
+const releaseRunSlot = () => {
+    const next = waitingRuns.shift();
+    if (next) {
+        next();
+    } else {
+        activeRuns--;
+    }
+};
+
+const createWorkDir = async () => {
+    await fsp.mkdir(workRoot, { recursive: true, mode: 0o700 });
+    return fsp.mkdtemp(path.join(workRoot, 'run-'));
+};
+
+// Whether namespaces work here, checked once by running `true` in the sandbox
+let sandboxCheck = null;
+const checkSandbox = () => {
+    if (!sandboxCheck) {
+        sandboxCheck = (async () => {
+            const workDir = await createWorkDir();
+            try {
+                const result = await runSandboxed(workDir, ['true'], { ...limits, wallTimeMs: 5000 });
+                if (result.exitCode !== 0) {
+                    console.error('Code sandbox check failed:', result.stderr);
+                }
+                return result.exitCode === 0;
+            } finally {
+                await fsp.rm(workDir, { recursive: true, force: true });
+            }
+        })();
+    }
+    return sandboxCheck;
+};
+
+exports.languages = Object.keys(LANGUAGES);
+
+exports.run = async ({ language, code, stdin }) => {
+    if (!(await checkSandbox())) {
+        throw new Error('Code sandbox is not available on this server');
+    }
+
+    const spec = LANGUAGES[language];
+    await acquireRunSlot();
+    const workDir = await createWorkDir().catch((error) => {
+        releaseRunSlot();
+        throw error;
+    });
+
+    try {
+        await fsp.writeFile(path.join(workDir, spec.fileName), code);
+
+        if (spec.compile) {
+            const compiled = await runSandboxed(workDir, spec.compile, compileLimits);
+            if (compiled.exitCode !== 0) {
+                return {
+                    stdout: '',
+                    stderr: '',
+                    compileOutput: compiled.timedOut ? 'Compilation timed out' : compiled.stderr || compiled.stdout,
+                    compileFailed: true,
+                    exitCode: null,
+                    signal: null,
+                    timedOut: false,
+                    outputTruncated: false,
+                    time: compiled.time,
+                    memory: null
+                };
+            }
+        }
+
+        const result = await runSandboxed(workDir, spec.run, {
+            ...limits,
+            limitAddressSpace: spec.limitAddressSpace
+        }, stdin);
+
+        return {
+            ...result,
+            compileOutput: '',
+            compileFailed: false,
+            memory: null
+        };
+    } finally {
+        await fsp.rm(workDir, { recursive: true, force: true });
+        releaseRunSlot();
+    }
+};
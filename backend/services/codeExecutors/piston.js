@@ -0,0 +1,161 @@
+// Executor backed by a Piston API (https://github.com/engineer-man/piston)
+const fetch = require('node-fetch');
+const config = require('../../config/codeExecution');
+
+// Rate limiting setup
+const rateLimiter = {
+  tokens: 5,
+  lastRefill: Date.now(),
+  refillRate: 2000, // 1 token per 2 seconds
+  maxTokens: 5
+};
+
+// Helper to check rate limit
+const checkRateLimit = () => {
+  const now = Date.now();
+  const timePassed = now - rateLimiter.lastRefill;
+  const tokensToAdd = Math.floor(timePassed / rateLimiter.refillRate);
+
+  if (tokensToAdd > 0) {
+    rateLimiter.tokens = Math.min(rateLimiter.maxTokens, rateLimiter.tokens + tokensToAdd);
+    rateLimiter.lastRefill = now;
+  }
+
+  if (rateLimiter.tokens <= 0) {
+    throw new Error("Rate limit exceeded. Please wait a moment before trying again.");
+  }
+
+  rateLimiter.tokens--;
+};
+
+const pistonLanguageMap = {
+  javascript: "javascript",
+  python: "python",
+  java: "java",
+  cpp: "cpp",
+  c: "c",
+  go: "go",
+  rust: "rust",
+  ruby: "ruby",
+  csharp: "csharp",
+  kotlin: "kotlin",
+  typescript: "typescript",
+  sql: "sqlite"
+};
+
+const fileNames = {
+  java: 'Main.java',
+  cpp: 'main.cpp',
+  c: 'main.c',
+  go: 'main.go',
+  rust: 'main.rs',
+  ruby: 'main.rb',
+  python: 'main.py',
+  javascript: 'main.js',
+  typescript: 'main.ts',
+  csharp: 'main.cs',
+  kotlin: 'main.kt',
+  sql: 'main.sql'
+};
+
+// Ensure Kotlin code has proper main function structure
+const transformKotlinCode = (code, stdin) => {
+  // Check if code needs Scanner (contains readLine, nextInt, etc.)
+  const needsScanner = code.includes('readLine') || code.includes('nextInt') || code.includes('nextDouble') || code.includes('next()') || code.includes('scanner.');
+
+  if (!code.includes('fun main')) {
+    if (needsScanner && stdin && stdin.trim()) {
+      return `
+import java.util.*
+
+fun main() {
+    val scanner = Scanner(System.\`in\`)
+${code.split('\n').map(line => '    ' + line).join('\n')}
+}`;
+    }
+    return `
+fun main() {
+${code.split('\n').map(line => '    ' + line).join('\n')}
+}`;
+  }
+
+  if (needsScanner && stdin && stdin.trim() && !code.includes('Scanner')) {
+    // Add Scanner import if needed but main function exists
+    return `import java.util.*
+
+${code}`;
+  }
+
+  return code;
+};
+
+// Add SQLite setup commands
+const transformSqlCode = (code) => `
+-- Enable column headers in output
+.headers on
+.mode column
+
+-- Create temporary in-memory database
+.open :memory:
+
+-- Execute user's SQL code
+${code}`;
+
+exports.languages = Object.keys(pistonLanguageMap);
+
+exports.run = async ({ language, code, stdin }) => {
+  // Check rate limit before executing
+  checkRateLimit();
+
+  let processedCode = code;
+  if (language === 'kotlin') {
+    processedCode = transformKotlinCode(code, stdin);
+  } else if (language === 'sql') {
+    processedCode = transformSqlCode(code);
+  }
+
+  const pistonData = {
+    language: pistonLanguageMap[language],
+    version: "*",
+    files: [
+      {
+        name: fileNames[language],
+        content: processedCode
+      }
+    ],
+    stdin,
+    // Add compilation and runtime args - increase timeouts for Kotlin
+    compile_timeout: language === 'kotlin' ? 30000 : 10000,
+    run_timeout: language === 'kotlin' ? 15000 : 10000,
+    compile_memory_limit: -1,
+    run_memory_limit: -1
+  };
+
+  const response = await fetch(config.pistonUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify(pistonData)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Execution API error: ${response.status}`);
+  }
+
+  const result = await response.json();
+  const compileFailed = !!result.compile && result.compile.code !== 0;
+
+  return {
+    stdout: result.run?.stdout || "",
+    stderr: result.run?.stderr || "",
+    compileOutput: result.compile?.stderr || "",
+    compileFailed,
+    exitCode: compileFailed ? null : result.run?.code ?? null,
+    signal: result.run?.signal || null,
+    timedOut: result.run?.signal === 'SIGKILL',
+    outputTruncated: false,
+    time: result.run?.time || "0.01",
+    memory: result.run?.memory || 1024
+  };
+};
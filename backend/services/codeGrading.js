@@ -0,0 +1,113 @@
+// Grading of codeSolve answers. Marks are split across test cases by weight, and
+// nothing about hidden test cases beyond pass/fail ever goes back to the student
+const { runTestCases } = require('./codeExecution');
+
+const roundMarks = (marks) => Math.round(marks * 100) / 100;
+
+// Longest output kept per failed test case for item analysis
+const MAX_WRONG_OUTPUT_LENGTH = 200;
+
+// What a failed test case produced, for the instructor's item analysis
+const toWrongOutput = (result) => {
+    let output = result.actualOutput || '';
+    if (result.timedOut) {
+        output = 'Time limit exceeded';
+    } else if (output.trim() === '' && result.stderr) {
+        output = result.status?.description || 'Runtime error';
+    }
+    return { testCase: result.index, output: output.trim().slice(0, MAX_WRONG_OUTPUT_LENGTH) };
+};
+
+const plainTestCase = (testCase) => (testCase.toObject ? testCase.toObject() : testCase);
+
+const getComparison = (question) => ({
+    mode: question.outputComparison || 'trim',
+    tolerance: question.floatTolerance ?? 1e-6
+});
+
+// What a student may see of one test result
+const toStudentTestResult = (result, testCase) => {
+    const base = {
+        index: result.index,
+        passed: result.passed,
+        weight: testCase.weight ?? 1,
+        status: result.status
+    };
+    if (testCase.isHidden) {
+        return { ...base, hidden: true };
+    }
+    return {
+        ...base,
+        input: result.input,
+        expectedOutput: result.expectedOutput,
+        actualOutput: result.actualOutput,
+        stderr: result.stderr,
+        exitCode: result.exitCode,
+        time: result.time,
+        timedOut: result.timedOut,
+        truncated: result.truncated
+    };
+};
+
+/**
+ * Run an answer ({ code, language }) against every test case of the question.
+ * Resolves to { earnedMarks, isCorrect, compileOutput, testResults, wrongOutputs }
+ * where testResults are safe to return to the student and wrongOutputs, for
+ * instructors only, has the output of every failed test case (hidden ones too).
+ * Rejects when the executor fails
+ */
+exports.gradeCodeAnswer = async (question, answer) => {
+    const language = question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage;
+    const testCases = question.testCases.map((testCase, index) => ({ ...plainTestCase(testCase), index }));
+
+    const { compileOutput, results } = await runTestCases(answer.code, language, testCases, getComparison(question));
+
+    // Don't grade on an executor outage; the grading queue retries instead
+    const executorFailure = results.find(result => result.retryable);
+    if (executorFailure) {
+        throw new Error(executorFailure.stderr);
+    }
+
+    // All weights at zero means the test cases count equally
+    const weightOf = (testCase) => (testCase.weight ?? 1);
+    const totalWeight = testCases.reduce((sum, testCase) => sum + weightOf(testCase), 0);
+    const useWeights = totalWeight > 0;
+    const passedWeight = results
+        .filter(result => result.passed)
+        .reduce((sum, result) => sum + (useWeights ? weightOf(testCases[result.index]) : 1), 0);
+    const earnedMarks = testCases.length > 0
+        ? roundMarks(question.marks * passedWeight / (useWeights ? totalWeight : testCases.length))
+        : 0;
+
+    return {
+        earnedMarks,
+        isCorrect: results.length === testCases.length && results.every(result => result.passed),
+        compileOutput,
+        testResults: results.map(result => toStudentTestResult(result, testCases[result.index])),
+        wrongOutputs: results.length === 0 && compileOutput
+            ? [{ testCase: null, output: 'Compilation error' }]
+            : results.filter(result => !result.passed).map(toWrongOutput)
+    };
+};
+
+exports.getComparison = getComparison;
+
+// A quiz as students get it: hidden test cases reduced to their weight, no solutions
+exports.toStudentQuiz = (quiz) => {
+    const data = quiz.toObject ? quiz.toObject() : quiz;
+    return {
+        ...data,
+        questions: data.questions.map((question) => {
+            if (question.questionType !== 'codeSolve') {
+                return question;
+            }
+            const { solutionCode, ...rest } = question;
+            return {
+                ...rest,
+                testCases: (question.testCases || []).map(testCase => (testCase.isHidden
+                    ? { _id: testCase._id, isHidden: true, weight: testCase.weight }
+                    : testCase))
+            };
+        })
+    };
+};
@@ -0,0 +1,367 @@
+// Similarity checks between students' code answers, to spot copied solutions. Code is
+// reduced to tokens with identifiers, literals, comments and whitespace normalized
+// away, so renaming variables or reformatting doesn't hide a copy. The tokens are
+// fingerprinted by winnowing their k-gram hashes (Schleimer et al., "Winnowing:
+// Local Algorithms for Document Fingerprinting") and answers to the same question
+// that share most of their fingerprints are flagged for an admin. Runs in-process,
+// with nothing sent to outside services
+const CodeSubmission = require('../models/codeSubmission');
+const SimilarityFlag = require('../models/similarityFlag');
+const QuizAttempt = require('../models/quizAttempt');
+const { refreshQuizResult } = require('./quizResults');
+const { refreshCertificateForStudent } = require('../utils/certificateRegeneration');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+// Tokens per hashed k-gram, and hashes per winnowing window. Any run of at least
+// KGRAM_LENGTH + WINNOW_WINDOW - 1 tokens shared by two answers is caught
+const KGRAM_LENGTH = 5;
+const WINNOW_WINDOW = 4;
+const SIMILARITY_THRESHOLD = Number(process.env.CODE_SIMILARITY_THRESHOLD) || 0.8;
+// Answers this short look alike whether copied or not
+const MIN_FINGERPRINTS = 8;
+// Longer answers are diffed on their first lines only
+const MAX_DIFF_LINES = 1500;
+
+const KEYWORDS = new Set([
+    // Shared by most of the languages
+    'if', 'else', 'for', 'while', 'do', 'switch', 'case', 'default', 'break', 'continue',
+    'return', 'try', 'catch', 'finally', 'throw', 'new', 'class', 'import', 'true', 'false',
+    // JavaScript
+    'function', 'var', 'let', 'const', 'of', 'in', 'typeof', 'instanceof', 'null', 'undefined',
+    'this', 'async', 'await', 'yield', 'delete', 'extends', 'super', 'export',
+    // Python
+    'def', 'elif', 'lambda', 'pass', 'None', 'True', 'False', 'and', 'or', 'not', 'is',
+    'from', 'as', 'with', 'global', 'nonlocal', 'except', 'raise', 'assert', 'del',
+    // Java, C and C++
+    'public', 'private', 'protected', 'static', 'final', 'void', 'int', 'long', 'short',
+    'float', 'double', 'char', 'boolean', 'bool', 'byte', 'unsigned', 'signed', 'struct',
+    'enum', 'sizeof', 'include', 'define', 'using', 'namespace', 'template', 'typename',
+    'auto', 'throws', 'implements', 'interface', 'abstract', 'package', 'nullptr', 'NULL',
+    // Go
+    'func', 'go', 'defer', 'chan', 'select', 'map', 'range', 'type', 'fallthrough', 'goto', 'nil'
+]);
+
+const STRING_PATTERN = '"""[\\s\\S]*?(?:"""|$)|\'\'\'[\\s\\S]*?(?:\'\'\'|$)|"(?:\\\\.|[^"\\\\\\n])*"?|\'(?:\\\\.|[^\'\\\\\\n])*\'?|`(?:\\\\.|[^`\\\\])*`?';
+// Python comments start with #, which is floor division's // elsewhere; the C family's
+// # lines are preprocessor directives, kept as code
+const COMMENT_PATTERNS = {
+    python: '#[^\\n]*',
+    default: '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?(?:\\*\\/|$)'
+};
+
+const tokenPattern = (language) => new RegExp(
+    `(${COMMENT_PATTERNS[language] || COMMENT_PATTERNS.default})|(${STRING_PATTERN})|(\\d[\\w.]*)|([A-Za-z_$][\\w$]*)|(\\S)`,
+    'g'
+);
+
+/**
+ * The normalized tokens of `code`: keywords and punctuation as they are, every other
+ * identifier as 'I', strings as 'S' and numbers as 'N'. Comments and whitespace go
+ */
+exports.tokenize = (code, language) => {
+    const tokens = [];
+    for (const [, comment, string, number, word, symbol] of String(code || '').matchAll(tokenPattern(language))) {
+        if (comment) {
+            continue;
+        }
+        if (string) {
+            tokens.push('S');
+        } else if (number) {
+            tokens.push('N');
+        } else if (word) {
+            tokens.push(KEYWORDS.has(word) ? word : 'I');
+        } else {
+            tokens.push(symbol);
+        }
+    }
+    return tokens;
+};
+
+// 32-bit FNV-1a
+const hashString = (text) => {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+};
+
+// The hash of every k-gram of tokens, in order
+const kgramHashes = (tokens) => {
+    if (tokens.length === 0) {
+        return [];
+    }
+    if (tokens.length < KGRAM_LENGTH) {
+        return [hashString(tokens.join(' '))];
+    }
+    const hashes = [];
+    for (let i = 0; i + KGRAM_LENGTH <= tokens.length; i++) {
+        hashes.push(hashString(tokens.slice(i, i + KGRAM_LENGTH).join(' ')));
+    }
+    return hashes;
+};
+
+// The minimum hash of every window (the rightmost one on ties), each position once
+const winnow = (hashes) => {
+    if (hashes.length <= WINNOW_WINDOW) {
+        return hashes.length > 0 ? [Math.min(...hashes)] : [];
+    }
+    const selected = [];
+    let selectedPosition = -1;
+    for (let start = 0; start + WINNOW_WINDOW <= hashes.length; start++) {
+        let minPosition = start;
+        for (let i = start + 1; i < start + WINNOW_WINDOW; i++) {
+            if (hashes[i] <= hashes[minPosition]) {
+                minPosition = i;
+            }
+        }
+        if (minPosition !== selectedPosition) {
+            selected.push(hashes[minPosition]);
+            selectedPosition = minPosition;
+        }
+    }
+    return selected;
+};
+
+/**
+ * The fingerprints of a code answer: its winnowed k-gram hashes, once each, without
+ * the ones that come from the question's starter code, which every student shares
+ */
+exports.fingerprintCode = (code, language, starterCode = '') => {
+    const starterHashes = new Set(kgramHashes(exports.tokenize(starterCode, language)));
+    return [...new Set(winnow(kgramHashes(exports.tokenize(code, language))))]
+        .filter(hash => !starterHashes.has(hash));
+};
+
+/**
+ * How alike two answers are, from 0 to 1: the share of the smaller fingerprint set
+ * found in the other, so padding a copy with extra code doesn't lower it. Answers
+ * with fewer than MIN_FINGERPRINTS fingerprints are never similar
+ */
+exports.compareFingerprints = (a, b) => {
+    if (a.length < MIN_FINGERPRINTS || b.length < MIN_FINGERPRINTS) {
+        return 0;
+    }
+    const [smaller, larger] = a.length <= b.length ? [a, b] : [b, a];
+    const largerSet = new Set(larger);
+    return smaller.filter(hash => largerSet.has(hash)).length / smaller.length;
+};
+
+/**
+ * A side-by-side line diff of two answers (lines compared without their leading and
+ * trailing whitespace). Rows are { type: 'same' | 'changed' | 'removed' | 'added',
+ * left, right, leftLine, rightLine } with null for a missing side
+ */
+exports.diffLines = (leftCode, rightCode) => {
+    const left = String(leftCode || '').split(/\r?\n/).slice(0, MAX_DIFF_LINES);
+    const right = String(rightCode || '').split(/\r?\n/).slice(0, MAX_DIFF_LINES);
+    const leftKeys = left.map(line => line.trim());
+    const rightKeys = right.map(line => line.trim());
+
+    // Longest common subsequence lengths of the suffixes, row by row
+    const width = right.length + 1;
+    const lcs = new Uint32Array((left.length + 1) * width);
+    for (let i = left.length - 1; i >= 0; i--) {
+        for (let j = right.length - 1; j >= 0; j--) {
+            lcs[i * width + j] = leftKeys[i] === rightKeys[j]
+                ? lcs[(i + 1) * width + j + 1] + 1
+                : Math.max(lcs[(i + 1) * width + j], lcs[i * width + j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    // A run of removed lines followed by added ones is shown as changed lines
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            const [leftLine, rightLine] = [removed[k], added[k]];
+            rows.push({
+                type: leftLine === undefined ? 'added' : rightLine === undefined ? 'removed' : 'changed',
+                left: leftLine === undefined ? null : left[leftLine],
+                right: rightLine === undefined ? null : right[rightLine],
+                leftLine: leftLine === undefined ? null : leftLine + 1,
+                rightLine: rightLine === undefined ? null : rightLine + 1
+            });
+        }
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < left.length || j < right.length) {
+        if (i < left.length && j < right.length && leftKeys[i] === rightKeys[j]) {
+            flush();
+            rows.push({ type: 'same', left: left[i], right: right[j], leftLine: i + 1, rightLine: j + 1 });
+            i++;
+            j++;
+        } else if (j >= right.length || (i < left.length && lcs[(i + 1) * width + j] >= lcs[i * width + j + 1])) {
+            removed.push(i++);
+        } else {
+            added.push(j++);
+        }
+    }
+    flush();
+    return rows;
+};
+
+// Flag the pair when the two submissions are similar enough. A pair flagged before
+// keeps its status; only the similarity is updated
+const comparePair = async (a, b) => {
+    const similarity = exports.compareFingerprints(a.fingerprints, b.fingerprints);
+    if (similarity < SIMILARITY_THRESHOLD) {
+        return false;
+    }
+    const [older, newer] = a._id.toString() < b._id.toString() ? [a, b] : [b, a];
+    await SimilarityFlag.updateOne(
+        { submissionA: older._id, submissionB: newer._id },
+        {
+            $set: { similarity: Math.round(similarity * 1000) / 1000 },
+            $setOnInsert: { quiz: a.quiz, question: a.question, status: 'flagged' }
+        },
+        { upsert: true }
+    );
+    return true;
+};
+
+// Keep the code answers of a graded attempt; an attempt's answers are only stored once
+const storeAttemptAnswers = async (attempt, quiz) => {
+    const stored = [];
+    for (const codeResult of attempt.codeResults || []) {
+        const questionId = codeResult.question.toString();
+        const question = (attempt.questions || []).find(entry => entry._id.toString() === questionId) ||
+            quiz.questions.id(questionId);
+        const answer = attempt.answers?.[questionId];
+        if (!question || !answer || typeof answer.code !== 'string' || answer.code.trim() === '') {
+            continue;
+        }
+
+        const language = question.programmingLanguage === 'open' ? answer.language : question.programmingLanguage;
+        const submission = await CodeSubmission.findOneAndUpdate(
+            { attempt: attempt._id, question: question._id },
+            {
+                $setOnInsert: {
+                    user: attempt.user,
+                    quiz: attempt.quiz,
+                    courseID: attempt.courseID,
+                    questionText: question.questionText,
+                    language,
+                    code: answer.code,
+                    fingerprints: exports.fingerprintCode(answer.code, language, question.starterCode),
+                    submittedAt: attempt.submittedAt
+                }
+            },
+            { upsert: true, new: true }
+        );
+        stored.push(submission);
+    }
+    return stored;
+};
+
+/**
+ * Store the code answers of a freshly graded attempt and compare each with the other
+ * students' answers to the same question. Resolves to the number of pairs flagged
+ */
+exports.checkAttempt = async (attemptId, quiz) => {
+    const attempt = await QuizAttempt.findById(attemptId);
+    if (!attempt) {
+        return 0;
+    }
+
+    let flagged = 0;
+    for (const submission of await storeAttemptAnswers(attempt, quiz)) {
+        const others = await CodeSubmission.find({
+            quiz: submission.quiz,
+            question: submission.question,
+            user: { $ne: submission.user }
+        }).select('quiz question fingerprints');
+        for (const other of others) {
+            if (await comparePair(submission, other)) {
+                flagged++;
+            }
+        }
+    }
+    return flagged;
+};
+
+/**
+ * Check a whole quiz again: store the code answers of attempts graded before checks
+ * ran, then compare every pair of students' answers per question. Resolves to
+ * { submissions, flagged }
+ */
+exports.scanQuiz = async (quiz) => {
+    const storedAttempts = new Set((await CodeSubmission.distinct('attempt', { quiz: quiz._id })).map(String));
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, 'codeResults.0': { $exists: true } });
+    for (const attempt of attempts.filter(entry => !storedAttempts.has(entry._id.toString()))) {
+        await storeAttemptAnswers(attempt, quiz);
+    }
+
+    const submissions = await CodeSubmission.find({ quiz: quiz._id }).select('user quiz question fingerprints');
+    const byQuestion = new Map();
+    for (const submission of submissions) {
+        const key = submission.question.toString();
+        byQuestion.set(key, [...(byQuestion.get(key) || []), submission]);
+    }
+
+    let flagged = 0;
+    for (const group of byQuestion.values()) {
+        for (let i = 0; i < group.length; i++) {
+            for (let j = i + 1; j < group.length; j++) {
+                if (group[i].user.toString() !== group[j].user.toString() && await comparePair(group[i], group[j])) {
+                    flagged++;
+                }
+            }
+        }
+    }
+    return { submissions: submissions.length, flagged };
+};
+
+/**
+ * Void an attempt found to be copied: it stops counting toward the student's result,
+ * which is recomputed along with their certificate, and the student is told
+ */
+exports.voidAttempt = async (attempt, quiz) => {
+    if (attempt.status === 'voided') {
+        return attempt;
+    }
+    attempt.status = 'voided';
+    attempt.passed = false;
+    await attempt.save();
+
+    const refreshed = await refreshQuizResult({
+        userId: attempt.user,
+        courseID: attempt.courseID,
+        subsectionId: attempt.subSection,
+        quiz
+    });
+
+    if (refreshed && refreshed.quizResult.passed !== refreshed.wasPassed) {
+        try {
+            await refreshCertificateForStudent(attempt.courseID, attempt.user);
+        } catch (certError) {
+            // The attempt stays voided even if the certificate can't be updated now
+            console.error('Error refreshing certificate after voiding an attempt:', certError);
+        }
+    }
+
+    try {
+        await createAdvancedNotification({
+            recipient: attempt.user,
+            type: 'QUIZ_ATTEMPT_VOIDED',
+            title: 'Quiz Attempt Voided',
+            message: `Your attempt ${attempt.attemptNumber} at "${quiz.title}" was voided because its code matched another student's and no longer counts toward your result.`,
+            relatedCourse: attempt.courseID,
+            priority: 'high',
+            actionUrl: `/view-course/${attempt.courseID}`,
+            metadata: { quizId: quiz._id, attemptId: attempt._id }
+        });
+    } catch (notificationError) {
+        console.error('Error notifying student about voided attempt:', notificationError);
+    }
+
+    return attempt;
+};
+
+exports.SIMILARITY_THRESHOLD = SIMILARITY_THRESHOLD;
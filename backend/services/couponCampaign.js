@@ -0,0 +1,167 @@
+// Bulk generation of unique single-use coupon codes for marketing campaigns
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon');
+const CouponCampaign = require('../models/couponCampaign');
+
+// No 0/O or 1/I so codes can be typed from print. 32 symbols keep `byte % 32` unbiased
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+const MIN_CODE_LENGTH = 6;
+const MAX_CODE_LENGTH = 16;
+const MAX_CODES_PER_CAMPAIGN = 10000;
+const INSERT_BATCH_SIZE = 1000;
+const MAX_GENERATION_ROUNDS = 5;
+
+const randomCode = (prefix, length) => {
+    const random = Array.from(crypto.randomBytes(length), byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]).join('');
+    return `${prefix}${random}`;
+};
+
+// Why these generation options can't be used, or null when they can
+const getGenerationError = ({ prefix, codeLength, count }) => {
+    if (!Number.isInteger(count) || count < 1 || count > MAX_CODES_PER_CAMPAIGN) {
+        return `Count must be between 1 and ${MAX_CODES_PER_CAMPAIGN}`;
+    }
+    if (!Number.isInteger(codeLength) || codeLength < MIN_CODE_LENGTH || codeLength > MAX_CODE_LENGTH) {
+        return `Code length must be between ${MIN_CODE_LENGTH} and ${MAX_CODE_LENGTH}`;
+    }
+    if (prefix && !/^[A-Z0-9-]{1,12}$/.test(prefix)) {
+        return 'Prefix may only contain letters, digits and dashes (up to 12 characters)';
+    }
+    // Keep the code space far larger than the batch so random codes rarely collide
+    if (Math.pow(CODE_ALPHABET.length, codeLength) < count * 1000) {
+        return 'Code length is too short for this many codes';
+    }
+    return null;
+};
+
+// Fresh candidate codes that don't exist yet, as far as the database knows right now
+const generateCandidateCodes = async (prefix, codeLength, count) => {
+    const codes = new Set();
+    while (codes.size < count) {
+        codes.add(randomCode(prefix, codeLength));
+    }
+
+    const taken = await Coupon.find({ code: { $in: [...codes] } }).distinct('code');
+    taken.forEach(code => codes.delete(code));
+    return [...codes];
+};
+
+// Insert coupons, skipping codes another request created in the meantime (unique index)
+const insertIgnoringDuplicates = async (docs) => {
+    for (let i = 0; i < docs.length; i += INSERT_BATCH_SIZE) {
+        try {
+            await Coupon.insertMany(docs.slice(i, i + INSERT_BATCH_SIZE), { ordered: false });
+        } catch (error) {
+            const writeErrors = error.writeErrors || [];
+            if (writeErrors.length === 0 || writeErrors.some(writeError => writeError.code !== 11000)) {
+                throw error;
+            }
+        }
+    }
+};
+
+/**
+ * Create a campaign and `count` coupons that share `rules` (the createCoupon fields
+ * except the code). Codes are `prefix` plus `codeLength` random characters.
+ * Resolves to { error } or { campaign, codeCount }
+ */
+exports.createCampaign = async ({ name, description, prefix = '', codeLength, count, createdBy }, rules) => {
+    prefix = String(prefix || '').trim().toUpperCase();
+    codeLength = Number(codeLength);
+    count = Number(count);
+
+    if (!name || !String(name).trim()) {
+        return { error: 'Campaign name is required' };
+    }
+    const generationError = getGenerationError({ prefix, codeLength, count });
+    if (generationError) {
+        return { error: generationError };
+    }
+
+    const campaign = await CouponCampaign.create({
+        name,
+        description,
+        prefix,
+        codeLength,
+        codeCount: count,
+        linkedTo: rules.linkedTo,
+        createdBy
+    });
+
+    let created = 0;
+    for (let round = 0; round < MAX_GENERATION_ROUNDS && created < count; round++) {
+        const codes = await generateCandidateCodes(prefix, codeLength, count - created);
+        await insertIgnoringDuplicates(codes.map(code => ({ ...rules, code, campaign: campaign._id })));
+        created = await Coupon.countDocuments({ campaign: campaign._id });
+    }
+
+    if (created < count) {
+        campaign.codeCount = created;
+        await campaign.save();
+    }
+
+    return { campaign, codeCount: created };
+};
+
+/**
+ * Roll up the per-code analytics counters of campaigns. Resolves to a map of
+ * campaign id to { codeCount, activeCodes, redeemedCodes, totalUses, timesViewed,
+ * timesValidated, successfulUses, failedAttempts, conversionRate }
+ */
+exports.getCampaignStats = async (campaignIds) => {
+    const rows = await Coupon.aggregate([
+        { $match: { campaign: { $in: campaignIds.map(id => new mongoose.Types.ObjectId(String(id))) } } },
+        {
+            $group: {
+                _id: '$campaign',
+                codeCount: { $sum: 1 },
+                activeCodes: { $sum: { $cond: ['$isActive', 1, 0] } },
+                redeemedCodes: { $sum: { $cond: [{ $gt: ['$usedCount', 0] }, 1, 0] } },
+                totalUses: { $sum: '$usedCount' },
+                timesViewed: { $sum: '$analytics.timesViewed' },
+                timesValidated: { $sum: '$analytics.timesValidated' },
+                successfulUses: { $sum: '$analytics.successfulUses' },
+                failedAttempts: { $sum: '$analytics.failedAttempts' }
+            }
+        }
+    ]);
+
+    return rows.reduce((stats, { _id, ...row }) => {
+        stats[_id.toString()] = {
+            ...row,
+            conversionRate: row.timesValidated > 0
+                ? ((row.successfulUses / row.timesValidated) * 100).toFixed(2)
+                : 0
+        };
+        return stats;
+    }, {});
+};
+
+// CSV of every code in a campaign, one row per code
+exports.createCampaignCsv = async (campaignId) => {
+    const coupons = await Coupon.find({ campaign: campaignId })
+        .sort({ code: 1 })
+        .select('code discountType discountValue maxDiscountAmount usageLimit usedCount isActive startDate expiryDate')
+        .lean();
+
+    const escapeCsv = (value) => {
+        const str = String(value ?? '');
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+    const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+    const header = ['Code', 'Discount', 'Max Discount', 'Usage Limit', 'Used', 'Status', 'Valid From', 'Valid Until'];
+    const rows = coupons.map(coupon => [
+        coupon.code,
+        coupon.discountType === 'percentage' ? `${coupon.discountValue}%` : coupon.discountValue,
+        coupon.maxDiscountAmount || '',
+        coupon.usageLimit || 'Unlimited',
+        coupon.usedCount,
+        coupon.isActive ? 'Active' : 'Inactive',
+        formatDate(coupon.startDate),
+        formatDate(coupon.expiryDate)
+    ]);
+
+    return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
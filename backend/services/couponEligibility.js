@@ -0,0 +1,88 @@
+// Who may use a coupon (Coupon.eligibility). The checks need the user's account,
+// enrollments and order history, so they live here rather than in couponCalculator
+const User = require('../models/user');
+const Order = require('../models/order');
+const Course = require('../models/course');
+const Category = require('../models/category');
+
+const includesId = (ids, id) => ids.some(item => item.toString() === id.toString());
+
+// Cart-independent facts about a user, loaded on first use and shared by every
+// coupon checked in the same request
+exports.createEligibilityContext = (userId) => {
+    const cache = {};
+    const once = (key, load) => () => {
+        if (!cache[key]) {
+            cache[key] = load();
+        }
+        return cache[key];
+    };
+
+    return {
+        userId,
+        getUser: once('user', () => User.findById(userId).select('createdAt courses').lean()),
+        hasPaidOrder: once('paidOrder', async () => !!(await Order.exists({
+            user: userId,
+            status: { $in: Order.PURCHASED_STATUSES },
+            totalAmount: { $gt: 0 }
+        }))),
+        getPurchasedCategories: once('categories', async () => {
+            const orders = await Order.find({ user: userId, status: { $in: Order.PURCHASED_STATUSES } })
+                .select('items.course items.status')
+                .lean();
+            const courseIds = orders.flatMap(order => order.items
+                .filter(item => item.status !== 'refunded')
+                .map(item => item.course));
+            const categories = courseIds.length > 0 ? await Course.distinct('category', { _id: { $in: courseIds } }) : [];
+            return categories.filter(Boolean);
+        })
+    };
+};
+
+// Only coupons without a user list can be shown to visitors who aren't logged in
+exports.isOpenToAnonymous = (coupon) => !(coupon.eligibility?.users?.length > 0);
+
+/**
+ * Why the user in `context` can't use the coupon, or null when they can.
+ * Rules are checked cheapest first so most rejections need no extra queries
+ */
+exports.getEligibilityRejectionReason = async (coupon, context) => {
+    const rules = coupon.eligibility || {};
+
+    if (rules.users?.length > 0 && !includesId(rules.users, context.userId)) {
+        return 'This coupon is not available for your account';
+    }
+
+    if (rules.accountCreatedAfter || rules.enrolledInCourses?.length > 0) {
+        const user = await context.getUser();
+        if (!user) {
+            return 'This coupon is not available for your account';
+        }
+
+        if (rules.accountCreatedAfter && !(new Date(user.createdAt) > new Date(rules.accountCreatedAfter))) {
+            const date = new Date(rules.accountCreatedAfter).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+            return `This coupon is only for accounts created after ${date}`;
+        }
+
+        if (rules.enrolledInCourses?.length > 0
+            && !rules.enrolledInCourses.some(courseId => includesId(user.courses || [], courseId))) {
+            const courses = await Course.find({ _id: { $in: rules.enrolledInCourses } }).select('courseName').lean();
+            return `This coupon is only for students enrolled in ${courses.map(course => course.courseName).join(' or ')}`;
+        }
+    }
+
+    if (rules.firstPurchaseOnly && await context.hasPaidOrder()) {
+        return 'This coupon is only valid on your first purchase';
+    }
+
+    if (rules.notPurchasedCategories?.length > 0) {
+        const purchased = await context.getPurchasedCategories();
+        const boughtCategory = rules.notPurchasedCategories.find(categoryId => includesId(purchased, categoryId));
+        if (boughtCategory) {
+            const category = await Category.findById(boughtCategory).select('name').lean();
+            return `This coupon is only for students who haven't bought ${category ? `a ${category.name} course` : 'a course in this category'} before`;
+        }
+    }
+
+    return null;
+};
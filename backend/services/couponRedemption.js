@@ -0,0 +1,191 @@
+// Coupon usage accounting. A checkout reserves one use of the coupon for a short
+// time; the use is only counted when the order is paid. Both steps are single
+// conditional updates, so concurrent checkouts can never push a coupon past its
+// usageLimit or perUserLimit
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon');
+
+// Long enough to finish the gateway checkout
+const getReservationMinutes = () => Number(process.env.COUPON_RESERVATION_MINUTES) || 15;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+// Reservations that have not expired, leaving out the ones matching `exclude`
+const activeReservations = (now, exclude) => ({
+    $filter: {
+        input: { $ifNull: ['$reservations', []] },
+        as: 'reservation',
+        cond: {
+            $and: [
+                { $gt: ['$$reservation.expiresAt', now] },
+                { $ne: [`$$reservation.${exclude.field}`, exclude.value] }
+            ]
+        }
+    }
+});
+
+// True when one more use fits both limits, counting `reservations` as used
+const hasCapacity = (userId, reservations) => {
+    const usedByUser = {
+        $sum: {
+            $map: {
+                input: {
+                    $filter: {
+                        input: { $ifNull: ['$userUsage', []] },
+                        as: 'usage',
+                        cond: { $eq: ['$$usage.user', userId] }
+                    }
+                },
+                as: 'usage',
+                in: '$$usage.usedCount'
+            }
+        }
+    };
+    const reservedByUser = {
+        $size: {
+            $filter: {
+                input: reservations,
+                as: 'reservation',
+                cond: { $eq: ['$$reservation.user', userId] }
+            }
+        }
+    };
+
+    return {
+        $and: [
+            {
+                $or: [
+                    { $lte: ['$usageLimit', 0] },
+                    { $lt: [{ $add: ['$usedCount', { $size: reservations }] }, '$usageLimit'] }
+                ]
+            },
+            {
+                $or: [
+                    { $lte: ['$perUserLimit', 0] },
+                    { $lt: [{ $add: [usedByUser, reservedByUser] }, '$perUserLimit'] }
+                ]
+            }
+        ]
+    };
+};
+
+/**
+ * Hold one use of a coupon for an order that is about to be paid. A user holds at
+ * most one reservation per coupon, so starting a new checkout replaces the old one.
+ * Resolves to false when the coupon has no use left for this user.
+ */
+exports.reserveCoupon = async (couponId, userId, orderId) => {
+    const now = new Date();
+    const user = toObjectId(userId);
+    const reservations = activeReservations(now, { field: 'user', value: user });
+
+    const result = await Coupon.updateOne(
+        { _id: couponId, isActive: true, $expr: hasCapacity(user, reservations) },
+        [{
+            $set: {
+                reservations: {
+                    $concatArrays: [reservations, [{
+                        _id: new mongoose.Types.ObjectId(),
+                        user,
+                        order: toObjectId(orderId),
+                        expiresAt: new Date(now.getTime() + getReservationMinutes() * 60 * 1000)
+                    }]]
+                }
+            }
+        }]
+    );
+
+    return result.modifiedCount > 0;
+};
+
+/**
+ * Count a use of the coupon for a paid order. A live reservation for the order is
+ * turned into a use; without one (free checkout, or the reservation expired) the
+ * use is only taken while the limits still allow it. Resolves to false otherwise.
+ */
+exports.redeemCoupon = async (couponId, userId, orderId) => {
+    const now = new Date();
+    const user = toObjectId(userId);
+    const order = toObjectId(orderId);
+    const otherReservations = activeReservations(now, { field: 'order', value: order });
+
+    const result = await Coupon.updateOne(
+        {
+            _id: couponId,
+            $or: [
+                { reservations: { $elemMatch: { order, expiresAt: { $gt: now } } } },
+                { $expr: hasCapacity(user, otherReservations) }
+            ]
+        },
+        [{
+            $set: {
+                usedCount: { $add: ['$usedCount', 1] },
+                lastUsed: now,
+                'analytics.successfulUses': { $add: [{ $ifNull: ['$analytics.successfulUses', 0] }, 1] },
+                userUsage: {
+                    $cond: [
+                        { $in: [user, { $ifNull: ['$userUsage.user', []] }] },
+                        {
+                            $map: {
+                                input: '$userUsage',
+                                as: 'usage',
+                                in: {
+                                    $cond: [
+                                        { $eq: ['$$usage.user', user] },
+                                        { $mergeObjects: ['$$usage', { usedCount: { $add: ['$$usage.usedCount', 1] } }] },
+                                        '$$usage'
+                                    ]
+                                }
+                            }
+                        },
+                        {
+                            $concatArrays: [
+                                { $ifNull: ['$userUsage', []] },
+                                [{ _id: new mongoose.Types.ObjectId(), user, usedCount: 1 }]
+                            ]
+                        }
+                    ]
+                },
+                reservations: otherReservations
+            }
+        }]
+    );
+
+    return result.modifiedCount > 0;
+};
+
+// Give back the use held for an order whose payment failed or was abandoned
+exports.releaseCoupon = async (couponId, orderId) => {
+    await Coupon.updateOne(
+        { _id: couponId },
+        { $pull: { reservations: { order: toObjectId(orderId) } } }
+    );
+};
+
+// Reserve every coupon of a stack for an order, or none of them
+exports.reserveCoupons = async (couponIds, userId, orderId) => {
+    const reserved = [];
+    for (const couponId of couponIds) {
+        if (!(await exports.reserveCoupon(couponId, userId, orderId))) {
+            await exports.releaseCoupons(reserved, orderId);
+            return false;
+        }
+        reserved.push(couponId);
+    }
+    return true;
+};
+
+// Redeem a stack for a paid order; resolves to the ids that could not be redeemed
+exports.redeemCoupons = async (couponIds, userId, orderId) => {
+    const failed = [];
+    for (const couponId of couponIds) {
+        if (!(await exports.redeemCoupon(couponId, userId, orderId))) {
+            failed.push(couponId);
+        }
+    }
+    return failed;
+};
+
+exports.releaseCoupons = async (couponIds, orderId) => {
+    await Promise.all(couponIds.map(couponId => exports.releaseCoupon(couponId, orderId)));
+};
@@ -0,0 +1,86 @@
+// Reordering a course's content: its sections, the sub-sections of a section, and
+// moving a sub-section to another section. The orders are the plain ObjectId arrays
+// Course.courseContent and Section.subSection, so every change is a conditional
+// update that only applies to the order it was computed from: an edit made in the
+// meantime makes it fail instead of dropping or duplicating content. Section
+// unlocking (checkSectionAccess) reads courseContent, so it follows the new order
+const mongoose = require('mongoose');
+const Course = require('../models/course');
+const Section = require('../models/section');
+
+// Course content is arranged by the course's instructor or an admin
+exports.canEditCourse = (course, user) => user.accountType === 'Admin' ||
+    Boolean(course.instructor && course.instructor.toString() === user.id);
+
+/**
+ * Why `requested` (ids from the client) isn't a reordering of `current`, or null
+ * when it is. `label` names the items in the message
+ */
+exports.getOrderError = (current, requested, label) => {
+    if (!Array.isArray(requested) || requested.length !== current.length) {
+        return `Send all ${current.length} ${label} in their new order`;
+    }
+    const currentIds = new Set(current.map(String));
+    const requestedIds = new Set(requested.map(String));
+    if (requestedIds.size !== requested.length || !requested.every(id => currentIds.has(String(id)))) {
+        return `The new order must list each of the ${label} once`;
+    }
+    return null;
+};
+
+// Resolves to the updated course, or null when its sections changed in the meantime
+exports.reorderSections = (course, sectionIds) => Course.findOneAndUpdate(
+    { _id: course._id, courseContent: course.courseContent },
+    { $set: { courseContent: sectionIds } },
+    { new: true }
+);
+
+// Resolves to the updated section, or null when its sub-sections changed in the meantime
+exports.reorderSubSections = (section, subSectionIds) => Section.findOneAndUpdate(
+    { _id: section._id, subSection: section.subSection },
+    { $set: { subSection: subSectionIds } },
+    { new: true }
+);
+
+// Thrown inside the move's transaction to roll it back when a section changed
+class SectionChangedError extends Error {}
+
+/**
+ * Move a sub-section of `fromSection` to position `index` of `toSection`. Both
+ * section writes run in one transaction, so the sub-section is never in neither
+ * section or in both; that needs a replica set, as on Atlas. Resolves to true, or
+ * false when either section changed
+ */
+exports.moveSubSection = async ({ subSectionId, fromSection, toSection, index }) => {
+    const movedId = fromSection.subSection.find(id => id.toString() === subSectionId.toString());
+    const sourceOrder = fromSection.subSection.filter(id => id !== movedId);
+    const targetOrder = [...toSection.subSection];
+    targetOrder.splice(Math.min(index, targetOrder.length), 0, movedId);
+
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const removed = await Section.findOneAndUpdate(
+                { _id: fromSection._id, subSection: fromSection.subSection },
+                { $set: { subSection: sourceOrder } },
+                { session }
+            );
+            const added = removed && await Section.findOneAndUpdate(
+                { _id: toSection._id, subSection: toSection.subSection },
+                { $set: { subSection: targetOrder } },
+                { session }
+            );
+            if (!added) {
+                throw new SectionChangedError();
+            }
+        });
+        return true;
+    } catch (error) {
+        if (error instanceof SectionChangedError) {
+            return false;
+        }
+        throw error;
+    } finally {
+        await session.endSession();
+    }
+};
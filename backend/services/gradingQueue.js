@@ -0,0 +1,166 @@
+// Background grading of quiz submissions with code answers. The jobs are the
+// QuizSubmission documents themselves, so submissions left queued or running by a
+// restart are picked up again by start(). Status changes are pushed to the
+// student's socket.io room (their user id) as `quiz_submission_update`. Graded code
+// is then checked against other students' (services/codeSimilarity.js)
+const QuizSubmission = require('../models/quizSubmission');
+const Quiz = require('../models/quiz');
+const { gradeCodeAnswer } = require('./codeGrading');
+const { recordQuizResult } = require('./quizResults');
+const { checkAttempt } = require('./codeSimilarity');
+
+const MAX_CONCURRENT_GRADINGS = Number(process.env.GRADING_CONCURRENCY) || 2;
+const MAX_ATTEMPTS = Number(process.env.GRADING_MAX_ATTEMPTS) || 3;
+// Doubled on every retry
+const RETRY_DELAY_MS = Number(process.env.GRADING_RETRY_DELAY_MS) || 5000;
+
+let io = null;
+const waiting = [];
+let activeGradings = 0;
+
+// What the student gets to see of a submission
+exports.toSubmissionStatus = (submission) => ({
+    submissionId: submission._id,
+    quiz: submission.quiz,
+    status: submission.status,
+    result: submission.status === 'graded' ? submission.result : null,
+    codeResults: submission.status === 'graded' ? submission.codeResults : [],
+    error: submission.status === 'error' ? 'We could not grade your code. Please try submitting again.' : null
+});
+
+const notify = (submission) => {
+    if (io) {
+        io.to(submission.user.toString()).emit('quiz_submission_update', exports.toSubmissionStatus(submission));
+    }
+};
+
+const gradeSubmission = async (submission) => {
+    const quiz = await Quiz.findById(submission.quiz);
+    if (!quiz) {
+        throw new Error('Quiz not found');
+    }
+
+    // The questions the attempt asked; submissions queued before attempts stored
+    // them fall back to the quiz's own
+    const findQuestion = (questionId) => (submission.questions.length > 0
+        ? submission.questions.find(question => question._id.toString() === questionId.toString())
+        : quiz.questions.id(questionId));
+
+    let score = submission.baseScore;
+    const codeResults = [];
+    const responses = submission.responses.map(response => ({ ...response }));
+    for (const codeAnswer of submission.codeAnswers) {
+        const question = findQuestion(codeAnswer.question);
+        if (!question) {
+            continue;
+        }
+
+        const grade = await gradeCodeAnswer(question, codeAnswer);
+        const earnedMarks = grade.isCorrect ? question.marks : grade.earnedMarks;
+        score += earnedMarks;
+        const response = responses.find(entry => entry.question.toString() === question._id.toString());
+        if (response) {
+            response.correct = grade.isCorrect;
+            response.earnedMarks = earnedMarks;
+            response.wrongOutputs = grade.wrongOutputs;
+        }
+        codeResults.push({
+            question: question._id,
+            marks: question.marks,
+            earnedMarks,
+            compileOutput: grade.compileOutput,
+            testResults: grade.testResults
+        });
+    }
+
+    const result = await recordQuizResult({
+        userId: submission.user,
+        courseID: submission.courseID,
+        subsectionId: submission.subSection.toString(),
+        quiz,
+        score: Math.round(score * 100) / 100,
+        totalMarks: submission.totalMarks,
+        questions: submission.questions,
+        answers: submission.answers,
+        codeResults,
+        reviews: submission.reviews,
+        responses,
+        submittedAt: submission.createdAt,
+        submissionId: submission._id
+    });
+
+    return { result, codeResults, quiz };
+};
+
+const processSubmission = async (submissionId) => {
+    // Claiming the job with a conditional update keeps it from being graded twice
+    const submission = await QuizSubmission.findOneAndUpdate(
+        { _id: submissionId, status: 'queued' },
+        { status: 'running', startedAt: new Date(), $inc: { attempts: 1 } },
+        { new: true }
+    );
+    if (!submission) {
+        return;
+    }
+    notify(submission);
+
+    try {
+        const { result, codeResults, quiz } = await gradeSubmission(submission);
+        submission.status = 'graded';
+        submission.result = result;
+        submission.codeResults = codeResults;
+        submission.error = undefined;
+        submission.gradedAt = new Date();
+        await submission.save();
+        notify(submission);
+
+        // Compared with other students' code once the student has their result; a
+        // failed check leaves the grade alone
+        checkAttempt(result.attemptId, quiz)
+            .catch(error => console.error(`Similarity check of submission ${submission._id} failed:`, error.message));
+    } catch (error) {
+        console.error(`Grading submission ${submission._id} failed (attempt ${submission.attempts}):`, error.message);
+        submission.error = error.message;
+
+        if (submission.attempts < MAX_ATTEMPTS) {
+            submission.status = 'queued';
+            await submission.save();
+            setTimeout(() => exports.enqueueSubmission(submission._id), RETRY_DELAY_MS * 2 ** (submission.attempts - 1));
+        } else {
+            submission.status = 'error';
+            await submission.save();
+            notify(submission);
+        }
+    }
+};
+
+const runWaiting = () => {
+    while (activeGradings < MAX_CONCURRENT_GRADINGS && waiting.length > 0) {
+        const submissionId = waiting.shift();
+        activeGradings++;
+        processSubmission(submissionId)
+            .catch(error => console.error(`Error processing submission ${submissionId}:`, error))
+            .finally(() => {
+                activeGradings--;
+                runWaiting();
+            });
+    }
+};
+
+exports.enqueueSubmission = (submissionId) => {
+    waiting.push(submissionId.toString());
+    runWaiting();
+};
+
+// Called once at startup with the socket.io server. Assumes a single API process:
+// anything still marked running was interrupted and is graded again
+exports.start = async (socketServer) => {
+    io = socketServer;
+    try {
+        await QuizSubmission.updateMany({ status: 'running' }, { status: 'queued' });
+        const queued = await QuizSubmission.find({ status: 'queued' }).sort({ createdAt: 1 }).select('_id');
+        queued.forEach(submission => exports.enqueueSubmission(submission._id));
+    } catch (error) {
+        console.error('Error resuming queued quiz submissions:', error);
+    }
+};
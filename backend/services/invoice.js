@@ -0,0 +1,213 @@
+// GST tax invoices for paid orders, rendered with pdfkit
+const PDFDocument = require('pdfkit');
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Counter = require('../models/counter');
+const invoiceConfig = require('../config/invoice');
+const { roundAmount } = require('../utils/orderPricing');
+
+// Indian financial years run April to March, e.g. "26-27"
+const getFinancialYear = (date) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    const shortYear = (year) => String(year % 100).padStart(2, '0');
+    return `${shortYear(startYear)}-${shortYear(startYear + 1)}`;
+};
+
+const formatRupees = (amount) => `Rs. ${(amount || 0).toFixed(2)}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Intra-state supplies split the tax into CGST + SGST, inter-state ones charge IGST.
+// Without a billing state the place of supply defaults to the seller's state
+const isInterStateSupply = (order) => {
+    const buyerState = order.billing?.state?.trim().toLowerCase();
+    return !!buyerState && buyerState !== invoiceConfig.sellerState.toLowerCase();
+};
+
+exports.getTaxBreakdown = (order) => {
+    const taxAmount = order.taxAmount || 0;
+    const taxRate = order.taxRate || 0;
+
+    if (isInterStateSupply(order)) {
+        return { taxableValue: roundAmount(order.totalAmount - taxAmount), igst: taxAmount, igstRate: taxRate };
+    }
+
+    const cgst = roundAmount(taxAmount / 2);
+    return {
+        taxableValue: roundAmount(order.totalAmount - taxAmount),
+        cgst,
+        sgst: roundAmount(taxAmount - cgst),
+        cgstRate: taxRate / 2,
+        sgstRate: taxRate / 2
+    };
+};
+
+// Give a paid order the next invoice number of its financial year. Free orders are
+// not a taxable supply and get none. Safe to call again: an existing number is kept.
+// The number is taken and saved on the order in one transaction, so when two calls
+// race (the enrollment email and a first download) the loser's number is rolled
+// back and the sequence has no gaps
+exports.assignInvoiceNumber = async (order) => {
+    if (order.invoiceNumber || order.totalAmount === 0) {
+        return order;
+    }
+
+    const invoiceDate = order.paidAt || new Date();
+    const financialYear = getFinancialYear(invoiceDate);
+
+    const session = await mongoose.startSession();
+    try {
+        await session.withTransaction(async () => {
+            const current = await Order.findById(order._id).select('invoiceNumber').session(session);
+            if (!current || current.invoiceNumber) {
+                await session.abortTransaction();
+                return;
+            }
+
+            const seq = await Counter.nextValue(`invoice-${financialYear}`, session);
+            const invoiceNumber = `${invoiceConfig.numberPrefix}/${financialYear}/${String(seq).padStart(5, '0')}`;
+            const result = await Order.updateOne(
+                { _id: order._id, invoiceNumber: { $exists: false } },
+                { $set: { invoiceNumber, invoiceDate } },
+                { session }
+            );
+            if (result.modifiedCount === 0) {
+                await session.abortTransaction();
+            }
+        });
+    } finally {
+        await session.endSession();
+    }
+
+    return Order.findById(order._id);
+};
+
+// Render the invoice for an order (with user populated) and resolve with the PDF bytes
+exports.createInvoicePdf = (order) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ margin: 50, size: 'A4' });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const buyerName = order.billing?.name
+        || `${order.user?.firstName || ''} ${order.user?.lastName || ''}`.trim()
+        || 'N/A';
+    const tax = exports.getTaxBreakdown(order);
+
+    // Title
+    doc.fontSize(20)
+       .font('Helvetica-Bold')
+       .text('TAX INVOICE', { align: 'center' });
+    doc.moveDown();
+
+    // Seller and invoice details side by side
+    const detailsTop = doc.y;
+    doc.fontSize(12).font('Helvetica-Bold').text(invoiceConfig.sellerName, 50, detailsTop);
+    doc.fontSize(9).font('Helvetica');
+    if (invoiceConfig.sellerAddress) {
+        doc.text(invoiceConfig.sellerAddress, { width: 250 });
+    }
+    doc.text(`State: ${invoiceConfig.sellerState} (${invoiceConfig.sellerStateCode})`)
+       .text(`GSTIN: ${invoiceConfig.sellerGstin || 'N/A'}`)
+       .text(`Email: ${invoiceConfig.sellerEmail}`)
+       .text(`Phone: ${invoiceConfig.sellerPhone}`);
+    const sellerBottom = doc.y;
+
+    doc.fontSize(9)
+       .text(`Invoice No: ${order.invoiceNumber}`, 330, detailsTop, { width: 215, align: 'right' })
+       .text(`Invoice Date: ${formatDate(order.invoiceDate || order.paidAt || order.purchaseDate)}`, { width: 215, align: 'right' })
+       .text(`Order ID: ${order._id}`, { width: 215, align: 'right' })
+       .text(`Payment ID: ${order.transactionId || 'N/A'}`, { width: 215, align: 'right' })
+       .text(`Place of Supply: ${order.billing?.state || invoiceConfig.sellerState}`, { width: 215, align: 'right' });
+
+    // Buyer
+    doc.y = Math.max(sellerBottom, doc.y) + 20;
+    doc.fontSize(11).font('Helvetica-Bold').text('Bill To:', 50);
+    doc.fontSize(9).font('Helvetica')
+       .text(buyerName)
+       .text(`Email: ${order.billing?.email || order.user?.email || 'N/A'}`);
+    if (order.billing?.phone) {
+        doc.text(`Phone: ${order.billing.phone}`);
+    }
+    if (order.billing?.gstin) {
+        doc.text(`GSTIN: ${order.billing.gstin}`);
+    }
+    doc.moveDown(1.5);
+
+    // Line items
+    const tableLeft = 50;
+    const colWidths = [30, 175, 60, 60, 60, 60, 50];
+    const headers = ['#', 'Description', 'SAC', 'Price', 'Discount', 'Taxable', 'Amount'];
+    const tableWidth = colWidths.reduce((sum, width) => sum + width, 0);
+    let yPos = doc.y;
+
+    doc.rect(tableLeft, yPos, tableWidth, 22).fill('#2c3e50');
+    doc.fontSize(9).font('Helvetica-Bold').fill('#ffffff');
+    let xPos = tableLeft;
+    headers.forEach((header, i) => {
+        doc.text(header, xPos + 4, yPos + 7, { width: colWidths[i] - 8, align: i >= 3 ? 'right' : 'left' });
+        xPos += colWidths[i];
+    });
+    yPos += 26;
+
+    doc.font('Helvetica').fill('#000000');
+    order.items.forEach((item, index) => {
+        const row = [
+            String(index + 1),
+            item.courseName || item.course?.courseName || 'Course',
+            invoiceConfig.sacCode,
+            item.price.toFixed(2),
+            item.discount.toFixed(2),
+            roundAmount(item.amount - item.taxAmount).toFixed(2),
+            item.amount.toFixed(2)
+        ];
+
+        xPos = tableLeft;
+        row.forEach((value, i) => {
+            doc.text(value, xPos + 4, yPos, { width: colWidths[i] - 8, align: i >= 3 ? 'right' : 'left' });
+            xPos += colWidths[i];
+        });
+        yPos += 24;
+        doc.moveTo(tableLeft, yPos - 6).lineTo(tableLeft + tableWidth, yPos - 6).stroke('#e5e7eb');
+    });
+
+    // Totals
+    const totals = [['Subtotal', formatRupees(order.subtotal)]];
+    if (order.bundleDiscount > 0) {
+        totals.push(['Bundle Discount', `- ${formatRupees(order.bundleDiscount)}`]);
+    }
+    if (order.couponDiscount > 0) {
+        totals.push([`Coupon Discount (${order.couponCode})`, `- ${formatRupees(order.couponDiscount)}`]);
+    }
+    totals.push(['Taxable Value', formatRupees(tax.taxableValue)]);
+    if (tax.igst !== undefined) {
+        totals.push([`IGST @ ${tax.igstRate}%`, formatRupees(tax.igst)]);
+    } else {
+        totals.push([`CGST @ ${tax.cgstRate}%`, formatRupees(tax.cgst)]);
+        totals.push([`SGST @ ${tax.sgstRate}%`, formatRupees(tax.sgst)]);
+    }
+    totals.push(['Total Paid', formatRupees(order.totalAmount)]);
+    if (order.refundedAmount > 0) {
+        totals.push(['Refunded', `- ${formatRupees(order.refundedAmount)}`]);
+    }
+
+    yPos += 6;
+    totals.forEach(([label, value], index) => {
+        const isTotal = label === 'Total Paid';
+        doc.font(isTotal ? 'Helvetica-Bold' : 'Helvetica')
+           .text(label, 300, yPos, { width: 150, align: 'right' })
+           .text(value, 455, yPos, { width: 90, align: 'right' });
+        yPos += index === totals.length - 1 ? 0 : 16;
+    });
+
+    doc.font('Helvetica').fontSize(8)
+       .text('Prices are inclusive of GST. Tax is not payable on reverse charge basis.', 50, yPos + 40, { align: 'center' })
+       .text('This is a computer-generated invoice and does not require a signature.', { align: 'center' });
+
+    doc.end();
+});
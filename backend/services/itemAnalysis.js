@@ -0,0 +1,196 @@
+// Item analysis of a quiz from the per-question responses of its attempts. Each
+// question gets a difficulty index (the share of its marks students earned, so
+// higher is easier), a discrimination index (how much better the top 27% of
+// attempts did on it than the bottom 27%), how often each option of a choice
+// question was picked, the average time spent on it and, for code questions, the
+// wrong outputs seen most
+const QuizAttempt = require('../models/quizAttempt');
+
+// Share of the attempts in each of the upper and lower groups
+const DISCRIMINATION_GROUP_SHARE = 0.27;
+// Fewer graded attempts than this make the upper and lower groups meaningless
+const MIN_DISCRIMINATION_ATTEMPTS = 4;
+const MAX_WRONG_OUTPUTS = 5;
+
+const roundIndex = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Share of its marks a graded response earned, or null while it waits for grading
+const itemScore = (response) => {
+    if (response.earnedMarks === null || response.earnedMarks === undefined) {
+        return null;
+    }
+    return response.maxMarks > 0 ? response.earnedMarks / response.maxMarks : 0;
+};
+
+// The options of a choice question in their own order, with which are correct,
+// undoing the shuffle of the attempt that asked it (services/questionDraw.js)
+const toOriginalOptions = (question) => {
+    const shown = question.options || [];
+    const originalIndex = (index) => (question.optionKey ? question.optionKey[index] : index);
+    const correctShown = question.questionType === 'multipleChoice'
+        ? (question.correctAnswers || []).map(Number)
+        : [Number(question.correctAnswer)];
+
+    const options = [];
+    shown.forEach((text, index) => {
+        options[originalIndex(index)] = { text, correct: correctShown.includes(index), count: 0 };
+    });
+    return options;
+};
+
+// The mean item score of each question over a group of attempts, by question id
+const groupScores = (attempts) => {
+    const scores = new Map();
+    for (const attempt of attempts) {
+        for (const response of attempt.responses) {
+            const score = itemScore(response);
+            if (score === null) {
+                continue;
+            }
+            const key = response.question.toString();
+            scores.set(key, [...(scores.get(key) || []), score]);
+        }
+    }
+    return new Map([...scores].map(([key, values]) => [key, average(values)]));
+};
+
+/**
+ * Analyse `attempts` (QuizAttempt documents with responses, oldest first) of `quiz`.
+ * Returns { attemptCount, studentCount, questions } with one entry per question
+ * asked: { questionId, number, questionText, questionType, timesAsked,
+ * answeredCount, gradedCount, difficultyIndex, discriminationIndex, averageTime,
+ * options, wrongOutputs }. Indices are null when there's too little to go on;
+ * options (choice questions) and wrongOutputs (code questions) are only set for
+ * their types
+ */
+exports.analyzeAttempts = (quiz, attempts) => {
+    const items = new Map();
+    // The quiz's own questions come first in quiz order; drawn ones as first asked
+    for (const question of quiz.questions || []) {
+        items.set(question._id.toString(), { question, responses: [] });
+    }
+
+    for (const attempt of attempts) {
+        const asked = new Map((attempt.questions || []).map(question => [question._id.toString(), question]));
+        for (const response of attempt.responses) {
+            const key = response.question.toString();
+            const item = items.get(key) || { responses: [] };
+            // The latest wording wins
+            item.question = asked.get(key) || item.question;
+            item.responses.push(response);
+            items.set(key, item);
+        }
+    }
+
+    // Ranked by percentage; only fully graded attempts have a final one
+    const ranked = attempts
+        .filter(attempt => attempt.status === 'graded')
+        .sort((a, b) => b.percentage - a.percentage);
+    const groupSize = Math.min(
+        Math.max(1, Math.round(ranked.length * DISCRIMINATION_GROUP_SHARE)),
+        Math.floor(ranked.length / 2)
+    );
+    const canDiscriminate = ranked.length >= MIN_DISCRIMINATION_ATTEMPTS;
+    const upperScores = canDiscriminate ? groupScores(ranked.slice(0, groupSize)) : new Map();
+    const lowerScores = canDiscriminate ? groupScores(ranked.slice(-groupSize)) : new Map();
+
+    const questions = [...items]
+        .filter(([, item]) => item.responses.length > 0 && item.question)
+        .map(([key, { question, responses }], index) => {
+            const scores = responses.map(itemScore).filter(score => score !== null);
+            const times = responses.map(response => response.timeSpent).filter(time => typeof time === 'number');
+            const upper = upperScores.get(key);
+            const lower = lowerScores.get(key);
+
+            const entry = {
+                questionId: key,
+                number: index + 1,
+                questionText: question.questionText,
+                questionType: question.questionType,
+                timesAsked: responses.length,
+                answeredCount: responses.filter(response => response.answered).length,
+                gradedCount: scores.length,
+                difficultyIndex: roundIndex(average(scores)),
+                discriminationIndex: upper === undefined || lower === undefined ? null : roundIndex(upper - lower),
+                averageTime: times.length > 0 ? Math.round(average(times) * 10) / 10 : null
+            };
+
+            if (question.questionType === 'singleAnswer' || question.questionType === 'multipleChoice') {
+                const options = toOriginalOptions(question);
+                for (const response of responses) {
+                    for (const index of response.selectedOptions || []) {
+                        if (options[index]) {
+                            options[index].count++;
+                        }
+                    }
+                }
+                entry.options = options.filter(Boolean);
+            }
+
+            if (question.questionType === 'codeSolve') {
+                const counts = new Map();
+                for (const response of responses) {
+                    for (const { testCase, output } of response.wrongOutputs || []) {
+                        const outputKey = JSON.stringify([testCase, output]);
+                        const seen = counts.get(outputKey) || { testCase, output, count: 0 };
+                        seen.count++;
+                        counts.set(outputKey, seen);
+                    }
+                }
+                entry.wrongOutputs = [...counts.values()]
+                    .sort((a, b) => b.count - a.count)
+                    .slice(0, MAX_WRONG_OUTPUTS);
+            }
+
+            return entry;
+        });
+
+    return {
+        attemptCount: attempts.length,
+        studentCount: new Set(attempts.map(attempt => attempt.user.toString())).size,
+        questions
+    };
+};
+
+// The item analysis of a quiz over every attempt that recorded per-question responses,
+// leaving out voided ones
+exports.getItemAnalysis = async (quiz) => {
+    const attempts = await QuizAttempt.find({ quiz: quiz._id, status: { $ne: 'voided' }, 'responses.0': { $exists: true } })
+        .sort({ submittedAt: 1 })
+        .select('user status percentage questions responses')
+        .lean();
+    return exports.analyzeAttempts(quiz, attempts);
+};
+
+// The item analysis as CSV, one row per question
+exports.createItemAnalysisCsv = (analysis) => {
+    const escapeCsv = (value) => {
+        const str = String(value ?? '');
+        return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+    };
+
+    const header = [
+        'Question', 'Text', 'Type', 'Times Asked', 'Answered', 'Difficulty Index',
+        'Discrimination Index', 'Average Time (s)', 'Option Selections', 'Common Wrong Outputs'
+    ];
+    const rows = analysis.questions.map(question => [
+        question.number,
+        question.questionText,
+        question.questionType,
+        question.timesAsked,
+        question.answeredCount,
+        question.difficultyIndex,
+        question.discriminationIndex,
+        question.averageTime,
+        (question.options || [])
+            .map(option => `${option.text}${option.correct ? ' (correct)' : ''}: ${option.count}`)
+            .join(' | '),
+        (question.wrongOutputs || [])
+            .map(entry => `${entry.testCase === null ? 'Compile' : `Test ${entry.testCase + 1}`}: ${entry.output || '(no output)'} x${entry.count}`)
+            .join(' | ')
+    ]);
+
+    return [header, ...rows].map(row => row.map(escapeCsv).join(',')).join('\n');
+};
@@ -0,0 +1,167 @@
+// Manual grading of free-text answers. An attempt with answers waiting for an
+// instructor stays 'pendingReview' and doesn't count toward the student's result;
+// once its last answer is graded the result is recomputed, which also updates the
+// passed quizzes that unlock sections and the student's certificate. Graded answers,
+// keyword-graded short answers included, can be regraded (overridden) at any time
+const QuizAttempt = require('../models/quizAttempt');
+const { refreshQuizResult, getReviewedScore, getPassingPercentage } = require('./quizResults');
+const { refreshCertificateForStudent } = require('../utils/certificateRegeneration');
+const { createAdvancedNotification } = require('../controllers/notification');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+// The question as the attempt asked it; attempts that didn't store their questions
+// use the quiz's own
+const findQuestion = (attempt, quiz, questionId) => (attempt.questions.length > 0
+    ? attempt.questions.find(question => question._id.toString() === questionId.toString())
+    : quiz.questions.id(questionId));
+
+// What the grader sees of an attempt's free-text answers
+exports.toReviewItems = (attempt, quiz) => attempt.reviews.map(review => {
+    const question = findQuestion(attempt, quiz, review.question) || {};
+    return {
+        question: review.question,
+        questionText: question.questionText,
+        questionType: review.questionType,
+        keywords: question.keywords || [],
+        rubric: question.rubric || [],
+        answer: attempt.answers?.[review.question.toString()] ?? '',
+        maxScore: review.maxScore,
+        suggestedScore: review.suggestedScore,
+        status: review.status,
+        score: review.score,
+        rubricScores: review.rubricScores,
+        comment: review.comment,
+        gradedBy: review.gradedBy,
+        gradedAt: review.gradedAt
+    };
+});
+
+/**
+ * Why `grades` ([{ questionId, score, rubricScores, comment }]) can't be applied to
+ * the attempt, or null when they can. A question with a rubric is graded with
+ * rubricScores (points per rubric line), any other with score
+ */
+exports.getGradesError = (attempt, quiz, grades) => {
+    if (attempt.status === 'voided') {
+        return 'This attempt was voided and can\'t be graded';
+    }
+    if (!Array.isArray(grades) || grades.length === 0) {
+        return 'At least one grade is required';
+    }
+
+    for (const grade of grades) {
+        const review = attempt.reviews.find(entry => entry.question.toString() === String(grade.questionId));
+        if (!review) {
+            return 'Only the free-text answers of an attempt can be graded';
+        }
+        if (grade.comment !== undefined && (typeof grade.comment !== 'string' || grade.comment.length > MAX_COMMENT_LENGTH)) {
+            return `Comments must be text of at most ${MAX_COMMENT_LENGTH} characters`;
+        }
+
+        const rubric = findQuestion(attempt, quiz, review.question)?.rubric || [];
+        if (rubric.length > 0 && grade.rubricScores !== undefined) {
+            if (!Array.isArray(grade.rubricScores) || grade.rubricScores.length !== rubric.length) {
+                return 'Give a score for every rubric line';
+            }
+            const outOfRange = grade.rubricScores.findIndex((points, index) => !(Number(points) >= 0 && Number(points) <= rubric[index].points));
+            if (outOfRange >= 0) {
+                return `"${rubric[outOfRange].criterion}" is worth between 0 and ${rubric[outOfRange].points} points`;
+            }
+        } else if (!(Number(grade.score) >= 0 && Number(grade.score) <= review.maxScore)) {
+            return `Scores must be between 0 and ${review.maxScore}`;
+        }
+    }
+
+    return null;
+};
+
+/**
+ * Apply instructor grades (checked with getGradesError) to an attempt, rescore it and,
+ * once it is fully graded, recompute the student's quiz result and certificate.
+ * Resolves to { attempt, quizResult } where quizResult is null while the attempt
+ * still waits for review
+ */
+exports.gradeAttempt = async ({ attempt, quiz, grades, graderId }) => {
+    const wasPending = attempt.status === 'pendingReview';
+
+    for (const grade of grades) {
+        const review = attempt.reviews.find(entry => entry.question.toString() === String(grade.questionId));
+        const rubric = findQuestion(attempt, quiz, review.question)?.rubric || [];
+
+        if (rubric.length > 0 && grade.rubricScores !== undefined) {
+            review.rubricScores = grade.rubricScores.map(Number);
+            review.score = Math.min(review.rubricScores.reduce((sum, points) => sum + points, 0), review.maxScore);
+        } else {
+            review.rubricScores = [];
+            review.score = Number(grade.score);
+        }
+        if (grade.comment !== undefined) {
+            review.comment = grade.comment.trim();
+        }
+        review.status = 'graded';
+        review.gradedBy = graderId;
+        review.gradedAt = new Date();
+
+        const response = attempt.responses.find(entry => entry.question.toString() === review.question.toString());
+        if (response) {
+            response.earnedMarks = review.score;
+            response.correct = review.score === review.maxScore;
+        }
+    }
+
+    const pending = attempt.reviews.some(review => review.status === 'pending');
+    attempt.score = roundScore((attempt.autoScore ?? 0) + getReviewedScore(attempt.reviews));
+    attempt.percentage = (attempt.score / attempt.totalMarks) * 100;
+    attempt.status = pending ? 'pendingReview' : 'graded';
+    attempt.passed = !pending && attempt.percentage >= getPassingPercentage(quiz);
+    await attempt.save();
+
+    if (pending) {
+        return { attempt, quizResult: null };
+    }
+
+    const refreshed = await refreshQuizResult({
+        userId: attempt.user,
+        courseID: attempt.courseID,
+        subsectionId: attempt.subSection,
+        quiz
+    });
+
+    if (refreshed && refreshed.quizResult.passed !== refreshed.wasPassed) {
+        try {
+            await refreshCertificateForStudent(attempt.courseID, attempt.user);
+        } catch (certError) {
+            // The grade stands even if the certificate can't be updated now
+            console.error('Error refreshing certificate after grading:', certError);
+        }
+    }
+
+    try {
+        await createAdvancedNotification({
+            recipient: attempt.user,
+            type: 'QUIZ_GRADED',
+            title: wasPending ? 'Quiz Graded' : 'Quiz Grade Updated',
+            message: `Your attempt ${attempt.attemptNumber} at "${quiz.title}" was ${wasPending ? 'graded' : 'regraded'}: ${attempt.score}/${attempt.totalMarks} (${attempt.percentage.toFixed(1)}%).`,
+            relatedCourse: attempt.courseID,
+            priority: 'medium',
+            actionUrl: `/view-course/${attempt.courseID}`,
+            metadata: { quizId: quiz._id, attemptId: attempt._id }
+        });
+    } catch (notificationError) {
+        console.error('Error notifying student about quiz grade:', notificationError);
+    }
+
+    return { attempt, quizResult: refreshed?.quizResult || null };
+};
+
+// Attempts of a quiz with free-text answers, oldest first: the ones waiting for review,
+// or with `includeGraded` every attempt that has reviews (for overrides)
+exports.findReviewAttempts = (quizId, includeGraded) => QuizAttempt.find({
+    quiz: quizId,
+    ...(includeGraded ? { 'reviews.0': { $exists: true } } : { status: 'pendingReview' })
+})
+    .sort({ submittedAt: 1 })
+    .populate('user', 'firstName lastName email');
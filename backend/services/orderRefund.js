@@ -0,0 +1,259 @@
+// Refunds for paid orders: records the refund on the order, refunds through the
+// payment gateway when the order was paid online, and takes back refunded courses.
+// A gateway refund is saved on the order as pending before the gateway is asked to
+// move any money, so every refund the gateway knows of is already on its order; it
+// changes the order's lines, totals and status only once the gateway processed it
+const mongoose = require('mongoose');
+const User = require('../models/user');
+const Course = require('../models/course');
+const Order = require('../models/order');
+const paymentGateway = require('./paymentGateway');
+const { createOrderRefundNotification } = require('../controllers/notification');
+const { roundAmount, splitDiscount } = require('../utils/orderPricing');
+
+const getRemainingAmount = (item) => roundAmount(item.amount - item.refundedAmount);
+
+// Pull a refunded course from the student unless another order still grants it
+const revokeCourses = async (userId, coursesId) => {
+    for (const courseId of coursesId) {
+        const otherOrder = await Order.findPaidForCourse(userId, courseId);
+        if (otherOrder) {
+            continue;
+        }
+
+        await User.findByIdAndUpdate(userId, { $pull: { courses: courseId } });
+        await Course.findByIdAndUpdate(courseId, { $pull: { studentsEnrolled: userId } });
+    }
+};
+
+// A refund changes the order only once it is processed: until then (pending) its
+// lines are just held back from other refunds, and a refund that fails leaves the
+// order, its totals and the student's access as they were
+const isHeldByPendingRefund = (order, item) => order.refunds.some(refund =>
+    refund.status === 'pending' && refund.items.some(itemId => itemId.equals(item._id))
+);
+
+// Apply a processed refund of order.refunds to the order's lines and totals, then
+// save, revoke access and tell the student. increment() forces a version check, so
+// the save only goes through if the order is unchanged since it was loaded: of two
+// concurrent changes one fails with a VersionError instead of both applying
+const applyRefund = async (order, refund) => {
+    const refundedItems = order.items.filter(item => refund.items.some(itemId => itemId.equals(item._id)));
+    const shares = splitDiscount(refundedItems.map(getRemainingAmount), refund.amount);
+    refundedItems.forEach((item, index) => {
+        item.refundedAmount = roundAmount(item.refundedAmount + shares[index]);
+        item.status = 'refunded';
+    });
+
+    refund.status = 'processed';
+    refund.processedAt = refund.processedAt || new Date();
+    order.refundedAmount = roundAmount(order.refundedAmount + refund.amount);
+
+    const allRefunded = order.items.every(item => item.status === 'refunded');
+    order.status = allRefunded ? 'refunded' : 'partially_refunded';
+
+    order.increment();
+    await order.save();
+
+    await revokeCourses(order.user, refundedItems.map(item => item.course));
+    await createOrderRefundNotification(order.user, order, refund);
+
+    return refund;
+};
+
+// Apply a pending or failed gateway refund once the gateway reports it processed.
+// Resolves to the refund, or null when it is not on the order or already applied
+const settleGatewayRefund = async (orderId, refundId, gatewayRefundId) => {
+    for (let attempt = 0; ; attempt++) {
+        const order = await Order.findById(orderId);
+        const refund = order?.refunds.id(refundId);
+        if (!refund || refund.status === 'processed') {
+            return null;
+        }
+
+        refund.gatewayRefundId = gatewayRefundId;
+        try {
+            return await applyRefund(order, refund);
+        } catch (error) {
+            // Changed in the meantime (e.g. the webhook and the gateway response at once)
+            if (!(error instanceof mongoose.Error.VersionError) || attempt >= 2) {
+                throw error;
+            }
+        }
+    }
+};
+
+// Ask the gateway to refund a refund already saved as pending, and record its answer.
+// The refund.processed webhook may have confirmed it in the meantime, which is fine:
+// it is only applied once
+const issueGatewayRefund = async (order, refund) => {
+    let gatewayRefund;
+    try {
+        gatewayRefund = await paymentGateway.refundPayment(order.transactionId, {
+            amount: refund.amount,
+            notes: { orderId: String(order._id), refundId: String(refund._id), reason: refund.reason || '' }
+        });
+    } catch (error) {
+        // Nothing was applied, so the lines are simply free to refund again. If the
+        // money did move after all, the refund.processed webhook still finds it by its id
+        await Order.updateOne(
+            { _id: order._id },
+            { $set: { 'refunds.$[refund].status': 'failed' } },
+            { arrayFilters: [{ 'refund._id': refund._id, 'refund.status': 'pending' }] }
+        );
+        throw error;
+    }
+
+    if (gatewayRefund.status === 'processed') {
+        await settleGatewayRefund(order._id, refund._id, gatewayRefund.id);
+    } else {
+        await Order.updateOne(
+            { _id: order._id },
+            { $set: { 'refunds.$[refund].gatewayRefundId': gatewayRefund.id } },
+            { arrayFilters: [{ 'refund._id': refund._id, 'refund.status': 'pending' }] }
+        );
+    }
+
+    const savedOrder = await Order.findById(order._id);
+    return savedOrder.refunds.id(refund._id);
+};
+
+/**
+ * Refund a paid order, in full or for selected lines. Returns { error } when the
+ * request doesn't fit the order, otherwise { refund }.
+ * - itemIds: order lines to refund, defaults to every line not yet refunded
+ * - amount: defaults to what was charged for those lines
+ * - gatewayReference: reference for a refund made outside the gateway; when
+ *   given, or when the order was free, no gateway refund is issued
+ */
+exports.refundOrder = async (order, { itemIds, amount, reason, gatewayReference, processedBy } = {}) => {
+    if (!Order.PURCHASED_STATUSES.includes(order.status)) {
+        return { error: `A ${order.status} order cannot be refunded` };
+    }
+
+    const activeItems = order.items.filter(item => item.status === 'active' && !isHeldByPendingRefund(order, item));
+    let refundedItems = activeItems;
+    if (Array.isArray(itemIds) && itemIds.length > 0) {
+        refundedItems = activeItems.filter(item => itemIds.some(itemId => String(itemId) === String(item._id)));
+        if (refundedItems.length !== itemIds.length) {
+            return { error: 'Some of the selected items do not exist or are already refunded or being refunded' };
+        }
+    }
+
+    if (refundedItems.length === 0) {
+        return { error: 'Nothing left to refund on this order' };
+    }
+
+    const refundableAmount = roundAmount(refundedItems.reduce((sum, item) => sum + getRemainingAmount(item), 0));
+    const refundAmount = amount === undefined || amount === null || amount === ''
+        ? refundableAmount
+        : roundAmount(Number(amount));
+
+    if (!Number.isFinite(refundAmount) || refundAmount < 0 || refundAmount > refundableAmount) {
+        return { error: `Refund amount must be between 0 and ${refundableAmount}` };
+    }
+
+    const refund = {
+        _id: new mongoose.Types.ObjectId(),
+        items: refundedItems.map(item => item._id),
+        amount: refundAmount,
+        reason,
+        processedBy,
+        status: 'processed',
+        processedAt: new Date()
+    };
+
+    const viaGateway = !gatewayReference && order.paymentMethod === 'razorpay' && refundAmount > 0;
+    if (gatewayReference) {
+        refund.gatewayRefundId = gatewayReference;
+    } else if (viaGateway) {
+        // Processed once the gateway, or later its refund.processed webhook, confirms it
+        refund.status = 'pending';
+        refund.processedAt = undefined;
+    }
+
+    order.refunds.push(refund);
+    const savedRefund = order.refunds[order.refunds.length - 1];
+    try {
+        if (viaGateway) {
+            order.increment();
+            await order.save();
+        } else {
+            await applyRefund(order, savedRefund);
+        }
+    } catch (error) {
+        if (error instanceof mongoose.Error.VersionError) {
+            return { error: 'The order was changed while refunding it. Reload it and try again' };
+        }
+        throw error;
+    }
+
+    return { refund: viaGateway ? await issueGatewayRefund(order, savedRefund) : savedRefund };
+};
+
+// Reconcile a refund entity from a gateway webhook. Refunds issued through refundOrder
+// are matched by id; refunds made from the gateway dashboard are recorded here, and
+// revoke the order's courses once they cover everything that was charged
+exports.recordGatewayRefund = async (gatewayRefund) => {
+    const refundId = gatewayRefund.notes?.refundId;
+    const order = await Order.findOne({
+        $or: [
+            { 'refunds.gatewayRefundId': gatewayRefund.id },
+            ...(refundId && mongoose.Types.ObjectId.isValid(refundId) ? [{ 'refunds._id': refundId }] : []),
+            { transactionId: gatewayRefund.payment_id }
+        ]
+    });
+    if (!order) {
+        return 'ignored';
+    }
+
+    const existingRefund = order.refunds.find(refund =>
+        refund.gatewayRefundId === gatewayRefund.id || String(refund._id) === refundId
+    );
+    if (existingRefund) {
+        const settledRefund = await settleGatewayRefund(order._id, existingRefund._id, gatewayRefund.id);
+        return settledRefund ? 'processed' : 'ignored';
+    }
+
+    if (!Order.PURCHASED_STATUSES.includes(order.status)) {
+        return 'ignored';
+    }
+
+    const amount = roundAmount(gatewayRefund.amount / 100);
+    const remainingAmount = roundAmount(order.totalAmount - order.refundedAmount);
+    const refundedItems = amount >= remainingAmount
+        ? order.items.filter(item => item.status === 'active')
+        : [];
+
+    order.refunds.push({
+        items: refundedItems.map(item => item._id),
+        amount: Math.min(amount, remainingAmount),
+        reason: 'Refunded from payment gateway',
+        gatewayRefundId: gatewayRefund.id,
+        processedAt: new Date()
+    });
+    await applyRefund(order, order.refunds[order.refunds.length - 1]);
+
+    return 'processed';
+};
+
+// A refund the gateway could not complete. Only pending refunds can fail, and those
+// haven't touched the order's totals or the student's access, so nothing is undone
+exports.markGatewayRefundFailed = async (gatewayRefund) => {
+    const refundId = gatewayRefund.notes?.refundId;
+    const result = await Order.updateOne(
+        {
+            refunds: {
+                $elemMatch: {
+                    $or: [
+                        { gatewayRefundId: gatewayRefund.id },
+                        ...(refundId && mongoose.Types.ObjectId.isValid(refundId) ? [{ _id: refundId }] : [])
+                    ],
+                    status: 'pending'
+                }
+            }
+        },
+        { $set: { 'refunds.$.status': 'failed', 'refunds.$.gatewayRefundId': gatewayRefund.id } }
+    );
+    return result.modifiedCount > 0 ? 'processed' : 'ignored';
+};
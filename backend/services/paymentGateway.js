@@ -0,0 +1,85 @@
+// Payment gateway wrapper around the Razorpay client in config/razorpay.js
+const crypto = require('crypto');
+
+// Client and secret are resolved lazily so the server can boot without keys,
+// and can be swapped out (e.g. for a local fake) through setGatewayClient
+let gatewayClient = null;
+let gatewaySecret = null;
+let webhookSecret = null;
+
+const getGatewayClient = () => {
+  if (!gatewayClient) {
+    gatewayClient = require('../config/razorpay').instance;
+  }
+  return gatewayClient;
+};
+
+const getGatewaySecret = () => gatewaySecret || process.env.RAZORPAY_SECRET;
+
+// Constant-time comparison of two hex signatures
+const signaturesMatch = (expectedSignature, signature) => {
+  const expected = Buffer.from(expectedSignature);
+  const received = Buffer.from(String(signature));
+
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+exports.setGatewayClient = (client, { keySecret, webhookSecret: hookSecret } = {}) => {
+  gatewayClient = client;
+  gatewaySecret = keySecret || null;
+  webhookSecret = hookSecret || null;
+};
+
+exports.getGatewayKey = () => process.env.RAZORPAY_KEY;
+
+// Amounts are passed in rupees and converted to paise for the gateway
+exports.createGatewayOrder = async ({ amount, currency = 'INR', receipt, notes = {} }) => {
+  return getGatewayClient().orders.create({
+    amount: Math.round(amount * 100),
+    currency,
+    receipt,
+    notes
+  });
+};
+
+exports.fetchGatewayOrder = async (orderId) => {
+  return getGatewayClient().orders.fetch(orderId);
+};
+
+// Refund part or all of a captured payment; the amount is in rupees
+exports.refundPayment = async (paymentId, { amount, notes = {} } = {}) => {
+  return getGatewayClient().payments.refund(paymentId, {
+    amount: Math.round(amount * 100),
+    notes
+  });
+};
+
+// Razorpay signs "<order_id>|<payment_id>" with the key secret (HMAC-SHA256)
+exports.verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  const secret = getGatewaySecret();
+  if (!orderId || !paymentId || !signature || !secret) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
+
+  return signaturesMatch(expectedSignature, signature);
+};
+
+// Webhooks are signed over the raw request body with the webhook secret
+exports.verifyWebhookSignature = (rawBody, signature) => {
+  const secret = webhookSecret || process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!rawBody || !signature || !secret) {
+    return false;
+  }
+
+  const expectedSignature = crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('hex');
+
+  return signaturesMatch(expectedSignature, signature);
+};
@@ -0,0 +1,147 @@
+// The question set of one quiz attempt: drawn from question banks for bank-sourced
+// quizzes and shuffled on the server. The set is stored with the attempt, so
+// grading and review see exactly the questions and option order the student saw
+const QuestionBank = require('../models/questionBank');
+const { toStudentQuiz } = require('./codeGrading');
+
+const plainQuestion = (question) => (question.toObject ? question.toObject() : { ...question });
+
+// Fisher-Yates, on a copy
+const shuffle = (items) => {
+    const shuffled = [...items];
+    for (let i = shuffled.length - 1; i > 0; i--) {
+        const j = Math.floor(Math.random() * (i + 1));
+        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+    }
+    return shuffled;
+};
+
+// newIndexOf[oldIndex] for a shuffled order given as order[newIndex] = oldIndex
+const invertOrder = (order) => {
+    const newIndexOf = [];
+    order.forEach((oldIndex, newIndex) => {
+        newIndexOf[oldIndex] = newIndex;
+    });
+    return newIndexOf;
+};
+
+const matchesRule = (question, rule) => (
+    (!rule.topic || (question.topic || '').toLowerCase() === rule.topic.toLowerCase()) &&
+    (!rule.difficulty || question.difficulty === rule.difficulty) &&
+    (rule.tags || []).every(tag => (question.tags || []).includes(tag))
+);
+
+/**
+ * Bank questions a draw rule can pick from: those of rule.banks (every bank when
+ * empty) matching its topic, difficulty and tags
+ */
+exports.getDrawCandidates = async (rule) => {
+    const filter = rule.banks && rule.banks.length > 0 ? { _id: { $in: rule.banks } } : {};
+    const banks = await QuestionBank.find(filter).select('questions');
+    return banks.flatMap(bank => bank.questions
+        .filter(question => matchesRule(question, rule))
+        .map(plainQuestion));
+};
+
+// Every rule draws its count, never a question an earlier rule already drew
+const drawQuestions = async (quiz) => {
+    const drawn = [];
+    const drawnIds = new Set();
+    for (const rule of quiz.drawRules) {
+        const candidates = (await exports.getDrawCandidates(rule))
+            .filter(question => !drawnIds.has(question._id.toString()));
+        shuffle(candidates).slice(0, rule.count).forEach((question) => {
+            drawnIds.add(question._id.toString());
+            drawn.push(question);
+        });
+    }
+    return drawn;
+};
+
+// Reorder the options of a choice question, moving its answer key along. optionKey[i]
+// is the original index of the option shown at i, for item analysis
+const shuffleOptions = (question) => {
+    const options = question.options || [];
+    if (!['singleAnswer', 'multipleChoice'].includes(question.questionType) || options.length < 2) {
+        return question;
+    }
+    const order = shuffle(options.map((_, index) => index));
+    const newIndexOf = invertOrder(order);
+    return {
+        ...question,
+        options: order.map(index => options[index]),
+        correctAnswer: question.correctAnswer === null || question.correctAnswer === undefined
+            ? question.correctAnswer
+            : newIndexOf[question.correctAnswer],
+        correctAnswers: (question.correctAnswers || []).map(index => newIndexOf[index]),
+        optionKey: order
+    };
+};
+
+// A shuffled order of `length` items (order[newIndex] = oldIndex) that, when there
+// are two or more, never leaves them all in place
+const shuffledOrder = (length) => {
+    const identity = Array.from({ length }, (_, index) => index);
+    let order = identity;
+    if (length > 1) {
+        do {
+            order = shuffle(identity);
+        } while (order.every((oldIndex, newIndex) => oldIndex === newIndex));
+    }
+    return order;
+};
+
+// The answer column of match the following is always shown shuffled. matchKey[i]
+// is the position option i's answer moved to (see services/quizGrading.js)
+const shuffleMatchAnswers = (question) => {
+    const answers = question.answers || [];
+    const order = shuffledOrder(answers.length);
+    const newIndexOf = invertOrder(order);
+    return {
+        ...question,
+        answers: order.map(index => answers[index]),
+        matchKey: (question.options || []).map((_, index) => (newIndexOf[index] === undefined ? -1 : newIndexOf[index]))
+    };
+};
+
+// The items of an ordering question are always shown shuffled (they're stored in
+// the correct order). orderKey[i] is the correct place of the item shown at i
+const shuffleOrderingItems = (question) => {
+    const options = question.options || [];
+    const order = shuffledOrder(options.length);
+    return {
+        ...question,
+        options: order.map(index => options[index]),
+        orderKey: order
+    };
+};
+
+/**
+ * The questions for a new attempt at `quiz`, as plain objects that include the
+ * answer keys. Empty when a bank quiz finds nothing to draw
+ */
+exports.buildAttemptQuestions = async (quiz) => {
+    const questions = quiz.questionSource === 'bank'
+        ? await drawQuestions(quiz)
+        : quiz.questions.map(plainQuestion);
+
+    return (quiz.shuffleQuestions ? shuffle(questions) : questions).map((question) => {
+        const withOptions = quiz.shuffleOptions ? shuffleOptions(question) : question;
+        if (withOptions.questionType === 'ordering') {
+            return shuffleOrderingItems(withOptions);
+        }
+        return withOptions.questionType === 'matchTheFollowing' ? shuffleMatchAnswers(withOptions) : withOptions;
+    });
+};
+
+// Attempt questions as the student gets them: no answer keys, explanations, hidden tests
+// or solutions. Cloze questions keep the number of their blanks, not the answers
+exports.toStudentQuestions = (questions) => toStudentQuiz({ questions }).questions
+    .map(({ correctAnswer, correctAnswers, keywords, matchKey, orderKey, optionKey, numericAnswer, blanks, explanation, ...question }) => (
+        question.questionType === 'cloze' ? { ...question, blankCount: blanks.length } : question
+    ));
+
+// How many questions an attempt at `quiz` asks
+exports.getQuestionCount = (quiz) => (quiz.questionSource === 'bank'
+    ? (quiz.drawRules || []).reduce((sum, rule) => sum + rule.count, 0)
+    : quiz.questions.length);
@@ -0,0 +1,312 @@
+// CSV layout (RFC 4180, comma separated, first row is the header). Column names are
+// matched case-insensitively and may come in any order; only questionType and
+// questionText are required. List cells separate items with `|` (write `\|` for a
+// literal pipe and `\\` for a backslash).
+//
+//   questionType       multipleChoice | singleAnswer | shortAnswer | matchTheFollowing |
+//                      longAnswer | codeSolve | numeric | ordering | cloze
+//   questionText       the question; cloze questions mark blank n as [[n]]
+//   options            choices, the left-hand items of a matching question, or the
+//                      items of an ordering question in the correct order (list)
+//   correct            1-based number of the correct option; several (list) for multipleChoice
+//   answers            right-hand items of a matching question, in option order (list)
+//   keywords           shortAnswer keywords (list)
+//   keywordThreshold   % of the keywords an answer needs (1-100)
+//   manualGrading      true/false, short answers graded by an instructor
+//   rubric             criterion:points items (list), e.g. Clarity:2|Accuracy:3
+//   numericAnswer      the answer of a numeric question
+//   tolerance          how far off a numeric answer may be
+//   toleranceType      absolute | relative (tolerance in % of the answer)
+//   units              unit:multiplier items (list), e.g. m:1|cm:100
+//   unitRequired       true/false, numeric answers must name a unit
+//   blanks             JSON array of { answers: [...], caseSensitive } for cloze blanks
+//   marks, required, topic, difficulty (easy | medium | hard)
+//   explanation        shown with the correct answer when students review an attempt
+//   programmingLanguage, starterCode, solutionCode, outputComparison, floatTolerance
+//   testCases          JSON array of { input, expectedOutput, isHidden, weight }
+//
+// Blank cells fall back to the defaults of the question schema
+
+const COLUMNS = [
+    'questionType', 'questionText', 'options', 'correct', 'answers', 'keywords',
+    'keywordThreshold', 'manualGrading', 'rubric', 'numericAnswer', 'tolerance', 'toleranceType', 'units',
+    'unitRequired', 'blanks', 'marks', 'required', 'topic', 'difficulty', 'explanation',
+    'programmingLanguage', 'starterCode', 'solutionCode', 'outputComparison', 'floatTolerance', 'testCases'
+];
+
+exports.COLUMNS = COLUMNS;
+
+const fail = (line, message) => {
+    throw Object.assign(new Error(message), { line });
+};
+
+// Rows of cells, each with the line it starts on. Quoted cells may span lines
+const readRecords = (source) => {
+    const records = [];
+    let cells = [];
+    let cell = '';
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let i = 0; i < source.length; i++) {
+        const character = source[i];
+        if (quoted) {
+            if (character === '"' && source[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (character === '"') {
+                quoted = false;
+            } else {
+                if (character === '\n') {
+                    line++;
+                }
+                cell += character;
+            }
+        } else if (character === '"' && cell === '') {
+            quoted = true;
+        } else if (character === ',') {
+            cells.push(cell);
+            cell = '';
+        } else if (character === '\n' || character === '\r') {
+            if (character === '\r' && source[i + 1] === '\n') {
+                i++;
+            }
+            cells.push(cell);
+            records.push({ line: recordLine, cells });
+            cells = [];
+            cell = '';
+            line++;
+            recordLine = line;
+        } else {
+            cell += character;
+        }
+    }
+    if (quoted) {
+        fail(recordLine, 'A quoted cell is never closed');
+    }
+    if (cell !== '' || cells.length > 0) {
+        cells.push(cell);
+        records.push({ line: recordLine, cells });
+    }
+
+    return records.filter(record => record.cells.some(value => value.trim() !== ''));
+};
+
+const splitList = (value) => {
+    if (value.trim() === '') {
+        return [];
+    }
+    const items = [''];
+    for (let i = 0; i < value.length; i++) {
+        if (value[i] === '\\' && (value[i + 1] === '|' || value[i + 1] === '\\')) {
+            items[items.length - 1] += value[++i];
+        } else if (value[i] === '|') {
+            items.push('');
+        } else {
+            items[items.length - 1] += value[i];
+        }
+    }
+    return items.map(item => item.trim());
+};
+
+const joinList = (items) => items.map(item => String(item).replace(/[\\|]/g, '\\$&')).join('|');
+
+const toNumber = (value, column) => {
+    const number = Number(value);
+    if (value.trim() === '' || Number.isNaN(number)) {
+        throw new Error(`${column} must be a number`);
+    }
+    return number;
+};
+
+const toBoolean = (value, column) => {
+    const normalized = value.trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(normalized)) {
+        return true;
+    }
+    if (['false', 'no', '0'].includes(normalized)) {
+        return false;
+    }
+    throw new Error(`${column} must be true or false`);
+};
+
+const parseJsonArray = (value, column) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(value);
+    } catch (error) {
+        throw new Error(`${column} must be a JSON array`);
+    }
+    if (!Array.isArray(parsed)) {
+        throw new Error(`${column} must be a JSON array`);
+    }
+    return parsed;
+};
+
+// 1-based option numbers to 0-based indices
+const toIndices = (value) => splitList(value).map(item => toNumber(item, 'correct') - 1);
+
+const toQuestion = (row) => {
+    const question = {
+        questionType: row.questionType.trim(),
+        questionText: row.questionText.trim()
+    };
+    const has = (column) => row[column] !== undefined && row[column].trim() !== '';
+
+    if (has('options')) {
+        question.options = splitList(row.options);
+    }
+    if (has('correct')) {
+        if (question.questionType === 'multipleChoice') {
+            question.correctAnswers = toIndices(row.correct);
+        } else {
+            question.correctAnswer = toNumber(row.correct, 'correct') - 1;
+        }
+    }
+    if (has('answers')) {
+        question.answers = splitList(row.answers);
+    }
+    if (has('keywords')) {
+        question.keywords = splitList(row.keywords);
+    }
+    if (has('rubric')) {
+        question.rubric = splitList(row.rubric).map(item => {
+            const colon = item.lastIndexOf(':');
+            if (colon < 0) {
+                throw new Error('Rubric items must be written as criterion:points');
+            }
+            return { criterion: item.slice(0, colon).trim(), points: toNumber(item.slice(colon + 1), 'Rubric points') };
+        });
+    }
+    if (has('units')) {
+        question.units = splitList(row.units).map(item => {
+            const colon = item.lastIndexOf(':');
+            return colon < 0
+                ? { unit: item }
+                : { unit: item.slice(0, colon).trim(), multiplier: toNumber(item.slice(colon + 1), 'Unit multipliers') };
+        });
+    }
+    for (const column of ['keywordThreshold', 'numericAnswer', 'tolerance', 'marks', 'floatTolerance']) {
+        if (has(column)) {
+            question[column] = toNumber(row[column], column);
+        }
+    }
+    for (const column of ['manualGrading', 'unitRequired', 'required']) {
+        if (has(column)) {
+            question[column] = toBoolean(row[column], column);
+        }
+    }
+    for (const column of ['toleranceType', 'topic', 'difficulty', 'explanation', 'programmingLanguage', 'outputComparison']) {
+        if (has(column)) {
+            question[column] = row[column].trim();
+        }
+    }
+    // Code keeps its indentation
+    for (const column of ['starterCode', 'solutionCode']) {
+        if (has(column)) {
+            question[column] = row[column];
+        }
+    }
+    for (const column of ['testCases', 'blanks']) {
+        if (has(column)) {
+            question[column] = parseJsonArray(row[column], column);
+        }
+    }
+
+    return question;
+};
+
+// Parse a CSV file into { items: [{ line, question } | { line, error }] }
+exports.parse = (source) => {
+    const records = readRecords(source);
+    if (records.length === 0) {
+        fail(1, 'The file is empty');
+    }
+
+    const header = records[0].cells.map(name => name.trim());
+    const columns = header.map(name => COLUMNS.find(column => column.toLowerCase() === name.toLowerCase()));
+    const unknown = header.filter((name, index) => !columns[index]);
+    if (unknown.length > 0) {
+        fail(records[0].line, `Unknown column${unknown.length > 1 ? 's' : ''}: ${unknown.join(', ')}`);
+    }
+    for (const required of ['questionType', 'questionText']) {
+        if (!columns.includes(required)) {
+            fail(records[0].line, `The header needs a ${required} column`);
+        }
+    }
+
+    const items = records.slice(1).map(({ line, cells }) => {
+        if (cells.length > columns.length) {
+            return { line, error: `The row has ${cells.length} cells but the header only ${columns.length}` };
+        }
+        const row = Object.fromEntries(columns.map((column, index) => [column, cells[index] ?? '']));
+        try {
+            return { line, question: toQuestion(row) };
+        } catch (error) {
+            return { line, error: error.message };
+        }
+    });
+
+    if (items.length === 0) {
+        fail(records[0].line, 'The file has no questions');
+    }
+    return { items };
+};
+
+const quoteCell = (value) => {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) || /^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toRow = (question) => {
+    const type = question.questionType;
+    const hasOptions = ['multipleChoice', 'singleAnswer', 'matchTheFollowing', 'ordering'].includes(type);
+    const isNumeric = type === 'numeric';
+    const isFreeText = type === 'shortAnswer' || type === 'longAnswer';
+    const isCode = type === 'codeSolve';
+    const row = {
+        questionType: type,
+        questionText: question.questionText,
+        options: hasOptions ? joinList(question.options || []) : '',
+        correct: type === 'multipleChoice'
+            ? joinList((question.correctAnswers || []).map(index => Number(index) + 1))
+            : type === 'singleAnswer' ? Number(question.correctAnswer) + 1 : '',
+        answers: type === 'matchTheFollowing' ? joinList(question.answers || []) : '',
+        keywords: type === 'shortAnswer' ? joinList(question.keywords || []) : '',
+        keywordThreshold: type === 'shortAnswer' ? question.keywordThreshold : '',
+        manualGrading: type === 'shortAnswer' && question.manualGrading ? 'true' : '',
+        rubric: isFreeText ? joinList((question.rubric || []).map(line => `${line.criterion}:${line.points}`)) : '',
+        numericAnswer: isNumeric ? question.numericAnswer : '',
+        tolerance: isNumeric ? question.tolerance : '',
+        toleranceType: isNumeric ? question.toleranceType : '',
+        units: isNumeric ? joinList((question.units || []).map(unit => `${unit.unit}:${unit.multiplier ?? 1}`)) : '',
+        unitRequired: isNumeric && question.unitRequired ? 'true' : '',
+        blanks: type === 'cloze'
+            ? JSON.stringify((question.blanks || []).map(({ answers, caseSensitive }) => ({ answers, caseSensitive })))
+            : '',
+        marks: question.marks,
+        required: question.required === false ? 'false' : 'true',
+        topic: question.topic,
+        difficulty: question.difficulty,
+        explanation: question.explanation,
+        programmingLanguage: isCode ? question.programmingLanguage : '',
+        starterCode: isCode ? question.starterCode : '',
+        solutionCode: isCode ? question.solutionCode : '',
+        outputComparison: isCode ? question.outputComparison : '',
+        floatTolerance: isCode && question.outputComparison === 'float' ? question.floatTolerance : '',
+        testCases: isCode
+            ? JSON.stringify((question.testCases || []).map(({ input, expectedOutput, isHidden, weight }) => ({
+                input, expectedOutput, isHidden, weight
+            })))
+            : ''
+    };
+    return COLUMNS.map(column => quoteCell(row[column])).join(',');
+};
+
+// Write questions as CSV. Every question type fits, so nothing is skipped
+exports.serialize = (questions) => ({
+    content: [COLUMNS.join(','), ...questions.map(toRow)].join('\r\n') + '\r\n',
+    skipped: [],
+    warnings: []
+});
@@ -0,0 +1,327 @@
+// Moodle GIFT (https://docs.moodle.org/en/GIFT_format). Questions are separated by
+// blank lines; `//` lines are comments and `$CATEGORY:` sets the topic of the
+// questions after it. Supported:
+//   Text {=right ~wrong ~wrong}            -> singleAnswer
+//   Text {~%50%right ~%50%right ~wrong}    -> multipleChoice (positive weights are correct)
+//   Text {=one =two}                       -> shortAnswer, any one of the answers as keyword
+//   Text {=left -> right =left -> right}   -> matchTheFollowing
+//   Text {}                                -> longAnswer
+//   Text {T} / {F}                         -> singleAnswer with True/False options
+//   Text {#3.14:0.01} / {#3.13..3.15}      -> numeric with an absolute tolerance
+// Numerical questions with several (partial credit) answers are reported as errors.
+// General feedback (`####text` at the end of the answers) is the question's
+// explanation. GIFT has no marks, so imported questions are worth 1 mark
+
+const SPECIAL_CHARACTERS = /[~=#{}:\\]/g;
+const UNSUPPORTED_TYPES = {
+    codeSolve: 'GIFT has no code question type',
+    ordering: 'GIFT has no ordering question type',
+    cloze: 'GIFT has no fill-in-the-blanks question type with several blanks'
+};
+
+// Thrown for problems that stop the whole file from being read
+const fail = (line, message) => {
+    throw Object.assign(new Error(message), { line });
+};
+
+// Index of the first unescaped `character` in text at or after `from`, or -1
+const indexOfUnescaped = (text, character, from = 0) => {
+    for (let i = from; i < text.length; i++) {
+        if (text[i] === '\\') {
+            i++;
+        } else if (text.startsWith(character, i)) {
+            return i;
+        }
+    }
+    return -1;
+};
+
+const unescapeText = (text) => text.replace(/\\(n|.)/g, (_, character) => (character === 'n' ? '\n' : character));
+
+const escapeText = (text) => String(text).replace(SPECIAL_CHARACTERS, '\\$&').replace(/\r?\n/g, '\\n');
+
+// Splits the questions of a file into { line, text } blocks, handling comments and categories
+const splitItems = (source) => {
+    const items = [];
+    let current = null;
+    let topic = '';
+
+    source.split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (line.startsWith('//')) {
+            return;
+        }
+        if (line === '') {
+            current = null;
+            return;
+        }
+        if (!current && line.startsWith('$CATEGORY:')) {
+            const path = line.slice('$CATEGORY:'.length).trim().split('/').filter(Boolean);
+            // Moodle prefixes categories with a context such as $course$
+            topic = path.filter(part => !/^\$\w+\$$/.test(part)).pop() || '';
+            return;
+        }
+        if (!current) {
+            current = { line: index + 1, text: '', topic };
+            items.push(current);
+        }
+        current.text += (current.text ? '\n' : '') + rawLine;
+    });
+
+    return items;
+};
+
+// The answers of a `{...}` block as { marker, weight, text }, without feedback
+const splitAnswers = (block) => {
+    const answers = [];
+    let position = 0;
+    while (position < block.length) {
+        const marker = block[position];
+        let next = block.length;
+        for (const character of ['=', '~']) {
+            const index = indexOfUnescaped(block, character, position + 1);
+            if (index >= 0 && index < next) {
+                next = index;
+            }
+        }
+
+        let text = block.slice(position + 1, next);
+        const feedbackStart = indexOfUnescaped(text, '#');
+        if (feedbackStart >= 0) {
+            text = text.slice(0, feedbackStart);
+        }
+        let weight = null;
+        const weightMatch = text.match(/^\s*%(-?\d+(?:\.\d+)?)%/);
+        if (weightMatch) {
+            weight = Number(weightMatch[1]);
+            text = text.slice(weightMatch[0].length);
+        }
+
+        answers.push({ marker, weight, text: text.trim() });
+        position = next;
+    }
+    return answers;
+};
+
+// `#` blocks: "value", "value:tolerance", "min..max", or one "=" answer in those forms
+const toNumericQuestion = (questionText, block) => {
+    let text = block.trim();
+    if (text.startsWith('=')) {
+        const answers = splitAnswers(text);
+        if (answers.length > 1) {
+            throw new Error('Numerical questions with more than one answer aren\'t supported');
+        }
+        text = answers[0].text;
+    } else {
+        const feedbackStart = indexOfUnescaped(text, '#');
+        text = (feedbackStart >= 0 ? text.slice(0, feedbackStart) : text).trim();
+    }
+
+    const range = text.match(/^(-?[\d.]+(?:e-?\d+)?)\.\.(-?[\d.]+(?:e-?\d+)?)$/i);
+    const [answer, tolerance] = range
+        ? [(Number(range[1]) + Number(range[2])) / 2, Math.abs(Number(range[2]) - Number(range[1])) / 2]
+        : text.split(':').map(Number);
+    if (text === '' || !Number.isFinite(answer) || (tolerance !== undefined && !Number.isFinite(tolerance))) {
+        throw new Error(`"${text}" isn't a numerical answer`);
+    }
+    return {
+        questionText,
+        questionType: 'numeric',
+        numericAnswer: answer,
+        tolerance: tolerance || 0,
+        toleranceType: 'absolute'
+    };
+};
+
+const toQuestion = (questionText, block) => {
+    const feedbackStart = indexOfUnescaped(block, '####');
+    const trimmed = (feedbackStart >= 0 ? block.slice(0, feedbackStart) : block).trim();
+
+    if (trimmed === '') {
+        return { questionText, questionType: 'longAnswer' };
+    }
+    const trueFalse = trimmed.match(/^(T|TRUE|F|FALSE)\s*(#|$)/);
+    if (trueFalse) {
+        return {
+            questionText,
+            questionType: 'singleAnswer',
+            options: ['True', 'False'],
+            correctAnswer: trueFalse[1].startsWith('T') ? 0 : 1
+        };
+    }
+    if (trimmed.startsWith('#')) {
+        return toNumericQuestion(questionText, trimmed.slice(1));
+    }
+    if (trimmed[0] !== '=' && trimmed[0] !== '~') {
+        throw new Error('Answers must start with = or ~');
+    }
+
+    const answers = splitAnswers(trimmed);
+
+    if (answers.some(answer => indexOfUnescaped(answer.text, '->') >= 0)) {
+        const pairs = answers.map(answer => {
+            const arrow = indexOfUnescaped(answer.text, '->');
+            if (answer.marker !== '=' || arrow < 0) {
+                throw new Error('Every answer of a matching question must be "=left -> right"');
+            }
+            return [answer.text.slice(0, arrow), answer.text.slice(arrow + 2)].map(part => unescapeText(part.trim()));
+        });
+        return {
+            questionText,
+            questionType: 'matchTheFollowing',
+            options: pairs.map(pair => pair[0]),
+            answers: pairs.map(pair => pair[1])
+        };
+    }
+
+    const texts = answers.map(answer => unescapeText(answer.text));
+    const isCorrect = answers.map(answer => (answer.weight !== null ? answer.weight > 0 : answer.marker === '='));
+
+    if (answers.every(answer => answer.marker === '=')) {
+        return {
+            questionText,
+            questionType: 'shortAnswer',
+            keywords: texts,
+            // Any one of the accepted answers is enough
+            keywordThreshold: Math.max(1, Math.floor(100 / texts.length))
+        };
+    }
+
+    const correct = isCorrect.flatMap((value, index) => (value ? [index] : []));
+    if (correct.length === 0) {
+        throw new Error('No answer is marked as correct');
+    }
+    if (correct.length === 1 && answers.every(answer => answer.weight === null)) {
+        return { questionText, questionType: 'singleAnswer', options: texts, correctAnswer: correct[0] };
+    }
+    return { questionText, questionType: 'multipleChoice', options: texts, correctAnswers: correct };
+};
+
+// Parse a GIFT file into { items: [{ line, question } | { line, error }] }
+exports.parse = (source) => {
+    const items = splitItems(source).map(({ line, text, topic }) => {
+        try {
+            let body = text.trim();
+            const title = body.match(/^::((?:\\.|[^:\\]|:(?!:))*)::/);
+            if (title) {
+                body = body.slice(title[0].length).trim();
+            }
+            body = body.replace(/^\[(html|moodle|plain|markdown)\]/, '').trim();
+
+            const open = indexOfUnescaped(body, '{');
+            const close = open >= 0 ? indexOfUnescaped(body, '}', open) : -1;
+            if (open < 0 || close < 0) {
+                throw new Error('Missing the {...} answer block');
+            }
+
+            // Text after the answers makes a "missing word" question
+            const before = unescapeText(body.slice(0, open).trim());
+            const after = unescapeText(body.slice(close + 1).trim());
+            const questionText = after ? `${before} _____ ${after}` : before;
+
+            const block = body.slice(open + 1, close);
+            const feedbackStart = indexOfUnescaped(block, '####');
+            const explanation = feedbackStart >= 0 ? unescapeText(block.slice(feedbackStart + 4).trim()) : '';
+            const question = toQuestion(questionText, block);
+            return { line, question: { ...question, topic, ...(explanation && { explanation }) } };
+        } catch (error) {
+            return { line, error: error.message };
+        }
+    });
+
+    if (items.length === 0) {
+        fail(1, 'The file has no questions');
+    }
+    return { items };
+};
+
+const answerBlock = (question, warnings, number) => {
+    switch (question.questionType) {
+        case 'singleAnswer':
+            return question.options.map((option, index) => (
+                `${index === Number(question.correctAnswer) ? '=' : '~'}${escapeText(option)}`
+            ));
+        case 'multipleChoice': {
+            const correct = question.correctAnswers.map(Number);
+            const weight = Number((100 / correct.length).toFixed(5));
+            return question.options.map((option, index) => (
+                correct.includes(index) ? `~%${weight}%${escapeText(option)}` : `~%-100%${escapeText(option)}`
+            ));
+        }
+        case 'matchTheFollowing':
+            if (question.options.length < 3) {
+                warnings.push(`Question ${number}: Moodle needs at least three pairs to import a matching question`);
+            }
+            return question.options.map((option, index) => (
+                `=${escapeText(option)} -> ${escapeText(question.answers[index])}`
+            ));
+        case 'numeric': {
+            const tolerance = question.toleranceType === 'relative'
+                ? Number((Math.abs(question.numericAnswer) * (question.tolerance || 0) / 100).toPrecision(12))
+                : question.tolerance || 0;
+            if (question.toleranceType === 'relative') {
+                warnings.push(`Question ${number}: the ${question.tolerance}% tolerance is exported as ±${tolerance}`);
+            }
+            if (question.units && question.units.length > 0) {
+                warnings.push(`Question ${number}: GIFT has no units, answers are plain numbers`);
+            }
+            return [`#${question.numericAnswer}:${tolerance}`];
+        }
+        case 'shortAnswer': {
+            const keywords = question.keywords || [];
+            if (keywords.length === 0 || question.manualGrading) {
+                warnings.push(`Question ${number}: manually graded short answer exported as an essay`);
+                return [];
+            }
+            const threshold = question.keywordThreshold ?? 50;
+            if (keywords.length > 1 && Math.ceil(keywords.length * threshold / 100) > 1) {
+                warnings.push(`Question ${number}: GIFT accepts any one of the keywords instead of ${threshold}% of them`);
+            }
+            return keywords.map(keyword => `=${escapeText(keyword)}`);
+        }
+        default:
+            return [];
+    }
+};
+
+/**
+ * Write questions as GIFT. Returns { content, skipped, warnings } where skipped lists
+ * the questions GIFT can't hold ({ number, questionText, reason })
+ */
+exports.serialize = (questions) => {
+    const blocks = [];
+    const skipped = [];
+    const warnings = [];
+    let topic = '';
+
+    questions.forEach((question, index) => {
+        const number = index + 1;
+        if (UNSUPPORTED_TYPES[question.questionType]) {
+            skipped.push({ number, questionText: question.questionText, reason: UNSUPPORTED_TYPES[question.questionType] });
+            return;
+        }
+        if (question.rubric && question.rubric.length > 0) {
+            warnings.push(`Question ${number}: the grading rubric isn't exported`);
+        }
+        if ((question.marks ?? 1) !== 1) {
+            warnings.push(`Question ${number}: GIFT has no marks, re-imported questions are worth 1 mark`);
+        }
+
+        const lines = [];
+        if ((question.topic || '') !== topic) {
+            topic = question.topic || '';
+            // A bare context category puts untitled questions back at the top level
+            lines.push(`$CATEGORY: $course$${topic ? `/${topic.replace(/\//g, '-')}` : ''}`, '');
+        }
+        const answers = answerBlock(question, warnings, number);
+        lines.push(`::Q${number}:: ${escapeText(question.questionText)} {`);
+        lines.push(...answers.map(answer => `    ${answer}`));
+        if (question.explanation) {
+            lines.push(`    ####${escapeText(question.explanation)}`);
+        }
+        lines.push('}');
+        blocks.push(lines.join('\n'));
+    });
+
+    return { content: blocks.join('\n\n') + '\n', skipped, warnings };
+};
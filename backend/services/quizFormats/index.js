@@ -0,0 +1,82 @@
+// Quiz import and export in interchange formats. Each format module exports
+// parse(input) -> { items: [{ line, file?, question } | { line, file?, error }] }, throwing
+// an Error with a `line` for problems that stop the whole file from being read, and
+// serialize(questions) -> { content, skipped, warnings }
+const { getQuestionError } = require('../../utils/questionValidation');
+
+const FORMATS = {
+    gift: { module: require('./gift'), extension: 'gift.txt', binary: false },
+    qti: { module: require('./qti'), extension: 'zip', binary: true },
+    csv: { module: require('./csv'), extension: 'csv', binary: false }
+};
+
+exports.FORMATS = Object.keys(FORMATS);
+
+// Upper bound on the questions read from one file
+const MAX_IMPORT_ITEMS = 200;
+
+/**
+ * Read a file and check every question in it with the same rules createQuiz and
+ * updateQuiz apply. `content` is text, or base64 when `encoding` is 'base64' (QTI
+ * packages). Returns { items, questions, fileError } where items has one entry per
+ * question found ({ line, file, questionText, questionType, error }), questions holds
+ * the valid ones and fileError is set when the file couldn't be read at all
+ */
+exports.previewImport = ({ format, content, encoding = 'text' }) => {
+    const buffer = encoding === 'base64' ? Buffer.from(content, 'base64') : Buffer.from(content, 'utf8');
+    // Drop a UTF-8 byte order mark left by spreadsheet programs
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+
+    let parsed;
+    try {
+        parsed = FORMATS[format].module.parse(FORMATS[format].binary ? buffer : text);
+    } catch (error) {
+        if (error.line === undefined) {
+            throw error;
+        }
+        return { items: [], questions: [], fileError: { line: error.line, message: error.message } };
+    }
+
+    if (parsed.items.length > MAX_IMPORT_ITEMS) {
+        return {
+            items: [],
+            questions: [],
+            fileError: { line: 1, message: `A file can hold at most ${MAX_IMPORT_ITEMS} questions` }
+        };
+    }
+
+    const questions = [];
+    const items = parsed.items.map(({ line, file, question, error }) => {
+        const questionError = error || getQuestionError(question);
+        if (!questionError) {
+            // The quiz editor has its own default marks, so fill in the schema's
+            questions.push({ marks: 1, ...question });
+        }
+        return {
+            line,
+            file: file || null,
+            questionText: question ? question.questionText : null,
+            questionType: question ? question.questionType : null,
+            error: questionError || null
+        };
+    });
+
+    return { items, questions, fileError: null };
+};
+
+/**
+ * Write questions in `format`. Returns { fileName, content, encoding, skipped, warnings }
+ * where binary formats are base64 encoded and skipped lists the questions the format
+ * can't hold
+ */
+exports.exportQuestions = (format, questions, baseName) => {
+    const { module, extension, binary } = FORMATS[format];
+    const { content, skipped, warnings } = module.serialize(questions);
+    return {
+        fileName: `${baseName}.${extension}`,
+        content: binary ? content.toString('base64') : content,
+        encoding: binary ? 'base64' : 'text',
+        skipped,
+        warnings
+    };
+};
@@ -0,0 +1,347 @@
+// IMS QTI 2.1 items (https://www.imsglobal.org/question/qtiv2p1/imsqti_infov2p1.html).
+// Exports are content packages: a ZIP with imsmanifest.xml and one assessmentItem
+// file per question. Imports take such a package or a single XML file with one or
+// more assessmentItem elements. Interactions map to question types as:
+//   choiceInteraction (single / multiple cardinality) -> singleAnswer / multipleChoice
+//   matchInteraction (directedPair)                   -> matchTheFollowing
+//   textEntryInteraction                              -> shortAnswer, accepted values as keywords
+//   extendedTextInteraction                           -> longAnswer
+// Marks travel in the MAXSCORE outcome. Code, numeric, ordering and cloze questions
+// aren't exported
+const { parseXml, findAll, findFirst, textContent, escapeXml } = require('../../utils/xmlParser');
+const { createZip, readZip, isZip } = require('../../utils/zipArchive');
+
+const QTI_NAMESPACE = 'http://www.imsglobal.org/xsd/imsqti_v2p1';
+const MATCH_CORRECT = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/match_correct';
+const MAP_RESPONSE = 'http://www.imsglobal.org/question/qti_v2p1/rptemplates/map_response';
+const UNSUPPORTED_TYPES = {
+    codeSolve: 'QTI 2.1 has no code question type',
+    numeric: 'Numeric answers with tolerances and units aren\'t exported to QTI',
+    ordering: 'Ordering questions aren\'t exported to QTI',
+    cloze: 'Questions with several blanks aren\'t exported to QTI'
+};
+const INTERACTIONS = [
+    'choiceInteraction', 'matchInteraction', 'textEntryInteraction', 'extendedTextInteraction',
+    'orderInteraction', 'associateInteraction', 'gapMatchInteraction', 'inlineChoiceInteraction',
+    'hottextInteraction', 'hotspotInteraction', 'sliderInteraction', 'uploadInteraction',
+    'graphicGapMatchInteraction', 'selectPointInteraction', 'positionObjectInteraction', 'drawingInteraction'
+];
+
+const fail = (line, message) => {
+    throw Object.assign(new Error(message), { line });
+};
+
+// Text of an element with the line breaks of the source layout tidied up
+const cleanText = (element, skip) => textContent(element, skip)
+    .split('\n')
+    .map(line => line.trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+
+const values = (element) => (element ? findAll(element, 'value').map(value => cleanText(value)) : []);
+
+const toQuestion = (item) => {
+    const body = findFirst(item, 'itemBody');
+    if (!body) {
+        throw new Error('The item has no itemBody');
+    }
+    const interactions = INTERACTIONS.flatMap(name => findAll(body, name));
+    if (interactions.length !== 1) {
+        throw new Error(interactions.length === 0
+            ? 'The item has no interaction'
+            : 'Items with more than one interaction aren\'t supported');
+    }
+    const interaction = interactions[0];
+
+    const responseId = interaction.attributes.responseIdentifier;
+    const declaration = findAll(item, 'responseDeclaration')
+        .find(element => element.attributes.identifier === responseId);
+    const correctValues = declaration ? values(findFirst(declaration, 'correctResponse')) : [];
+    const mappedValues = declaration
+        ? findAll(declaration, 'mapEntry')
+            .filter(entry => Number(entry.attributes.mappedValue) > 0)
+            .map(entry => entry.attributes.mapKey)
+        : [];
+    const accepted = [...new Set([...correctValues, ...mappedValues])];
+
+    const prompt = findFirst(interaction, 'prompt');
+    const questionText = prompt
+        ? cleanText(prompt)
+        : cleanText(body, [...INTERACTIONS, 'rubricBlock']);
+
+    const maxScore = findAll(item, 'outcomeDeclaration')
+        .find(element => element.attributes.identifier === 'MAXSCORE');
+    const marks = maxScore && values(findFirst(maxScore, 'defaultValue'))[0];
+    const question = { questionText, ...(marks ? { marks: Number(marks) } : {}) };
+
+    switch (interaction.name) {
+        case 'choiceInteraction': {
+            const choices = findAll(interaction, 'simpleChoice');
+            const identifiers = choices.map(choice => choice.attributes.identifier);
+            const correct = accepted.map(value => identifiers.indexOf(value));
+            if (correct.length === 0 || correct.includes(-1)) {
+                throw new Error('The correct response doesn\'t name the item\'s choices');
+            }
+            const options = choices.map(choice => cleanText(choice, ['feedbackInline']));
+            if (declaration && declaration.attributes.cardinality === 'single') {
+                return { ...question, questionType: 'singleAnswer', options, correctAnswer: correct[0] };
+            }
+            return { ...question, questionType: 'multipleChoice', options, correctAnswers: correct };
+        }
+        case 'matchInteraction': {
+            const [sources, targets] = findAll(interaction, 'simpleMatchSet')
+                .map(set => findAll(set, 'simpleAssociableChoice'));
+            if (!sources || !targets) {
+                throw new Error('Match interactions need two simpleMatchSet elements');
+            }
+            const answers = sources.map(source => {
+                const pair = accepted
+                    .map(value => value.split(/\s+/))
+                    .find(([from]) => from === source.attributes.identifier);
+                const target = pair && targets.find(choice => choice.attributes.identifier === pair[1]);
+                if (!target) {
+                    throw new Error(`"${cleanText(source)}" has no correct match`);
+                }
+                return cleanText(target);
+            });
+            return {
+                ...question,
+                questionType: 'matchTheFollowing',
+                options: sources.map(source => cleanText(source)),
+                answers
+            };
+        }
+        case 'textEntryInteraction':
+            return {
+                ...question,
+                questionType: 'shortAnswer',
+                keywords: accepted,
+                // Any one of the accepted responses is enough
+                ...(accepted.length > 0 ? { keywordThreshold: Math.max(1, Math.floor(100 / accepted.length)) } : {})
+            };
+        case 'extendedTextInteraction':
+            return { ...question, questionType: 'longAnswer' };
+        default:
+            throw new Error(`${interaction.name} isn't supported`);
+    }
+};
+
+const parseItems = (xml, file) => {
+    let document;
+    try {
+        document = parseXml(xml);
+    } catch (error) {
+        const [, line = 1, message] = error.message.match(/^(?:Line (\d+): )?([\s\S]*)$/);
+        fail(Number(line), file ? `${file}: ${message}` : message);
+    }
+    return findAll(document, 'assessmentItem').map(item => {
+        const entry = { line: item.line, ...(file ? { file } : {}) };
+        try {
+            return { ...entry, question: toQuestion(item) };
+        } catch (error) {
+            return { ...entry, error: error.message };
+        }
+    });
+};
+
+// The item files of a content package, in manifest order
+const readPackage = (buffer) => {
+    const files = readZip(buffer);
+    const byName = new Map(files.map(file => [file.name, file.content.toString('utf8')]));
+    const manifest = byName.get('imsmanifest.xml');
+    let names = files.map(file => file.name).filter(name => name.endsWith('.xml') && name !== 'imsmanifest.xml');
+    if (manifest) {
+        names = findAll(parseXml(manifest), 'resource')
+            .filter(resource => /^imsqti_item_xmlv2p1/.test(resource.attributes.type || ''))
+            .map(resource => resource.attributes.href)
+            .filter(href => byName.has(href));
+    }
+    return names.map(name => ({ name, xml: byName.get(name) }));
+};
+
+// Parse a package (Buffer) or XML text into { items: [{ line, file?, question } | { line, file?, error }] }
+exports.parse = (input) => {
+    let items;
+    if (Buffer.isBuffer(input) && isZip(input)) {
+        let files;
+        try {
+            files = readPackage(input);
+        } catch (error) {
+            fail(1, `Couldn't read the package: ${error.message}`);
+        }
+        items = files.flatMap(({ name, xml }) => parseItems(xml, name));
+    } else {
+        items = parseItems(input.toString('utf8'));
+    }
+
+    if (items.length === 0) {
+        fail(1, 'No assessmentItem found');
+    }
+    return { items };
+};
+
+const responseDeclaration = (cardinality, baseType, correctValues) => [
+    `  <responseDeclaration identifier="RESPONSE" cardinality="${cardinality}" baseType="${baseType}">`,
+    ...(correctValues.length > 0
+        ? [
+            '    <correctResponse>',
+            ...correctValues.map(value => `      <value>${escapeXml(value)}</value>`),
+            '    </correctResponse>'
+        ]
+        : []),
+    '  </responseDeclaration>'
+];
+
+const mapping = (keys) => [
+    '    <mapping lowerBound="0" upperBound="1" defaultValue="0">',
+    ...keys.map(key => `      <mapEntry mapKey="${escapeXml(key)}" mappedValue="1"/>`),
+    '    </mapping>'
+];
+
+// The responseDeclaration, itemBody and responseProcessing of a question
+const itemParts = (question) => {
+    const prompt = `<prompt>${escapeXml(question.questionText)}</prompt>`;
+    switch (question.questionType) {
+        case 'singleAnswer':
+        case 'multipleChoice': {
+            const single = question.questionType === 'singleAnswer';
+            const correct = single ? [Number(question.correctAnswer)] : question.correctAnswers.map(Number);
+            return {
+                declaration: responseDeclaration(single ? 'single' : 'multiple', 'identifier',
+                    correct.map(index => `choice_${index + 1}`)),
+                body: [
+                    `    <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="${single ? 1 : 0}">`,
+                    `      ${prompt}`,
+                    ...question.options.map((option, index) => (
+                        `      <simpleChoice identifier="choice_${index + 1}">${escapeXml(option)}</simpleChoice>`
+                    )),
+                    '    </choiceInteraction>'
+                ],
+                processing: MATCH_CORRECT
+            };
+        }
+        case 'matchTheFollowing':
+            return {
+                declaration: responseDeclaration('multiple', 'directedPair',
+                    question.options.map((_, index) => `source_${index + 1} target_${index + 1}`)),
+                body: [
+                    `    <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.options.length}">`,
+                    `      ${prompt}`,
+                    '      <simpleMatchSet>',
+                    ...question.options.map((option, index) => (
+                        `        <simpleAssociableChoice identifier="source_${index + 1}" matchMax="1">${escapeXml(option)}</simpleAssociableChoice>`
+                    )),
+                    '      </simpleMatchSet>',
+                    '      <simpleMatchSet>',
+                    ...question.answers.map((answer, index) => (
+                        `        <simpleAssociableChoice identifier="target_${index + 1}" matchMax="1">${escapeXml(answer)}</simpleAssociableChoice>`
+                    )),
+                    '      </simpleMatchSet>',
+                    '    </matchInteraction>'
+                ],
+                processing: MATCH_CORRECT
+            };
+        case 'shortAnswer': {
+            const keywords = question.manualGrading ? [] : question.keywords || [];
+            const declaration = responseDeclaration('single', 'string', keywords.slice(0, 1));
+            if (keywords.length > 0) {
+                declaration.splice(declaration.length - 1, 0, ...mapping(keywords));
+            }
+            return {
+                declaration,
+                body: [
+                    `    <p>${escapeXml(question.questionText)}</p>`,
+                    '    <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="50"/></p>'
+                ],
+                processing: keywords.length > 0 ? MAP_RESPONSE : null
+            };
+        }
+        default:
+            return {
+                declaration: responseDeclaration('single', 'string', []),
+                body: [
+                    '    <extendedTextInteraction responseIdentifier="RESPONSE" expectedLines="10">',
+                    `      ${prompt}`,
+                    '    </extendedTextInteraction>'
+                ],
+                processing: null
+            };
+    }
+};
+
+const itemXml = (question, identifier) => {
+    const { declaration, body, processing } = itemParts(question);
+    const title = question.questionText.replace(/\s+/g, ' ').slice(0, 80);
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<assessmentItem xmlns="${QTI_NAMESPACE}" identifier="${identifier}" title="${escapeXml(title)}" adaptive="false" timeDependent="false">`,
+        ...declaration,
+        '  <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float"/>',
+        '  <outcomeDeclaration identifier="MAXSCORE" cardinality="single" baseType="float">',
+        `    <defaultValue><value>${question.marks ?? 1}</value></defaultValue>`,
+        '  </outcomeDeclaration>',
+        '  <itemBody>',
+        ...body,
+        '  </itemBody>',
+        ...(processing ? [`  <responseProcessing template="${processing}"/>`] : []),
+        '</assessmentItem>',
+        ''
+    ].join('\n');
+};
+
+const manifestXml = (identifiers) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<manifest xmlns="http://www.imsglobal.org/xsd/imscp_v1p1" identifier="MANIFEST">',
+    '  <metadata>',
+    '    <schema>QTIv2.1 Package</schema>',
+    '    <schemaversion>1.0.0</schemaversion>',
+    '  </metadata>',
+    '  <organizations/>',
+    '  <resources>',
+    ...identifiers.map(identifier => [
+        `    <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="items/${identifier}.xml">`,
+        `      <file href="items/${identifier}.xml"/>`,
+        '    </resource>'
+    ].join('\n')),
+    '  </resources>',
+    '</manifest>',
+    ''
+].join('\n');
+
+/**
+ * Write questions as a QTI 2.1 content package. Returns { content (a ZIP Buffer),
+ * skipped, warnings } where skipped lists the questions QTI can't hold
+ */
+exports.serialize = (questions) => {
+    const files = [];
+    const identifiers = [];
+    const skipped = [];
+    const warnings = [];
+
+    questions.forEach((question, index) => {
+        const number = index + 1;
+        if (UNSUPPORTED_TYPES[question.questionType]) {
+            skipped.push({ number, questionText: question.questionText, reason: UNSUPPORTED_TYPES[question.questionType] });
+            return;
+        }
+        if (question.rubric && question.rubric.length > 0) {
+            warnings.push(`Question ${number}: the grading rubric isn't exported`);
+        }
+        const keywords = question.keywords || [];
+        if (question.questionType === 'shortAnswer' && !question.manualGrading && keywords.length > 1 &&
+            Math.ceil(keywords.length * (question.keywordThreshold ?? 50) / 100) > 1) {
+            warnings.push(`Question ${number}: QTI accepts any one of the keywords instead of ${question.keywordThreshold ?? 50}% of them`);
+        }
+
+        const identifier = `Q${number}`;
+        identifiers.push(identifier);
+        files.push({ name: `items/${identifier}.xml`, content: itemXml(question, identifier) });
+    });
+
+    return {
+        content: createZip([{ name: 'imsmanifest.xml', content: manifestXml(identifiers) }, ...files]),
+        skipped,
+        warnings
+    };
+};
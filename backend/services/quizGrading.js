@@ -0,0 +1,264 @@
+// Scoring a quiz attempt's answers. Code answers aren't run here: they are collected
+// for the grading queue (services/gradingQueue.js), and free-text answers left to an
+// instructor are collected as reviews (services/manualGrading.js)
+
+const DEFAULT_KEYWORD_THRESHOLD = 50;
+
+// Lowercased words (letters and digits) of a text
+const toWords = (text) => String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Whether the answer's words contain the keyword's words in a row, so "cat" doesn't
+// match "concatenate"
+const containsKeyword = (answerWords, keyword) => {
+    const keywordWords = toWords(keyword);
+    if (keywordWords.length === 0) {
+        return false;
+    }
+    for (let start = 0; start + keywordWords.length <= answerWords.length; start++) {
+        if (keywordWords.every((word, offset) => answerWords[start + offset] === word)) {
+            return true;
+        }
+    }
+    return false;
+};
+
+// Marks a short answer earns by keyword matching, or null when it has no keywords
+const scoreByKeywords = (question, answer) => {
+    if (!question.keywords || question.keywords.length === 0) {
+        return null;
+    }
+    const answerWords = toWords(answer);
+    const matchedKeywords = question.keywords.filter(keyword => containsKeyword(answerWords, keyword));
+    const threshold = question.keywordThreshold ?? DEFAULT_KEYWORD_THRESHOLD;
+    return matchedKeywords.length >= Math.ceil(question.keywords.length * threshold / 100) ? question.marks : 0;
+};
+
+// A number, optionally followed by a unit: "9.81", "-2.5e3 m/s"
+const NUMBER_WITH_UNIT = /^\s*([+-]?(?:\d+(?:\.\d*)?|\.\d+)(?:e[+-]?\d+)?)\s*(.*?)\s*$/i;
+
+const compactUnit = (unit) => String(unit).replace(/\s+/g, '');
+
+// Whether a numeric answer is within the question's tolerance, once converted from
+// the unit it was given in to the unit of the question's answer
+const isNumericCorrect = (question, answer) => {
+    const match = String(answer).match(NUMBER_WITH_UNIT);
+    if (!match) {
+        return false;
+    }
+
+    const units = question.units || [];
+    let multiplier = 1;
+    if (match[2]) {
+        const unit = units.find(entry => compactUnit(entry.unit) === compactUnit(match[2]));
+        if (!unit) {
+            return false;
+        }
+        multiplier = unit.multiplier ?? 1;
+    } else if (question.unitRequired && units.length > 0) {
+        return false;
+    }
+
+    const expected = question.numericAnswer;
+    const allowed = question.toleranceType === 'relative'
+        ? Math.abs(expected) * (question.tolerance || 0) / 100
+        : question.tolerance || 0;
+    // Leeway for floating point error, so 0.1 + 0.2 style results still match
+    const leeway = 1e-9 * Math.max(1, Math.abs(expected));
+    return Math.abs(Number(match[1]) / multiplier - expected) <= allowed + leeway;
+};
+
+// Blank answers are compared with surrounding and repeated whitespace ignored
+const normalizeBlank = (text, caseSensitive) => {
+    const compact = String(text).trim().replace(/\s+/g, ' ');
+    return caseSensitive ? compact : compact.toLowerCase();
+};
+
+// Whether a free-text question waits for an instructor rather than being scored here
+const needsManualGrading = (question) => question.questionType === 'longAnswer' ||
+    question.manualGrading === true ||
+    !question.keywords || question.keywords.length === 0;
+
+// The indices into a choice question's own options of the shown options picked.
+// optionKey[shownIndex] is the original index when the options were shuffled
+const toOriginalOptions = (question, picked) => picked
+    .map(Number)
+    .filter(index => Number.isInteger(index))
+    .map(index => (question.optionKey ? question.optionKey[index] : index));
+
+/**
+ * Score `answers` (keyed by question id, `${questionId}_${optionIndex}` for match the
+ * following and `${questionId}_${blankIndex}` for cloze blanks) against an attempt's
+ * questions. Returns { score, totalMarks, codeAnswers, reviews, responses,
+ * unansweredRequired } where unansweredRequired lists the numbers of required
+ * questions left unanswered and reviews has an entry per answered free-text
+ * question: 'pending' for an instructor to grade, or 'graded' by keywords (which an
+ * instructor can still override). score includes the keyword-graded answers. Cloze
+ * questions earn their marks in proportion to the blanks filled in correctly.
+ * responses has the outcome of every question (see models/quizAttempt.js), with
+ * correct and earnedMarks null for answers not graded yet
+ */
+exports.scoreAnswers = (questions, answers) => {
+    let score = 0;
+    let totalMarks = 0;
+    const unansweredRequired = [];
+    const codeAnswers = [];
+    const reviews = [];
+    const responses = [];
+
+    for (let i = 0; i < questions.length; i++) {
+        const question = questions[i];
+        const questionId = question._id.toString();
+
+        totalMarks += question.marks;
+
+        // Check if question is answered based on question type
+        let isAnswered = false;
+        let isCorrect = false;
+        // Marks and correctness for questions not simply right or wrong; undefined
+        // means isCorrect decides, null that the answer isn't graded yet
+        let earnedMarks;
+        let correct;
+
+        // Check if answer exists for this question
+        const answer = answers[questionId];
+        const response = {
+            question: question._id,
+            questionType: question.questionType,
+            response: answer ?? null,
+            maxMarks: question.marks
+        };
+
+        if (question.questionType === 'codeSolve') {
+            // For code solving questions
+            isAnswered = answer && typeof answer.code === 'string' && answer.code.trim() !== '';
+
+            if (isAnswered) {
+                // Code runs in the grading queue once the submission is saved
+                codeAnswers.push({
+                    question: question._id,
+                    code: answer.code,
+                    language: answer.language
+                });
+                earnedMarks = null;
+                correct = null;
+            }
+        } else if (question.questionType === 'matchTheFollowing') {
+            // For match the following, check if all pairs are answered
+            response.response = question.options.map((_, optionIndex) => answers[`${questionId}_${optionIndex}`] ?? null);
+            const hasAllMatches = question.options.every((_, optionIndex) =>
+                answers[`${questionId}_${optionIndex}`] !== undefined &&
+                answers[`${questionId}_${optionIndex}`] !== ''
+            );
+            isAnswered = hasAllMatches;
+
+            if (isAnswered) {
+                // Check if ALL matches are correct - if any one is wrong, entire question is wrong
+                isCorrect = question.options.every((_, optionIndex) => {
+                    const userAnswer = answers[`${questionId}_${optionIndex}`];
+                    // The correct answer is at the option's index, unless the answer
+                    // column was shuffled for the attempt (services/questionDraw.js)
+                    const correctIndex = question.matchKey ? question.matchKey[optionIndex] : optionIndex;
+                    return parseInt(userAnswer) === correctIndex;
+                });
+            }
+        } else if (question.questionType === 'numeric') {
+            isAnswered = answer !== undefined && answer !== null && String(answer).trim() !== '';
+
+            if (isAnswered) {
+                isCorrect = isNumericCorrect(question, answer);
+            }
+        } else if (question.questionType === 'ordering') {
+            // The answer lists the items as shown, in the order the student put them
+            isAnswered = Array.isArray(answer) && answer.length === question.options.length;
+
+            if (isAnswered) {
+                // Items are shown shuffled; orderKey[shownIndex] is the item's place in
+                // the correct order (services/questionDraw.js)
+                isCorrect = answer.every((shownIndex, position) => {
+                    const index = Number(shownIndex);
+                    return (question.orderKey ? question.orderKey[index] : index) === position;
+                });
+            }
+        } else if (question.questionType === 'cloze') {
+            const blankAnswers = question.blanks.map((_, blankIndex) => answers[`${questionId}_${blankIndex}`]);
+            response.response = blankAnswers.map(blankAnswer => blankAnswer ?? null);
+            const isFilled = (blankAnswer) => blankAnswer !== undefined && blankAnswer !== null &&
+                String(blankAnswer).trim() !== '';
+            // Every blank must be filled for the question to count as answered, but
+            // each correct one earns its share
+            isAnswered = blankAnswers.every(isFilled);
+
+            const correctBlanks = question.blanks.filter((blank, blankIndex) => isFilled(blankAnswers[blankIndex]) &&
+                blank.answers.some(accepted =>
+                    normalizeBlank(accepted, blank.caseSensitive) === normalizeBlank(blankAnswers[blankIndex], blank.caseSensitive)
+                )).length;
+            earnedMarks = Math.round(question.marks * correctBlanks / question.blanks.length * 100) / 100;
+            correct = correctBlanks === question.blanks.length;
+            score += earnedMarks;
+        } else if (question.questionType === 'multipleChoice') {
+            // For multiple choice questions
+            isAnswered = Array.isArray(answer) && answer.length > 0;
+            response.selectedOptions = isAnswered ? toOriginalOptions(question, answer) : [];
+
+            if (isAnswered && question.correctAnswers && question.correctAnswers.length > 0) {
+                // Check if selected answers match correct answers
+                const selectedIndices = [...answer].sort();
+                const correctIndices = [...question.correctAnswers].sort();
+                isCorrect = selectedIndices.length === correctIndices.length &&
+                           selectedIndices.every((val, index) => val === correctIndices[index]);
+            }
+        } else if (question.questionType === 'singleAnswer') {
+            // For single answer questions
+            isAnswered = answer !== undefined && answer !== null;
+            response.selectedOptions = isAnswered ? toOriginalOptions(question, [answer]) : [];
+
+            if (isAnswered) {
+                const correctNum = Number(question.correctAnswer);
+                const answerNum = Number(answer);
+                isCorrect = answerNum === correctNum;
+            }
+        } else {
+            // For other question types (shortAnswer, longAnswer)
+            isAnswered = answer !== undefined && answer !== null &&
+                       (typeof answer === 'string' ? answer.trim() !== '' : true);
+
+            // Short answers with keywords are graded by matching them; the rest wait for
+            // an instructor, with the keyword score (if any) as a suggestion
+            if (isAnswered) {
+                const keywordScore = question.questionType === 'shortAnswer' ? scoreByKeywords(question, answer) : null;
+                const manual = needsManualGrading(question);
+                reviews.push({
+                    question: question._id,
+                    questionType: question.questionType,
+                    maxScore: question.marks,
+                    suggestedScore: keywordScore,
+                    status: manual ? 'pending' : 'graded',
+                    score: manual ? null : keywordScore
+                });
+                if (!manual) {
+                    score += keywordScore;
+                }
+                earnedMarks = manual ? null : keywordScore;
+                correct = manual ? null : keywordScore === question.marks;
+            }
+        }
+
+        if (question.required && !isAnswered) {
+            unansweredRequired.push(i + 1);
+        }
+
+        // Add to score if correct
+        if (isCorrect) {
+            score += question.marks;
+        }
+
+        responses.push({
+            ...response,
+            answered: Boolean(isAnswered),
+            correct: correct === undefined ? isCorrect : correct,
+            earnedMarks: earnedMarks === undefined ? (isCorrect ? question.marks : 0) : earnedMarks
+        });
+    }
+
+    return { score, totalMarks, codeAnswers, reviews, responses, unansweredRequired };
+};
@@ -0,0 +1,208 @@
+// Recording graded quiz attempts. Every attempt goes to the QuizAttempt history; the
+// student's course progress keeps the one score the quiz's scoring policy counts
+const CourseProgress = require('../models/courseProgress');
+const QuizAttempt = require('../models/quizAttempt');
+
+const DEFAULT_PASSING_PERCENTAGE = 60;
+
+const roundScore = (value) => Math.round(value * 100) / 100;
+
+const getPassingPercentage = (quiz) => quiz.passingPercentage ?? DEFAULT_PASSING_PERCENTAGE;
+
+// The { score, percentage } that counts out of all attempts, oldest first
+const getCountedScore = (scoringPolicy, attempts) => {
+    const latest = attempts[attempts.length - 1];
+    if (scoringPolicy === 'highest') {
+        const highest = attempts.reduce((best, attempt) => (attempt.percentage > best.percentage ? attempt : best), latest);
+        return { score: highest.score, percentage: highest.percentage };
+    }
+    if (scoringPolicy === 'average') {
+        return {
+            score: roundScore(attempts.reduce((sum, attempt) => sum + attempt.score, 0) / attempts.length),
+            percentage: attempts.reduce((sum, attempt) => sum + attempt.percentage, 0) / attempts.length
+        };
+    }
+    return { score: latest.score, percentage: latest.percentage };
+};
+
+/**
+ * Whether the student may start another attempt of `quiz`, given their course
+ * progress entry for it (if any). Resolves to { attemptsUsed, attemptsRemaining,
+ * nextAttemptAt } where attemptsRemaining is null for unlimited attempts and
+ * nextAttemptAt is set while the cooldown runs
+ */
+exports.getRetakeStatus = (quiz, quizResult) => {
+    const attemptsUsed = quizResult?.attempts || 0;
+    const attemptsRemaining = quiz.maxAttempts > 0 ? Math.max(quiz.maxAttempts - attemptsUsed, 0) : null;
+
+    let nextAttemptAt = null;
+    if (quizResult?.completedAt && quiz.cooldownMinutes > 0) {
+        const cooldownEnd = new Date(new Date(quizResult.completedAt).getTime() + quiz.cooldownMinutes * 60 * 1000);
+        if (cooldownEnd > new Date()) {
+            nextAttemptAt = cooldownEnd;
+        }
+    }
+
+    return { attemptsUsed, attemptsRemaining, nextAttemptAt };
+};
+
+// Sum of the graded reviews' scores
+const getReviewedScore = (reviews) => reviews.reduce((sum, review) => sum + (review.status === 'graded' ? review.score : 0), 0);
+
+/**
+ * Update the student's result for `quiz` in courseProgress from their attempt history:
+ * the score counted under quiz.scoringPolicy out of the attempts that are fully graded,
+ * and whether another attempt waits for review. The quiz is marked completed and
+ * passed once the counted score passes, and unmarked if a regrade takes that away.
+ * Returns the new quizResults entry and whether the quiz was passed before
+ */
+const applyAttemptHistory = async (courseProgress, { userId, quiz, subsectionId, attemptsUsed, completedAt }) => {
+    const attempts = await QuizAttempt.find({ user: userId, quiz: quiz._id })
+        .sort({ attemptNumber: 1 })
+        .select('score totalMarks percentage status');
+    // Voided attempts (services/codeSimilarity.js) never count
+    const graded = attempts.filter(attempt => attempt.status === 'graded');
+    const counted = graded.length > 0 ? getCountedScore(quiz.scoringPolicy, graded) : { score: 0, percentage: 0 };
+    const passed = graded.length > 0 && counted.percentage >= getPassingPercentage(quiz);
+
+    const existingQuizResultIndex = courseProgress.quizResults.findIndex(
+        result => result.quiz.toString() === quiz._id.toString()
+    );
+    const existing = existingQuizResultIndex >= 0 ? courseProgress.quizResults[existingQuizResultIndex] : null;
+
+    const newQuizResult = {
+        quiz: quiz._id,
+        subSection: subsectionId,
+        score: counted.score,
+        totalMarks: attempts[attempts.length - 1].totalMarks,
+        percentage: counted.percentage,
+        passed,
+        pendingReview: attempts.some(attempt => attempt.status === 'pendingReview'),
+        attempts: attemptsUsed ?? existing?.attempts ?? attempts.length,
+        completedAt: completedAt || existing?.completedAt || new Date()
+    };
+
+    if (existing) {
+        courseProgress.quizResults[existingQuizResultIndex] = newQuizResult;
+    } else {
+        courseProgress.quizResults.push(newQuizResult);
+    }
+
+    const isSubsection = id => id.toString() === subsectionId.toString();
+    if (passed) {
+        if (!courseProgress.completedQuizzes.some(isSubsection)) {
+            courseProgress.completedQuizzes.push(subsectionId);
+        }
+        if (!courseProgress.passedQuizzes.some(isSubsection)) {
+            courseProgress.passedQuizzes.push(subsectionId);
+        }
+    } else if (existing?.passed) {
+        courseProgress.completedQuizzes = courseProgress.completedQuizzes.filter(id => !isSubsection(id));
+        courseProgress.passedQuizzes = courseProgress.passedQuizzes.filter(id => !isSubsection(id));
+    }
+
+    return { quizResult: newQuizResult, wasPassed: Boolean(existing?.passed) };
+};
+
+/**
+ * Save an attempt to the attempt history and update the quiz result in the course
+ * progress (see applyAttemptHistory). An attempt with free-text answers still to be
+ * graded (`reviews` from scoreAnswers) is saved as pending review and only counts
+ * once graded. Resolves to { score, totalMarks, percentage, passed, pendingReview,
+ * attemptId, attemptNumber, countedScore, countedPercentage, passingPercentage } where score,
+ * percentage and pendingReview are this attempt's and passed is for the counted score.
+ * With a submissionId (a graded QuizSubmission) the attempt is recorded only once:
+ * recording it again, e.g. when a grading retry follows a failed save, reuses it
+ */
+exports.recordQuizResult = async ({ userId, courseID, subsectionId, quiz, score, totalMarks, questions, answers, codeResults, reviews = [], responses = [], submittedAt, submissionId }) => {
+    let courseProgress = await CourseProgress.findOne({ userId, courseID });
+    if (!courseProgress) {
+        courseProgress = new CourseProgress({
+            userId,
+            courseID,
+            completedVideos: [],
+            completedQuizzes: [],
+            passedQuizzes: [],
+            quizResults: []
+        });
+    }
+
+    const passingPercentage = getPassingPercentage(quiz);
+    const percentage = (score / totalMarks) * 100;
+    const pendingReview = reviews.some(review => review.status === 'pending');
+
+    // Attempts made before the history existed are only counted in quizResults
+    const existingQuizResult = courseProgress.quizResults.find(
+        result => result.quiz.toString() === quiz._id.toString()
+    );
+    const recordedAttempt = submissionId && await QuizAttempt.findOne({ submission: submissionId });
+    const attemptNumber = recordedAttempt?.attemptNumber
+        ?? (existingQuizResult ? existingQuizResult.attempts + 1 : 1);
+
+    const attempt = recordedAttempt || await QuizAttempt.create({
+        submission: submissionId,
+        user: userId,
+        quiz: quiz._id,
+        courseID,
+        subSection: subsectionId,
+        attemptNumber,
+        questions: questions || [],
+        answers: answers || {},
+        codeResults: codeResults || [],
+        status: pendingReview ? 'pendingReview' : 'graded',
+        reviews,
+        responses,
+        autoScore: score - getReviewedScore(reviews),
+        score,
+        totalMarks,
+        percentage,
+        passed: !pendingReview && percentage >= passingPercentage,
+        submittedAt: submittedAt || new Date()
+    });
+
+    const { quizResult } = await applyAttemptHistory(courseProgress, {
+        userId,
+        quiz,
+        subsectionId,
+        attemptsUsed: attemptNumber,
+        completedAt: new Date()
+    });
+
+    try {
+        await courseProgress.save();
+    } catch (saveError) {
+        console.error('Error saving course progress:', saveError);
+        throw saveError;
+    }
+
+    return {
+        score: attempt.score,
+        totalMarks: attempt.totalMarks,
+        percentage: attempt.percentage,
+        passed: quizResult.passed,
+        pendingReview: attempt.status === 'pendingReview',
+        attemptId: attempt._id,
+        attemptNumber,
+        countedScore: quizResult.score,
+        countedPercentage: quizResult.percentage,
+        passingPercentage
+    };
+};
+
+/**
+ * Recompute the student's quiz result after one of their attempts was (re)graded.
+ * Resolves to { quizResult, wasPassed }, or null without course progress
+ */
+exports.refreshQuizResult = async ({ userId, courseID, subsectionId, quiz }) => {
+    const courseProgress = await CourseProgress.findOne({ userId, courseID });
+    if (!courseProgress) {
+        return null;
+    }
+
+    const refreshed = await applyAttemptHistory(courseProgress, { userId, quiz, subsectionId });
+    await courseProgress.save();
+    return refreshed;
+};
+
+exports.getPassingPercentage = getPassingPercentage;
+exports.getReviewedScore = getReviewedScore;
@@ -0,0 +1,167 @@
+// Timed quiz attempts. An attempt starts on the server, which keeps the start time
+// and the autosaved answers; submissions are checked against the quiz's time limit
+// plus a grace period for network latency. What happens to an attempt that runs
+// past that depends on the quiz's lateSubmissionPolicy
+const crypto = require('crypto');
+const QuizSession = require('../models/quizSession');
+const QuizSubmission = require('../models/quizSubmission');
+const { scoreAnswers } = require('./quizGrading');
+const { recordQuizResult } = require('./quizResults');
+const { enqueueSubmission } = require('./gradingQueue');
+const { toStudentQuestions } = require('./questionDraw');
+
+const GRACE_PERIOD_SECONDS = Number(process.env.QUIZ_GRACE_PERIOD_SECONDS) || 30;
+
+// When the timer runs out, and when the server stops accepting answers
+const getDeadlines = (session) => {
+    const expiresAt = new Date(session.startedAt.getTime() + session.timeLimit * 1000);
+    return {
+        expiresAt,
+        closesAt: new Date(expiresAt.getTime() + GRACE_PERIOD_SECONDS * 1000)
+    };
+};
+
+// The questions the attempt asks; sessions started before attempts stored their
+// questions use the quiz's own
+const getSessionQuestions = (session, quiz) => (session.questions && session.questions.length > 0
+    ? session.questions
+    : quiz.questions.map(question => question.toObject()));
+
+// What the client needs to run (or resume) the attempt: its questions and timer
+exports.toSessionStatus = (session, quiz) => ({
+    attemptToken: session.attemptToken,
+    startedAt: session.startedAt,
+    expiresAt: getDeadlines(session).expiresAt,
+    timeLimit: session.timeLimit,
+    gracePeriodSeconds: GRACE_PERIOD_SECONDS,
+    savedAnswers: session.savedAnswers || {},
+    questionTimes: session.questionTimes || {},
+    questions: toStudentQuestions(getSessionQuestions(session, quiz)),
+    serverTime: new Date()
+});
+
+/**
+ * The per-question times ({ [questionId]: seconds }) the quiz page reports, kept to
+ * the attempt's questions and rounded. A question can't take longer than the time
+ * limit, so larger values are capped there
+ */
+exports.sanitizeQuestionTimes = (session, questionTimes) => {
+    if (!questionTimes || typeof questionTimes !== 'object') {
+        return {};
+    }
+    const questionIds = new Set(session.questions.map(question => question._id.toString()));
+    return Object.fromEntries(Object.entries(questionTimes)
+        .filter(([questionId, seconds]) => (questionIds.size === 0 || questionIds.has(questionId)) &&
+            Number.isFinite(Number(seconds)) && Number(seconds) >= 0)
+        .map(([questionId, seconds]) => [questionId, Math.min(Math.round(Number(seconds)), session.timeLimit)]));
+};
+
+// `questions` come from buildAttemptQuestions (services/questionDraw.js)
+exports.createSession = ({ userId, quiz, courseID, subsectionId, questions }) => QuizSession.create({
+    user: userId,
+    quiz: quiz._id,
+    courseID,
+    subSection: subsectionId,
+    attemptToken: crypto.randomBytes(24).toString('hex'),
+    timeLimit: quiz.timeLimit,
+    questions,
+    startedAt: new Date()
+});
+
+/**
+ * Grade and record an attempt's answers to its `questions` (already scored with
+ * scoreAnswers). questionTimes (from sanitizeQuestionTimes) go with the responses.
+ * With code answers a QuizSubmission is queued and { submission } returned,
+ * otherwise the result is recorded and { result } returned
+ */
+exports.submitAttempt = async ({ userId, quiz, courseID, subsectionId, questions, answers, scored, questionTimes = {} }) => {
+    const { score, totalMarks, codeAnswers, reviews } = scored;
+    const responses = scored.responses.map(response => ({
+        ...response,
+        timeSpent: questionTimes[response.question.toString()] ?? null
+    }));
+
+    // Code answers are graded in the background; the result is pushed to the
+    // student's socket room and can be polled from getQuizSubmission
+    if (codeAnswers.length > 0) {
+        const submission = await QuizSubmission.create({
+            user: userId,
+            quiz: quiz._id,
+            courseID,
+            subSection: subsectionId,
+            baseScore: score,
+            totalMarks,
+            questions,
+            answers,
+            codeAnswers,
+            reviews,
+            responses
+        });
+        enqueueSubmission(submission._id);
+        return { submission };
+    }
+
+    const result = await recordQuizResult({
+        userId,
+        courseID,
+        subsectionId: subsectionId.toString(),
+        quiz,
+        score,
+        totalMarks,
+        questions,
+        answers,
+        reviews,
+        responses
+    });
+    return { result };
+};
+
+/**
+ * Close an attempt that ran past its deadline and grace period: with the
+ * 'autoSubmit' policy the last autosaved answers are graded, with 'reject' the
+ * attempt counts with no answers. Resolves to submitAttempt's outcome, or null
+ * when the session was closed by another request first
+ */
+exports.closeExpiredSession = async (session, quiz) => {
+    const claimed = await QuizSession.findOneAndUpdate(
+        { _id: session._id, status: 'active' },
+        { status: 'expired', submittedAt: new Date() },
+        { new: true }
+    );
+    if (!claimed) {
+        return null;
+    }
+
+    const questions = getSessionQuestions(claimed, quiz);
+    const answers = quiz.lateSubmissionPolicy === 'reject' ? {} : (claimed.savedAnswers || {});
+    return exports.submitAttempt({
+        userId: claimed.user,
+        quiz,
+        courseID: claimed.courseID,
+        subsectionId: claimed.subSection,
+        questions,
+        answers,
+        scored: scoreAnswers(questions, answers),
+        questionTimes: claimed.questionTimes || {}
+    });
+};
+
+/**
+ * The student's active attempt at `quiz`, if any. An attempt past its deadline is
+ * closed on the way (see closeExpiredSession) and null returned
+ */
+exports.findActiveSession = async (userId, quiz) => {
+    const session = await QuizSession.findOne({ user: userId, quiz: quiz._id, status: 'active' });
+    if (!session) {
+        return null;
+    }
+    if (getDeadlines(session).closesAt < new Date()) {
+        await exports.closeExpiredSession(session, quiz);
+        return null;
+    }
+    return session;
+};
+
+exports.getDeadlines = getDeadlines;
+exports.getSessionQuestions = getSessionQuestions;
+exports.GRACE_PERIOD_SECONDS = GRACE_PERIOD_SECONDS;
@@ -0,0 +1,135 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const Coupon = require('../models/coupon');
+const { reserveCoupon, redeemCoupon } = require('../services/couponRedemption');
+
+const newId = () => new mongoose.Types.ObjectId();
+
+const createCoupon = (limits) => Coupon.create({
+    code: `TEST${Date.now()}${Math.floor(Math.random() * 1000)}`,
+    discountType: 'percentage',
+    discountValue: 10,
+    startDate: new Date(Date.now() - 60 * 60 * 1000),
+    expiryDate: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    isActive: true,
+    ...limits
+});
+
+const countTrue = (results) => results.filter(Boolean).length;
+
+const usedBy = (coupon, userId) =>
+    coupon.userUsage.filter(usage => usage.user.equals(userId)).reduce((sum, usage) => sum + usage.usedCount, 0);
+
+before(database.connect);
+after(database.disconnect);
+beforeEach(database.clear);
+
+test('concurrent reservations never hold more than usageLimit', async () => {
+    const coupon = await createCoupon({ usageLimit: 5 });
+    const users = Array.from({ length: 20 }, newId);
+
+    const results = await Promise.all(users.map(user => reserveCoupon(coupon._id, user, newId())));
+
+    assert.equal(countTrue(results), 5);
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.reservations.length, 5);
+});
+
+test('concurrent redemptions never exceed usageLimit', async () => {
+    const coupon = await createCoupon({ usageLimit: 5 });
+    const checkouts = Array.from({ length: 20 }, () => ({ user: newId(), order: newId() }));
+
+    // Half of the checkouts reserved first, the rest redeem without a reservation
+    await Promise.all(checkouts.slice(0, 10).map(({ user, order }) => reserveCoupon(coupon._id, user, order)));
+    const results = await Promise.all(checkouts.map(({ user, order }) => redeemCoupon(coupon._id, user, order)));
+
+    assert.equal(countTrue(results), 5);
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.usedCount, 5);
+    assert.equal(saved.userUsage.reduce((sum, usage) => sum + usage.usedCount, 0), 5);
+});
+
+test('concurrent redemptions by one user never exceed perUserLimit', async () => {
+    const coupon = await createCoupon({ perUserLimit: 2 });
+    const user = newId();
+
+    const results = await Promise.all(Array.from({ length: 10 }, () => redeemCoupon(coupon._id, user, newId())));
+
+    assert.equal(countTrue(results), 2);
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.usedCount, 2);
+    assert.equal(usedBy(saved, user), 2);
+    assert.equal(saved.userUsage.length, 1);
+});
+
+test('concurrent reservations and redemptions respect both limits together', async () => {
+    const coupon = await createCoupon({ usageLimit: 4, perUserLimit: 1 });
+    const users = Array.from({ length: 6 }, newId);
+    const checkouts = users.flatMap(user => Array.from({ length: 3 }, () => ({ user, order: newId() })));
+
+    const results = await Promise.all(checkouts.map(async ({ user, order }) => {
+        await reserveCoupon(coupon._id, user, order);
+        return redeemCoupon(coupon._id, user, order);
+    }));
+
+    assert.ok(countTrue(results) <= 4);
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.usedCount, countTrue(results));
+    assert.ok(saved.usedCount <= 4);
+    for (const user of users) {
+        assert.ok(usedBy(saved, user) <= 1, `user ${user} used the coupon ${usedBy(saved, user)} times`);
+    }
+});
+
+test('a reservation turns into a use when its order is paid', async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+    const user = newId();
+    const order = newId();
+
+    assert.equal(await reserveCoupon(coupon._id, user, order), true);
+    assert.equal(await reserveCoupon(coupon._id, newId(), newId()), false);
+    assert.equal(await redeemCoupon(coupon._id, user, order), true);
+
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.usedCount, 1);
+    assert.equal(saved.reservations.length, 0);
+});
+
+test('expired reservations stop holding a use', async () => {
+    const coupon = await createCoupon({ usageLimit: 1 });
+    const first = { user: newId(), order: newId() };
+    const second = { user: newId(), order: newId() };
+
+    assert.equal(await reserveCoupon(coupon._id, first.user, first.order), true);
+    assert.equal(await reserveCoupon(coupon._id, second.user, second.order), false);
+
+    await Coupon.updateOne({ _id: coupon._id }, { $set: { 'reservations.$[].expiresAt': new Date(Date.now() - 1000) } });
+
+    // The expired hold no longer blocks others, and no longer guarantees its own use
+    assert.equal(await reserveCoupon(coupon._id, second.user, second.order), true);
+    assert.equal(await redeemCoupon(coupon._id, first.user, first.order), false);
+    assert.equal(await redeemCoupon(coupon._id, second.user, second.order), true);
+
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.usedCount, 1);
+    assert.equal(usedBy(saved, first.user), 0);
+    assert.equal(saved.reservations.length, 0);
+});
+
+test('an expired reservation can still be redeemed while the limits allow it', async () => {
+    const coupon = await createCoupon({ usageLimit: 2, perUserLimit: 1 });
+    const user = newId();
+    const order = newId();
+
+    await reserveCoupon(coupon._id, user, order);
+    await Coupon.updateOne({ _id: coupon._id }, { $set: { 'reservations.$[].expiresAt': new Date(Date.now() - 1000) } });
+
+    assert.equal(await redeemCoupon(coupon._id, user, order), true);
+    assert.equal(await redeemCoupon(coupon._id, user, newId()), false);
+
+    const saved = await Coupon.findById(coupon._id);
+    assert.equal(saved.usedCount, 1);
+    assert.equal(usedBy(saved, user), 1);
+});
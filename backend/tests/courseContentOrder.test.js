@@ -0,0 +1,66 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const Section = require('../models/section');
+const { moveSubSection } = require('../services/courseContentOrder');
+
+const newIds = (count) => Array.from({ length: count }, () => new mongoose.Types.ObjectId());
+
+const orderOf = async (section) => (await Section.findById(section._id)).subSection.map(String);
+
+before(database.connect);
+after(database.disconnect);
+beforeEach(database.clear);
+
+test('moves a sub-section to a position in another section', async () => {
+    const [a, b, c, x, y] = newIds(5);
+    const fromSection = await Section.create({ sectionName: 'From', subSection: [a, b, c] });
+    const toSection = await Section.create({ sectionName: 'To', subSection: [x, y] });
+
+    assert.equal(await moveSubSection({ subSectionId: b, fromSection, toSection, index: 1 }), true);
+
+    assert.deepEqual(await orderOf(fromSection), [a, c].map(String));
+    assert.deepEqual(await orderOf(toSection), [x, b, y].map(String));
+});
+
+test('leaves both sections untouched when the target changed in the meantime', async () => {
+    const [a, b, x, y] = newIds(4);
+    const fromSection = await Section.create({ sectionName: 'From', subSection: [a, b] });
+    const toSection = await Section.create({ sectionName: 'To', subSection: [x] });
+    await Section.updateOne({ _id: toSection._id }, { $push: { subSection: y } });
+
+    assert.equal(await moveSubSection({ subSectionId: a, fromSection, toSection, index: 0 }), false);
+
+    assert.deepEqual(await orderOf(fromSection), [a, b].map(String));
+    assert.deepEqual(await orderOf(toSection), [x, y].map(String));
+});
+
+test('leaves both sections untouched when the source changed in the meantime', async () => {
+    const [a, b, c, x] = newIds(4);
+    const fromSection = await Section.create({ sectionName: 'From', subSection: [a, b] });
+    const toSection = await Section.create({ sectionName: 'To', subSection: [x] });
+    await Section.updateOne({ _id: fromSection._id }, { $push: { subSection: c } });
+
+    assert.equal(await moveSubSection({ subSectionId: a, fromSection, toSection, index: 1 }), false);
+
+    assert.deepEqual(await orderOf(fromSection), [a, b, c].map(String));
+    assert.deepEqual(await orderOf(toSection), [x].map(String));
+});
+
+test('concurrent moves of one sub-section put it in exactly one section', async () => {
+    const [a, x, y] = newIds(3);
+    const fromSection = await Section.create({ sectionName: 'From', subSection: [a] });
+    const firstTarget = await Section.create({ sectionName: 'First', subSection: [x] });
+    const secondTarget = await Section.create({ sectionName: 'Second', subSection: [y] });
+
+    const results = await Promise.all([
+        moveSubSection({ subSectionId: a, fromSection, toSection: firstTarget, index: 0 }),
+        moveSubSection({ subSectionId: a, fromSection, toSection: secondTarget, index: 0 })
+    ]);
+
+    assert.deepEqual(results.filter(Boolean).length, 1);
+    const holders = await Section.countDocuments({ subSection: a });
+    assert.equal(holders, 1);
+    assert.deepEqual(await orderOf(fromSection), []);
+});
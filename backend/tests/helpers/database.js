@@ -0,0 +1,26 @@
+// A throwaway MongoDB for tests that need the real query engine (conditional
+// updates, aggregation pipelines, transactions). Each test file starts its own
+// single-node replica set, since transactions are not available on a standalone
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+let replSet = null;
+
+exports.connect = async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+    await mongoose.connect(replSet.getUri('test'));
+    // Collections must exist before transactions write to them
+    await Promise.all(Object.values(mongoose.models).map(model => model.createCollection()));
+};
+
+exports.disconnect = async () => {
+    await mongoose.disconnect();
+    if (replSet) {
+        await replSet.stop();
+        replSet = null;
+    }
+};
+
+exports.clear = async () => {
+    await Promise.all(Object.values(mongoose.connection.collections).map(collection => collection.deleteMany({})));
+};
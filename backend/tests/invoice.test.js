@@ -0,0 +1,55 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const Order = require('../models/order');
+const Counter = require('../models/counter');
+const { assignInvoiceNumber } = require('../services/invoice');
+
+const createPaidOrder = (totalAmount = 1180) => Order.create({
+    user: new mongoose.Types.ObjectId(),
+    items: [{ course: new mongoose.Types.ObjectId(), courseName: 'Course', price: totalAmount, amount: totalAmount }],
+    subtotal: totalAmount,
+    totalAmount,
+    status: 'paid',
+    paymentMethod: 'razorpay',
+    paidAt: new Date(2026, 5, 1)
+});
+
+const sequenceOf = (invoiceNumber) => Number(invoiceNumber.split('/').pop());
+
+before(database.connect);
+after(database.disconnect);
+beforeEach(database.clear);
+
+test('racing calls for one order use a single invoice number', async () => {
+    const order = await createPaidOrder();
+
+    const invoiced = await Promise.all(Array.from({ length: 5 }, () => assignInvoiceNumber(order)));
+
+    const numbers = new Set(invoiced.map(result => result.invoiceNumber));
+    assert.equal(numbers.size, 1);
+    assert.equal(sequenceOf([...numbers][0]), 1);
+    assert.equal((await Counter.findById('invoice-26-27')).seq, 1);
+});
+
+test('invoice numbers stay consecutive across racing orders', async () => {
+    const orders = await Promise.all(Array.from({ length: 4 }, () => createPaidOrder()));
+
+    // Every order is invoiced twice at once, like the enrollment email and a first download
+    await Promise.all(orders.flatMap(order => [assignInvoiceNumber(order), assignInvoiceNumber(order)]));
+
+    const saved = await Order.find({ _id: { $in: orders.map(order => order._id) } });
+    const sequences = saved.map(order => sequenceOf(order.invoiceNumber)).sort((a, b) => a - b);
+    assert.deepEqual(sequences, [1, 2, 3, 4]);
+    assert.equal((await Counter.findById('invoice-26-27')).seq, 4);
+});
+
+test('free orders get no invoice number', async () => {
+    const order = await createPaidOrder(0);
+
+    const result = await assignInvoiceNumber(order);
+
+    assert.equal(result.invoiceNumber, undefined);
+    assert.equal(await Counter.countDocuments(), 0);
+});
@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const local = require('../services/codeExecutors/local');
+
+const backendDir = path.resolve(__dirname, '..');
+
+test('a run cannot create files outside its work directory', { skip: process.platform !== 'linux' }, async (t) => {
+    const marker = `escaped-${crypto.randomBytes(6).toString('hex')}`;
+    const targets = [
+        path.join(os.tmpdir(), marker),
+        path.join(os.homedir(), marker),
+        path.join(backendDir, marker),
+        path.join('/', marker)
+    ];
+    t.after(() => targets.forEach(target => fs.rmSync(target, { force: true })));
+
+    const code = `
+const fs = require('fs');
+for (const target of ${JSON.stringify(targets)}) {
+    try {
+        fs.writeFileSync(target, 'escaped');
+    } catch (error) {
+        // Expected for most targets
+    }
+}
+fs.writeFileSync('inside.txt', 'ok');
+console.log(fs.readFileSync('inside.txt', 'utf8'));
+`;
+    const result = await local.run({ language: 'javascript', code, stdin: '' });
+
+    assert.equal(result.exitCode, 0, result.stderr);
+    assert.equal(result.stdout.trim(), 'ok');
+    for (const target of targets) {
+        assert.equal(fs.existsSync(target), false, `${target} was created on the host`);
+    }
+});
+
+test('a run cannot read the backend or other host directories', { skip: process.platform !== 'linux' }, async () => {
+    const code = `
+const fs = require('fs');
+for (const dir of ${JSON.stringify([backendDir, os.homedir(), os.tmpdir()])}) {
+    try {
+        console.log(dir, fs.readdirSync(dir).length);
+    } catch (error) {
+        console.log(dir, error.code);
+    }
+}
+`;
+    const result = await local.run({ language: 'javascript', code, stdin: '' });
+
+    assert.equal(result.exitCode, 0, result.stderr);
+    const lines = result.stdout.trim().split('\n');
+    assert.deepEqual(lines.slice(0, 2), [`${backendDir} ENOENT`, `${os.homedir()} ENOENT`]);
+    // The run's /tmp is its own empty tmpfs
+    assert.match(lines[2], / (0|ENOENT)$/);
+});
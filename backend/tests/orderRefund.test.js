@@ -0,0 +1,201 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const User = require('../models/user');
+const Course = require('../models/course');
+const Order = require('../models/order');
+const paymentGateway = require('../services/paymentGateway');
+const { refundOrder, recordGatewayRefund, markGatewayRefundFailed } = require('../services/orderRefund');
+
+// Fake Razorpay client that records refunds; `respond` decides what each call returns
+const createFakeGateway = (respond) => {
+    const refunds = [];
+    return {
+        payments: {
+            refund: async (paymentId, options) => {
+                refunds.push({ paymentId, ...options });
+                return respond(refunds.length, options);
+            }
+        },
+        refunds
+    };
+};
+
+// A paid order for two courses, with the student enrolled in both
+const createPaidOrder = async () => {
+    const courses = await Course.create(['One', 'Two'].map(courseName => ({
+        courseName,
+        instructor: new mongoose.Types.ObjectId(),
+        tag: ['test']
+    })));
+    const student = await User.create({
+        firstName: 'Asha',
+        lastName: 'Student',
+        email: `asha${Date.now()}@example.com`,
+        password: 'hashed',
+        accountType: 'Student',
+        additionalDetails: new mongoose.Types.ObjectId(),
+        image: 'https://example.com/avatar.png',
+        courses: courses.map(course => course._id)
+    });
+    await Course.updateMany({ _id: { $in: courses.map(course => course._id) } }, { $addToSet: { studentsEnrolled: student._id } });
+
+    return Order.create({
+        user: student._id,
+        items: [
+            { course: courses[0]._id, courseName: 'One', price: 600, amount: 600 },
+            { course: courses[1]._id, courseName: 'Two', price: 400, amount: 400 }
+        ],
+        subtotal: 1000,
+        totalAmount: 1000,
+        status: 'paid',
+        paymentMethod: 'razorpay',
+        transactionId: 'pay_fake1',
+        gatewayOrderId: 'order_fake1',
+        paidAt: new Date()
+    });
+};
+
+const enrolledCourses = async (order) => {
+    const student = await User.findById(order.user);
+    return order.items.filter(item => student.courses.some(id => id.equals(item.course))).length;
+};
+
+// The order as it was before any refund: nothing refunded and both courses kept
+const assertUnrefunded = async (order) => {
+    const saved = await Order.findById(order._id);
+    assert.equal(saved.status, 'paid');
+    assert.equal(saved.refundedAmount, 0);
+    assert.deepEqual(saved.items.map(item => [item.status, item.refundedAmount]), [['active', 0], ['active', 0]]);
+    assert.equal(await enrolledCourses(order), 2);
+    return saved;
+};
+
+before(database.connect);
+after(database.disconnect);
+beforeEach(database.clear);
+
+test('of two concurrent refunds only the recorded one reaches the gateway', async () => {
+    const gateway = createFakeGateway((count, options) => ({ id: `rfnd_fake${count}`, status: 'processed', ...options }));
+    paymentGateway.setGatewayClient(gateway, { keySecret: 'test_key_secret' });
+    const order = await createPaidOrder();
+
+    // Two admins working from the same copy of the order
+    const [first, second] = await Promise.all([Order.findById(order._id), Order.findById(order._id)]);
+    const results = await Promise.all([
+        refundOrder(first, { reason: 'Duplicate purchase' }),
+        refundOrder(second, { reason: 'Duplicate purchase' })
+    ]);
+
+    assert.equal(results.filter(result => result.refund).length, 1);
+    assert.equal(results.filter(result => result.error).length, 1);
+    assert.equal(gateway.refunds.length, 1);
+
+    const saved = await Order.findById(order._id);
+    assert.equal(saved.refunds.length, 1);
+    assert.equal(saved.refundedAmount, 1000);
+    assert.equal(saved.status, 'refunded');
+    assert.equal(await enrolledCourses(order), 0);
+    assert.equal(saved.refunds[0].status, 'processed');
+    assert.equal(saved.refunds[0].gatewayRefundId, 'rfnd_fake1');
+    assert.equal(gateway.refunds[0].notes.refundId, String(saved.refunds[0]._id));
+});
+
+test('a refund is on the order before the gateway is called', async () => {
+    let seenOnOrder = null;
+    const gateway = createFakeGateway(async (count, options) => {
+        const current = await Order.findOne({ 'refunds._id': options.notes.refundId });
+        seenOnOrder = current?.refunds.find(refund => String(refund._id) === options.notes.refundId).status;
+        return { id: `rfnd_fake${count}`, status: 'pending', ...options };
+    });
+    paymentGateway.setGatewayClient(gateway, { keySecret: 'test_key_secret' });
+    const order = await createPaidOrder();
+
+    const { refund } = await refundOrder(order, { itemIds: [order.items[0]._id], reason: 'Wrong course' });
+
+    assert.equal(seenOnOrder, 'pending');
+    assert.equal(refund.status, 'pending');
+    assert.equal(refund.gatewayRefundId, 'rfnd_fake1');
+
+    // Nothing changes for the student until the gateway processes it
+    await assertUnrefunded(order);
+    const held = await refundOrder(await Order.findById(order._id), { itemIds: [order.items[0]._id], reason: 'Again' });
+    assert.match(held.error, /being refunded/);
+
+    // The webhook confirms it later
+    assert.equal(await recordGatewayRefund({
+        id: 'rfnd_fake1',
+        payment_id: 'pay_fake1',
+        amount: 60000,
+        notes: { refundId: String(refund._id) }
+    }), 'processed');
+
+    const saved = await Order.findById(order._id);
+    assert.equal(saved.refunds.length, 1);
+    assert.equal(saved.refunds[0].status, 'processed');
+    assert.equal(saved.status, 'partially_refunded');
+    assert.equal(saved.refundedAmount, 600);
+    assert.equal(await enrolledCourses(order), 1);
+});
+
+test('a webhook that beats the gateway response is not overwritten', async () => {
+    const gateway = createFakeGateway(async (count, options) => {
+        await recordGatewayRefund({
+            id: `rfnd_fake${count}`,
+            payment_id: 'pay_fake1',
+            amount: options.amount,
+            notes: options.notes
+        });
+        return { id: `rfnd_fake${count}`, status: 'pending', ...options };
+    });
+    paymentGateway.setGatewayClient(gateway, { keySecret: 'test_key_secret' });
+    const order = await createPaidOrder();
+
+    await refundOrder(order, { reason: 'Cancelled' });
+
+    const saved = await Order.findById(order._id);
+    assert.equal(saved.refunds.length, 1);
+    assert.equal(saved.refunds[0].status, 'processed');
+    assert.equal(saved.refunds[0].gatewayRefundId, 'rfnd_fake1');
+});
+
+test('a gateway error leaves the order, its totals and access untouched', async () => {
+    let available = false;
+    const gateway = createFakeGateway((count, options) => {
+        if (!available) {
+            throw new Error('Gateway unavailable');
+        }
+        return { id: `rfnd_fake${count}`, status: 'processed', ...options };
+    });
+    paymentGateway.setGatewayClient(gateway, { keySecret: 'test_key_secret' });
+    const order = await createPaidOrder();
+
+    await assert.rejects(refundOrder(order, { reason: 'Cancelled' }), /Gateway unavailable/);
+
+    const saved = await assertUnrefunded(order);
+    assert.equal(saved.refunds.length, 1);
+    assert.equal(saved.refunds[0].status, 'failed');
+
+    // The admin can simply try again
+    available = true;
+    const { refund } = await refundOrder(saved, { reason: 'Cancelled' });
+    assert.equal(refund.status, 'processed');
+    const refunded = await Order.findById(order._id);
+    assert.equal(refunded.status, 'refunded');
+    assert.equal(refunded.refundedAmount, 1000);
+    assert.equal(await enrolledCourses(order), 0);
+});
+
+test('a refund.failed webhook leaves the order, its totals and access untouched', async () => {
+    const gateway = createFakeGateway((count, options) => ({ id: `rfnd_fake${count}`, status: 'pending', ...options }));
+    paymentGateway.setGatewayClient(gateway, { keySecret: 'test_key_secret' });
+    const order = await createPaidOrder();
+
+    const { refund } = await refundOrder(order, { reason: 'Cancelled' });
+    assert.equal(await markGatewayRefundFailed({ id: refund.gatewayRefundId, notes: { refundId: String(refund._id) } }), 'processed');
+
+    const saved = await assertUnrefunded(order);
+    assert.equal(saved.refunds[0].status, 'failed');
+    assert.equal((await refundOrder(saved, { reason: 'Cancelled' })).error, undefined);
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CODE_EXECUTOR = 'local';
+const { compareOutput } = require('../utils/outputComparison');
+const { runTestCases } = require('../services/codeExecution');
+
+test('exact only forgives line endings', () => {
+    assert.equal(compareOutput('1\n2\n', '1\r\n2\r\n', { mode: 'exact' }), true);
+    assert.equal(compareOutput('1\n2', '1\n\n2', { mode: 'exact' }), false);
+    assert.equal(compareOutput('1\n2', ' 1\n2', { mode: 'exact' }), false);
+    assert.equal(compareOutput('1\n2', '1\n2\n', { mode: 'exact' }), false);
+});
+
+test('trim and token forgive surrounding whitespace', () => {
+    assert.equal(compareOutput('1\n2', '1  \n2\n\n', { mode: 'trim' }), true);
+    assert.equal(compareOutput('1 2', '1\n  2', { mode: 'token' }), true);
+    assert.equal(compareOutput('1 2', '1 3', { mode: 'token' }), false);
+});
+
+const runPython = (code, expectedOutput, mode) =>
+    runTestCases(code, 'python', [{ input: '5\n', expectedOutput }], { mode });
+
+test('exact test cases see the output as printed', { skip: process.platform !== 'linux' }, async () => {
+    const blankLine = 'print(1)\nprint()\nprint(2)';
+    assert.equal((await runPython(blankLine, '1\n2\n', 'exact')).results[0].passed, false);
+    assert.equal((await runPython(blankLine, '1\n\n2\n', 'exact')).results[0].passed, true);
+
+    const prompted = 'value = input("Enter value: ")\nprint(value)';
+    const { results } = await runPython(prompted, '5\n', 'exact');
+    assert.equal(results[0].passed, false);
+    assert.equal(results[0].actualOutput, 'Enter value: 5\n');
+
+    const leadingSpace = 'print(" 5")';
+    assert.equal((await runPython(leadingSpace, '5\n', 'exact')).results[0].passed, false);
+});
+
+test('lenient test cases still ignore prompts and blank lines', { skip: process.platform !== 'linux' }, async () => {
+    const prompted = 'value = input("Enter value: ")\nprint()\nprint(value)';
+    assert.equal((await runPython(prompted, '5', 'trim')).results[0].passed, true);
+    assert.equal((await runPython(prompted, '5', 'token')).results[0].passed, true);
+});
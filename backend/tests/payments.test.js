@@ -0,0 +1,215 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const User = require('../models/user');
+const Course = require('../models/course');
+const Order = require('../models/order');
+const paymentGateway = require('../services/paymentGateway');
+const { capturePayment, verifyPayment } = require('../controllers/payments');
+
+const KEY_SECRET = 'test_key_secret';
+
+// Stands in for the Razorpay client: orders get sequential ids and are kept for inspection
+const createFakeGateway = () => {
+    const orders = [];
+    return {
+        orders: {
+            create: async (options) => {
+                const order = { id: `order_fake${orders.length + 1}`, status: 'created', ...options };
+                orders.push(order);
+                return order;
+            },
+            fetch: async (id) => orders.find(order => order.id === id)
+        },
+        payments: {
+            refund: async (paymentId, options) => ({ id: `rfnd_fake_${paymentId}`, status: 'processed', ...options })
+        },
+        created: orders
+    };
+};
+
+const sign = (orderId, paymentId) =>
+    crypto.createHmac('sha256', KEY_SECRET).update(`${orderId}|${paymentId}`).digest('hex');
+
+// Just enough of an Express response for the controllers
+const callController = async (controller, userId, body) => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await controller({ user: { id: String(userId) }, body }, res);
+    return res;
+};
+
+const createStudent = (name) => User.create({
+    firstName: name,
+    lastName: 'Student',
+    email: `${name.toLowerCase()}@example.com`,
+    password: 'hashed',
+    accountType: 'Student',
+    additionalDetails: new mongoose.Types.ObjectId(),
+    image: 'https://example.com/avatar.png'
+});
+
+let gateway;
+let student;
+let course;
+
+before(database.connect);
+after(database.disconnect);
+
+beforeEach(async () => {
+    await database.clear();
+    gateway = createFakeGateway();
+    paymentGateway.setGatewayClient(gateway, { keySecret: KEY_SECRET });
+
+    student = await createStudent('Asha');
+    course = await Course.create({
+        courseName: 'Node Basics',
+        instructor: new mongoose.Types.ObjectId(),
+        price: 1000,
+        tag: ['node'],
+        status: 'Published'
+    });
+});
+
+// Checkout through the fake gateway; resolves to the gateway order id
+const checkout = async (user = student) => {
+    const res = await callController(capturePayment, user._id, { coursesId: [String(course._id)] });
+    assert.equal(res.statusCode, 200, res.body?.message);
+    return res.body.data.orderId;
+};
+
+const isEnrolled = async (user) => {
+    const [savedUser, savedCourse] = await Promise.all([User.findById(user._id), Course.findById(course._id)]);
+    return {
+        user: savedUser.courses.some(id => id.equals(course._id)),
+        course: savedCourse.studentsEnrolled.some(id => id.equals(user._id))
+    };
+};
+
+test('capturePayment creates a gateway order for the server-side price', async () => {
+    const gatewayOrderId = await checkout();
+
+    assert.equal(gateway.created.length, 1);
+    const order = await Order.findOne({ gatewayOrderId });
+    assert.ok(order.user.equals(student._id));
+    assert.equal(order.status, 'created');
+    assert.equal(gateway.created[0].amount, Math.round(order.totalAmount * 100));
+});
+
+test('a valid signature marks the order paid and enrolls the student', async () => {
+    const gatewayOrderId = await checkout();
+
+    const res = await callController(verifyPayment, student._id, {
+        razorpay_order_id: gatewayOrderId,
+        razorpay_payment_id: 'pay_fake1',
+        razorpay_signature: sign(gatewayOrderId, 'pay_fake1')
+    });
+
+    assert.equal(res.statusCode, 200, res.body.message);
+    const order = await Order.findOne({ gatewayOrderId });
+    assert.equal(order.status, 'paid');
+    assert.equal(order.transactionId, 'pay_fake1');
+    assert.deepEqual(await isEnrolled(student), { user: true, course: true });
+});
+
+test('a paid order whose enrollment failed is enrolled on the next verification', async () => {
+    const gatewayOrderId = await checkout();
+    const body = {
+        razorpay_order_id: gatewayOrderId,
+        razorpay_payment_id: 'pay_fake1',
+        razorpay_signature: sign(gatewayOrderId, 'pay_fake1')
+    };
+
+    // The database drops out right after the payment is recorded
+    const findByIdAndUpdate = User.findByIdAndUpdate;
+    User.findByIdAndUpdate = () => {
+        throw new Error('Connection lost');
+    };
+    let res;
+    try {
+        res = await callController(verifyPayment, student._id, body);
+    } finally {
+        User.findByIdAndUpdate = findByIdAndUpdate;
+    }
+
+    assert.equal(res.statusCode, 500);
+    const paidOrder = await Order.findOne({ gatewayOrderId });
+    assert.equal(paidOrder.status, 'paid');
+    assert.equal(paidOrder.enrolledAt, undefined);
+    assert.deepEqual(await isEnrolled(student), { user: false, course: false });
+
+    res = await callController(verifyPayment, student._id, body);
+
+    assert.equal(res.statusCode, 200, res.body.message);
+    assert.ok((await Order.findOne({ gatewayOrderId })).enrolledAt);
+    assert.deepEqual(await isEnrolled(student), { user: true, course: true });
+});
+
+test('a missing signature is rejected without enrolling', async () => {
+    const gatewayOrderId = await checkout();
+
+    const res = await callController(verifyPayment, student._id, {
+        razorpay_order_id: gatewayOrderId,
+        razorpay_payment_id: 'pay_fake1'
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal((await Order.findOne({ gatewayOrderId })).status, 'created');
+    assert.deepEqual(await isEnrolled(student), { user: false, course: false });
+});
+
+test('a tampered signature is rejected without enrolling', async () => {
+    const gatewayOrderId = await checkout();
+    const signature = sign(gatewayOrderId, 'pay_fake1');
+
+    for (const body of [
+        // Signed for another payment
+        { razorpay_order_id: gatewayOrderId, razorpay_payment_id: 'pay_fake2', razorpay_signature: signature },
+        // One hex digit changed
+        {
+            razorpay_order_id: gatewayOrderId,
+            razorpay_payment_id: 'pay_fake1',
+            razorpay_signature: `${signature.slice(0, -1)}${signature.endsWith('0') ? '1' : '0'}`
+        },
+        // Signed with another secret
+        {
+            razorpay_order_id: gatewayOrderId,
+            razorpay_payment_id: 'pay_fake1',
+            razorpay_signature: crypto.createHmac('sha256', 'other_secret').update(`${gatewayOrderId}|pay_fake1`).digest('hex')
+        }
+    ]) {
+        const res = await callController(verifyPayment, student._id, body);
+        assert.equal(res.statusCode, 400);
+    }
+
+    assert.equal((await Order.findOne({ gatewayOrderId })).status, 'created');
+    assert.deepEqual(await isEnrolled(student), { user: false, course: false });
+});
+
+test("another user's order is rejected even with a valid signature", async () => {
+    const gatewayOrderId = await checkout();
+    const otherStudent = await createStudent('Ravi');
+
+    const res = await callController(verifyPayment, otherStudent._id, {
+        razorpay_order_id: gatewayOrderId,
+        razorpay_payment_id: 'pay_fake1',
+        razorpay_signature: sign(gatewayOrderId, 'pay_fake1')
+    });
+
+    assert.equal(res.statusCode, 400);
+    assert.equal((await Order.findOne({ gatewayOrderId })).status, 'created');
+    assert.deepEqual(await isEnrolled(otherStudent), { user: false, course: false });
+    assert.deepEqual(await isEnrolled(student), { user: false, course: false });
+});
@@ -0,0 +1,32 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.CODE_EXECUTOR = 'local';
+const { getQuestionError } = require('../utils/questionValidation');
+const { executeCode } = require('../services/codeExecution');
+const { gradeCodeAnswer } = require('../services/codeGrading');
+
+const codeQuestion = (programmingLanguage) => ({
+    questionText: 'Print the input',
+    questionType: 'codeSolve',
+    marks: 5,
+    programmingLanguage,
+    testCases: [{ input: '5', expectedOutput: '5' }]
+});
+
+test('code questions must use a language the executor runs', () => {
+    assert.equal(getQuestionError(codeQuestion('python')), null);
+    assert.equal(getQuestionError(codeQuestion('open')), null);
+    assert.match(getQuestionError(codeQuestion('java')), /languages this server runs: javascript, python, c, cpp, open/);
+});
+
+test('an unsupported language is an executor failure, not failed tests', async () => {
+    const execution = await executeCode('fun main() {}', 'kotlin');
+    assert.equal(execution.success, false);
+    assert.equal(execution.retryable, true);
+
+    await assert.rejects(
+        gradeCodeAnswer(codeQuestion('open'), { code: 'fun main() {}', language: 'kotlin' }),
+        /Language kotlin not supported/
+    );
+});
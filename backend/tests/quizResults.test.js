@@ -0,0 +1,43 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const Quiz = require('../models/quiz');
+const QuizAttempt = require('../models/quizAttempt');
+const CourseProgress = require('../models/courseProgress');
+const { recordQuizResult } = require('../services/quizResults');
+
+before(async () => {
+    await database.connect();
+    await QuizAttempt.syncIndexes();
+});
+after(database.disconnect);
+beforeEach(database.clear);
+
+test('a submission recorded twice counts as one attempt', async () => {
+    const quiz = await Quiz.create({
+        subSection: new mongoose.Types.ObjectId(),
+        questions: [{ questionText: 'Print 42', questionType: 'codeSolve' }]
+    });
+    const result = {
+        userId: new mongoose.Types.ObjectId(),
+        courseID: new mongoose.Types.ObjectId(),
+        subsectionId: String(quiz.subSection),
+        quiz,
+        score: 10,
+        totalMarks: 10,
+        submissionId: new mongoose.Types.ObjectId()
+    };
+
+    const first = await recordQuizResult(result);
+    // A grading retry after the submission itself failed to save
+    const second = await recordQuizResult(result);
+
+    assert.equal(second.attemptId.toString(), first.attemptId.toString());
+    assert.equal(second.attemptNumber, 1);
+    assert.equal(await QuizAttempt.countDocuments({ quiz: quiz._id }), 1);
+
+    const courseProgress = await CourseProgress.findOne({ userId: result.userId });
+    assert.equal(courseProgress.quizResults[0].attempts, 1);
+    assert.equal(courseProgress.quizResults[0].passed, true);
+});
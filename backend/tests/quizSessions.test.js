@@ -0,0 +1,59 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const database = require('./helpers/database');
+const Quiz = require('../models/quiz');
+const QuizSession = require('../models/quizSession');
+const { startQuizAttempt } = require('../controllers/quiz');
+
+// Just enough of an Express response for the controllers
+const callController = async (controller, userId, body) => {
+    const res = {
+        statusCode: 200,
+        body: null,
+        status(code) {
+            this.statusCode = code;
+            return this;
+        },
+        json(body) {
+            this.body = body;
+            return this;
+        }
+    };
+    await controller({ user: { id: String(userId), accountType: 'Student' }, body }, res);
+    return res;
+};
+
+before(async () => {
+    await database.connect();
+    await QuizSession.syncIndexes();
+});
+after(database.disconnect);
+beforeEach(database.clear);
+
+test('two attempts started at once share one session', async () => {
+    const quiz = await Quiz.create({
+        subSection: new mongoose.Types.ObjectId(),
+        questions: [{
+            questionText: '2 + 2?',
+            questionType: 'singleAnswer',
+            options: ['3', '4'],
+            correctAnswer: 1
+        }]
+    });
+    const studentId = new mongoose.Types.ObjectId();
+    const body = {
+        quizId: String(quiz._id),
+        courseID: String(new mongoose.Types.ObjectId()),
+        subsectionId: String(quiz.subSection)
+    };
+
+    const responses = await Promise.all([
+        callController(startQuizAttempt, studentId, body),
+        callController(startQuizAttempt, studentId, body)
+    ]);
+
+    assert.deepEqual(responses.map(res => res.statusCode).sort(), [200, 201]);
+    assert.equal(responses[0].body.data.attemptToken, responses[1].body.data.attemptToken);
+    assert.equal(await QuizSession.countDocuments({ user: studentId, quiz: quiz._id, status: 'active' }), 1);
+});
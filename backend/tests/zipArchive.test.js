@@ -0,0 +1,40 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createZip, readZip } = require('../utils/zipArchive');
+
+const files = [
+    { name: 'imsmanifest.xml', content: '<manifest/>' },
+    { name: 'item1.xml', content: Buffer.alloc(4000) }
+];
+
+// Offset of the central directory, from the end of central directory record
+const centralDirectoryOffset = (zip) => zip.readUInt32LE(zip.length - 6);
+
+test('reads back what createZip wrote', () => {
+    const read = readZip(createZip(files));
+    assert.deepEqual(read.map(file => file.name), ['imsmanifest.xml', 'item1.xml']);
+    assert.equal(read[0].content.toString('utf8'), '<manifest/>');
+    assert.equal(read[1].content.length, 4000);
+});
+
+test('refuses archives that unpack past the limits', () => {
+    const zip = createZip(files);
+    assert.throws(() => readZip(zip, { maxTotalSize: 1000 }), /unpacks to more than 1000 bytes/);
+    assert.throws(() => readZip(zip, { maxEntries: 1 }), /more than 1 entries/);
+});
+
+test('offsets past the end of the archive are corrupt, not a RangeError', () => {
+    const zip = createZip(files);
+
+    const directoryPastEnd = Buffer.from(zip);
+    directoryPastEnd.writeUInt32LE(0xFFFFFF00, zip.length - 6);
+    assert.throws(() => readZip(directoryPastEnd), { message: 'Corrupt ZIP central directory' });
+
+    const entryPastEnd = Buffer.from(zip);
+    entryPastEnd.writeUInt32LE(0xFFFFFF00, centralDirectoryOffset(zip) + 42);
+    assert.throws(() => readZip(entryPastEnd), { message: 'Corrupt ZIP entry imsmanifest.xml' });
+
+    const dataPastEnd = Buffer.from(zip);
+    dataPastEnd.writeUInt32LE(0xFFFFFF, centralDirectoryOffset(zip) + 20);
+    assert.throws(() => readZip(dataPastEnd), { message: 'Corrupt ZIP entry imsmanifest.xml' });
+});
@@ -13,7 +13,7 @@ const calculateProgressPercentage = (courseProgress, course) => {
 
     course.courseContent?.forEach((section) => {
         section.subSection?.forEach((subsection) => {
-            // Count video
+            // Count the lesson, whether a video, an article or files
             totalItems += 1;
             if (courseProgress.completedVideos.includes(subsection._id)) {
                 completedItems += 1;
@@ -252,6 +252,35 @@ const regenerateCertificatesForCourse = async (courseId, contentType = 'content'
     }
 };
 
+/**
+ * Recompute one student's certificate after their quiz results changed, e.g. once a
+ * manually graded quiz is graded: reissued while they still have 100% completion
+ */
+const refreshCertificateForStudent = async (courseId, studentId) => {
+    try {
+        const certificate = await Certificate.findOne({ courseId, userId: studentId });
+        if (!certificate) {
+            return { action: 'none' };
+        }
+
+        const [status] = await checkStudentCompletionStatus(courseId, [studentId]);
+
+        if (status?.isCompleted) {
+            const updatedCertificate = await updateCertificateIssueDate(certificate._id);
+            const course = await Course.findById(courseId).select('courseName');
+            await notifyStudentAboutCertificateUpdate(studentId, courseId, course.courseName);
+            return { action: 'regenerated', certificateId: certificate.certificateId, newIssueDate: updatedCertificate.issuedDate };
+        }
+
+        // Certificate becomes invalid but we keep it, as with new content
+        console.log(`Certificate invalidated for student ${studentId} (Progress: ${status?.progressPercentage}%)`);
+        return { action: 'invalidated', certificateId: certificate.certificateId, progressPercentage: status?.progressPercentage };
+    } catch (error) {
+        console.error('Error refreshing student certificate:', error);
+        throw error;
+    }
+};
+
 /**
  * Regenerate certificates when new content is added to a course
  */
@@ -283,5 +312,6 @@ module.exports = {
     updateCertificateIssueDate,
     notifyStudentAboutCertificateUpdate,
     regenerateCertificatesForCourse,
+    refreshCertificateForStudent,
     handleNewContentAddition
 };
@@ -0,0 +1,130 @@
+// Helper functions shared by the coupon and payment controllers
+const { roundAmount, splitDiscount } = require('./orderPricing');
+
+// Discount a coupon gives on an amount, capped by maxDiscountAmount and the amount itself
+function calculateCouponDiscount(coupon, amount) {
+  let discountAmount = 0;
+  if (coupon.discountType === 'percentage') {
+    discountAmount = (amount * coupon.discountValue) / 100;
+    // Apply maximum discount limit if set
+    if (coupon.maxDiscountAmount > 0) {
+      discountAmount = Math.min(discountAmount, coupon.maxDiscountAmount);
+    }
+  } else {
+    discountAmount = coupon.discountValue;
+  }
+
+  // Ensure discount doesn't exceed order amount
+  return Math.min(discountAmount, amount);
+}
+
+// Why a coupon can't be used for this user and amount, or null when it can
+function getCouponRejectionReason(coupon, userId, amount) {
+  const now = new Date();
+
+  if (!coupon.isActive) {
+    return 'Coupon is not active';
+  }
+  if (now < new Date(coupon.startDate)) {
+    return 'Coupon is not yet active';
+  }
+  if (now > new Date(coupon.expiryDate)) {
+    return 'Coupon has expired';
+  }
+  // Uses other shoppers are holding at checkout count as taken
+  const reservedCount = (coupon.reservations || []).filter(r =>
+    new Date(r.expiresAt) > now && r.user.toString() !== userId.toString()
+  ).length;
+  if (coupon.usageLimit > 0 && coupon.usedCount + reservedCount >= coupon.usageLimit) {
+    return 'Coupon usage limit exceeded';
+  }
+
+  const userUsage = coupon.userUsage.find(u => u.user.toString() === userId.toString());
+  if (coupon.perUserLimit > 0 && userUsage && userUsage.usedCount >= coupon.perUserLimit) {
+    return 'You have exceeded the usage limit for this coupon';
+  }
+
+  if (coupon.minimumOrderAmount > 0 && amount < coupon.minimumOrderAmount) {
+    return `Minimum order amount of ₹${coupon.minimumOrderAmount} required`;
+  }
+
+  return null;
+}
+
+// A coupon without courses or categories applies to every line; otherwise only to
+// lines whose course or category it lists
+function isCouponApplicableToLine(coupon, line) {
+  const courses = coupon.courses || [];
+  const categories = coupon.categories || [];
+  if (courses.length === 0 && categories.length === 0) {
+    return true;
+  }
+
+  return courses.some(id => line.course && id.toString() === line.course.toString())
+    || categories.some(id => line.category && id.toString() === line.category.toString());
+}
+
+// Coupons are stacked highest priority first. A coupon that isn't combinable can
+// only be used on its own
+function sortCouponsForStacking(coupons) {
+  return [...coupons].sort((a, b) => (b.priority || 0) - (a.priority || 0));
+}
+
+function getStackingRejectionReason(coupons) {
+  if (coupons.length < 2) {
+    return null;
+  }
+  const exclusive = coupons.find(coupon => !coupon.isCombinable);
+  return exclusive ? `Coupon ${exclusive.code} cannot be combined with other coupons` : null;
+}
+
+/**
+ * Apply a stack of coupons to cart lines ({ course, category, amount }). Each coupon
+ * discounts what is left on the lines it applies to after the coupons before it, so
+ * a percentage never stacks on money already taken off.
+ * Returns { error } or { lineDiscounts, coupons: [{ coupon, discount, lineDiscounts }] }
+ */
+function applyCouponsToLines(coupons, lines) {
+  const stackingError = getStackingRejectionReason(coupons);
+  if (stackingError) {
+    return { error: stackingError };
+  }
+
+  const remaining = lines.map(line => line.amount);
+  const lineDiscounts = lines.map(() => 0);
+  const applied = [];
+
+  for (const coupon of sortCouponsForStacking(coupons)) {
+    const eligible = lines
+      .map((line, index) => index)
+      .filter(index => isCouponApplicableToLine(coupon, lines[index]) && remaining[index] > 0);
+
+    if (eligible.length === 0) {
+      return { error: `Coupon ${coupon.code} does not apply to any course in your cart` };
+    }
+
+    const eligibleAmounts = eligible.map(index => remaining[index]);
+    const base = eligibleAmounts.reduce((sum, amount) => sum + amount, 0);
+    const discount = roundAmount(calculateCouponDiscount(coupon, base));
+    const shares = splitDiscount(eligibleAmounts, discount);
+
+    const couponLineDiscounts = lines.map(() => 0);
+    eligible.forEach((lineIndex, i) => {
+      couponLineDiscounts[lineIndex] = shares[i];
+      lineDiscounts[lineIndex] = roundAmount(lineDiscounts[lineIndex] + shares[i]);
+      remaining[lineIndex] = roundAmount(remaining[lineIndex] - shares[i]);
+    });
+
+    applied.push({ coupon, discount, lineDiscounts: couponLineDiscounts });
+  }
+
+  return { lineDiscounts, coupons: applied };
+}
+
+module.exports = {
+  calculateCouponDiscount,
+  getCouponRejectionReason,
+  isCouponApplicableToLine,
+  getStackingRejectionReason,
+  applyCouponsToLines,
+}
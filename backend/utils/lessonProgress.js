@@ -0,0 +1,7 @@
+// Whether a lesson (sub-section) is something the student completes. A video lesson
+// counts once its video is uploaded; article and resource lessons count from the start
+// and complete when the student marks them read or done, like a watched video
+const countsTowardsProgress = (subSection) =>
+  Boolean(subSection.videoUrl) || ['article', 'resource'].includes(subSection.lessonType);
+
+module.exports = { countsTowardsProgress };
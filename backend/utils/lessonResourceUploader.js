@@ -0,0 +1,59 @@
+const cloudinary = require('cloudinary').v2;
+const path = require('path');
+
+// Files students download from a lesson: documents, slides and archives. They are
+// uploaded as raw files so Cloudinary keeps them byte for byte
+const LESSON_RESOURCE_EXTENSIONS = ['pdf', 'doc', 'docx', 'ppt', 'pptx', 'key', 'odp', 'xls', 'xlsx', 'csv', 'txt', 'md', 'zip', 'tar', 'gz', 'rar', '7z'];
+const MAX_LESSON_RESOURCES = 10;
+
+exports.LESSON_RESOURCE_EXTENSIONS = LESSON_RESOURCE_EXTENSIONS;
+exports.MAX_LESSON_RESOURCES = MAX_LESSON_RESOURCES;
+
+exports.uploadLessonResource = async (file, folder) => {
+  const fileExtension = path.extname(file.originalname).toLowerCase();
+  const fileName = path.basename(file.originalname, fileExtension).replace(/[^\w-]+/g, '_');
+
+  const options = {
+    folder,
+    resource_type: "raw",
+    use_filename: true,
+    unique_filename: false,
+    public_id: `${fileName}_${Date.now()}${fileExtension}`, // raw files keep their extension in the id
+    type: "upload",
+    access_mode: "public"
+  };
+
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream(
+      options,
+      (error, result) => {
+        if (error) {
+          console.error('Cloudinary lesson resource upload error:', error);
+          reject(error);
+        } else {
+          resolve({
+            name: file.originalname,
+            url: result.secure_url,
+            publicId: result.public_id,
+            size: result.bytes || file.size
+          });
+        }
+      }
+    ).end(file.buffer);
+  });
+};
+
+// Best effort: a file that can't be deleted is logged, not reported to the caller
+exports.deleteLessonResource = async (resource) => {
+  if (!resource?.publicId) return null;
+
+  try {
+    return await cloudinary.uploader.destroy(resource.publicId, {
+      resource_type: 'raw',
+      invalidate: true
+    });
+  } catch (error) {
+    console.error(`Error deleting lesson resource ${resource.publicId}:`, error);
+    return null;
+  }
+};
@@ -0,0 +1,97 @@
+// Helper functions to price a cart into order line items
+
+// GST rate in percent; course prices are tax inclusive
+const DEFAULT_TAX_RATE = 18;
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const getTaxRate = () => {
+  const rate = Number(process.env.GST_RATE);
+  return Number.isFinite(rate) && rate >= 0 ? rate : DEFAULT_TAX_RATE;
+};
+
+// Free courses are always priced at 0 regardless of the stored price
+const getCoursePrice = (course) => course.courseType === 'Free' ? 0 : (course.price || 0);
+
+// Same tiers BundleCheckout shows: 10% off for 2 courses, 15% off for 3 or more
+const getBundleDiscountRate = (courseCount) => {
+  if (courseCount >= 3) return 0.15;
+  if (courseCount >= 2) return 0.10;
+  return 0;
+};
+
+// Split a cart-level discount across lines in proportion to their price.
+// The last priced line takes the rounding remainder so the parts add up exactly
+const splitDiscount = (prices, discount) => {
+  const subtotal = prices.reduce((sum, price) => sum + price, 0);
+  if (subtotal === 0 || discount === 0) {
+    return prices.map(() => 0);
+  }
+
+  const lastPricedIndex = prices.map(price => price > 0).lastIndexOf(true);
+  let remaining = roundAmount(discount);
+
+  return prices.map((price, index) => {
+    if (index === lastPricedIndex) {
+      return remaining;
+    }
+    const share = roundAmount((discount * price) / subtotal);
+    remaining = roundAmount(remaining - share);
+    return share;
+  });
+};
+
+// What each line costs once its share of the bundle discount is taken off
+const getLineAmountsAfterBundle = (courses, bundleDiscount = 0) => {
+  const prices = courses.map(getCoursePrice);
+  const subtotal = prices.reduce((sum, price) => sum + price, 0);
+  const bundleShares = splitDiscount(prices, Math.min(subtotal, bundleDiscount));
+  return prices.map((price, index) => roundAmount(price - bundleShares[index]));
+};
+
+// Build the line items and cart totals stored on an Order. Coupon discounts are
+// either given per line (lineCouponDiscounts, for coupons scoped to some courses)
+// or as a cart-level couponDiscount split across the lines
+function buildOrderPricing(courses, { bundleDiscount = 0, couponDiscount = 0, lineCouponDiscounts = null, taxRate = getTaxRate() } = {}) {
+  const prices = courses.map(getCoursePrice);
+  const subtotal = roundAmount(prices.reduce((sum, price) => sum + price, 0));
+  bundleDiscount = Math.min(subtotal, bundleDiscount);
+  const bundleShares = splitDiscount(prices, bundleDiscount);
+  const amountsAfterBundle = prices.map((price, index) => roundAmount(price - bundleShares[index]));
+
+  const couponShares = lineCouponDiscounts
+    ? amountsAfterBundle.map((amount, index) => Math.min(amount, lineCouponDiscounts[index] || 0))
+    : splitDiscount(amountsAfterBundle, Math.min(subtotal - bundleDiscount, couponDiscount));
+
+  const items = courses.map((course, index) => {
+    const amount = roundAmount(amountsAfterBundle[index] - couponShares[index]);
+    return {
+      course: course._id,
+      courseName: course.courseName,
+      price: prices[index],
+      discount: roundAmount(bundleShares[index] + couponShares[index]),
+      couponDiscount: couponShares[index],
+      taxAmount: roundAmount((amount * taxRate) / (100 + taxRate)),
+      amount
+    };
+  });
+
+  return {
+    items,
+    subtotal,
+    bundleDiscount: roundAmount(bundleDiscount),
+    couponDiscount: roundAmount(couponShares.reduce((sum, share) => sum + share, 0)),
+    taxRate,
+    taxAmount: roundAmount(items.reduce((sum, item) => sum + item.taxAmount, 0)),
+    totalAmount: roundAmount(items.reduce((sum, item) => sum + item.amount, 0))
+  };
+}
+
+module.exports = {
+  roundAmount,
+  getCoursePrice,
+  getBundleDiscountRate,
+  splitDiscount,
+  getLineAmountsAfterBundle,
+  buildOrderPricing,
+}
@@ -0,0 +1,90 @@
+// Comparing a program's output with a test case's expected output. The mode is set
+// per question (Quiz question.outputComparison)
+
+const COMPARISON_MODES = ['exact', 'trim', 'token', 'float', 'regex'];
+
+const NUMBER_PATTERN = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+const normalizeLineEndings = (text) => String(text ?? '').replace(/\r\n?/g, '\n');
+
+// Trailing spaces on each line and blank lines around the output don't count
+const trimLines = (text) => normalizeLineEndings(text)
+  .split('\n')
+  .map(line => line.trimEnd())
+  .join('\n')
+  .trim();
+
+const toTokens = (text) => normalizeLineEndings(text).split(/\s+/).filter(Boolean);
+
+// The whole output must match; the expected output is the pattern
+const toRegex = (pattern) => new RegExp(`^(?:${trimLines(pattern)})$`);
+
+// Numbers are equal within `tolerance`, absolute for small values and relative for large ones
+function numbersMatch(expected, actual, tolerance) {
+  const a = Number(expected);
+  const b = Number(actual);
+  return Math.abs(a - b) <= tolerance * Math.max(1, Math.abs(a));
+}
+
+/**
+ * Whether `actual` output passes against `expected` under `mode`:
+ * exact (only line endings normalized), trim (trailing whitespace ignored),
+ * token (any whitespace between words), float (token, with numbers compared
+ * within `tolerance`) or regex (expected is a pattern for the whole output)
+ */
+function compareOutput(expected, actual, { mode = 'trim', tolerance = 1e-6 } = {}) {
+  switch (mode) {
+    case 'exact':
+      return normalizeLineEndings(expected) === normalizeLineEndings(actual);
+    case 'token': {
+      const expectedTokens = toTokens(expected);
+      const actualTokens = toTokens(actual);
+      return expectedTokens.length === actualTokens.length
+        && expectedTokens.every((token, i) => token === actualTokens[i]);
+    }
+    case 'float': {
+      const expectedTokens = toTokens(expected);
+      const actualTokens = toTokens(actual);
+      return expectedTokens.length === actualTokens.length
+        && expectedTokens.every((token, i) => (NUMBER_PATTERN.test(token) && NUMBER_PATTERN.test(actualTokens[i])
+          ? numbersMatch(token, actualTokens[i], tolerance)
+          : token === actualTokens[i]));
+    }
+    case 'regex':
+      try {
+        return toRegex(expected).test(trimLines(actual));
+      } catch (error) {
+        return false;
+      }
+    case 'trim':
+    default:
+      return trimLines(expected) === trimLines(actual);
+  }
+}
+
+// Why a question's comparison settings can't be used, or null when they can
+function getComparisonError(question) {
+  const mode = question.outputComparison || 'trim';
+  if (!COMPARISON_MODES.includes(mode)) {
+    return `Output comparison must be one of: ${COMPARISON_MODES.join(', ')}`;
+  }
+  if (question.floatTolerance !== undefined && !(Number(question.floatTolerance) >= 0)) {
+    return 'Float tolerance must be zero or more';
+  }
+  if (mode === 'regex') {
+    for (const testCase of question.testCases || []) {
+      try {
+        toRegex(testCase.expectedOutput);
+      } catch (error) {
+        return `Invalid expected output pattern: ${error.message}`;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  COMPARISON_MODES,
+  compareOutput,
+  getComparisonError,
+}
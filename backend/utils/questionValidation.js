@@ -0,0 +1,213 @@
+// Checks for questions sent by instructors, shared by quizzes and question banks
+const { getComparisonError } = require('./outputComparison');
+const { getSupportedLanguages } = require('../services/codeExecution');
+const DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUESTION_TYPES = ['multipleChoice', 'singleAnswer', 'shortAnswer', 'matchTheFollowing', 'longAnswer', 'codeSolve', 'numeric', 'ordering', 'cloze'];
+const TOLERANCE_TYPES = ['absolute', 'relative'];
+// Blank n of a cloze question's text
+const CLOZE_MARKER = /\[\[(\d+)\]\]/g;
+const MAX_EXPLANATION_LENGTH = 5000;
+
+const isFilledText = (value) => typeof value === 'string' && value.trim() !== '';
+
+// Options, correct answers and match pairs of the choice and matching questions
+function getChoiceError(question) {
+  const options = question.options;
+  if (!Array.isArray(options) || options.length < 2 || !options.every(isFilledText)) {
+    return 'Questions with options need at least two, and none of them empty';
+  }
+
+  if (question.questionType === 'singleAnswer') {
+    const correctAnswer = Number(question.correctAnswer);
+    if (question.correctAnswer === null || question.correctAnswer === undefined ||
+        !Number.isInteger(correctAnswer) || correctAnswer < 0 || correctAnswer >= options.length) {
+      return 'Single answer questions need the index of their correct option';
+    }
+  } else if (question.questionType === 'multipleChoice') {
+    const correctAnswers = question.correctAnswers;
+    if (!Array.isArray(correctAnswers) || correctAnswers.length === 0 ||
+        !correctAnswers.every(index => Number.isInteger(Number(index)) && index >= 0 && index < options.length)) {
+      return 'Multiple choice questions need at least one correct option';
+    }
+  } else if (!Array.isArray(question.answers) || question.answers.length !== options.length || !question.answers.every(isFilledText)) {
+    return 'Match the following questions need an answer for every option';
+  }
+
+  return null;
+}
+
+// Keyword threshold and rubric checks for shortAnswer and longAnswer questions
+function getFreeTextError(question) {
+  if (question.keywordThreshold !== undefined) {
+    const threshold = Number(question.keywordThreshold);
+    if (!(threshold >= 1 && threshold <= 100)) {
+      return 'Keyword threshold must be between 1 and 100 percent';
+    }
+  }
+
+  if (question.rubric === undefined) {
+    return null;
+  }
+  if (!Array.isArray(question.rubric)) {
+    return 'Rubric must be an array of criteria';
+  }
+  for (const line of question.rubric) {
+    if (!line || typeof line.criterion !== 'string' || !line.criterion.trim()) {
+      return 'Every rubric criterion needs a description';
+    }
+    if (!(Number(line.points) >= 0)) {
+      return 'Rubric points must be zero or more';
+    }
+  }
+  const rubricPoints = question.rubric.reduce((sum, line) => sum + Number(line.points), 0);
+  if (question.rubric.length > 0 && rubricPoints !== Number(question.marks ?? 1)) {
+    return `Rubric points (${rubricPoints}) must add up to the question's marks (${question.marks ?? 1})`;
+  }
+
+  return null;
+}
+
+// Answer, tolerance and units of numeric questions
+function getNumericError(question) {
+  if (question.numericAnswer === null || question.numericAnswer === undefined || question.numericAnswer === '' ||
+      !Number.isFinite(Number(question.numericAnswer))) {
+    return 'Numeric questions need a number as their answer';
+  }
+  if (question.tolerance !== undefined && !(Number(question.tolerance) >= 0)) {
+    return 'Tolerance must be zero or more';
+  }
+  if (question.toleranceType !== undefined && !TOLERANCE_TYPES.includes(question.toleranceType)) {
+    return `Tolerance type must be one of: ${TOLERANCE_TYPES.join(', ')}`;
+  }
+
+  const units = question.units || [];
+  if (!Array.isArray(units)) {
+    return 'Units must be an array';
+  }
+  for (const unit of units) {
+    if (!unit || !isFilledText(unit.unit)) {
+      return 'Every unit needs a name';
+    }
+    if (unit.multiplier !== undefined && !(Number(unit.multiplier) > 0)) {
+      return 'Unit multipliers must be more than zero';
+    }
+  }
+  const names = units.map(unit => unit.unit.replace(/\s+/g, ''));
+  if (new Set(names).size !== names.length) {
+    return 'Units must be different from each other';
+  }
+  if (question.unitRequired && units.length === 0) {
+    return 'Questions that require a unit need at least one unit';
+  }
+
+  return null;
+}
+
+// Items of ordering questions, given in the correct order
+function getOrderingError(question) {
+  const options = question.options;
+  if (!Array.isArray(options) || options.length < 2 || !options.every(isFilledText)) {
+    return 'Ordering questions need at least two items, and none of them empty';
+  }
+  if (new Set(options.map(option => option.trim())).size !== options.length) {
+    return 'Ordering questions can\'t have the same item twice';
+  }
+  return null;
+}
+
+// The [[n]] markers of cloze questions and the answers of their blanks
+function getClozeError(question) {
+  const blanks = question.blanks;
+  if (!Array.isArray(blanks) || blanks.length === 0) {
+    return 'Cloze questions need at least one blank';
+  }
+  for (const blank of blanks) {
+    if (!blank || !Array.isArray(blank.answers) || blank.answers.length === 0 || !blank.answers.every(isFilledText)) {
+      return 'Every blank needs at least one accepted answer, and none of them empty';
+    }
+  }
+
+  const markers = [...question.questionText.matchAll(CLOZE_MARKER)].map(match => Number(match[1]));
+  for (let number = 1; number <= blanks.length; number++) {
+    const count = markers.filter(marker => marker === number).length;
+    if (count !== 1) {
+      return `Blank ${number} must be marked [[${number}]] exactly once in the question text`;
+    }
+  }
+  const unknown = markers.find(marker => marker < 1 || marker > blanks.length);
+  if (unknown !== undefined) {
+    return `The question text marks blank ${unknown}, but there are only ${blanks.length} blank(s)`;
+  }
+
+  return null;
+}
+
+// Why a question can't be saved, or null when it can
+function getQuestionError(question) {
+  if (!question || !isFilledText(question.questionText)) {
+    return 'Question text is required';
+  }
+  if (!QUESTION_TYPES.includes(question.questionType)) {
+    return `Question type must be one of: ${QUESTION_TYPES.join(', ')}`;
+  }
+  if (question.marks !== undefined && !(Number(question.marks) > 0)) {
+    return 'Marks must be more than zero';
+  }
+  if (question.difficulty !== undefined && !DIFFICULTIES.includes(question.difficulty)) {
+    return `Difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+  if (question.explanation !== undefined &&
+    (typeof question.explanation !== 'string' || question.explanation.length > MAX_EXPLANATION_LENGTH)) {
+    return `Explanations must be text of at most ${MAX_EXPLANATION_LENGTH} characters`;
+  }
+
+  if (question.questionType === 'shortAnswer' || question.questionType === 'longAnswer') {
+    return getFreeTextError(question);
+  }
+
+  if (question.questionType === 'numeric') {
+    return getNumericError(question);
+  }
+  if (question.questionType === 'ordering') {
+    return getOrderingError(question);
+  }
+  if (question.questionType === 'cloze') {
+    return getClozeError(question);
+  }
+
+  if (question.questionType !== 'codeSolve') {
+    return getChoiceError(question);
+  }
+
+  if (!question.testCases || !Array.isArray(question.testCases) || question.testCases.length === 0) {
+    return 'Code solving questions must have at least one test case';
+  }
+
+  for (const testCase of question.testCases) {
+    if (!testCase.expectedOutput || testCase.expectedOutput.trim() === '') {
+      return 'All test cases must have expected output';
+    }
+    if (testCase.weight !== undefined && !(Number(testCase.weight) >= 0)) {
+      return 'Test case weights must be zero or more';
+    }
+  }
+
+  const comparisonError = getComparisonError(question);
+  if (comparisonError) {
+    return comparisonError;
+  }
+
+  // Only languages the configured code executor runs; 'open' lets the student pick one
+  const languages = getSupportedLanguages();
+  if (question.programmingLanguage !== 'open' && !languages.includes(question.programmingLanguage)) {
+    return `Code solving questions must use one of the languages this server runs: ${[...languages, 'open'].join(', ')}`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  DIFFICULTIES,
+  QUESTION_TYPES,
+  getQuestionError,
+}
@@ -0,0 +1,172 @@
+// A small XML reader and writer for quiz interchange files (QTI). It handles
+// elements, attributes, text, CDATA, comments and the standard entities; DTDs and
+// processing instructions are skipped. Namespace prefixes are dropped from names
+
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+const START_TAG = /<([A-Za-z_][\w.:-]*)((?:\s+[\w.:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/y;
+
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-fA-F]+|#[0-9]+|[a-zA-Z]+);/g, (match, entity) => {
+    if (entity[0] === '#') {
+      const codePoint = entity[1] === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+      return Number.isNaN(codePoint) ? match : String.fromCodePoint(codePoint);
+    }
+    return ENTITIES[entity] ?? match;
+  });
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function localName(name) {
+  const colon = name.indexOf(':');
+  return colon >= 0 ? name.slice(colon + 1) : name;
+}
+
+// Finds the line number (1-based) of a position in the source, for error messages
+function lineCounter(source) {
+  const lineStarts = [0];
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+  return (position) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (lineStarts[middle] <= position) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low + 1;
+  };
+}
+
+/**
+ * Parse an XML document into { name, attributes, children, line } elements, where
+ * children are elements or strings. Throws an Error with the line number on
+ * malformed input
+ */
+function parseXml(source) {
+  const root = { name: '#document', attributes: {}, children: [], line: 1 };
+  const stack = [root];
+  const lineAt = lineCounter(source);
+  let position = 0;
+
+  const fail = (message, at = position) => {
+    throw new Error(`Line ${lineAt(at)}: ${message}`);
+  };
+
+  while (position < source.length) {
+    const tagStart = source.indexOf('<', position);
+    const textEnd = tagStart < 0 ? source.length : tagStart;
+    if (textEnd > position) {
+      const text = source.slice(position, textEnd);
+      if (stack.length > 1) {
+        stack[stack.length - 1].children.push(decodeEntities(text));
+      }
+    }
+    if (tagStart < 0) {
+      break;
+    }
+    position = tagStart;
+
+    if (source.startsWith('<!--', position)) {
+      const end = source.indexOf('-->', position);
+      if (end < 0) {
+        fail('Unclosed comment');
+      }
+      position = end + 3;
+    } else if (source.startsWith('<![CDATA[', position)) {
+      const end = source.indexOf(']]>', position);
+      if (end < 0) {
+        fail('Unclosed CDATA section');
+      }
+      stack[stack.length - 1].children.push(source.slice(position + 9, end));
+      position = end + 3;
+    } else if (source.startsWith('<?', position) || source.startsWith('<!', position)) {
+      const end = source.indexOf('>', position);
+      if (end < 0) {
+        fail('Unclosed declaration');
+      }
+      position = end + 1;
+    } else if (source.startsWith('</', position)) {
+      const end = source.indexOf('>', position);
+      if (end < 0) {
+        fail('Unclosed end tag');
+      }
+      const name = localName(source.slice(position + 2, end).trim());
+      const open = stack.pop();
+      if (stack.length === 0 || open.name !== name) {
+        fail(`Unexpected </${name}>`);
+      }
+      position = end + 1;
+    } else {
+      START_TAG.lastIndex = position;
+      const match = START_TAG.exec(source);
+      if (!match) {
+        fail('Malformed start tag');
+      }
+      const attributes = {};
+      for (const attribute of match[2].matchAll(/([\w.:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+        attributes[localName(attribute[1])] = decodeEntities(attribute[2] ?? attribute[3]);
+      }
+      const element = { name: localName(match[1]), attributes, children: [], line: lineAt(position) };
+      stack[stack.length - 1].children.push(element);
+      if (!match[3]) {
+        stack.push(element);
+      }
+      position += match[0].length;
+    }
+  }
+
+  if (stack.length > 1) {
+    fail(`<${stack[stack.length - 1].name}> is never closed`, source.length);
+  }
+  return root;
+}
+
+// Every descendant element named `name`, in document order
+function findAll(element, name) {
+  const found = [];
+  for (const child of element.children) {
+    if (typeof child !== 'string') {
+      if (child.name === name) {
+        found.push(child);
+      }
+      found.push(...findAll(child, name));
+    }
+  }
+  return found;
+}
+
+function findFirst(element, name) {
+  return findAll(element, name)[0] || null;
+}
+
+// The text inside an element, with the markup of nested elements (e.g. HTML) dropped
+function textContent(element, skip = []) {
+  return element.children.map(child => {
+    if (typeof child === 'string') {
+      return child;
+    }
+    return skip.includes(child.name) ? '' : textContent(child, skip);
+  }).join('');
+}
+
+module.exports = {
+  parseXml,
+  findAll,
+  findFirst,
+  textContent,
+  escapeXml,
+}
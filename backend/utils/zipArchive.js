@@ -0,0 +1,172 @@
+// Minimal ZIP reading and writing for content packages (QTI). Entries are deflated
+// or stored; ZIP64, encryption and multi-disk archives aren't supported
+const zlib = require('zlib');
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xFFFFFFFF;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Build a ZIP archive from [{ name, content }] where content is a Buffer or a
+ * string (written as UTF-8). Returns a Buffer
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, 'utf8');
+    const content = Buffer.isBuffer(file.content) ? file.content : Buffer.from(file.content, 'utf8');
+    const compressed = zlib.deflateRawSync(content);
+    const crc = crc32(content);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(content.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(content.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralDirectory = Buffer.concat(centralParts);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDirectory.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, centralDirectory, end]);
+}
+
+// Whether a buffer starts like a ZIP archive
+function isZip(buffer) {
+  return buffer.length >= 4 && buffer.readUInt32LE(0) === 0x04034b50;
+}
+
+// Content packages are a few XML files: anything past these limits is refused
+// before it is unpacked, rather than inflated into memory (a "ZIP bomb")
+const MAX_ENTRIES = 1000;
+const MAX_TOTAL_SIZE = 50 * 1024 * 1024;
+
+/**
+ * Read the files of a ZIP archive as [{ name, content }] with Buffer contents.
+ * Directories are left out. Throws on archives it can't read, and on archives with
+ * more than maxEntries entries or more than maxTotalSize bytes once unpacked
+ */
+function readZip(buffer, { maxEntries = MAX_ENTRIES, maxTotalSize = MAX_TOTAL_SIZE } = {}) {
+  // The end of central directory record sits in the last 64 KB (after an optional comment)
+  let endOffset = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xFFFF); i--) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      endOffset = i;
+      break;
+    }
+  }
+  if (endOffset < 0) {
+    throw new Error('Not a ZIP archive');
+  }
+
+  const entryCount = buffer.readUInt16LE(endOffset + 10);
+  if (entryCount > maxEntries) {
+    throw new Error(`ZIP archive has more than ${maxEntries} entries`);
+  }
+
+  let position = buffer.readUInt32LE(endOffset + 16);
+  let totalSize = 0;
+  const files = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (position + 46 > buffer.length || buffer.readUInt32LE(position) !== 0x02014b50) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const method = buffer.readUInt16LE(position + 10);
+    const compressedSize = buffer.readUInt32LE(position + 20);
+    const nameLength = buffer.readUInt16LE(position + 28);
+    const extraLength = buffer.readUInt16LE(position + 30);
+    const commentLength = buffer.readUInt16LE(position + 32);
+    const localOffset = buffer.readUInt32LE(position + 42);
+    if (position + 46 + nameLength > buffer.length) {
+      throw new Error('Corrupt ZIP central directory');
+    }
+    const name = buffer.toString('utf8', position + 46, position + 46 + nameLength);
+    position += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/')) {
+      continue;
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== 0x04034b50) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+    const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    if (dataStart + compressedSize > buffer.length) {
+      throw new Error(`Corrupt ZIP entry ${name}`);
+    }
+
+    const data = buffer.subarray(dataStart, dataStart + compressedSize);
+    const remainingSize = maxTotalSize - totalSize;
+    let content;
+    if (method === 0) {
+      content = data;
+    } else if (method === 8) {
+      try {
+        // Stops inflating as soon as the entry outgrows what is left of the limit
+        content = zlib.inflateRawSync(data, { maxOutputLength: Math.max(remainingSize, 1) });
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new Error(`ZIP archive unpacks to more than ${maxTotalSize} bytes`);
+        }
+        throw new Error(`Corrupt ZIP entry ${name}`);
+      }
+    } else {
+      throw new Error(`${name} uses an unsupported ZIP compression method`);
+    }
+
+    totalSize += content.length;
+    if (totalSize > maxTotalSize) {
+      throw new Error(`ZIP archive unpacks to more than ${maxTotalSize} bytes`);
+    }
+    files.push({ name, content });
+  }
+
+  return files;
+}
+
+module.exports = {
+  createZip,
+  readZip,
+  isZip,
+}
@@ -1,6 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import Editor from '@monaco-editor/react';
-import { executeCode, validateCodeWithTestCases } from '../../services/codeExecution';
+import { useSelector } from 'react-redux';
+import { runCode as runCodeOnServer } from '../../services/codeExecution';
 
 const CodeEditor = ({ 
   language = 'javascript', 
@@ -10,8 +11,11 @@ const CodeEditor = ({
   testCases = [],
   showInput = false,
   showOutput = false,
-  allowLanguageChange = false
+  allowLanguageChange = false,
+  quizId,
+  questionId
 }) => {
+  const { token } = useSelector((state) => state.auth);
   const [code, setCode] = useState(starterCode);
   const [customInput, setCustomInput] = useState('');
   const [output, setOutput] = useState('');
@@ -52,47 +56,43 @@ const CodeEditor = ({
     setExecutionStatus(null);
 
     try {
-      // Run the code first to get output
-      const codeResult = await executeCode(code, currentLanguage, customInput);
-      
+      const runRequest = { quizId, questionId, code, language: currentLanguage };
+
+      // Run the code on the custom input first to get output
+      const codeResult = await runCodeOnServer({ ...runRequest, stdin: customInput }, token);
+
       if (codeResult.success) {
-        // Set the code output
-        setOutput(codeResult.data.stdout || 'No output');
-        
-        // If there are test cases, run them in parallel but don't show in output
-        if (testCases && testCases.length > 0) {
-          try {
-            const testResult = await validateCodeWithTestCases(code, currentLanguage, testCases);
-            setExecutionStatus({
-              success: codeResult.data.stderr || codeResult.data.compile_output ? false : true,
-              error: codeResult.data.stderr || codeResult.data.compile_output || null,
-              status: codeResult.data.status,
-              time: codeResult.data.time,
-              memory: codeResult.data.memory,
-              testsRun: testResult.totalCount,
-              testsPassed: testResult.passedCount,
-              testResults: testResult.results
-            });
-          } catch (testError) {
-            // If test execution fails, still show code output but no test results
-            setExecutionStatus({
-              success: codeResult.data.stderr || codeResult.data.compile_output ? false : true,
-              error: codeResult.data.stderr || codeResult.data.compile_output || null,
-              status: codeResult.data.status,
-              time: codeResult.data.time,
-              memory: codeResult.data.memory
+        const { data } = codeResult;
+        setOutput((data.stdout || 'No output') + (data.truncated ? '\n... output truncated' : ''));
+
+        const status = {
+          success: data.status?.id === 3,
+          error: data.compile_output || data.stderr || (data.timedOut ? 'Time limit exceeded' : null),
+          status: data.status,
+          time: data.time,
+          memory: data.memory,
+          exitCode: data.exitCode
+        };
+
+        // Then check the visible test cases; hidden ones only run on submit
+        if (testCases.some(testCase => !testCase.isHidden)) {
+          const testResult = await runCodeOnServer(runRequest, token);
+          if (testResult.success) {
+            const testResults = [];
+            testResult.data.results.forEach((result) => {
+              testResults[result.index] = {
+                ...result,
+                error: result.stderr || (result.timedOut ? 'Time limit exceeded' : null)
+              };
             });
+            status.testsRun = testResult.data.totalCount;
+            status.testsPassed = testResult.data.passedCount;
+            status.testResults = testResults;
+            status.error = status.error || testResult.data.compileOutput || null;
           }
-        } else {
-          // No test cases, just show code execution status
-          setExecutionStatus({
-            success: codeResult.data.stderr || codeResult.data.compile_output ? false : true,
-            error: codeResult.data.stderr || codeResult.data.compile_output || null,
-            status: codeResult.data.status,
-            time: codeResult.data.time,
-            memory: codeResult.data.memory
-          });
         }
+
+        setExecutionStatus(status);
       } else {
         setOutput(''); // Clear output on error
         setExecutionStatus({
@@ -111,6 +111,9 @@ const CodeEditor = ({
     }
   };
 
+  const visibleTestCount = testCases.filter(testCase => !testCase.isHidden).length;
+  const hiddenTestCount = testCases.length - visibleTestCount;
+
   return (
     <div className="bg-richblack-800 rounded-lg p-4">
       {/* Header */}
@@ -222,6 +225,11 @@ const CodeEditor = ({
                     Memory: {executionStatus.memory}KB
                   </span>
                 )}
+                {executionStatus.exitCode !== undefined && executionStatus.exitCode !== null && (
+                  <span className="text-richblack-300">
+                    Exit code: {executionStatus.exitCode}
+                  </span>
+                )}
               </div>
             )}
           </div>
@@ -246,22 +254,27 @@ const CodeEditor = ({
       )}
 
       {/* Test Cases Section */}
-      {testCases && testCases.length > 0 && (
+      {visibleTestCount > 0 && (
         <div className="mt-4">
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-lg font-semibold text-richblack-5">Test Cases</h3>
             {executionStatus?.testResults && (
               <div className="flex items-center gap-2 text-sm">
                 <span className={`font-medium ${
-                  executionStatus.testResults.filter(r => r.passed).length === testCases.length
+                  executionStatus.testsPassed === visibleTestCount
                     ? 'text-green-400' 
                     : 'text-yellow-400'
                 }`}>
-                  {executionStatus.testResults.filter(r => r.passed).length}/{testCases.length} Passed
+                  {executionStatus.testsPassed}/{visibleTestCount} Passed
                 </span>
               </div>
             )}
           </div>
+          {hiddenTestCount > 0 && (
+            <p className="mb-4 text-sm text-richblack-300">
+              {hiddenTestCount} hidden test {hiddenTestCount === 1 ? 'case runs' : 'cases run'} when you submit the quiz
+            </p>
+          )}
           <div className="space-y-4">
             {testCases.filter(tc => !tc.isHidden).map((testCase, visibleIndex) => {
               // Find the actual index in the original testCases array
@@ -305,6 +318,18 @@ const CodeEditor = ({
                           Error: {executionStatus.testResults[actualIndex].error}
                         </div>
                       )}
+                      <div className="mt-2 flex gap-3 text-xs text-richblack-300">
+                        <span>{executionStatus.testResults[actualIndex].status?.description}</span>
+                        {executionStatus.testResults[actualIndex].time && (
+                          <span>Time: {executionStatus.testResults[actualIndex].time}s</span>
+                        )}
+                        {executionStatus.testResults[actualIndex].exitCode !== null && (
+                          <span>Exit code: {executionStatus.testResults[actualIndex].exitCode}</span>
+                        )}
+                        {executionStatus.testResults[actualIndex].truncated && (
+                          <span className="text-yellow-400">Output truncated</span>
+                        )}
+                      </div>
                     </div>
                   )}
                 </div>
@@ -0,0 +1,62 @@
+import {
+  DndContext,
+  KeyboardSensor,
+  PointerSensor,
+  closestCenter,
+  pointerWithin,
+  useSensor,
+  useSensors,
+} from "@dnd-kit/core"
+import { restrictToVerticalAxis } from "@dnd-kit/modifiers"
+import { SortableContext, sortableKeyboardCoordinates, verticalListSortingStrategy } from "@dnd-kit/sortable"
+
+import { getContentReorder } from "../../utils/courseContentOrder"
+
+const ofType = (args, type) => ({
+  ...args,
+  droppableContainers: args.droppableContainers.filter((container) => container.data.current?.type === type),
+})
+
+// Sections only land on sections. A lecture lands on the lecture under the pointer,
+// else on the section under it (and goes last there); with the keyboard, on the nearest lecture
+const collisionDetection = (args) => {
+  if (args.active.data.current?.type === "section") {
+    return closestCenter(ofType(args, "section"))
+  }
+  const overLecture = pointerWithin(ofType(args, "subSection"))
+  if (overLecture.length) return overLecture
+  const overSection = pointerWithin(ofType(args, "section"))
+  if (overSection.length) return overSection
+  return closestCenter(ofType(args, "subSection"))
+}
+
+// Drag-and-drop for the sections and lectures of a course builder. Render sections as
+// SortableItem with data { type: "section" } and each section's lectures in their own
+// SortableContext with data { type: "subSection", sectionId }; onReorder gets the
+// change worked out by getContentReorder
+export default function CourseContentDndContext({ courseContent, onReorder, children }) {
+  const sensors = useSensors(
+    useSensor(PointerSensor, { activationConstraint: { distance: 5 } }),
+    useSensor(KeyboardSensor, { coordinateGetter: sortableKeyboardCoordinates })
+  )
+
+  const handleDragEnd = ({ active, over }) => {
+    const change = getContentReorder(courseContent, active, over)
+    if (change) {
+      onReorder(change)
+    }
+  }
+
+  return (
+    <DndContext
+      sensors={sensors}
+      collisionDetection={collisionDetection}
+      modifiers={[restrictToVerticalAxis]}
+      onDragEnd={handleDragEnd}
+    >
+      <SortableContext items={courseContent.map((section) => section._id)} strategy={verticalListSortingStrategy}>
+        {children}
+      </SortableContext>
+    </DndContext>
+  )
+}
@@ -0,0 +1,36 @@
+import ReactMarkdown from "react-markdown"
+
+// A markdown element with Tailwind classes, since the site has no typography plugin.
+// react-markdown passes the syntax tree node along, which mustn't reach the DOM
+const styled = (Tag, className, extraProps = {}) => {
+  function StyledElement(props) {
+    const elementProps = { ...props }
+    delete elementProps.node
+    return <Tag className={className} {...extraProps} {...elementProps} />
+  }
+  return StyledElement
+}
+
+const MARKDOWN_COMPONENTS = {
+  h1: styled("h1", "mt-6 mb-3 text-2xl font-semibold text-richblack-5"),
+  h2: styled("h2", "mt-6 mb-3 text-xl font-semibold text-richblack-5"),
+  h3: styled("h3", "mt-4 mb-2 text-lg font-semibold text-richblack-5"),
+  p: styled("p", "my-3 leading-7 text-richblack-100"),
+  a: styled("a", "text-yellow-50 underline", { target: "_blank", rel: "noreferrer" }),
+  ul: styled("ul", "my-3 list-disc space-y-1 pl-6 text-richblack-100"),
+  ol: styled("ol", "my-3 list-decimal space-y-1 pl-6 text-richblack-100"),
+  blockquote: styled("blockquote", "my-3 border-l-4 border-richblack-500 pl-4 italic text-richblack-200"),
+  pre: styled("pre", "my-3 overflow-x-auto rounded-md bg-richblack-900 p-4 text-sm"),
+  code: styled("code", "rounded bg-richblack-900 px-1 font-mono text-sm text-yellow-25"),
+  img: styled("img", "my-3 max-w-full rounded-md"),
+  hr: styled("hr", "my-6 border-richblack-600"),
+}
+
+// Renders lesson articles and their previews. Raw HTML in the markdown is not rendered
+export default function MarkdownContent({ children }) {
+  return (
+    <ReactMarkdown components={MARKDOWN_COMPONENTS}>
+      {children || ""}
+    </ReactMarkdown>
+  )
+}
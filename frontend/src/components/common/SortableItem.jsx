@@ -0,0 +1,47 @@
+import { useSortable } from "@dnd-kit/sortable"
+import { CSS } from "@dnd-kit/utilities"
+import { RxDropdownMenu } from "react-icons/rx"
+
+// A row of a sortable list that is dragged by its handle only, so the rest of the row
+// stays clickable. `children` is called with the handle to place inside the row
+export default function SortableItem({ id, data, disabled = false, as: Tag = "div", children, ...props }) {
+  const {
+    attributes,
+    listeners,
+    setNodeRef,
+    setActivatorNodeRef,
+    transform,
+    transition,
+    isDragging,
+  } = useSortable({ id, data, disabled })
+
+  const style = {
+    transform: CSS.Translate.toString(transform),
+    transition,
+    ...(isDragging && { position: "relative", zIndex: 10, opacity: 0.8 }),
+  }
+
+  const handle = (
+    <button
+      type="button"
+      ref={setActivatorNodeRef}
+      {...attributes}
+      {...listeners}
+      // the handle sits in <summary> and clickable rows, which mustn't react to it
+      onClick={(e) => {
+        e.preventDefault()
+        e.stopPropagation()
+      }}
+      aria-label="Drag to reorder"
+      className={`touch-none text-2xl text-richblack-50 ${disabled ? "cursor-not-allowed opacity-50" : "cursor-grab"}`}
+    >
+      <RxDropdownMenu />
+    </button>
+  )
+
+  return (
+    <Tag ref={setNodeRef} style={style} {...props}>
+      {children(handle)}
+    </Tag>
+  )
+}
@@ -0,0 +1,196 @@
+import { useEffect, useState } from "react"
+import { toast } from "react-hot-toast"
+import { FiFileText, FiPaperclip, FiVideo } from "react-icons/fi"
+import { RxCross2 } from "react-icons/rx"
+
+import { formatFileSize } from "../../../../../utils/formatFileSize"
+import MarkdownContent from "../../../../common/MarkdownContent"
+
+const LESSON_TYPES = [
+  { value: "video", label: "Video", Icon: FiVideo },
+  { value: "article", label: "Article", Icon: FiFileText },
+  { value: "resource", label: "Files", Icon: FiPaperclip },
+]
+
+// Same limits as the server's lesson upload
+const MAX_RESOURCES = 10
+const MAX_FILE_SIZE = 100 * 1024 * 1024
+const NO_RESOURCES = []
+const RESOURCE_ACCEPT = ".pdf,.doc,.docx,.ppt,.pptx,.key,.odp,.xls,.xlsx,.csv,.txt,.md,.zip,.tar,.gz,.rar,.7z"
+
+// Lesson type, article and downloadable files of the lecture form. The values live in
+// the form as lessonType, articleContent, resourceFiles (new File objects) and
+// removedResources (ids of existingResources to drop)
+export default function LessonContentFields({ register, setValue, watch, errors, existingResources = NO_RESOURCES, view = false, disabled = false }) {
+  const [previewArticle, setPreviewArticle] = useState(view)
+
+  const lessonType = watch("lessonType") || "video"
+  const articleContent = watch("articleContent")
+  const resourceFiles = watch("resourceFiles") || []
+  const removedResources = watch("removedResources") || []
+  const keptResources = existingResources.filter((resource) => !removedResources.includes(resource._id))
+
+  useEffect(() => {
+    register("lessonType")
+    register("removedResources")
+    register("resourceFiles", {
+      validate: (files, values) =>
+        values.lessonType !== "resource" ||
+        (files?.length || 0) + existingResources.filter((resource) => !(values.removedResources || []).includes(resource._id)).length > 0 ||
+        "Attach at least one file",
+    })
+  }, [register, existingResources])
+
+  const addFiles = (event) => {
+    const files = Array.from(event.target.files || [])
+    event.target.value = ""
+    if (files.some((file) => file.size > MAX_FILE_SIZE)) {
+      toast.error("Each file must be less than 100MB")
+      return
+    }
+    if (keptResources.length + resourceFiles.length + files.length > MAX_RESOURCES) {
+      toast.error(`A lesson can have at most ${MAX_RESOURCES} files`)
+      return
+    }
+    setValue("resourceFiles", [...resourceFiles, ...files], { shouldValidate: true })
+  }
+
+  return (
+    <>
+      {/* Lesson Type */}
+      <div className="flex flex-col space-y-2">
+        <p className="text-sm text-richblack-5">Lesson Type</p>
+        <div className="flex gap-2">
+          {LESSON_TYPES.map(({ value, label, Icon }) => (
+            <button
+              key={value}
+              type="button"
+              disabled={view || disabled}
+              onClick={() => setValue("lessonType", value, { shouldValidate: true })}
+              className={`flex items-center gap-2 rounded-md border px-4 py-2 text-sm transition-all duration-200 ${
+                lessonType === value
+                  ? "border-yellow-50 bg-yellow-50 text-richblack-900"
+                  : "border-richblack-500 text-richblack-100 hover:border-yellow-50"
+              } disabled:cursor-default`}
+            >
+              <Icon />
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Article */}
+      {lessonType === "article" && (
+        <div className="flex flex-col space-y-2">
+          <div className="flex items-center justify-between">
+            <label className="text-sm text-richblack-5" htmlFor="articleContent">
+              Article {!view && <sup className="text-pink-200">*</sup>}
+              {!view && <span className="ml-2 text-xs text-richblack-300">(Markdown)</span>}
+            </label>
+            {!view && (
+              <button
+                type="button"
+                onClick={() => setPreviewArticle(!previewArticle)}
+                className="text-xs text-yellow-50 hover:underline"
+              >
+                {previewArticle ? "Edit" : "Preview"}
+              </button>
+            )}
+          </div>
+          {previewArticle ? (
+            <div className="max-h-[400px] min-h-[200px] overflow-y-auto rounded-md bg-richblack-700 px-4">
+              <MarkdownContent>{articleContent}</MarkdownContent>
+            </div>
+          ) : (
+            <textarea
+              disabled={view || disabled}
+              id="articleContent"
+              placeholder="Write the lesson in Markdown: # headings, **bold**, lists, `code`, [links](https://...)"
+              {...register("articleContent", {
+                validate: (value, values) => values.lessonType !== "article" || !!value?.trim(),
+              })}
+              className="form-style min-h-[250px] w-full font-mono text-sm"
+            />
+          )}
+          {errors.articleContent && (
+            <span className="ml-2 text-xs tracking-wide text-pink-200">
+              Article text is required
+            </span>
+          )}
+        </div>
+      )}
+
+      {/* Downloadable Files */}
+      <div className="flex flex-col space-y-2">
+        <p className="text-sm text-richblack-5">
+          {lessonType === "resource" ? "Files" : "Attachments"}
+          {lessonType === "resource" && !view && <sup className="text-pink-200"> *</sup>}
+          {lessonType !== "resource" && <span className="ml-2 text-xs text-richblack-300">(optional)</span>}
+        </p>
+        {keptResources.length + resourceFiles.length > 0 && (
+          <ul className="space-y-1">
+            {keptResources.map((resource) => (
+              <li key={resource._id} className="flex items-center justify-between rounded-md bg-richblack-700 px-3 py-2 text-sm">
+                <a href={resource.url} target="_blank" rel="noreferrer" className="truncate text-richblack-5 hover:underline">
+                  {resource.name}
+                </a>
+                <span className="flex shrink-0 items-center gap-3 text-xs text-richblack-300">
+                  {formatFileSize(resource.size)}
+                  {!view && (
+                    <button
+                      type="button"
+                      disabled={disabled}
+                      onClick={() => setValue("removedResources", [...removedResources, resource._id], { shouldValidate: true })}
+                      aria-label={`Remove ${resource.name}`}
+                    >
+                      <RxCross2 className="text-base hover:text-pink-200" />
+                    </button>
+                  )}
+                </span>
+              </li>
+            ))}
+            {resourceFiles.map((file, index) => (
+              <li key={`${file.name}-${index}`} className="flex items-center justify-between rounded-md bg-richblack-700 px-3 py-2 text-sm">
+                <span className="truncate text-richblack-5">{file.name}</span>
+                <span className="flex shrink-0 items-center gap-3 text-xs text-richblack-300">
+                  {formatFileSize(file.size)} · new
+                  <button
+                    type="button"
+                    disabled={disabled}
+                    onClick={() => setValue("resourceFiles", resourceFiles.filter((_, i) => i !== index), { shouldValidate: true })}
+                    aria-label={`Remove ${file.name}`}
+                  >
+                    <RxCross2 className="text-base hover:text-pink-200" />
+                  </button>
+                </span>
+              </li>
+            ))}
+          </ul>
+        )}
+        {view && keptResources.length === 0 && (
+          <p className="text-sm text-richblack-400">No files</p>
+        )}
+        {!view && keptResources.length + resourceFiles.length < MAX_RESOURCES && (
+          <label className="flex w-fit cursor-pointer items-center gap-2 rounded-md border border-dashed border-richblack-500 px-4 py-2 text-sm text-richblack-100 hover:border-yellow-50">
+            <FiPaperclip />
+            Add files
+            <input
+              type="file"
+              multiple
+              accept={RESOURCE_ACCEPT}
+              disabled={disabled}
+              onChange={addFiles}
+              className="hidden"
+            />
+          </label>
+        )}
+        {errors.resourceFiles && (
+          <span className="ml-2 text-xs tracking-wide text-pink-200">
+            {errors.resourceFiles.message}
+          </span>
+        )}
+      </div>
+    </>
+  )
+}
@@ -3,16 +3,29 @@ import { AiFillCaretDown } from "react-icons/ai"
 import { FaPlus } from "react-icons/fa"
 import { MdEdit } from "react-icons/md"
 import { RiDeleteBin6Line } from "react-icons/ri"
-import { RxDropdownMenu } from "react-icons/rx"
+import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable"
 import { useDispatch, useSelector } from "react-redux"
 
-import { deleteSection, deleteSubSection } from "../../../../../services/operations/courseDetailsAPI"
+import {
+  deleteSection,
+  deleteSubSection,
+  reorderSections,
+  reorderSubSections,
+  moveSubSection,
+} from "../../../../../services/operations/courseDetailsAPI"
 import { setCourse } from "../../../../../slices/courseSlice"
 
 import ConfirmationModal from "../../../../common/ConfirmationModal"
+import CourseContentDndContext from "../../../../common/CourseContentDndContext"
+import SortableItem from "../../../../common/SortableItem"
 import SubSectionModal from "./SubSectionModal"
 
 
+const REORDER_REQUESTS = {
+  sections: reorderSections,
+  subSections: reorderSubSections,
+  move: moveSubSection,
+}
 
 
 export default function NestedView({ handleChangeEditSectionName }) {
@@ -51,112 +64,147 @@ export default function NestedView({ handleChangeEditSectionName }) {
     setConfirmationModal(null)
   }
 
+  // Reorder Sections / Lectures - show the new order straight away, and go back to the
+  // previous one if it couldn't be saved
+  const handleReorder = async ({ type, courseContent, request }) => {
+    const previousCourse = course
+    dispatch(setCourse({ ...course, courseContent }))
+    const result = await REORDER_REQUESTS[type]({ courseId: course._id, ...request }, token)
+    dispatch(setCourse(result || previousCourse))
+  }
+
   return (
     <>
       <div
         className="rounded-2xl bg-richblack-700 p-6 px-8"
         id="nestedViewContainer"
       >
-        {course?.courseContent?.map((section) => (
-          // Section Dropdown
-          <details key={section._id} open>
-            {/* Section Dropdown Content */}
-            <summary className="flex cursor-pointer items-center justify-between border-b-2 border-b-richblack-600 py-2">
-              {/* sectionName */}
-              <div className="flex items-center gap-x-3">
-                <RxDropdownMenu className="text-2xl text-richblack-50" />
-                <p className="font-semibold text-richblack-50">
-                  {section.sectionName}
-                </p>
-              </div>
-
-              <div className="flex items-center gap-x-3">
-                {/* Change Edit SectionName button */}
-                <button
-                  onClick={() =>
-                    handleChangeEditSectionName(
-                      section._id,
-                      section.sectionName
-                    )
-                  }
-                >
-                  <MdEdit className="text-xl text-richblack-300" />
-                </button>
-
-                <button
-                  onClick={() =>
-                    setConfirmationModal({
-                      text1: "Delete this Section?",
-                      text2: "All the lectures in this section will be deleted",
-                      btn1Text: "Delete",
-                      btn2Text: "Cancel",
-                      btn1Handler: () => handleDeleleSection(section._id),
-                      btn2Handler: () => setConfirmationModal(null),
-                    })
-                  }
-                >
-                  <RiDeleteBin6Line className="text-xl text-richblack-300" />
-                </button>
-
-                <span className="font-medium text-richblack-300">|</span>
-                <AiFillCaretDown className={`text-xl text-richblack-300`} />
-              </div>
-
-            </summary>
-            <div className="px-6 pb-4">
-              {/* Render All Sub Sections Within a Section */}
-              {section.subSection.map((data) => (
-                <div
-                  key={data?._id}
-                  onClick={() => setViewSubSection(data)}
-                  className="flex cursor-pointer items-center justify-between gap-x-3 border-b-2 border-b-richblack-600 py-2"
-                >
-                  <div className="flex items-center gap-x-3 py-2 ">
-                    <RxDropdownMenu className="text-2xl text-richblack-50" />
-                    <p className="font-semibold text-richblack-50">
-                      {data.title}
-                    </p>
-                  </div>
-                  <div
-                    onClick={(e) => e.stopPropagation()}
-                    className="flex items-center gap-x-3"
-                  >
-                    <button
-                      onClick={() =>
-                        setEditSubSection({ ...data, sectionId: section._id })
-                      }
+        <CourseContentDndContext
+          courseContent={course?.courseContent || []}
+          onReorder={handleReorder}
+        >
+          {course?.courseContent?.map((section) => (
+            // Section Dropdown
+            <SortableItem
+              key={section._id}
+              id={section._id}
+              data={{ type: "section" }}
+              as="details"
+              open
+            >
+              {(sectionHandle) => (
+                <>
+                  {/* Section Dropdown Content */}
+                  <summary className="flex cursor-pointer items-center justify-between border-b-2 border-b-richblack-600 py-2">
+                    {/* sectionName */}
+                    <div className="flex items-center gap-x-3">
+                      {sectionHandle}
+                      <p className="font-semibold text-richblack-50">
+                        {section.sectionName}
+                      </p>
+                    </div>
+
+                    <div className="flex items-center gap-x-3">
+                      {/* Change Edit SectionName button */}
+                      <button
+                        onClick={() =>
+                          handleChangeEditSectionName(
+                            section._id,
+                            section.sectionName
+                          )
+                        }
+                      >
+                        <MdEdit className="text-xl text-richblack-300" />
+                      </button>
+
+                      <button
+                        onClick={() =>
+                          setConfirmationModal({
+                            text1: "Delete this Section?",
+                            text2: "All the lectures in this section will be deleted",
+                            btn1Text: "Delete",
+                            btn2Text: "Cancel",
+                            btn1Handler: () => handleDeleleSection(section._id),
+                            btn2Handler: () => setConfirmationModal(null),
+                          })
+                        }
+                      >
+                        <RiDeleteBin6Line className="text-xl text-richblack-300" />
+                      </button>
+
+                      <span className="font-medium text-richblack-300">|</span>
+                      <AiFillCaretDown className={`text-xl text-richblack-300`} />
+                    </div>
+
+                  </summary>
+                  <div className="px-6 pb-4">
+                    {/* Render All Sub Sections Within a Section */}
+                    <SortableContext
+                      items={section.subSection.map((data) => data._id)}
+                      strategy={verticalListSortingStrategy}
                     >
-                      <MdEdit className="text-xl text-richblack-300" />
-                    </button>
+                      {section.subSection.map((data) => (
+                        <SortableItem
+                          key={data?._id}
+                          id={data._id}
+                          data={{ type: "subSection", sectionId: section._id }}
+                          onClick={() => setViewSubSection(data)}
+                          className="flex cursor-pointer items-center justify-between gap-x-3 border-b-2 border-b-richblack-600 py-2"
+                        >
+                          {(lectureHandle) => (
+                            <>
+                              <div className="flex items-center gap-x-3 py-2 ">
+                                {lectureHandle}
+                                <p className="font-semibold text-richblack-50">
+                                  {data.title}
+                                </p>
+                              </div>
+                              <div
+                                onClick={(e) => e.stopPropagation()}
+                                className="flex items-center gap-x-3"
+                              >
+                                <button
+                                  onClick={() =>
+                                    setEditSubSection({ ...data, sectionId: section._id })
+                                  }
+                                >
+                                  <MdEdit className="text-xl text-richblack-300" />
+                                </button>
+                                <button
+                                  onClick={() =>
+                                    setConfirmationModal({
+                                      text1: "Delete this Sub-Section?",
+                                      text2: "This lecture will be deleted",
+                                      btn1Text: "Delete",
+                                      btn2Text: "Cancel",
+                                      btn1Handler: () =>
+                                        handleDeleteSubSection(data._id, section._id),
+                                      btn2Handler: () => setConfirmationModal(null),
+                                    })
+                                  }
+                                >
+                                  <RiDeleteBin6Line className="text-xl text-richblack-300" />
+                                </button>
+                              </div>
+                            </>
+                          )}
+                        </SortableItem>
+                      ))}
+                    </SortableContext>
+                    {/* Add New Lecture to Section */}
                     <button
-                      onClick={() =>
-                        setConfirmationModal({
-                          text1: "Delete this Sub-Section?",
-                          text2: "This lecture will be deleted",
-                          btn1Text: "Delete",
-                          btn2Text: "Cancel",
-                          btn1Handler: () =>
-                            handleDeleteSubSection(data._id, section._id),
-                          btn2Handler: () => setConfirmationModal(null),
-                        })
-                      }
+                      onClick={() => setAddSubsection(section._id)}
+                      className="mt-3 flex items-center gap-x-1 text-yellow-50"
                     >
-                      <RiDeleteBin6Line className="text-xl text-richblack-300" />
+                      <FaPlus className="text-lg" />
+                      <p>Add Lecture</p>
                     </button>
                   </div>
-                </div>
-              ))}
-              {/* Add New Lecture to Section */}
-              <button
-                onClick={() => setAddSubsection(section._id)}
-                className="mt-3 flex items-center gap-x-1 text-yellow-50"
-              >
-                <FaPlus className="text-lg" />
-                <p>Add Lecture</p>
-              </button>
-            </div>
-          </details>
-        ))}
+                </>
+              )}
+            </SortableItem>
+          ))}
+        </CourseContentDndContext>
       </div>
 
 
@@ -11,6 +11,7 @@ import {
 import { setCourse } from "../../../../../slices/courseSlice"
 import IconBtn from "../../../../common/IconBtn"
 import Upload from "../Upload"
+import LessonContentFields from "./LessonContentFields"
 
 export default function SubSectionModal({ modalData, setModalData, add = false, view = false, edit = false, }) {
   const {
@@ -19,19 +20,23 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
     setValue,
     formState: { errors },
     getValues,
+    watch,
   } = useForm()
 
   const dispatch = useDispatch()
   const [loading, setLoading] = useState(false)
   const { token } = useSelector((state) => state.auth)
   const { course } = useSelector((state) => state.course)
+  const lessonType = watch("lessonType") || "video"
 
   useEffect(() => {
     if (view || edit) {
       setValue("lectureTitle", modalData.title)
       setValue("lectureDesc", modalData.description)
       setValue("lectureVideo", modalData.videoUrl)
+      setValue("articleContent", modalData.articleContent || "")
     }
+    setValue("lessonType", modalData.lessonType || "video")
   }, [])
 
   // detect whether form is updated or not
@@ -40,7 +45,11 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
     if (
       currentValues.lectureTitle !== modalData.title ||
       currentValues.lectureDesc !== modalData.description ||
-      currentValues.lectureVideo !== modalData.videoUrl
+      currentValues.lectureVideo !== modalData.videoUrl ||
+      currentValues.lessonType !== (modalData.lessonType || "video") ||
+      currentValues.articleContent !== (modalData.articleContent || "") ||
+      currentValues.resourceFiles?.length ||
+      currentValues.removedResources?.length
     ) {
       return true
     }
@@ -65,6 +74,14 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
       if (currentValues.lectureVideo !== modalData.videoUrl) {
         formData.append("videoFile", currentValues.lectureVideo)
       }
+      if (currentValues.lessonType !== (modalData.lessonType || "video")) {
+        formData.append("lessonType", currentValues.lessonType)
+      }
+      if (currentValues.articleContent !== (modalData.articleContent || "")) {
+        formData.append("articleContent", currentValues.articleContent)
+      }
+      currentValues.resourceFiles?.forEach((file) => formData.append("resources", file))
+      currentValues.removedResources?.forEach((id) => formData.append("removedResources", id))
       
       const result = await updateSubSection(formData, token)
       if (result) {
@@ -98,17 +115,19 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
       return
     }
 
-    // Validate video file
-    if (!data.lectureVideo || !(data.lectureVideo instanceof File)) {
-      toast.error("Please upload a video file")
-      return
-    }
+    if (data.lessonType === "video") {
+      // Validate video file
+      if (!data.lectureVideo || !(data.lectureVideo instanceof File)) {
+        toast.error("Please upload a video file")
+        return
+      }
 
-    // Validate file size (100MB limit)
-    const maxSize = 100 * 1024 * 1024 // 100MB in bytes
-    if (data.lectureVideo.size > maxSize) {
-      toast.error("Video file size must be less than 100MB")
-      return
+      // Validate file size (100MB limit)
+      const maxSize = 100 * 1024 * 1024 // 100MB in bytes
+      if (data.lectureVideo.size > maxSize) {
+        toast.error("Video file size must be less than 100MB")
+        return
+      }
     }
 
     setLoading(true)
@@ -120,7 +139,14 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
       formData.append("sectionId", modalData)
       formData.append("title", data.lectureTitle)
       formData.append("description", data.lectureDesc)
-      formData.append("video", data.lectureVideo)
+      formData.append("lessonType", data.lessonType)
+      if (data.lessonType === "video") {
+        formData.append("video", data.lectureVideo)
+      }
+      if (data.lessonType === "article") {
+        formData.append("articleContent", data.articleContent)
+      }
+      data.resourceFiles?.forEach((file) => formData.append("resources", file))
 
       // Create subsection with timeout
       const timeoutDuration = 300000 // 5 minutes
@@ -183,17 +209,30 @@ export default function SubSectionModal({ modalData, setModalData, add = false,
           onSubmit={handleSubmit(onSubmit)}
           className="space-y-8 px-8 py-10"
         >
-          {/* Lecture Video Upload */}
-          <Upload
-            name="lectureVideo"
-            label="Lecture Video"
+          {/* Lesson Type, Article and Files */}
+          <LessonContentFields
             register={register}
             setValue={setValue}
+            watch={watch}
             errors={errors}
-            video={true}
-            viewData={view ? modalData.videoUrl : null}
-            editData={edit ? modalData.videoUrl : null}
+            existingResources={modalData.resources}
+            view={view}
+            disabled={loading}
           />
+
+          {/* Lecture Video Upload */}
+          {lessonType === "video" && (
+            <Upload
+              name="lectureVideo"
+              label="Lecture Video"
+              register={register}
+              setValue={setValue}
+              errors={errors}
+              video={true}
+              viewData={view ? modalData.videoUrl : null}
+              editData={edit ? modalData.videoUrl : null}
+            />
+          )}
           
           {/* Lecture Title */}
           <div className="flex flex-col space-y-2">
@@ -1,10 +1,13 @@
 import { useState, useEffect } from 'react';
 import { useSelector } from 'react-redux';
-import { validateAndApplyCoupon, getAllCoupons } from '../../../../services/operations/couponAPI';
+import { validateAndApplyCoupon, getFrontendCoupons, getBestCoupons } from '../../../../services/operations/couponAPI';
 import { toast } from 'react-hot-toast';
 import CouponSuccessModal from '../../../common/CouponSuccessModal';
 
-export default function CouponInput({ totalAmount, onCouponApply, checkoutType = 'course' }) {
+// Several codes can be stacked; the server decides whether they combine and which
+// courses each one discounts (coursesId lets it price the cart line by line).
+// With suggestBest the best offer for the cart is looked up and pre-filled
+export default function CouponInput({ totalAmount, coursesId, onCouponApply, checkoutType = 'course', suggestBest = false }) {
   const { token } = useSelector((state) => state.auth);
   const [couponCode, setCouponCode] = useState('');
   const [loading, setLoading] = useState(false);
@@ -12,12 +15,14 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
   const [showSuccessModal, setShowSuccessModal] = useState(false);
   const [availableCoupons, setAvailableCoupons] = useState([]);
   const [pricePreview, setPricePreview] = useState(null);
+  const [bestOffer, setBestOffer] = useState(null);
+  const cartKey = (coursesId || []).join(',');
 
   useEffect(() => {
     const fetchAvailableCoupons = async () => {
       try {
-        // Use null for token to force using the frontend endpoint, pass checkoutType as linkedTo
-        const coupons = await getAllCoupons(null, checkoutType);
+        // With the token the server leaves out coupons this user isn't eligible for
+        const coupons = await getFrontendCoupons(checkoutType, token);
         
         // Additional safety check to ensure only coupons with matching linkedTo are shown
         const filteredCoupons = coupons.filter(coupon => coupon.linkedTo === checkoutType);
@@ -29,38 +34,67 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
     };
 
     fetchAvailableCoupons();
-  }, [checkoutType]);
+  }, [checkoutType, token]);
+
+  useEffect(() => {
+    if (!suggestBest || !token || !cartKey) {
+      return;
+    }
+
+    const fetchBestOffer = async () => {
+      const result = await getBestCoupons({ coursesId: cartKey.split(','), checkoutType }, token);
+      setBestOffer(result?.best || null);
+      if (result?.best) {
+        setCouponCode((code) => code || result.best.codes[0]);
+      }
+    };
+
+    fetchBestOffer();
+  }, [suggestBest, token, cartKey, checkoutType]);
+
+  const appliedCodes = appliedCoupon ? appliedCoupon.coupons.map((coupon) => coupon.code) : [];
+
+  // Validate the whole stack, so adding or removing a code reprices every coupon
+  const validateCodes = async (codes) => {
+    const result = await validateAndApplyCoupon(
+      {
+        codes,
+        coursesId,
+        totalAmount,
+        checkoutType
+      },
+      token
+    );
+
+    if (result.success) {
+      setAppliedCoupon({
+        coupons: result.data.coupons,
+        discountAmount: result.data.discountAmount,
+        finalAmount: result.data.finalAmount
+      });
+
+      // Call the parent component's callback with discount details
+      onCouponApply({ ...result.data, code: codes.join(','), codes });
+    }
+    return result.success;
+  };
 
   const handleCouponValidation = async (code) => {
     if (!code) {
       toast.error('Please enter a coupon code');
       return;
     }
+    if (appliedCodes.includes(code)) {
+      toast.error('This coupon is already applied');
+      return;
+    }
 
     setLoading(true);
     setPricePreview(null);
     
     try {
-      // Use the new combined endpoint to validate and apply in one call
-      const result = await validateAndApplyCoupon(
-        {
-          code,
-          totalAmount,
-          checkoutType
-        },
-        token
-      );
-
-      if (result.success) {
-        // Store the applied coupon details
-        setAppliedCoupon({
-          code,
-          discountAmount: result.data.discountAmount,
-          finalAmount: result.data.finalAmount
-        });
-        
-        // Call the parent component's callback with discount details
-        onCouponApply(result.data);
+      if (await validateCodes([...appliedCodes, code])) {
+        setCouponCode('');
         
         // Show success modal
         setShowSuccessModal(true);
@@ -84,6 +118,19 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
   };
 
   const handleApplyCoupon = () => handleCouponValidation(couponCode);
+
+  const handleApplyBestOffer = async () => {
+    setLoading(true);
+    try {
+      if (await validateCodes(bestOffer.codes)) {
+        setCouponCode('');
+        setShowSuccessModal(true);
+      }
+    } catch (error) {
+      toast.error(error.message || 'Could not apply the best offer');
+    }
+    setLoading(false);
+  };
   const handleApplyCouponWithCode = (code) => handleCouponValidation(code);
 
   const handleCancelCoupon = () => {
@@ -93,15 +140,33 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
     onCouponApply({ discountAmount: 0 });
   };
 
+  const handleRemoveCoupon = async (code) => {
+    const remainingCodes = appliedCodes.filter((appliedCode) => appliedCode !== code);
+    if (remainingCodes.length === 0) {
+      handleCancelCoupon();
+      return;
+    }
+
+    setLoading(true);
+    try {
+      await validateCodes(remainingCodes);
+    } catch (error) {
+      // A remaining coupon may not work on its own any more
+      toast.error(error.message || 'Could not update coupons');
+      handleCancelCoupon();
+    }
+    setLoading(false);
+  };
+
   return (
     <>
       <div className="flex flex-col gap-4 p-6 border-[1px] border-richblack-700 rounded-lg bg-richblack-800">
         {/* Available Coupons Section - Above input field */}
-        {availableCoupons.length > 0 && !appliedCoupon && (
+        {availableCoupons.some((coupon) => !appliedCodes.includes(coupon.code)) && (
           <div className="mb-4">
             <p className="text-sm text-yellow-50 font-medium mb-3">Available Coupons:</p>
             <div className="flex flex-wrap gap-3">
-              {availableCoupons.map((coupon) => (
+              {availableCoupons.filter((coupon) => !appliedCodes.includes(coupon.code)).map((coupon) => (
                 <button
                   key={coupon._id}
                   onClick={async () => {
@@ -131,37 +196,50 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
           </div>
         )}
 
+        {bestOffer && !appliedCoupon && (
+          <div className="flex items-center justify-between gap-3 rounded-lg border border-caribbeangreen-200 bg-richblack-700 px-4 py-3">
+            <div className="text-sm">
+              <p className="font-semibold text-caribbeangreen-100">Best offer for your cart</p>
+              <p className="text-richblack-200">
+                {bestOffer.codes.join(' + ')} saves ₹{bestOffer.discountAmount}
+              </p>
+            </div>
+            <button
+              onClick={handleApplyBestOffer}
+              disabled={loading}
+              className="rounded-lg bg-caribbeangreen-200 px-4 py-2 text-sm font-medium text-richblack-900 hover:bg-caribbeangreen-100 disabled:opacity-50"
+            >
+              Apply
+            </button>
+          </div>
+        )}
+
         <div className="space-y-4">
-          <p className="text-lg font-semibold text-richblack-5">Have a coupon?</p>
+          <p className="text-lg font-semibold text-richblack-5">
+            {appliedCoupon ? 'Have another coupon?' : 'Have a coupon?'}
+          </p>
           <div className="flex gap-4">
             <input
               type="text"
-              value={appliedCoupon ? appliedCoupon.code : couponCode}
-              onChange={(e) => !appliedCoupon && setCouponCode(e.target.value.toUpperCase())}
+              value={couponCode}
+              onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
               placeholder="Enter coupon code"
-              className={`w-full px-4 py-3 bg-richblack-700 border border-richblack-600 rounded-lg text-richblack-5 
+              className="w-full px-4 py-3 bg-richblack-700 border border-richblack-600 rounded-lg text-richblack-5 
                 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 
-                focus:border-transparent transition-all duration-200 ${
-                appliedCoupon ? 'bg-richblack-600 text-richblack-300' : 'hover:bg-richblack-600/50'
-              }`}
-              disabled={loading || appliedCoupon}
+                focus:border-transparent transition-all duration-200 hover:bg-richblack-600/50"
+              disabled={loading}
             />
             <button
-              onClick={appliedCoupon ? handleCancelCoupon : handleApplyCoupon}
+              onClick={handleApplyCoupon}
               disabled={loading}
-              className={`px-6 py-3 font-medium rounded-lg transition-all duration-200 flex items-center gap-2 
-                ${appliedCoupon 
-                  ? 'bg-richblack-700 text-yellow-50 hover:bg-richblack-600 border border-yellow-50/20 hover:border-yellow-50/40' 
-                  : 'bg-gradient-to-r from-yellow-50 to-yellow-100 text-richblack-900 hover:from-yellow-100 hover:to-yellow-200 hover:scale-[1.02] active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed'
-                }`}
+              className="px-6 py-3 font-medium rounded-lg transition-all duration-200 flex items-center gap-2 
+                bg-gradient-to-r from-yellow-50 to-yellow-100 text-richblack-900 hover:from-yellow-100 hover:to-yellow-200 hover:scale-[1.02] active:scale-[0.98] disabled:opacity-50 disabled:cursor-not-allowed"
             >
               {loading ? (
                 <>
                   <div className="w-4 h-4 border-2 border-richblack-900 border-t-transparent rounded-full animate-spin"></div>
                   Applying...
                 </>
-              ) : appliedCoupon ? (
-                'Cancel Coupon'
               ) : (
                 'Apply'
               )}
@@ -171,13 +249,28 @@ export default function CouponInput({ totalAmount, onCouponApply, checkoutType =
 
 
         {appliedCoupon && (
-          <div className="flex items-center gap-2 text-sm text-caribbeangreen-100">
-            <span className="flex items-center gap-2">
-              <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7"></path>
-              </svg>
-              Coupon applied successfully!
-            </span>
+          <div className="space-y-2">
+            {appliedCoupon.coupons.map((coupon) => (
+              <div
+                key={coupon.code}
+                className="flex items-center justify-between gap-2 rounded-lg border border-richblack-600 bg-richblack-700 px-4 py-2 text-sm"
+              >
+                <span className="flex items-center gap-2 text-caribbeangreen-100">
+                  <svg className="w-4 h-4" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M5 13l4 4L19 7"></path>
+                  </svg>
+                  {coupon.code}
+                  <span className="text-richblack-300">-₹{coupon.discount}</span>
+                </span>
+                <button
+                  onClick={() => handleRemoveCoupon(coupon.code)}
+                  disabled={loading}
+                  className="text-xs text-yellow-50 hover:text-yellow-100 disabled:opacity-50"
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
           </div>
         )}
       </div>
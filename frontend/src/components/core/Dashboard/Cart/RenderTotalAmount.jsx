@@ -20,18 +20,16 @@ export default function RenderTotalAmount() {
   const finalAmount = total - discountAmount
 
   const handleCouponApply = (couponData) => {
-    setAppliedCoupon(couponData)
+    setAppliedCoupon(couponData.discountAmount > 0 ? couponData : null)
     setDiscountAmount(couponData.discountAmount)
   }
 
-  const handleRemoveCoupon = () => {
-    setAppliedCoupon(null)
-    setDiscountAmount(0)
-  }
+  // Cart lines that got a coupon discount, with the codes behind it
+  const discountedLines = appliedCoupon?.lines?.filter((line) => line.couponDiscount > 0) || []
 
   const handleBuyCourse = async () => {
     const courses = cart.map((course) => course._id)
-    await buyCourse(token, courses, user, navigate, dispatch)
+    await buyCourse(token, courses, user, navigate, dispatch, appliedCoupon)
   }
 
   const savings = Math.round(total * 0.3)
@@ -46,23 +44,23 @@ export default function RenderTotalAmount() {
 
       {appliedCoupon && (
         <div className="mb-4 p-3 bg-green-900 rounded-md">
-          <div className="flex justify-between items-center">
-            <div>
-              <p className="text-sm text-green-200">Coupon Applied</p>
-              <p className="text-sm font-medium text-green-100">
-                {appliedCoupon.discountType === 'percentage' 
-                  ? `${appliedCoupon.discountValue}% OFF` 
-                  : `₹${appliedCoupon.discountValue} OFF`}
-              </p>
-            </div>
-            <button
-              onClick={handleRemoveCoupon}
-              className="text-red-400 hover:text-red-300 text-sm"
-            >
-              Remove
-            </button>
+          <p className="text-sm text-green-200">
+            {appliedCoupon.coupons?.length > 1 ? 'Coupons Applied' : 'Coupon Applied'}
+          </p>
+          <div className="mt-2 space-y-2">
+            {discountedLines.map((line) => (
+              <div key={line.course} className="text-sm">
+                <div className="flex justify-between gap-2 text-green-100">
+                  <span className="truncate">{line.courseName}</span>
+                  <span className="whitespace-nowrap">-₹{line.couponDiscount}</span>
+                </div>
+                <p className="text-xs text-green-200">
+                  {line.coupons.map((coupon) => `${coupon.code} -₹${coupon.discount}`).join(' • ')}
+                </p>
+              </div>
+            ))}
           </div>
-          <p className="text-sm text-green-200 mt-1">
+          <p className="text-sm text-green-200 mt-2">
             Discount: -₹{discountAmount}
           </p>
         </div>
@@ -73,11 +71,14 @@ export default function RenderTotalAmount() {
         <p className="mb-6 text-3xl font-medium text-yellow-100">₹ {finalAmount}</p>
       </div>
 
-      {!appliedCoupon && (
-        <div className="mb-4">
-          <CouponInput totalAmount={total} onCouponApply={handleCouponApply} />
-        </div>
-      )}
+      <div className="mb-4">
+        <CouponInput
+          totalAmount={total}
+          coursesId={cart.map((course) => course._id)}
+          onCouponApply={handleCouponApply}
+          suggestBest
+        />
+      </div>
 
       <IconBtn
         text="Buy Now"
@@ -3,9 +3,18 @@ import { useSelector } from "react-redux";
 import { toast } from "react-hot-toast";
 import { apiConnector } from "../../../../services/apiConnector";
 import { courseEndpoints } from "../../../../services/apis";
+import { downloadInvoice } from "../../../../services/operations/studentFeaturesAPI";
 
 const { COURSE_PURCHASE_HISTORY_API } = courseEndpoints;
 
+const statusLabels = {
+  paid: "Completed",
+  partially_refunded: "Partially Refunded",
+  refunded: "Refunded",
+};
+
+const formatPrice = (amount) => (amount === 0 ? "Free" : `₹${amount}`);
+
 export default function PurchaseHistory() {
   const { token } = useSelector((state) => state.auth);
   const [purchases, setPurchases] = useState([]);
@@ -61,9 +70,10 @@ export default function PurchaseHistory() {
           <div className="hidden lg:block my-8 text-richblack-5">
             <div className="flex rounded-t-lg bg-richblack-500 ">
               <p className="w-[45%] px-5 py-3">Course</p>
-              <p className="w-[20%] px-2 py-3">Purchase Date</p>
-              <p className="w-[20%] px-2 py-3">Price</p>
-              <p className="flex-1 px-2 py-3">Status</p>
+              <p className="w-[15%] px-2 py-3">Purchase Date</p>
+              <p className="w-[15%] px-2 py-3">Price</p>
+              <p className="w-[13%] px-2 py-3">Status</p>
+              <p className="flex-1 px-2 py-3">Invoice</p>
             </div>
             {purchases.map((purchase, i, arr) => (
               <div
@@ -72,36 +82,60 @@ export default function PurchaseHistory() {
                 }`}
                 key={purchase._id}
               >
-                <div className="flex w-[45%] cursor-pointer items-center gap-4 px-5 py-3">
-                  <img
-                    src={purchase.thumbnail}
-                    alt="course_img"
-                    className="h-14 w-14 rounded-lg object-cover"
-                  />
-                  <div className="flex max-w-xs flex-col gap-2">
-                    <p className="font-semibold">{purchase.courseName}</p>
-                    <p className="text-xs text-richblack-300">
-                      {purchase.courseDescription?.length > 50
-                        ? `${purchase.courseDescription.slice(0, 50)}...`
-                        : purchase.courseDescription}
-                    </p>
-                  </div>
+                <div className="flex w-[45%] flex-col gap-3 px-5 py-3">
+                  {purchase.items.map((item) => (
+                    <div key={item._id} className="flex items-center gap-4">
+                      <img
+                        src={item.thumbnail}
+                        alt="course_img"
+                        className="h-14 w-14 rounded-lg object-cover"
+                      />
+                      <div className="flex max-w-xs flex-col gap-2">
+                        <p className={`font-semibold ${item.status === "refunded" ? "line-through text-richblack-300" : ""}`}>
+                          {item.courseName}
+                        </p>
+                        <p className="text-xs text-richblack-300">
+                          {item.courseDescription?.length > 50
+                            ? `${item.courseDescription.slice(0, 50)}...`
+                            : item.courseDescription}
+                        </p>
+                      </div>
+                    </div>
+                  ))}
                 </div>
-                <div className="w-[20%] px-2 py-3">
+                <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-richblack-100">
                     {new Date(purchase.purchaseDate).toLocaleDateString()}
                   </p>
                 </div>
-                <div className="w-[20%] px-2 py-3">
+                <div className="w-[15%] px-2 py-3">
                   <p className="text-sm font-medium text-richblack-100">
-                    {purchase.price === 0 ? "Free" : `₹${purchase.price}`}
+                    {formatPrice(purchase.totalAmount)}
                   </p>
+                  {purchase.couponCode && (
+                    <p className="text-xs text-caribbeangreen-100">{purchase.couponCode}</p>
+                  )}
+                  {purchase.refundedAmount > 0 && (
+                    <p className="text-xs text-pink-200">Refunded ₹{purchase.refundedAmount}</p>
+                  )}
                 </div>
-                <div className="flex-1 px-2 py-3">
+                <div className="w-[13%] px-2 py-3">
                   <p className="text-sm font-medium text-yellow-100">
-                    {purchase.status}
+                    {statusLabels[purchase.status]}
                   </p>
                 </div>
+                <div className="flex-1 px-2 py-3">
+                  {purchase.hasInvoice ? (
+                    <button
+                      onClick={() => downloadInvoice(token, purchase._id, purchase.invoiceNumber)}
+                      className="text-sm font-medium text-yellow-50 underline hover:text-yellow-100"
+                    >
+                      Download
+                    </button>
+                  ) : (
+                    <p className="text-sm text-richblack-400">—</p>
+                  )}
+                </div>
               </div>
             ))}
           </div>
@@ -110,21 +144,25 @@ export default function PurchaseHistory() {
           <div className="lg:hidden space-y-6">
             {purchases.map((purchase) => (
               <div key={purchase._id} className="bg-richblack-700 rounded-lg p-4 space-y-3">
-                <div className="flex items-center gap-4">
-                  <img
-                    src={purchase.thumbnail}
-                    alt="course_img"
-                    className="h-16 w-16 rounded-lg object-cover"
-                  />
-                  <div className="flex-1 flex flex-col">
-                    <p className="font-semibold text-richblack-5">{purchase.courseName}</p>
-                    <p className="text-xs text-richblack-300">
-                      {purchase.courseDescription?.length > 50
-                        ? `${purchase.courseDescription.slice(0, 50)}...`
-                        : purchase.courseDescription}
-                    </p>
+                {purchase.items.map((item) => (
+                  <div key={item._id} className="flex items-center gap-4">
+                    <img
+                      src={item.thumbnail}
+                      alt="course_img"
+                      className="h-16 w-16 rounded-lg object-cover"
+                    />
+                    <div className="flex-1 flex flex-col">
+                      <p className={`font-semibold ${item.status === "refunded" ? "line-through text-richblack-300" : "text-richblack-5"}`}>
+                        {item.courseName}
+                      </p>
+                      <p className="text-xs text-richblack-300">
+                        {item.courseDescription?.length > 50
+                          ? `${item.courseDescription.slice(0, 50)}...`
+                          : item.courseDescription}
+                      </p>
+                    </div>
                   </div>
-                </div>
+                ))}
                 <div className="grid grid-cols-2 gap-4 text-sm text-richblack-100">
                   <div>
                     <p className="font-medium">Purchase Date</p>
@@ -132,12 +170,25 @@ export default function PurchaseHistory() {
                   </div>
                   <div>
                     <p className="font-medium">Price</p>
-                    <p>{purchase.price === 0 ? "Free" : `₹${purchase.price}`}</p>
+                    <p>{formatPrice(purchase.totalAmount)}</p>
+                    {purchase.refundedAmount > 0 && (
+                      <p className="text-xs text-pink-200">Refunded ₹{purchase.refundedAmount}</p>
+                    )}
                   </div>
                 </div>
-                <div>
-                  <p className="font-medium text-yellow-100">Status</p>
-                  <p>{purchase.status}</p>
+                <div className="flex items-end justify-between">
+                  <div>
+                    <p className="font-medium text-yellow-100">Status</p>
+                    <p className="text-richblack-100">{statusLabels[purchase.status]}</p>
+                  </div>
+                  {purchase.hasInvoice && (
+                    <button
+                      onClick={() => downloadInvoice(token, purchase._id, purchase.invoiceNumber)}
+                      className="rounded-md bg-yellow-50 px-3 py-1 text-sm font-medium text-richblack-900"
+                    >
+                      Invoice
+                    </button>
+                  )}
                 </div>
               </div>
             ))}
@@ -0,0 +1,35 @@
+import { FiDownload, FiFile } from "react-icons/fi"
+
+import { formatFileSize } from "../../../utils/formatFileSize"
+
+// The downloadable files of a lesson: the lesson itself for resource lessons, or
+// attachments of a video or article
+export default function LessonResources({ resources, title = "Attachments" }) {
+  return (
+    <div className="flex flex-col gap-2">
+      <p className="text-lg font-semibold text-richblack-5">{title}</p>
+      <ul className="flex flex-col gap-2">
+        {resources.map((resource) => (
+          <li key={resource._id}>
+            <a
+              href={resource.url}
+              target="_blank"
+              rel="noreferrer"
+              download={resource.name}
+              className="flex items-center justify-between gap-4 rounded-md bg-richblack-800 px-4 py-3 transition-all duration-200 hover:bg-richblack-700"
+            >
+              <span className="flex min-w-0 items-center gap-3">
+                <FiFile className="shrink-0 text-xl text-yellow-50" />
+                <span className="truncate text-richblack-5">{resource.name}</span>
+              </span>
+              <span className="flex shrink-0 items-center gap-3 text-sm text-richblack-300">
+                {formatFileSize(resource.size)}
+                <FiDownload className="text-lg" />
+              </span>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
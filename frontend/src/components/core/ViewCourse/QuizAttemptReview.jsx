@@ -0,0 +1,193 @@
+import { useState, useEffect } from "react"
+import { useSelector } from "react-redux"
+import { FiCheckCircle, FiXCircle, FiClock } from "react-icons/fi"
+import { getAttemptReview } from "../../../services/operations/quizAPI"
+
+const hasValue = (value) => value !== null && value !== undefined && String(value).trim() !== ""
+
+// The student's answer and the correct one, both as text, for each type of question.
+// Indices refer to the options as the attempt showed them
+const formatAnswers = (question) => {
+  const { questionType, options, response, correctAnswer } = question
+  const optionText = (index) => (hasValue(index) && options[Number(index)] !== undefined ? options[Number(index)] : null)
+
+  switch (questionType) {
+    case "singleAnswer":
+      return [[optionText(response)], [optionText(correctAnswer)]]
+    case "multipleChoice":
+      return [(response || []).map(optionText), correctAnswer.map(optionText)]
+    case "matchTheFollowing": {
+      const pair = (option, answerIndex) => `${option} → ${hasValue(answerIndex) ? question.answers[Number(answerIndex)] ?? "?" : "—"}`
+      return [
+        response ? options.map((option, index) => pair(option, response[index])) : [],
+        options.map((option, index) => pair(option, correctAnswer[index])),
+      ]
+    }
+    case "numeric": {
+      const { numericAnswer, tolerance, toleranceType } = correctAnswer
+      const margin = tolerance > 0 ? ` ± ${tolerance}${toleranceType === "relative" ? "%" : ""}` : ""
+      const units = question.units?.length > 0 ? ` ${question.units[0]}` : ""
+      return [[response], [`${numericAnswer}${margin}${units}`]]
+    }
+    case "ordering":
+      return [(response || []).map(optionText), correctAnswer.map(optionText)]
+    case "cloze":
+      return [
+        (response || []).map((answer, index) => `${index + 1}. ${hasValue(answer) ? answer : "—"}`),
+        correctAnswer.map((answers, index) => `${index + 1}. ${answers.join(" / ")}`),
+      ]
+    case "shortAnswer":
+      return [[response], correctAnswer.length > 0 ? [`Key words: ${correctAnswer.join(", ")}`] : []]
+    case "codeSolve":
+      return [[], []]
+    default:
+      // Long answers are graded by the instructor; there's no single correct answer
+      return [[response], []]
+  }
+}
+
+const isOrdered = (questionType) => questionType === "ordering" || questionType === "cloze"
+
+const AnswerList = ({ title, answers, questionType, className }) => {
+  const shown = answers.filter(hasValue)
+  const Tag = isOrdered(questionType) ? "ol" : "ul"
+  return (
+    <div>
+      <p className="text-xs uppercase tracking-wide text-richblack-300 mb-1">{title}</p>
+      {shown.length === 0 ? (
+        <p className="text-sm text-richblack-400">Not answered</p>
+      ) : (
+        <Tag className={`text-sm space-y-1 ${questionType === "ordering" ? "list-decimal list-inside" : ""} ${className}`}>
+          {shown.map((answer, index) => (
+            <li key={index} className="whitespace-pre-wrap break-words">{answer}</li>
+          ))}
+        </Tag>
+      )}
+    </div>
+  )
+}
+
+const StatusBadge = ({ correct, earnedMarks, marks }) => {
+  if (correct === null) {
+    return (
+      <span className="flex items-center gap-1 text-xs text-yellow-50">
+        <FiClock /> Awaiting grading
+      </span>
+    )
+  }
+  return (
+    <span className={`flex items-center gap-1 text-xs ${correct ? "text-caribbeangreen-200" : "text-pink-200"}`}>
+      {correct ? <FiCheckCircle /> : <FiXCircle />}
+      {earnedMarks ?? 0}/{marks} marks
+    </span>
+  )
+}
+
+export default function QuizAttemptReview({ attemptId, onClose }) {
+  const { token } = useSelector((state) => state.auth)
+  const [review, setReview] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    const fetchReview = async () => {
+      setLoading(true)
+      setReview(await getAttemptReview(attemptId, token))
+      setLoading(false)
+    }
+    fetchReview()
+  }, [attemptId, token])
+
+  return (
+    <div className="bg-richblack-800 rounded-xl p-6 shadow-xl space-y-4">
+      <div className="flex items-center justify-between gap-4">
+        <div>
+          <h2 className="text-2xl font-semibold text-white">
+            Review{review ? ` of Attempt ${review.attemptNumber}` : ""}
+          </h2>
+          {review && (
+            <p className="text-sm text-richblack-300">
+              {review.status === "pendingReview"
+                ? "Some answers are still being graded"
+                : review.status === "voided"
+                ? "This attempt was voided and doesn't count"
+                : `${review.score}/${review.totalMarks} (${Number(review.percentage).toFixed(1)}%)`}
+              {" · "}
+              {new Date(review.submittedAt).toLocaleString()}
+            </p>
+          )}
+        </div>
+        <button
+          onClick={onClose}
+          className="shrink-0 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+        >
+          Close Review
+        </button>
+      </div>
+
+      {loading && <p className="text-richblack-300">Loading review...</p>}
+
+      {review?.questions.map((question) => {
+        const [given, expected] = formatAnswers(question)
+        const passedTests = question.codeResult?.testResults?.filter((result) => result.passed).length
+        return (
+          <div key={question.questionId} className="bg-richblack-700 rounded-lg p-4 space-y-3">
+            <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+              <p className="text-richblack-5 whitespace-pre-wrap">
+                <span className="text-richblack-300 mr-2">{question.number}.</span>
+                {question.questionType === "cloze" ? question.questionText.replace(/\[\[(\d+)\]\]/g, "[$1]") : question.questionText}
+              </p>
+              <StatusBadge correct={question.correct} earnedMarks={question.earnedMarks} marks={question.marks} />
+            </div>
+
+            {question.questionType === "codeSolve" ? (
+              <div className="space-y-2 text-sm">
+                {question.response?.code ? (
+                  <pre className="bg-richblack-800 text-richblack-100 rounded p-3 overflow-x-auto whitespace-pre-wrap">
+                    {question.response.code}
+                  </pre>
+                ) : (
+                  <p className="text-richblack-400">Not answered</p>
+                )}
+                {question.codeResult && (
+                  <p className="text-richblack-300">
+                    {question.codeResult.testResults?.length > 0
+                      ? `${passedTests} of ${question.codeResult.testResults.length} test cases passed`
+                      : "Your code didn't compile"}
+                  </p>
+                )}
+              </div>
+            ) : (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                <AnswerList
+                  title="Your answer"
+                  answers={given}
+                  questionType={question.questionType}
+                  className={question.correct === false ? "text-pink-100" : "text-richblack-5"}
+                />
+                {expected.length > 0 && (
+                  <AnswerList
+                    title="Correct answer"
+                    answers={expected}
+                    questionType={question.questionType}
+                    className="text-caribbeangreen-100"
+                  />
+                )}
+              </div>
+            )}
+
+            {question.explanation && (
+              <div className="border-l-2 border-yellow-50 pl-3">
+                <p className="text-xs uppercase tracking-wide text-richblack-300 mb-1">Explanation</p>
+                <p className="text-sm text-richblack-100 whitespace-pre-wrap">{question.explanation}</p>
+              </div>
+            )}
+
+            {question.comment && (
+              <p className="text-sm text-richblack-200">Instructor: {question.comment}</p>
+            )}
+          </div>
+        )
+      })}
+    </div>
+  )
+}
@@ -1,14 +1,16 @@
-import React, { useEffect, useState } from "react"
+import React, { useEffect, useRef, useState } from "react"
 import { useDispatch, useSelector } from "react-redux"
 import { useNavigate, useParams, useLocation } from "react-router-dom"
-import { getQuizById, submitQuiz, getQuizStatus } from "../../../services/operations/quizAPI"
+import { getQuizById, submitQuiz, getQuizStatus, getQuizSubmission, getQuizAttempts, startQuizAttempt, saveQuizAnswers } from "../../../services/operations/quizAPI"
 import IconBtn from "../../common/IconBtn"
 import CodeEditor from "../../common/CodeEditor"
+import QuizAttemptReview from "./QuizAttemptReview"
 import { IoIosArrowBack } from "react-icons/io"
-import { FiClock, FiCheckCircle, FiAlertCircle, FiAward } from "react-icons/fi"
+import { FiClock, FiCheckCircle, FiAlertCircle, FiAward, FiArrowUp, FiArrowDown } from "react-icons/fi"
 import { HiOutlineQuestionMarkCircle } from "react-icons/hi"
 import Xarrow from 'react-xarrows'
 import { toast } from "react-hot-toast"
+import io from "socket.io-client"
 
 const QuizView = () => {
   const { courseId, sectionId, subSectionId } = useParams()
@@ -35,6 +37,50 @@ const QuizView = () => {
     one: false
   })
   const [initialTimeLimit, setInitialTimeLimit] = useState(null)
+  // Submission whose code answers are still being graded
+  const [gradingSubmissionId, setGradingSubmissionId] = useState(null)
+  const [attemptHistory, setAttemptHistory] = useState([])
+  // The attempt being reviewed with its correct answers, when the quiz allows it
+  const [reviewAttemptId, setReviewAttemptId] = useState(null)
+  // Identifies the attempt started on the server; sent with autosaves and the submission
+  const [attemptToken, setAttemptToken] = useState(null)
+  // Seconds spent on each question, by question id, and when the current one was shown.
+  // Sent with autosaves and the submission for the instructor's item analysis
+  const questionTimesRef = useRef({})
+  const questionShownAtRef = useRef(null)
+
+  // Start an attempt on the server, or resume the one in progress with its saved
+  // answers. The timer runs from the server's start time, not from this page load
+  const beginAttempt = async (quizId) => {
+    const session = await startQuizAttempt({
+      quizId,
+      courseID: courseId,
+      subsectionId: subSectionId
+    }, token)
+    if (!session) return false
+
+    const remaining = Math.round((new Date(session.expiresAt) - new Date(session.serverTime)) / 1000)
+    // The questions drawn and shuffled for this attempt
+    setQuizData(prev => ({ ...prev, questions: session.questions }))
+    setCurrentQuestion(0)
+    setAttemptToken(session.attemptToken)
+    setQuizAnswers(session.savedAnswers || {})
+    questionTimesRef.current = { ...(session.questionTimes || {}) }
+    setInitialTimeLimit(session.timeLimit)
+    // At least a second, so an attempt resumed right at the deadline still submits
+    setTimeRemaining(Math.max(remaining, 1))
+    setNotificationsShown({
+      twenty: false,
+      ten: false,
+      five: false,
+      one: false
+    })
+    setQuizStarted(true)
+    if (session.resumed) {
+      toast.success("Resumed your quiz attempt")
+    }
+    return true
+  }
 
   // Load quiz data and status
   useEffect(() => {
@@ -51,15 +97,22 @@ const QuizView = () => {
         
         try {
           setLoading(true)
-          const [quiz, status] = await Promise.all([
+          const [quiz, status, attempts] = await Promise.all([
             getQuizById(quizId, token),
-            getQuizStatus(quizId, token)
+            getQuizStatus(quizId, token),
+            getQuizAttempts(quizId, token)
           ])
           setQuizData(quiz)
           setQuizStatus(status)
+          setAttemptHistory(attempts)
+          setGradingSubmissionId(status?.pendingSubmissionId || null)
           const timeLimit = quiz.timeLimit || 10 * 60
           setTimeRemaining(timeLimit)
           setInitialTimeLimit(timeLimit) // Store initial time limit
+          // Pick up an attempt left in progress, e.g. by a page reload
+          if (status?.activeAttempt) {
+            await beginAttempt(quizId)
+          }
         } catch (error) {
           console.error("Error loading quiz:", error)
         } finally {
@@ -124,37 +177,20 @@ const QuizView = () => {
     }
   }, [quizStarted, timeRemaining, notificationsShown, initialTimeLimit])
 
-  // Function to check if shuffled array is in different order than original
-  const isShuffledDifferent = (original, shuffled) => {
-    return !shuffled.every((item, index) => item.originalIndex === index);
-  }
-
-  // Function to shuffle array until it's in a different order
-  const shuffleUntilDifferent = (array) => {
-    let shuffled;
-    do {
-      shuffled = [...array].sort(() => Math.random() - 0.5);
-    } while (!isShuffledDifferent(array, shuffled));
-    return shuffled;
-  }
-
-  // Initialize shuffled answers for match the following questions
+  // Answer columns of match the following questions. The server shuffles them for
+  // each attempt, and an answer is its position in the column as shown
   useEffect(() => {
     if (quizData && quizData.questions) {
       const newShuffledAnswers = {}
       quizData.questions.forEach(question => {
         if (question.questionType === 'matchTheFollowing') {
           const answersToShow = question.answers || question.options
-          const mappedAnswers = answersToShow
+          newShuffledAnswers[question._id] = answersToShow
             .map((answer, index) => ({ 
               answer, 
               originalIndex: index, 
               letter: String.fromCharCode(65 + index) 
             }))
-          
-          // Shuffle until we get a different order than original
-          const shuffled = shuffleUntilDifferent(mappedAnswers)
-          newShuffledAnswers[question._id] = shuffled
         }
       })
       setShuffledAnswers(newShuffledAnswers)
@@ -207,29 +243,8 @@ const QuizView = () => {
       setTimeRemaining(timeLimit)
       setInitialTimeLimit(timeLimit) // Update initial time limit for retake
       
-      // Re-shuffle answers for match the following questions
-      if (quiz.questions) {
-        const newShuffledAnswers = {}
-        quiz.questions.forEach(question => {
-          if (question.questionType === 'matchTheFollowing') {
-            const answersToShow = question.answers || question.options
-            const mappedAnswers = answersToShow
-              .map((answer, index) => ({ 
-                answer, 
-                originalIndex: index, 
-                letter: String.fromCharCode(65 + index) 
-              }))
-            
-            // Shuffle until we get a different order than original
-            const shuffled = shuffleUntilDifferent(mappedAnswers)
-            newShuffledAnswers[question._id] = shuffled
-          }
-        })
-        setShuffledAnswers(newShuffledAnswers)
-      }
-      
       // Start the quiz immediately after reset
-      setQuizStarted(true)
+      await beginAttempt(quiz._id)
       
       setLoading(false)
       console.log("Quiz state reset and started for retake")
@@ -314,6 +329,103 @@ const QuizView = () => {
   }
 
 
+  // Add the time since the current question was shown to its total, and return the totals
+  const takeQuestionTimes = (questionIndex = currentQuestion) => {
+    const question = quizData?.questions?.[questionIndex]
+    if (question && questionShownAtRef.current) {
+      const now = Date.now()
+      questionTimesRef.current[question._id] = (questionTimesRef.current[question._id] || 0) +
+        (now - questionShownAtRef.current) / 1000
+      questionShownAtRef.current = now
+    }
+    return { ...questionTimesRef.current }
+  }
+
+  // Time the question on screen until the student moves on or the quiz stops
+  useEffect(() => {
+    if (!quizStarted) return
+
+    questionShownAtRef.current = Date.now()
+    return () => {
+      takeQuestionTimes(currentQuestion)
+      questionShownAtRef.current = null
+    }
+  }, [currentQuestion, quizStarted])
+
+  // Autosave answers shortly after each change, so a reload or an expired timer
+  // doesn't lose them
+  useEffect(() => {
+    if (!quizStarted || !attemptToken) return
+
+    const saveTimer = setTimeout(() => {
+      saveQuizAnswers(attemptToken, quizAnswers, takeQuestionTimes(), token)
+    }, 2000)
+    return () => clearTimeout(saveTimer)
+  }, [quizAnswers, quizStarted, attemptToken, token])
+
+  const refreshQuizStatus = async () => {
+    try {
+      const [updatedStatus, attempts] = await Promise.all([
+        getQuizStatus(quizData._id, token),
+        getQuizAttempts(quizData._id, token)
+      ])
+      setQuizStatus(updatedStatus)
+      setAttemptHistory(attempts)
+    } catch (error) {
+      console.error("Error updating quiz status:", error)
+    }
+  }
+
+  // Wait for code answers to be graded: the result is pushed over the socket, and
+  // polled for whenever the socket is down
+  useEffect(() => {
+    if (!gradingSubmissionId) return
+
+    let finished = false
+    const handleUpdate = (update) => {
+      if (finished || !update || update.submissionId !== gradingSubmissionId) return
+
+      if (update.status === 'graded') {
+        finished = true
+        setQuizResult({
+          ...update.result,
+          percentage: Number(update.result.percentage).toFixed(1),
+          codeResults: update.codeResults
+        })
+        setGradingSubmissionId(null)
+        refreshQuizStatus()
+      } else if (update.status === 'error') {
+        finished = true
+        toast.error(update.error)
+        setGradingSubmissionId(null)
+        refreshQuizStatus()
+      }
+    }
+    const pollSubmission = async () => {
+      handleUpdate(await getQuizSubmission(gradingSubmissionId, token))
+    }
+
+    const socket = io(import.meta.env.VITE_APP_BASE_URL || 'http://localhost:5001', {
+      withCredentials: true
+    })
+    socket.on('connect', () => socket.emit('authenticate', token))
+    // Catch up on an update sent while the socket was connecting or down
+    socket.on('authenticated', pollSubmission)
+    socket.on('quiz_submission_update', handleUpdate)
+
+    const pollTimer = setInterval(() => {
+      if (!socket.connected) {
+        pollSubmission()
+      }
+    }, 5000)
+
+    return () => {
+      finished = true
+      clearInterval(pollTimer)
+      socket.disconnect()
+    }
+  }, [gradingSubmissionId, token])
+
   // Handle timer expiry - auto submit without validation
   const handleTimerExpiry = async () => {
     if (!quizData) return
@@ -322,22 +434,25 @@ const QuizView = () => {
     try {
       const quizSubmissionData = {
         quizId: quizData._id,
-        courseID: courseId,
-        subsectionId: subSectionId,
+        attemptToken,
         answers: quizAnswers || {}, // Use empty object if no answers
-        timerExpired: true // Add timerExpired flag
+        questionTimes: takeQuestionTimes(),
+        timerExpired: true // Only picks the toast text; the server times the attempt itself
       }
 
-      const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
-      if (result) {
+      const result = await submitQuiz(quizSubmissionData, token)
+      setAttemptToken(null)
+      if (result?.submissionId) {
+        setGradingSubmissionId(result.submissionId)
+        setQuizStarted(false)
+      } else if (result) {
         setQuizResult(result)
         setQuizStarted(false) // Stop the quiz after submission
-        try {
-          const updatedStatus = await getQuizStatus(quizData._id, token)
-          setQuizStatus(updatedStatus)
-        } catch (error) {
-          console.error("Error updating quiz status:", error)
-        }
+        await refreshQuizStatus()
+      } else {
+        // Rejected as late: the attempt is closed on the server either way
+        setQuizStarted(false)
+        await refreshQuizStatus()
       }
     } catch (error) {
       console.error("Error submitting quiz:", error)
@@ -368,6 +483,14 @@ const QuizView = () => {
         if (!hasAllMatches) {
           unansweredQuestions.push(index + 1)
         }
+      } else if (question.questionType === 'cloze') {
+        const hasAllBlanks = Array.from({ length: question.blankCount }).every((_, blankIndex) => {
+          const blankAnswer = quizAnswers[`${question._id}_${blankIndex}`]
+          return typeof blankAnswer === 'string' && blankAnswer.trim() !== ''
+        })
+        if (!hasAllBlanks) {
+          unansweredQuestions.push(index + 1)
+        }
       } else if (question.questionType === 'multipleChoice') {
         const selectedOptions = quizAnswers[question._id] || []
         if (!Array.isArray(selectedOptions) || selectedOptions.length === 0) {
@@ -394,22 +517,22 @@ const QuizView = () => {
     try {
       const quizSubmissionData = {
         quizId: quizData._id,
-        courseID: courseId,
-        subsectionId: subSectionId,
+        attemptToken,
         answers: quizAnswers,
-        timerExpired: false // Add timerExpired flag for manual submission
+        questionTimes: takeQuestionTimes()
       }
 
-      const result = await submitQuiz(quizSubmissionData, token) // timerExpired is already in the data
+      const result = await submitQuiz(quizSubmissionData, token)
       if (result) {
+        setAttemptToken(null)
+      }
+      if (result?.submissionId) {
+        setGradingSubmissionId(result.submissionId)
+        setQuizStarted(false)
+      } else if (result) {
         setQuizResult(result)
         setQuizStarted(false) // Stop the quiz after submission
-        try {
-          const updatedStatus = await getQuizStatus(quizData._id, token)
-          setQuizStatus(updatedStatus)
-        } catch (error) {
-          console.error("Error updating quiz status:", error)
-        }
+        await refreshQuizStatus()
       }
     } catch (error) {
       console.error("Error submitting quiz:", error)
@@ -449,7 +572,30 @@ const QuizView = () => {
   // Compute result data
   const resultData = quizResult || (quizStatus?.lastAttempt && !quizStarted ? quizStatus.lastAttempt : null)
   const percentage = resultData ? parseFloat(resultData.percentage || 0) : 0
-  const isPassed = percentage >= 60
+  const passingPercentage = quizStatus?.passingPercentage ?? 60
+  // A fresh result says whether the counted score (per the quiz's scoring policy) passed
+  const isPassed = quizResult ? Boolean(quizResult.passed) : percentage >= passingPercentage
+  // Free-text answers waiting for the instructor: the attempt doesn't count until graded
+  const isPendingReview = quizResult ? Boolean(quizResult.pendingReview) : Boolean(quizStatus?.pendingReview)
+
+  // Why another attempt isn't allowed yet, if it isn't
+  const retakeBlockedReason = (() => {
+    if (isPendingReview) {
+      return "Your last attempt is waiting for your instructor to grade it."
+    }
+    if (quizStatus?.attemptsRemaining === 0) {
+      return `You have used all ${quizStatus.maxAttempts} attempts allowed for this quiz.`
+    }
+    if (quizStatus?.nextAttemptAt && new Date(quizStatus.nextAttemptAt) > new Date()) {
+      return `You can retake this quiz after ${new Date(quizStatus.nextAttemptAt).toLocaleString()}.`
+    }
+    return null
+  })()
+  const scoringPolicyLabels = {
+    highest: "your highest score counts",
+    latest: "your latest score counts",
+    average: "the average of your scores counts"
+  }
 
   // Update quizStatus to reflect the correct pass state only if we have a result
   if (quizStatus && resultData) {
@@ -468,6 +614,19 @@ const QuizView = () => {
     )
   }
 
+  // Code answers still being graded
+  if (gradingSubmissionId) {
+    return (
+      <div className="flex items-center justify-center min-h-[60vh]">
+        <div className="text-center">
+          <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50 mx-auto mb-4"></div>
+          <p className="text-richblack-5 font-semibold">Grading your code...</p>
+          <p className="text-richblack-300 text-sm mt-2">Your result will appear here as soon as the test cases have run.</p>
+        </div>
+      </div>
+    )
+  }
+
   // Quiz not found state
   if (!quizData) {
     return (
@@ -485,57 +644,84 @@ const QuizView = () => {
     )
   }
 
+  if (reviewAttemptId) {
+    return (
+      <div className="max-w-4xl mx-auto p-6">
+        <QuizAttemptReview attemptId={reviewAttemptId} onClose={() => setReviewAttemptId(null)} />
+      </div>
+    )
+  }
+
   // Quiz result view - show if we have a result and quiz is not started, or if quiz was just submitted
   if ((resultData && !quizStarted) || quizResult) {
     return (
       <div key={retakeKey} className="max-w-4xl mx-auto p-6">
-        <div className={`bg-gradient-to-r ${isPassed ? 'from-green-800 to-green-600' : 'from-red-800 to-red-600'} rounded-xl p-8 text-center shadow-xl`}>
+        <div className={`bg-gradient-to-r ${isPendingReview ? 'from-richblack-700 to-richblack-600' : isPassed ? 'from-green-800 to-green-600' : 'from-red-800 to-red-600'} rounded-xl p-8 text-center shadow-xl`}>
           {isPassed ? (
             <FiAward className="mx-auto text-6xl text-white mb-4" />
+          ) : isPendingReview ? (
+            <FiClock className="mx-auto text-6xl text-white mb-4" />
           ) : (
             <FiAlertCircle className="mx-auto text-6xl text-white mb-4" />
           )}
           <h1 className="text-3xl font-bold text-white mb-4">
-            {isPassed ? "Quiz Passed!" : "Quiz Completed"}
+            {isPassed ? "Quiz Passed!" : isPendingReview ? "Awaiting Review" : "Quiz Completed"}
           </h1>
-          
-          <div className="bg-white/10 rounded-lg p-6 mb-6">
-            <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-white">
-              <div>
-                <p className="text-lg font-semibold">Your Score</p>
-                <p className="text-3xl font-bold">{resultData.score}/{resultData.totalMarks}</p>
-              </div>
-              <div>
-                <p className="text-lg font-semibold">Percentage</p>
-                <p className="text-3xl font-bold">{percentage}%</p>
-              </div>
-              <div>
-                <p className="text-lg font-semibold">Status</p>
-                <p className="text-xl font-bold">
-                  {isPassed ? "Passed" : "Failed"}
-                </p>
-              </div>
-              <div>
-                <p className="text-lg font-semibold">Attempts</p>
-                <p className="text-3xl font-bold">{quizStatus?.attempts || 1}</p>
+
+          {isPendingReview ? (
+            <div className="bg-white/10 rounded-lg p-4 mb-6">
+              <p className="text-white text-sm">
+                Your answers were submitted. Some of them are graded by your instructor, so your result will be ready once they have been reviewed.
+                {quizResult && ` Graded so far: ${resultData.score}/${resultData.totalMarks}.`}
+              </p>
+            </div>
+          ) : (
+            <div className="bg-white/10 rounded-lg p-6 mb-6">
+              <div className="grid grid-cols-1 md:grid-cols-4 gap-4 text-white">
+                <div>
+                  <p className="text-lg font-semibold">Your Score</p>
+                  <p className="text-3xl font-bold">{resultData.score}/{resultData.totalMarks}</p>
+                </div>
+                <div>
+                  <p className="text-lg font-semibold">Percentage</p>
+                  <p className="text-3xl font-bold">{percentage}%</p>
+                </div>
+                <div>
+                  <p className="text-lg font-semibold">Status</p>
+                  <p className="text-xl font-bold">
+                    {isPassed ? "Passed" : "Failed"}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-lg font-semibold">Attempts</p>
+                  <p className="text-3xl font-bold">{quizStatus?.attempts || 1}</p>
+                </div>
               </div>
             </div>
-          </div>
+          )}
 
           {isPassed && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
-                🎉 Congratulations! You have successfully passed this quiz with {percentage}% (Required: 60%). 
+                🎉 Congratulations! You have successfully passed this quiz with {percentage}% (Required: {passingPercentage}%). 
                 Retakes are not allowed for passed quizzes.
               </p>
             </div>
           )}
 
-          {!isPassed && (
+          {!isPassed && !isPendingReview && (
             <div className="bg-white/10 rounded-lg p-4 mb-6">
               <p className="text-white text-sm">
-                You need at least 60% to pass this quiz. You can retake the quiz to improve your score.
+                You need at least {passingPercentage}% to pass this quiz. {retakeBlockedReason || "You can retake the quiz to improve your score."}
               </p>
+              {quizResult?.countedPercentage !== undefined && quizStatus?.scoringPolicy !== 'latest' && (
+                <p className="text-white text-sm mt-2">
+                  Counted score ({scoringPolicyLabels[quizStatus?.scoringPolicy]}): {quizResult.countedPercentage}%
+                </p>
+              )}
+              {quizStatus?.attemptsRemaining > 0 && (
+                <p className="text-white text-sm mt-2">Attempts left: {quizStatus.attemptsRemaining}</p>
+              )}
             </div>
           )}
 
@@ -545,7 +731,14 @@ const QuizView = () => {
               text="Back to Lecture"
               customClasses="px-6 py-3 bg-white text-gray-800 hover:bg-gray-100"
             />
-            {!isPassed && (
+            {quizStatus?.reviewAvailable && attemptHistory.length > 0 && (
+              <IconBtn
+                onClick={() => setReviewAttemptId(attemptHistory[attemptHistory.length - 1]._id)}
+                text="Review Answers"
+                customClasses="px-6 py-3 bg-richblack-700 text-white hover:bg-richblack-600"
+              />
+            )}
+            {!isPassed && !retakeBlockedReason && (
               <IconBtn
                 onClick={handleQuizRetake}
                 text="Retake Quiz"
@@ -585,7 +778,7 @@ const QuizView = () => {
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4 text-richblack-200">
               <div className="flex items-center gap-2">
                 <HiOutlineQuestionMarkCircle className="text-yellow-50" />
-                <span>Questions: {quizData.questions.length}</span>
+                <span>Questions: {quizData.questionCount}</span>
               </div>
               <div className="flex items-center gap-2">
                 <FiClock className="text-yellow-50" />
@@ -604,18 +797,50 @@ const QuizView = () => {
                   <p className="text-xl font-bold text-white">{quizStatus.attempts}</p>
                 </div>
                 <div>
-                  <p className="text-sm">Best Score</p>
+                  <p className="text-sm">Counted Score</p>
                   <p className="text-xl font-bold text-white">
-                    {quizStatus.lastAttempt.percentage}%
+                    {parseFloat(quizStatus.lastAttempt.percentage).toFixed(1)}%
                   </p>
                 </div>
                 <div>
                   <p className="text-sm">Status</p>
-                  <p className={`text-xl font-bold ${parseFloat(quizStatus.lastAttempt.percentage) >= 60 ? 'text-green-400' : 'text-red-400'}`}>
-                    {parseFloat(quizStatus.lastAttempt.percentage) >= 60 ? 'Passed' : 'Failed'}
+                  <p className={`text-xl font-bold ${quizStatus.passed ? 'text-green-400' : quizStatus.pendingReview ? 'text-yellow-50' : 'text-red-400'}`}>
+                    {quizStatus.passed ? 'Passed' : quizStatus.pendingReview ? 'Pending Review' : 'Failed'}
                   </p>
                 </div>
               </div>
+              {attemptHistory.length > 0 && (
+                <div className="mt-4 space-y-2">
+                  {attemptHistory.map((attempt) => (
+                    <div key={attempt._id} className="text-sm text-richblack-200 bg-richblack-800 rounded-md px-3 py-2">
+                      <div className="flex items-center justify-between">
+                        <span>Attempt {attempt.attemptNumber}</span>
+                        <span>
+                          {attempt.status === 'pendingReview'
+                            ? 'Awaiting review'
+                            : attempt.status === 'voided'
+                              ? 'Voided'
+                              : `${attempt.score}/${attempt.totalMarks} (${attempt.percentage.toFixed(1)}%)`}
+                        </span>
+                        <span>{new Date(attempt.submittedAt).toLocaleString()}</span>
+                        {quizStatus.reviewAvailable && (
+                          <button
+                            onClick={() => setReviewAttemptId(attempt._id)}
+                            className="text-yellow-50 hover:underline"
+                          >
+                            Review
+                          </button>
+                        )}
+                      </div>
+                      {attempt.reviews?.filter(review => review.comment).map(review => (
+                        <p key={review.question} className="mt-1 text-xs text-richblack-300">
+                          Instructor: {review.comment} ({review.score}/{review.maxScore})
+                        </p>
+                      ))}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
           )}
 
@@ -625,8 +850,15 @@ const QuizView = () => {
               <li>• Answer all questions before submitting</li>
               <li>• You cannot go back once you start the quiz</li>
               <li>• The quiz will auto-submit when time runs out</li>
+              <li>• Your answers are saved as you go; the timer keeps running if you leave the page</li>
               <li>• Make sure you have a stable internet connection</li>
-              <li>• You need at least 60% to pass this quiz</li>
+              <li>• You need at least {passingPercentage}% to pass this quiz</li>
+              {quizStatus?.maxAttempts > 0 && (
+                <li>• You can attempt this quiz {quizStatus.maxAttempts} time{quizStatus.maxAttempts === 1 ? '' : 's'} ({quizStatus.attemptsRemaining} left)</li>
+              )}
+              {quizStatus?.scoringPolicy && quizStatus.scoringPolicy !== 'latest' && (
+                <li>• If you retake the quiz, {scoringPolicyLabels[quizStatus.scoringPolicy]}</li>
+              )}
               {quizStatus && quizStatus.passed && (
                 <li className="text-green-300">• You have already passed this quiz. Retakes are not allowed.</li>
               )}
@@ -649,21 +881,17 @@ const QuizView = () => {
                   customClasses="px-8 py-3 text-lg"
                 />
               </div>
+            ) : retakeBlockedReason ? (
+              <div className="bg-red-800/20 border border-red-600 rounded-lg p-4">
+                <FiAlertCircle className="mx-auto text-4xl text-red-400 mb-2" />
+                <p className="text-red-200 text-sm">{retakeBlockedReason}</p>
+              </div>
             ) : (
               <IconBtn
-                onClick={() => {
-                  // Reset notifications when starting quiz
-                  setNotificationsShown({
-                    twenty: false,
-                    ten: false,
-                    five: false,
-                    one: false
-                  })
-                  // Set initial time limit if not already set
-                  if (!initialTimeLimit && timeRemaining) {
-                    setInitialTimeLimit(timeRemaining)
-                  }
-                  setQuizStarted(true)
+                onClick={async () => {
+                  setLoading(true)
+                  await beginAttempt(quizData._id)
+                  setLoading(false)
                 }}
                 text={quizStatus && quizStatus.attempts > 0 ? "Retake Quiz" : "Start Quiz"}
                 customClasses="px-8 py-3 text-lg"
@@ -706,7 +934,8 @@ const QuizView = () => {
       {/* Question */}
       <div className="bg-richblack-800 rounded-xl p-6 mb-6 shadow-xl">
         <h2 className="text-xl font-semibold text-white mb-4">
-          {currentQuestionData.questionText}
+          {/* Cloze text is shown below, with its blanks as inputs */}
+          {currentQuestionData.questionType === 'cloze' ? 'Fill in the blanks' : currentQuestionData.questionText}
           <span className="text-sm text-richblack-300 ml-2">
             ({currentQuestionData.marks} {currentQuestionData.marks === 1 ? 'mark' : 'marks'})
           </span>
@@ -747,6 +976,8 @@ const QuizView = () => {
                 });
               }}
               testCases={currentQuestionData.testCases || []}
+              quizId={quizData._id}
+              questionId={currentQuestionData._id}
               showInput={true}
               showOutput={true}
               allowLanguageChange={currentQuestionData.programmingLanguage === 'open'}
@@ -822,6 +1053,96 @@ const QuizView = () => {
           </div>
         )}
 
+        {/* Numeric Questions */}
+        {currentQuestionData.questionType === 'numeric' && (
+          <div className="space-y-2">
+            <input
+              type="text"
+              inputMode="decimal"
+              placeholder={currentQuestionData.units?.length > 0 ? 'Enter a number, e.g. 12.5 cm' : 'Enter a number...'}
+              value={quizAnswers[currentQuestionData._id] || ''}
+              onChange={(e) => handleQuizAnswer(currentQuestionData._id, e.target.value)}
+              className="w-full p-4 bg-richblack-700 text-richblack-25 rounded-lg border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+              maxLength={50}
+            />
+            {currentQuestionData.units?.length > 0 && (
+              <p className="text-xs text-richblack-400">
+                Units: {currentQuestionData.units.map(unit => unit.unit).join(', ')}
+                {currentQuestionData.unitRequired && ' (write the unit after the number)'}
+              </p>
+            )}
+          </div>
+        )}
+
+        {/* Ordering Questions. The answer lists the items, by their shown position, in the chosen order */}
+        {currentQuestionData.questionType === 'ordering' && (() => {
+          const order = quizAnswers[currentQuestionData._id] || currentQuestionData.options.map((_, index) => index)
+          const moveItem = (position, step) => {
+            const newOrder = [...order]
+            const [item] = newOrder.splice(position, 1)
+            newOrder.splice(position + step, 0, item)
+            handleQuizAnswer(currentQuestionData._id, newOrder)
+          }
+
+          return (
+            <div className="space-y-3">
+              <p className="text-sm text-richblack-300 mb-4">Put the items in the right order:</p>
+              {order.map((itemIndex, position) => (
+                <div key={itemIndex} className="flex items-center gap-3 p-3 bg-richblack-700 rounded-lg">
+                  <span className="text-richblack-300 w-6">{position + 1}.</span>
+                  <span className="text-richblack-25 flex-1">{currentQuestionData.options[itemIndex]}</span>
+                  <button
+                    onClick={() => moveItem(position, -1)}
+                    disabled={position === 0}
+                    className="p-2 text-richblack-200 hover:text-yellow-50 disabled:opacity-30"
+                  >
+                    <FiArrowUp />
+                  </button>
+                  <button
+                    onClick={() => moveItem(position, 1)}
+                    disabled={position === order.length - 1}
+                    className="p-2 text-richblack-200 hover:text-yellow-50 disabled:opacity-30"
+                  >
+                    <FiArrowDown />
+                  </button>
+                </div>
+              ))}
+              {!quizAnswers[currentQuestionData._id] && (
+                <button
+                  onClick={() => handleQuizAnswer(currentQuestionData._id, order)}
+                  className="text-sm text-yellow-50 hover:underline"
+                >
+                  Keep this order
+                </button>
+              )}
+            </div>
+          )
+        })()}
+
+        {/* Fill in the Blanks Questions. Blank n is answered under `${questionId}_${n - 1}` */}
+        {currentQuestionData.questionType === 'cloze' && (
+          <p className="text-richblack-25 leading-[3rem]">
+            {currentQuestionData.questionText.split(/(\[\[\d+\]\])/).map((part, partIndex) => {
+              const marker = part.match(/^\[\[(\d+)\]\]$/)
+              if (!marker) {
+                return <span key={partIndex}>{part}</span>
+              }
+              const answerKey = `${currentQuestionData._id}_${Number(marker[1]) - 1}`
+              return (
+                <input
+                  key={partIndex}
+                  type="text"
+                  value={quizAnswers[answerKey] || ''}
+                  onChange={(e) => handleQuizAnswer(answerKey, e.target.value)}
+                  placeholder={marker[1]}
+                  className="mx-1 w-40 px-2 py-1 bg-richblack-700 text-richblack-25 rounded border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                  maxLength={100}
+                />
+              )
+            })}
+          </p>
+        )}
+
         {/* Match the Following Questions */}
         {currentQuestionData.questionType === 'matchTheFollowing' && (
           <div className="space-y-4">
@@ -1014,6 +1335,11 @@ const QuizView = () => {
                   const matchAnswer = quizAnswers[`${question._id}_${optionIndex}`]
                   return matchAnswer !== undefined && matchAnswer !== null && matchAnswer !== ''
                 })
+              } else if (question.questionType === 'cloze') {
+                return Array.from({ length: question.blankCount }).every((_, blankIndex) => {
+                  const blankAnswer = quizAnswers[`${question._id}_${blankIndex}`]
+                  return typeof blankAnswer === 'string' && blankAnswer.trim() !== ''
+                })
               } else if (question.questionType === 'multipleChoice') {
                 const selectedOptions = quizAnswers[question._id] || []
                 return Array.isArray(selectedOptions) && selectedOptions.length > 0
@@ -13,6 +13,8 @@ import { apiConnector } from "../../../services/apiConnector"
 import { endpoints } from "../../../services/apis"
 
 import IconBtn from "../../common/IconBtn"
+import MarkdownContent from "../../common/MarkdownContent"
+import LessonResources from "./LessonResources"
 
 import { HiMenuAlt1 } from 'react-icons/hi'
 
@@ -188,6 +190,9 @@ const VideoDetails = () => {
 
   const { courseViewSidebar } = useSelector(state => state.sidebar)
 
+  // Article and resource lessons have no player; they complete when marked read / done
+  const isReadingLesson = videoData?.lessonType === "article" || videoData?.lessonType === "resource"
+
   // this will hide course video , title , desc, if sidebar is open in small device
   // for good looking i have try this 
   if (courseViewSidebar && window.innerWidth <= 640) return;
@@ -210,7 +215,7 @@ const VideoDetails = () => {
             <div className="h-2 w-32 bg-richblack-700 rounded"></div>
           </div>
         </div>
-      ) : !videoData.videoUrl ? (
+      ) : isReadingLesson ? null : !videoData.videoUrl ? (
         <div className="flex flex-col items-center justify-center h-[400px] bg-richblack-800 rounded-md">
           <div className="text-center">
             <p className="text-richblack-200 text-lg mb-2">No video available for this lecture</p>
@@ -313,6 +318,55 @@ const VideoDetails = () => {
 
       <h1 className="mt-4 text-3xl font-semibold">{videoData?.title}</h1>
       <p className="pt-2 pb-6">{videoData?.description}</p>
+
+      {videoData?.lessonType === "article" && (
+        <div className="rounded-md bg-richblack-800 px-6 py-2">
+          <MarkdownContent>{videoData.articleContent}</MarkdownContent>
+        </div>
+      )}
+
+      {videoData?.resources?.length > 0 && (
+        <LessonResources
+          resources={videoData.resources}
+          title={videoData.lessonType === "resource" ? "Files" : "Attachments"}
+        />
+      )}
+
+      {isReadingLesson && (
+        <div className="flex flex-wrap items-center gap-4 pb-6">
+          {!completedLectures.includes(subSectionId) ? (
+            <IconBtn
+              disabled={loading}
+              onClick={() => handleLectureCompletion()}
+              text={loading ? "Loading..." : videoData.lessonType === "article" ? "Mark As Read" : "Mark As Completed"}
+            />
+          ) : (
+            <p className="text-caribbeangreen-200">Completed</p>
+          )}
+
+          {completedLectures.includes(subSectionId) && videoData?.quiz && (
+            <IconBtn
+              disabled={loading}
+              onClick={() => navigate(`/view-course/${courseId}/section/${sectionId}/sub-section/${subSectionId}/quiz`)}
+              text="Take Quiz"
+              customClasses="bg-green-600 hover:bg-green-700"
+            />
+          )}
+
+          <div className="ml-auto flex gap-x-4">
+            {!isFirstVideo && (
+              <button disabled={loading} onClick={goToPrevVideo} className="blackButton">
+                Prev
+              </button>
+            )}
+            {!isLastVideo && (
+              <button disabled={loading} onClick={goToNextVideo} className="blackButton">
+                Next
+              </button>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   )
 }
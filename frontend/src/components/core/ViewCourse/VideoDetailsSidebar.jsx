@@ -10,6 +10,7 @@ import ChatButton from '../Chat/ChatButton';
 import { BsChevronDown } from "react-icons/bs"
 import { IoIosArrowBack } from "react-icons/io"
 import { FaLock } from "react-icons/fa"
+import { FiFileText, FiPaperclip } from "react-icons/fi"
 import { HiOutlineClipboardCheck } from "react-icons/hi"
 import { RiQuestionAnswerLine } from "react-icons/ri"
 
@@ -77,8 +78,9 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
           return videoCompleted && quizCompleted
         })
         
-        // Use client-side check as primary source of truth
-        accessStatus[currentSection._id] = previousSectionCompleted
+        // Use client-side check as primary source of truth. Like checkSectionAccess, every
+        // earlier section counts, not just the previous one
+        accessStatus[currentSection._id] = accessStatus[previousSection._id] && previousSectionCompleted
       }
       
       setSectionAccess(accessStatus)
@@ -248,6 +250,8 @@ export default function VideoDetailsSidebar({ setReviewModal }) {
                                 </div>
                               </div>
                             )}
+                            {topic.lessonType === "article" && <FiFileText size={14} className="shrink-0" title="Article" />}
+                            {topic.lessonType === "resource" && <FiPaperclip size={14} className="shrink-0" title="Files" />}
                             {topic.title}
                             {topic.quiz && (
                               <div className="relative group ml-auto">
@@ -7,12 +7,30 @@ import { AiFillCaretDown } from "react-icons/ai"
 import { FaPlus } from "react-icons/fa"
 import { MdEdit } from "react-icons/md"
 import { RiDeleteBin6Line } from "react-icons/ri"
-import { RxDropdownMenu } from "react-icons/rx"
+import { SortableContext, verticalListSortingStrategy } from "@dnd-kit/sortable"
 
-import { createSection, updateSection, deleteSection, createSubSection, updateSubSection, deleteSubSection, getFullDetailsOfCourse } from "../../../services/operations/courseDetailsAPI"
+import { createSection, updateSection, deleteSection, createSubSection, updateSubSection, deleteSubSection, getFullDetailsOfCourse, reorderSections, reorderSubSections, moveSubSection } from "../../../services/operations/courseDetailsAPI"
 import ConfirmationModal from "../../../components/common/ConfirmationModal"
+import CourseContentDndContext from "../../../components/common/CourseContentDndContext"
+import SortableItem from "../../../components/common/SortableItem"
 import AdminSubSectionModal from "./AdminSubSectionModal"
 
+const REORDER_REQUESTS = {
+  sections: reorderSections,
+  subSections: reorderSubSections,
+  move: moveSubSection,
+}
+
+// Lesson type, article and file changes of a lecture edited in AdminSubSectionModal
+const appendLessonContent = (formData, subSection) => {
+  formData.append("lessonType", subSection.lessonType || "video")
+  if (subSection.articleContent !== undefined) {
+    formData.append("articleContent", subSection.articleContent)
+  }
+  subSection.resourceFiles?.forEach((file) => formData.append("resources", file))
+  subSection.removedResources?.forEach((id) => formData.append("removedResources", id))
+}
+
 export default function AdminCourseBuilder({ course, onCourseUpdate }) {
   const { register, handleSubmit, setValue, formState: { errors } } = useForm()
   const { token } = useSelector((state) => state.auth)
@@ -251,6 +269,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
                   if (subSection.videoFile) {
                     formData.append("video", subSection.videoFile)
                   }
+                  appendLessonContent(formData, subSection)
                   if (subSection.quiz) {
                     formData.append("quiz", subSection.quiz._id || subSection.quiz)
                   }
@@ -285,6 +304,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
               if (subSection.videoFile) {
                 formData.append("video", subSection.videoFile)
               }
+              appendLessonContent(formData, subSection)
               if (subSection.quiz) {
                 formData.append("quiz", subSection.quiz._id || subSection.quiz)
               }
@@ -299,6 +319,7 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
               if (subSection.videoFile) {
                 formData.append("videoFile", subSection.videoFile)
               }
+              appendLessonContent(formData, subSection)
               if (subSection.quiz) {
                 formData.append("quiz", subSection.quiz._id || subSection.quiz)
               }
@@ -354,6 +375,20 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
     }
   }
 
+  // Reorder sections / lectures. Unlike other edits this is saved right away, so dragging
+  // is only enabled while there are no unsaved changes
+  const handleReorder = async ({ type, courseContent, request }) => {
+    const previousCourseData = courseData
+    const reorderedCourse = { ...courseData, courseContent }
+    setCourseData(reorderedCourse)
+    setOriginalCourseData(JSON.parse(JSON.stringify(reorderedCourse)))
+
+    const result = await REORDER_REQUESTS[type]({ courseId: courseData._id, ...request }, token)
+    const updatedCourse = result ? { ...courseData, courseContent: result.courseContent } : previousCourseData
+    setCourseData(updatedCourse)
+    setOriginalCourseData(JSON.parse(JSON.stringify(updatedCourse)))
+  }
+
   // Discard all changes
   const discardChanges = () => {
     setConfirmationModal({
@@ -428,106 +463,139 @@ export default function AdminCourseBuilder({ course, onCourseUpdate }) {
       {/* Nested View of Sections and SubSections */}
       {!loading && courseData?.courseContent?.length > 0 && (
         <div className="rounded-2xl bg-richblack-700 p-6 px-8">
-          {courseData.courseContent.map((section) => (
-            <details key={section._id} open>
-              <summary className="flex cursor-pointer items-center justify-between border-b-2 border-b-richblack-600 py-2">
-                <div className="flex items-center gap-x-3">
-                  <RxDropdownMenu className="text-2xl text-richblack-50" />
-                  <p className="font-semibold text-richblack-50">
-                    {section.sectionName}
-                    {section.isNew && <span className="ml-2 text-xs text-yellow-400">(Unsaved)</span>}
-                  </p>
-                </div>
-
-                <div className="flex items-center gap-x-3">
-                  <button
-                    onClick={() =>
-                      handleChangeEditSectionName(section._id, section.sectionName)
-                    }
-                    className="text-richblack-300 hover:text-richblack-5"
-                  >
-                    <MdEdit className="text-xl" />
-                  </button>
-
-                  <button
-                    onClick={() =>
-                      setConfirmationModal({
-                        text1: "Delete this Section?",
-                        text2: "All the lectures in this section will be deleted",
-                        btn1Text: "Delete",
-                        btn2Text: "Cancel",
-                        btn1Handler: () => handleDeleteSection(section._id),
-                        btn2Handler: () => setConfirmationModal(null),
-                      })
-                    }
-                    className="text-richblack-300 hover:text-red-400"
-                  >
-                    <RiDeleteBin6Line className="text-xl" />
-                  </button>
-
-                  <span className="font-medium text-richblack-300">|</span>
-                  <AiFillCaretDown className="text-xl text-richblack-300" />
-                </div>
-              </summary>
-
-              <div className="px-6 pb-4">
-                {/* Render All Sub Sections Within a Section */}
-                {section.subSection?.map((data) => (
-                  <div
-                    key={data?._id}
-                    onClick={() => setViewSubSection(data)}
-                    className="flex cursor-pointer items-center justify-between gap-x-3 border-b-2 border-b-richblack-600 py-2 hover:bg-richblack-600 rounded px-2"
-                  >
-                    <div className="flex items-center gap-x-3 py-2">
-                      <RxDropdownMenu className="text-2xl text-richblack-50" />
-                      <p className="font-semibold text-richblack-50">
-                        {data.title}
-                        {data.isNew && <span className="ml-2 text-xs text-yellow-400">(Unsaved)</span>}
-                      </p>
-                    </div>
-                    <div
-                      onClick={(e) => e.stopPropagation()}
-                      className="flex items-center gap-x-3"
-                    >
-                      <button
-                        onClick={() =>
-                          setEditSubSection({ ...data, sectionId: section._id })
-                        }
-                        className="text-richblack-300 hover:text-richblack-5"
+          {hasUnsavedChanges && (
+            <p className="mb-2 text-xs text-richblack-300">
+              Save or discard your changes to reorder sections and lectures by dragging.
+            </p>
+          )}
+          <CourseContentDndContext
+            courseContent={courseData.courseContent}
+            onReorder={handleReorder}
+          >
+            {courseData.courseContent.map((section) => (
+              <SortableItem
+                key={section._id}
+                id={section._id}
+                data={{ type: "section" }}
+                disabled={hasUnsavedChanges}
+                as="details"
+                open
+              >
+                {(sectionHandle) => (
+                  <>
+                    <summary className="flex cursor-pointer items-center justify-between border-b-2 border-b-richblack-600 py-2">
+                      <div className="flex items-center gap-x-3">
+                        {sectionHandle}
+                        <p className="font-semibold text-richblack-50">
+                          {section.sectionName}
+                          {section.isNew && <span className="ml-2 text-xs text-yellow-400">(Unsaved)</span>}
+                        </p>
+                      </div>
+
+                      <div className="flex items-center gap-x-3">
+                        <button
+                          onClick={() =>
+                            handleChangeEditSectionName(section._id, section.sectionName)
+                          }
+                          className="text-richblack-300 hover:text-richblack-5"
+                        >
+                          <MdEdit className="text-xl" />
+                        </button>
+
+                        <button
+                          onClick={() =>
+                            setConfirmationModal({
+                              text1: "Delete this Section?",
+                              text2: "All the lectures in this section will be deleted",
+                              btn1Text: "Delete",
+                              btn2Text: "Cancel",
+                              btn1Handler: () => handleDeleteSection(section._id),
+                              btn2Handler: () => setConfirmationModal(null),
+                            })
+                          }
+                          className="text-richblack-300 hover:text-red-400"
+                        >
+                          <RiDeleteBin6Line className="text-xl" />
+                        </button>
+
+                        <span className="font-medium text-richblack-300">|</span>
+                        <AiFillCaretDown className="text-xl text-richblack-300" />
+                      </div>
+                    </summary>
+
+                    <div className="px-6 pb-4">
+                      {/* Render All Sub Sections Within a Section */}
+                      <SortableContext
+                        items={(section.subSection || []).map((data) => data._id)}
+                        strategy={verticalListSortingStrategy}
                       >
-                        <MdEdit className="text-xl" />
-                      </button>
+                        {section.subSection?.map((data) => (
+                          <SortableItem
+                            key={data?._id}
+                            id={data._id}
+                            data={{ type: "subSection", sectionId: section._id }}
+                            disabled={hasUnsavedChanges}
+                            onClick={() => setViewSubSection(data)}
+                            className="flex cursor-pointer items-center justify-between gap-x-3 border-b-2 border-b-richblack-600 py-2 hover:bg-richblack-600 rounded px-2"
+                          >
+                            {(lectureHandle) => (
+                              <>
+                                <div className="flex items-center gap-x-3 py-2">
+                                  {lectureHandle}
+                                  <p className="font-semibold text-richblack-50">
+                                    {data.title}
+                                    {data.isNew && <span className="ml-2 text-xs text-yellow-400">(Unsaved)</span>}
+                                  </p>
+                                </div>
+                                <div
+                                  onClick={(e) => e.stopPropagation()}
+                                  className="flex items-center gap-x-3"
+                                >
+                                  <button
+                                    onClick={() =>
+                                      setEditSubSection({ ...data, sectionId: section._id })
+                                    }
+                                    className="text-richblack-300 hover:text-richblack-5"
+                                  >
+                                    <MdEdit className="text-xl" />
+                                  </button>
+                                  <button
+                                    onClick={() =>
+                                      setConfirmationModal({
+                                        text1: "Delete this Lecture?",
+                                        text2: "This lecture will be deleted permanently",
+                                        btn1Text: "Delete",
+                                        btn2Text: "Cancel",
+                                        btn1Handler: () =>
+                                          handleDeleteSubSection(data._id, section._id),
+                                        btn2Handler: () => setConfirmationModal(null),
+                                      })
+                                    }
+                                    className="text-richblack-300 hover:text-red-400"
+                                  >
+                                    <RiDeleteBin6Line className="text-xl" />
+                                  </button>
+                                </div>
+                              </>
+                            )}
+                          </SortableItem>
+                        ))}
+                      </SortableContext>
+
+                      {/* Add New Lecture to Section */}
                       <button
-                        onClick={() =>
-                          setConfirmationModal({
-                            text1: "Delete this Lecture?",
-                            text2: "This lecture will be deleted permanently",
-                            btn1Text: "Delete",
-                            btn2Text: "Cancel",
-                            btn1Handler: () =>
-                              handleDeleteSubSection(data._id, section._id),
-                            btn2Handler: () => setConfirmationModal(null),
-                          })
-                        }
-                        className="text-richblack-300 hover:text-red-400"
+                        onClick={() => setAddSubsection(section._id)}
+                        className="mt-3 flex items-center gap-x-1 text-yellow-50 hover:text-yellow-25 transition-colors"
                       >
-                        <RiDeleteBin6Line className="text-xl" />
+                        <FaPlus className="text-lg" />
+                        <p>Add Lecture</p>
                       </button>
                     </div>
-                  </div>
-                ))}
-
-                {/* Add New Lecture to Section */}
-                <button
-                  onClick={() => setAddSubsection(section._id)}
-                  className="mt-3 flex items-center gap-x-1 text-yellow-50 hover:text-yellow-25 transition-colors"
-                >
-                  <FaPlus className="text-lg" />
-                  <p>Add Lecture</p>
-                </button>
-              </div>
-            </details>
-          ))}
+                  </>
+                )}
+              </SortableItem>
+            ))}
+          </CourseContentDndContext>
         </div>
       )}
 
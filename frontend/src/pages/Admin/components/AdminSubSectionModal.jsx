@@ -10,6 +10,7 @@ import {
 } from "../../../services/operations/courseDetailsAPI"
 import { getAllQuizzes } from "../../../services/operations/quizAPI"
 import Upload from "../../../components/core/Dashboard/AddCourse/Upload"
+import LessonContentFields from "../../../components/core/Dashboard/AddCourse/CourseBuilder/LessonContentFields"
 
 export default function AdminSubSectionModal({ 
   modalData, 
@@ -25,17 +26,24 @@ export default function AdminSubSectionModal({
     setValue,
     formState: { errors },
     getValues,
+    watch,
   } = useForm()
 
   const [loading, setLoading] = useState(false)
   const { token } = useSelector((state) => state.auth)
+  const lessonType = watch("lessonType") || "video"
 
   useEffect(() => {
     if (view || edit) {
       setValue("lectureTitle", modalData.title)
       setValue("lectureDesc", modalData.description)
       setValue("lectureVideo", modalData.videoUrl)
+      setValue("articleContent", modalData.articleContent || "")
+      // changes already made to the lecture but not saved yet
+      setValue("resourceFiles", modalData.resourceFiles || [])
+      setValue("removedResources", modalData.removedResources || [])
     }
+    setValue("lessonType", modalData.lessonType || "video")
   }, [])
 
   // detect whether form is updated or not
@@ -45,7 +53,11 @@ export default function AdminSubSectionModal({
       currentValues.lectureTitle !== modalData.title ||
       currentValues.lectureDesc !== modalData.description ||
       currentValues.lectureVideo !== modalData.videoUrl ||
-      currentValues.quiz !== (modalData.quiz?._id || "")
+      currentValues.quiz !== (modalData.quiz?._id || "") ||
+      currentValues.lessonType !== (modalData.lessonType || "video") ||
+      currentValues.articleContent !== (modalData.articleContent || "") ||
+      currentValues.resourceFiles?.length !== (modalData.resourceFiles?.length || 0) ||
+      currentValues.removedResources?.length !== (modalData.removedResources?.length || 0)
     ) {
       return true
     }
@@ -62,6 +74,11 @@ export default function AdminSubSectionModal({
       title: currentValues.lectureTitle,
       description: currentValues.lectureDesc,
       quiz: currentValues.quiz ? { _id: currentValues.quiz } : null,
+      lessonType: currentValues.lessonType,
+      articleContent: currentValues.articleContent,
+      // Files to upload and ids of saved files to remove on save
+      resourceFiles: currentValues.resourceFiles || [],
+      removedResources: currentValues.removedResources || [],
       // Keep existing video URL if no new video is uploaded
       videoUrl: currentValues.lectureVideo instanceof File ? 
         URL.createObjectURL(currentValues.lectureVideo) : modalData.videoUrl,
@@ -103,9 +120,12 @@ export default function AdminSubSectionModal({
       title: data.lectureTitle,
       description: data.lectureDesc,
       quiz: data.quiz ? { _id: data.quiz } : null,
-      videoUrl: data.lectureVideo instanceof File ? 
+      lessonType: data.lessonType,
+      articleContent: data.lessonType === "article" ? data.articleContent : undefined,
+      resourceFiles: data.resourceFiles || [],
+      videoUrl: data.lessonType === "video" && data.lectureVideo instanceof File ? 
         URL.createObjectURL(data.lectureVideo) : null,
-      videoFile: data.lectureVideo instanceof File ? data.lectureVideo : null,
+      videoFile: data.lessonType === "video" && data.lectureVideo instanceof File ? data.lectureVideo : null,
       isNew: true
     }
     
@@ -131,17 +151,30 @@ export default function AdminSubSectionModal({
           onSubmit={handleSubmit(onSubmit)}
           className="space-y-8 px-8 py-10"
         >
-          {/* Lecture Video Upload */}
-          <Upload
-            name="lectureVideo"
-            label="Lecture Video"
+          {/* Lesson Type, Article and Files */}
+          <LessonContentFields
             register={register}
             setValue={setValue}
+            watch={watch}
             errors={errors}
-            video={true}
-            viewData={view ? modalData.videoUrl : null}
-            editData={edit ? modalData.videoUrl : null}
+            existingResources={modalData.resources}
+            view={view}
+            disabled={loading}
           />
+
+          {/* Lecture Video Upload */}
+          {lessonType === "video" && (
+            <Upload
+              name="lectureVideo"
+              label="Lecture Video"
+              register={register}
+              setValue={setValue}
+              errors={errors}
+              video={true}
+              viewData={view ? modalData.videoUrl : null}
+              editData={edit ? modalData.videoUrl : null}
+            />
+          )}
           {/* Lecture Title */}
           <div className="flex flex-col space-y-2">
             <label className="text-sm text-richblack-5" htmlFor="lectureTitle">
@@ -0,0 +1,121 @@
+import { useState, useEffect } from 'react';
+import { useSelector } from 'react-redux';
+import { getCouponCampaigns, exportCouponCampaign, toggleCouponCampaignStatus } from '../../../services/operations/couponAPI';
+import { FiDownload, FiLayers, FiPause, FiPlay } from 'react-icons/fi';
+
+export default function CouponCampaigns() {
+  const { token } = useSelector((state) => state.auth);
+  const [campaigns, setCampaigns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyCampaign, setBusyCampaign] = useState(null);
+
+  const fetchCampaigns = async () => {
+    setLoading(true);
+    setCampaigns(await getCouponCampaigns(token));
+    setLoading(false);
+  };
+
+  useEffect(() => {
+    fetchCampaigns();
+  }, []);
+
+  const handleToggle = async (campaign, isActive) => {
+    setBusyCampaign(campaign._id);
+    if (await toggleCouponCampaignStatus(token, campaign._id, isActive)) {
+      await fetchCampaigns();
+    }
+    setBusyCampaign(null);
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-IN', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric'
+    });
+  };
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center py-12">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-yellow-50"></div>
+      </div>
+    );
+  }
+
+  if (campaigns.length === 0) {
+    return (
+      <div className="text-center py-12">
+        <div className="bg-richblack-700 rounded-2xl p-8 border border-richblack-600">
+          <FiLayers className="mx-auto text-6xl text-richblack-400 mb-4" />
+          <p className="text-richblack-300 text-xl font-semibold mb-2">No campaigns yet</p>
+          <p className="text-richblack-400 text-sm">Use &quot;Bulk Campaign&quot; in the coupon form to generate unique codes</p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid gap-4 sm:gap-6">
+      {campaigns.map((campaign) => {
+        const stats = campaign.analytics;
+        const allInactive = stats.codeCount > 0 && stats.activeCodes === 0;
+
+        return (
+          <div
+            key={campaign._id}
+            className="bg-gradient-to-r from-richblack-800 to-richblack-700 border border-richblack-600 rounded-2xl p-4 sm:p-6"
+          >
+            <div className="flex flex-col gap-4 sm:flex-row sm:items-start sm:justify-between">
+              <div>
+                <h3 className="text-lg font-semibold text-richblack-5">{campaign.name}</h3>
+                {campaign.description && (
+                  <p className="text-sm text-richblack-300">{campaign.description}</p>
+                )}
+                <p className="mt-1 text-xs text-richblack-400">
+                  {campaign.prefix || 'No prefix'} • {campaign.codeLength} random characters •{' '}
+                  {campaign.linkedTo === 'bundle' ? 'Bundle' : 'Course'} checkout • Created {formatDate(campaign.createdAt)}
+                  {campaign.createdBy && ` by ${campaign.createdBy.firstName} ${campaign.createdBy.lastName}`}
+                </p>
+              </div>
+
+              <div className="flex gap-2">
+                <button
+                  onClick={() => exportCouponCampaign(token, campaign._id, campaign.name)}
+                  className="flex items-center gap-2 rounded-lg bg-richblack-600 px-3 py-2 text-sm text-richblack-5 hover:bg-richblack-500"
+                >
+                  <FiDownload />
+                  CSV
+                </button>
+                <button
+                  onClick={() => handleToggle(campaign, allInactive)}
+                  disabled={busyCampaign === campaign._id}
+                  className="flex items-center gap-2 rounded-lg bg-richblack-600 px-3 py-2 text-sm text-richblack-5 hover:bg-richblack-500 disabled:opacity-50"
+                >
+                  {allInactive ? <FiPlay /> : <FiPause />}
+                  {allInactive ? 'Activate All' : 'Deactivate All'}
+                </button>
+              </div>
+            </div>
+
+            <div className="mt-4 grid grid-cols-2 gap-3 sm:grid-cols-3 lg:grid-cols-6">
+              {[
+                { label: 'Codes', value: stats.codeCount },
+                { label: 'Active', value: stats.activeCodes || 0 },
+                { label: 'Redeemed', value: stats.redeemedCodes || 0 },
+                { label: 'Validations', value: stats.timesValidated || 0 },
+                { label: 'Failed Attempts', value: stats.failedAttempts || 0 },
+                { label: 'Conversion', value: `${stats.conversionRate || 0}%` },
+              ].map((item) => (
+                <div key={item.label} className="rounded-lg bg-richblack-800 p-3">
+                  <p className="text-xs text-richblack-400">{item.label}</p>
+                  <p className="text-lg font-semibold text-richblack-5">{item.value}</p>
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
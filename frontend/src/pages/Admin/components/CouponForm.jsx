@@ -1,18 +1,25 @@
 import { useState, useEffect } from 'react';
 import { useSelector, useDispatch } from 'react-redux';
 import { useForm } from 'react-hook-form';
-import { createCoupon } from '../../../services/operations/couponAPI';
+import { createCoupon, createCouponCampaign } from '../../../services/operations/couponAPI';
+import { getAllCourses } from '../../../services/operations/adminAPI';
+import { fetchCourseCategories } from '../../../services/operations/courseDetailsAPI';
 import { toast } from 'react-hot-toast';
-import { FiTag, FiPercent, FiDollarSign, FiCalendar, FiUsers, FiShoppingCart, FiLink, FiEye, FiClock } from 'react-icons/fi';
+import { FiTag, FiPercent, FiDollarSign, FiCalendar, FiUsers, FiShoppingCart, FiLink, FiEye, FiClock, FiUserCheck } from 'react-icons/fi';
 import DatePicker from 'react-datepicker';
 import "react-datepicker/dist/react-datepicker.css";
 import "../../../styles/datepicker.css";
 import CustomTimePicker from '../../../components/common/CustomTimePicker';
 
+const CAMPAIGN_FIELDS = ['name', 'description', 'prefix', 'count', 'codeLength'];
+
+// Creates a single coupon, or in campaign mode a batch of unique single-use codes
+// that share the same discount rules
 export default function CouponForm({ onSuccess }) {
   const { token } = useSelector((state) => state.auth);
   const dispatch = useDispatch();
   const [loading, setLoading] = useState(false);
+  const [mode, setMode] = useState('single');
   const [courses, setCourses] = useState([]);
   const [categories, setCategories] = useState([]);
   const [showOnFront, setShowOnFront] = useState(false);
@@ -29,6 +36,7 @@ export default function CouponForm({ onSuccess }) {
     reset,
     watch,
     setValue,
+    unregister,
     formState: { errors },
   } = useForm({
     defaultValues: {
@@ -40,8 +48,26 @@ export default function CouponForm({ onSuccess }) {
     }
   });
 
+  // Options for the eligibility rules
+  useEffect(() => {
+    const fetchOptions = async () => {
+      const [courseList, categoryList] = await Promise.all([getAllCourses(token), fetchCourseCategories()]);
+      setCourses(courseList);
+      setCategories(categoryList);
+    };
+
+    fetchOptions();
+  }, [token]);
+
   const watchDiscountType = watch('discountType');
   const watchLinkedTo = watch('linkedTo');
+  const isCampaign = mode === 'campaign';
+
+  // Drop the other mode's fields so their validation rules don't block submitting
+  const handleModeChange = (newMode) => {
+    unregister(newMode === 'campaign' ? 'code' : CAMPAIGN_FIELDS);
+    setMode(newMode);
+  };
 
   const onSubmit = async (data) => {
     setLoading(true);
@@ -61,9 +87,26 @@ export default function CouponForm({ onSuccess }) {
         priority: parseInt(data.priority || 0),
         showOnFront: showOnFront,
         isCombinable: !!data.isCombinable,
+        eligibility: {
+          // User IDs can be pasted separated by commas, spaces or new lines
+          users: (data.eligibility?.users || '').split(/[\s,]+/).filter(Boolean),
+          accountCreatedAfter: data.eligibility?.accountCreatedAfter || undefined,
+          firstPurchaseOnly: !!data.eligibility?.firstPurchaseOnly,
+          enrolledInCourses: data.eligibility?.enrolledInCourses || [],
+          notPurchasedCategories: data.eligibility?.notPurchasedCategories || [],
+        },
       };
 
-      const result = await dispatch(createCoupon(formData, token));
+      if (isCampaign) {
+        // Campaign codes are single use unless limits are entered
+        formData.usageLimit = parseInt(data.usageLimit || 1);
+        formData.perUserLimit = parseInt(data.perUserLimit || 1);
+        formData.showOnFront = false;
+        formData.count = parseInt(data.count);
+        formData.codeLength = parseInt(data.codeLength || 8);
+      }
+
+      const result = await dispatch(isCampaign ? createCouponCampaign(formData, token) : createCoupon(formData, token));
       
       if (result) {
         reset(); // Reset form after successful submission
@@ -93,11 +136,38 @@ export default function CouponForm({ onSuccess }) {
           <FiTag className="text-yellow-400 text-xl sm:text-2xl" />
         </div>
         <div>
-          <h1 className="text-2xl sm:text-3xl font-bold text-richblack-5 mb-1 sm:mb-2">Create New Coupon</h1>
-          <p className="text-sm sm:text-base text-richblack-300">Set up discount codes for your courses and bundles</p>
+          <h1 className="text-2xl sm:text-3xl font-bold text-richblack-5 mb-1 sm:mb-2">
+            {isCampaign ? 'Create Coupon Campaign' : 'Create New Coupon'}
+          </h1>
+          <p className="text-sm sm:text-base text-richblack-300">
+            {isCampaign
+              ? 'Generate a batch of unique single-use codes for a marketing campaign'
+              : 'Set up discount codes for your courses and bundles'}
+          </p>
         </div>
       </div>
 
+      {/* Mode Switch */}
+      <div className="mb-6 inline-flex rounded-xl border border-richblack-600 bg-richblack-700 p-1">
+        {[
+          { value: 'single', label: 'Single Code' },
+          { value: 'campaign', label: 'Bulk Campaign' },
+        ].map((option) => (
+          <button
+            key={option.value}
+            type="button"
+            onClick={() => handleModeChange(option.value)}
+            className={`rounded-lg px-4 py-2 text-sm font-medium transition-all duration-200 ${
+              mode === option.value
+                ? 'bg-yellow-50 text-richblack-900'
+                : 'text-richblack-300 hover:text-richblack-5'
+            }`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+
       <form onSubmit={handleSubmit(onSubmit)} className="space-y-6">
         {/* Basic Information Section */}
         <div className="bg-richblack-700/50 rounded-xl p-4 sm:p-6 border border-richblack-600/50">
@@ -107,26 +177,119 @@ export default function CouponForm({ onSuccess }) {
           </h3>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 sm:gap-6">
-            {/* Coupon Code */}
-            <div className="space-y-2">
-              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
-                <FiTag className="text-yellow-400 text-sm" />
-                Coupon Code
-              </label>
-              <input
-                type="text"
-                placeholder="e.g., WELCOME50"
-                {...register("code", {
-                  required: "Coupon code is required",
-                  pattern: {
-                    value: /^[A-Z0-9]+$/,
-                    message: "Only uppercase letters and numbers allowed"
-                  }
-                })}
-              className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
-              />
-              {errors.code && <span className="text-xs text-red-400">{errors.code.message}</span>}
-            </div>
+            {isCampaign ? (
+              <>
+                {/* Campaign Name */}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                    <FiTag className="text-yellow-400 text-sm" />
+                    Campaign Name
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="e.g., Diwali Email Blast"
+                    {...register("name", { required: "Campaign name is required" })}
+                    className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+                  />
+                  {errors.name && <span className="text-xs text-red-400">{errors.name.message}</span>}
+                </div>
+
+                {/* Code Prefix */}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                    <FiTag className="text-yellow-400 text-sm" />
+                    Code Prefix
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="e.g., DIWALI-"
+                    {...register("prefix", {
+                      pattern: {
+                        value: /^[A-Z0-9-]{0,12}$/,
+                        message: "Up to 12 uppercase letters, numbers or dashes"
+                      }
+                    })}
+                    className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+                  />
+                  {errors.prefix && <span className="text-xs text-red-400">{errors.prefix.message}</span>}
+                </div>
+
+                {/* Number of Codes */}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                    <FiUsers className="text-purple-400 text-sm" />
+                    Number of Codes
+                  </label>
+                  <input
+                    type="number"
+                    placeholder="e.g., 1000"
+                    {...register("count", {
+                      required: "Number of codes is required",
+                      min: { value: 1, message: "At least 1 code" },
+                      max: { value: 10000, message: "At most 10000 codes per campaign" }
+                    })}
+                    className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80 [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none"
+                    onWheel={(e) => e.target.blur()}
+                  />
+                  {errors.count && <span className="text-xs text-red-400">{errors.count.message}</span>}
+                </div>
+
+                {/* Code Length */}
+                <div className="space-y-2">
+                  <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                    <FiTag className="text-purple-400 text-sm" />
+                    Random Part Length
+                  </label>
+                  <input
+                    type="number"
+                    placeholder="8"
+                    {...register("codeLength", {
+                      min: { value: 6, message: "At least 6 characters" },
+                      max: { value: 16, message: "At most 16 characters" }
+                    })}
+                    className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-purple-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80 [appearance:textfield] [&::-webkit-outer-spin-button]:appearance-none [&::-webkit-inner-spin-button]:appearance-none"
+                    onWheel={(e) => e.target.blur()}
+                  />
+                  {errors.codeLength && <span className="text-xs text-red-400">{errors.codeLength.message}</span>}
+                  <p className="text-xs text-richblack-400">Characters generated after the prefix</p>
+                </div>
+
+                {/* Description */}
+                <div className="space-y-2 md:col-span-2">
+                  <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                    <FiTag className="text-yellow-400 text-sm" />
+                    Description
+                  </label>
+                  <input
+                    type="text"
+                    placeholder="Where these codes will be sent"
+                    {...register("description")}
+                    className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+                  />
+                </div>
+              </>
+            ) : (
+              /* Coupon Code */
+              <div className="space-y-2">
+                <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                  <FiTag className="text-yellow-400 text-sm" />
+                  Coupon Code
+                </label>
+                <input
+                  type="text"
+                  placeholder="e.g., WELCOME50"
+                  {...register("code", {
+                    required: "Coupon code is required",
+                    pattern: {
+                      value: /^[A-Z0-9]+$/,
+                      message: "Only uppercase letters and numbers allowed"
+                    }
+                  })}
+                className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-yellow-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+                />
+                {errors.code && <span className="text-xs text-red-400">{errors.code.message}</span>}
+              </div>
+            )}
 
             {/* Linked To */}
             <div className="space-y-2">
@@ -279,7 +442,7 @@ export default function CouponForm({ onSuccess }) {
               </label>
               <input
                 type="number"
-                placeholder="0 for unlimited"
+                placeholder={isCampaign ? "1 (each code once)" : "0 for unlimited"}
                 {...register("usageLimit", {
                   min: {
                     value: 0,
@@ -290,7 +453,9 @@ export default function CouponForm({ onSuccess }) {
                 onWheel={(e) => e.target.blur()}
               />
               {errors.usageLimit && <span className="text-xs text-red-400">{errors.usageLimit.message}</span>}
-              <p className="text-xs text-richblack-400">Maximum number of times this coupon can be used</p>
+              <p className="text-xs text-richblack-400">
+                {isCampaign ? 'Maximum number of times each generated code can be used' : 'Maximum number of times this coupon can be used'}
+              </p>
             </div>
 
             {/* Per User Limit */}
@@ -301,7 +466,7 @@ export default function CouponForm({ onSuccess }) {
               </label>
               <input
                 type="number"
-                placeholder="0 for unlimited"
+                placeholder={isCampaign ? "1" : "0 for unlimited"}
                 {...register("perUserLimit", {
                   min: {
                     value: 0,
@@ -439,6 +604,100 @@ export default function CouponForm({ onSuccess }) {
           </div>
         </div>
 
+        {/* Eligibility Section */}
+        <div className="bg-richblack-700/30 rounded-xl p-6 border border-richblack-600/30 backdrop-blur-sm transition-all duration-200 hover:bg-richblack-700/40">
+          <h3 className="text-lg font-semibold text-richblack-5 mb-2 flex items-center gap-2">
+            <FiUserCheck className="text-pink-200" />
+            Who Can Use It
+          </h3>
+          <p className="text-xs text-richblack-400 mb-6">Leave everything empty to let anyone with the code use it. Every rule that is set must be met.</p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            {/* Specific Users */}
+            <div className="space-y-2 md:col-span-2">
+              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                <FiUsers className="text-pink-200 text-sm" />
+                Only These Users
+              </label>
+              <textarea
+                rows={2}
+                placeholder="User IDs, separated by commas or new lines"
+                {...register("eligibility.users", {
+                  validate: (value) => (value || '').split(/[\s,]+/).filter(Boolean).every((id) => /^[a-f0-9]{24}$/i.test(id))
+                    || "Enter valid user IDs"
+                })}
+                className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 placeholder-richblack-400 focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+              />
+              {errors.eligibility?.users && <span className="text-xs text-red-400">{errors.eligibility.users.message}</span>}
+            </div>
+
+            {/* Account Age */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                <FiCalendar className="text-pink-200 text-sm" />
+                Accounts Created After
+              </label>
+              <input
+                type="date"
+                {...register("eligibility.accountCreatedAfter")}
+                className="w-full px-4 py-3.5 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent transition-all duration-300 hover:bg-richblack-500/80"
+              />
+            </div>
+
+            {/* First Purchase */}
+            <div className="space-y-3">
+              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                <FiShoppingCart className="text-pink-200 text-sm" />
+                First Purchase Only
+              </label>
+              <div className="flex items-center gap-3">
+                <input
+                  type="checkbox"
+                  {...register("eligibility.firstPurchaseOnly")}
+                  className="h-5 w-5 text-pink-500 bg-richblack-600 border-richblack-500 rounded-md focus:ring-pink-500 focus:ring-2 transition-all duration-200"
+                />
+                <span className="text-sm text-richblack-300">Only for students who have never paid for an order</span>
+              </div>
+            </div>
+
+            {/* Enrolled In */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                <FiTag className="text-pink-200 text-sm" />
+                Enrolled In Any Of
+              </label>
+              <select
+                multiple
+                {...register("eligibility.enrolledInCourses")}
+                className="w-full h-32 px-4 py-2 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+              >
+                {courses.map((course) => (
+                  <option key={course._id} value={course._id}>{course.courseName}</option>
+                ))}
+              </select>
+              <p className="text-xs text-richblack-400">Hold Ctrl/Cmd to pick several courses</p>
+            </div>
+
+            {/* Not Purchased In */}
+            <div className="space-y-2">
+              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                <FiTag className="text-pink-200 text-sm" />
+                Never Bought From
+              </label>
+              <select
+                multiple
+                {...register("eligibility.notPurchasedCategories")}
+                className="w-full h-32 px-4 py-2 bg-richblack-600 border border-richblack-500 rounded-xl text-richblack-5 focus:outline-none focus:ring-2 focus:ring-pink-500 focus:border-transparent"
+              >
+                {categories.map((category) => (
+                  <option key={category._id} value={category._id}>{category.name}</option>
+                ))}
+              </select>
+              <p className="text-xs text-richblack-400">Students who bought a course in these categories can&apos;t use the coupon</p>
+            </div>
+          </div>
+        </div>
+
         {/* Display Settings Section */}
         <div className="bg-richblack-700/30 rounded-xl p-6 border border-richblack-600/30 backdrop-blur-sm transition-all duration-200 hover:bg-richblack-700/40">
           <h3 className="text-lg font-semibold text-richblack-5 mb-6 flex items-center gap-2">
@@ -447,40 +706,42 @@ export default function CouponForm({ onSuccess }) {
           </h3>
           
           <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
-            {/* Show on Front Toggle */}
-            <div className="space-y-3">
-              <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
-                <FiEye className="text-indigo-400 text-sm" />
-                Display on Frontend
-              </label>
-              <div className="flex items-center gap-4">
-              <button
-                  type="button"
-                  onClick={() => setShowOnFront(!showOnFront)}
-                  className={`relative inline-flex h-7 w-14 items-center rounded-full transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-richblack-800 ${
-                    showOnFront
-                      ? 'bg-gradient-to-r from-indigo-500 to-indigo-600 focus:ring-indigo-500'
-                      : 'bg-richblack-600 focus:ring-richblack-500'
-                  }`}
-                >
-                  <span className="sr-only">Toggle frontend display</span>
-                  <span
-                    className={`inline-block h-5 w-5 transform rounded-full bg-white shadow-lg transition-all duration-300 ease-in-out ${
-                      showOnFront ? 'translate-x-8' : 'translate-x-1'
+            {/* Show on Front Toggle - campaign codes are always private */}
+            {!isCampaign && (
+              <div className="space-y-3">
+                <label className="text-sm font-medium text-richblack-5 flex items-center gap-2">
+                  <FiEye className="text-indigo-400 text-sm" />
+                  Display on Frontend
+                </label>
+                <div className="flex items-center gap-4">
+                <button
+                    type="button"
+                    onClick={() => setShowOnFront(!showOnFront)}
+                    className={`relative inline-flex h-7 w-14 items-center rounded-full transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-offset-richblack-800 ${
+                      showOnFront
+                        ? 'bg-gradient-to-r from-indigo-500 to-indigo-600 focus:ring-indigo-500'
+                        : 'bg-richblack-600 focus:ring-richblack-500'
                     }`}
-                  />
-                </button>
-                <span className={`text-sm font-medium ${showOnFront ? 'text-indigo-400' : 'text-richblack-400'}`}>
-                  {showOnFront ? 'Yes' : 'No'}
-                </span>
+                  >
+                    <span className="sr-only">Toggle frontend display</span>
+                    <span
+                      className={`inline-block h-5 w-5 transform rounded-full bg-white shadow-lg transition-all duration-300 ease-in-out ${
+                        showOnFront ? 'translate-x-8' : 'translate-x-1'
+                      }`}
+                    />
+                  </button>
+                  <span className={`text-sm font-medium ${showOnFront ? 'text-indigo-400' : 'text-richblack-400'}`}>
+                    {showOnFront ? 'Yes' : 'No'}
+                  </span>
+                </div>
+                <p className="text-xs text-richblack-400">
+                  {showOnFront 
+                    ? 'Coupon code will be displayed on checkout page as an available coupon' 
+                    : 'Coupon code will remain hidden from frontend'
+                  }
+                </p>
               </div>
-              <p className="text-xs text-richblack-400">
-                {showOnFront 
-                  ? 'Coupon code will be displayed on checkout page as an available coupon' 
-                  : 'Coupon code will remain hidden from frontend'
-                }
-              </p>
-            </div>
+            )}
 
             {/* Priority Setting */}
             <div className="space-y-3">
@@ -553,12 +814,12 @@ export default function CouponForm({ onSuccess }) {
             {loading ? (
               <>
                 <div className="animate-spin rounded-full h-4 w-4 border-2 border-richblack-900 border-t-transparent"></div>
-                Creating...
+                {isCampaign ? 'Generating...' : 'Creating...'}
               </>
             ) : (
               <>
                 <FiTag />
-                Create Coupon
+                {isCampaign ? 'Generate Codes' : 'Create Coupon'}
               </>
             )}
           </button>
@@ -3,6 +3,7 @@ import { useSelector } from 'react-redux';
 import { getAllCoupons, toggleCouponStatus } from '../../../services/operations/couponAPI';
 import { toast } from 'react-hot-toast';
 import CouponDetailsModal from '../../../components/common/CouponDetailsModal';
+import CouponCampaigns from './CouponCampaigns';
 import { FiTag, FiCalendar, FiUsers, FiDollarSign, FiClock, FiEye, FiSearch, FiX, FiShare2, FiCopy } from 'react-icons/fi';
 
 export default function CouponList() {
@@ -15,6 +16,8 @@ export default function CouponList() {
   const [searchTerm, setSearchTerm] = useState("");
   const [statusFilter, setStatusFilter] = useState("all");
   const [showShareMenu, setShowShareMenu] = useState(null);
+  // Single coupons, or the bulk-generated campaigns (their codes are not listed here)
+  const [view, setView] = useState("coupons");
 
   // Admin configurable share options
   const [enabledShareOptions] = useState([
@@ -249,6 +252,34 @@ Don't miss out on this amazing offer! 🚀`;
     return icons[option] || <FiShare2 className="text-xs" />;
   };
 
+  const viewTabs = (
+    <div className="mb-6 inline-flex rounded-lg border border-richblack-600 bg-richblack-700 p-1">
+      {[
+        { value: 'coupons', label: 'Coupons' },
+        { value: 'campaigns', label: 'Campaigns' },
+      ].map((tab) => (
+        <button
+          key={tab.value}
+          onClick={() => setView(tab.value)}
+          className={`rounded-md px-4 py-2 text-sm font-medium transition-all duration-200 ${
+            view === tab.value ? 'bg-yellow-50 text-richblack-900' : 'text-richblack-300 hover:text-richblack-5'
+          }`}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  );
+
+  if (view === 'campaigns') {
+    return (
+      <>
+        {viewTabs}
+        <CouponCampaigns />
+      </>
+    );
+  }
+
   if (loading) {
     return (
       <div className="flex justify-center items-center py-12">
@@ -259,6 +290,8 @@ Don't miss out on this amazing offer! 🚀`;
 
   if (coupons.length === 0) {
     return (
+      <>
+      {viewTabs}
       <div className="text-center py-12">
         <div className="bg-richblack-700 rounded-2xl p-8 border border-richblack-600">
           <FiTag className="mx-auto text-6xl text-richblack-400 mb-4" />
@@ -266,11 +299,14 @@ Don't miss out on this amazing offer! 🚀`;
           <p className="text-richblack-400 text-sm">Click "Create Coupon" to add your first coupon and start offering discounts</p>
         </div>
       </div>
+      </>
     );
   }
 
   return (
     <>
+      {viewTabs}
+
       {/* Search and Filter Section */}
       <div className="mb-6 space-y-4">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -811,6 +811,11 @@ const EnhancedAnalytics = () => {
                 ₹{(analytics.revenue?.monthlyRevenue || 0).toLocaleString()}
               </span>
             </div>
+            {analytics.revenue?.refundedAmount > 0 && (
+              <p className="text-red-500 text-xs sm:text-sm">
+                −₹{analytics.revenue.refundedAmount.toLocaleString()} refunded
+              </p>
+            )}
           </div>
         </div>
       </div>
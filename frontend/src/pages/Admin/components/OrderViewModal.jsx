@@ -1,7 +1,21 @@
 import React from 'react'
 import { FiX, FiPrinter } from 'react-icons/fi'
+import RefundOrderForm from './RefundOrderForm'
+
+const formatAmount = (amount) => (amount === 0 ? 'Free' : `Rs. ${amount}`)
+
+const paymentStatusLabels = {
+  created: 'Awaiting Payment',
+  paid: '✓ Paid',
+  failed: 'Payment Failed',
+  partially_refunded: 'Partially Refunded',
+  refunded: 'Refunded',
+}
+
+export default function OrderViewModal({ order, onClose, onOrderUpdated }) {
+  const totalDiscount = (order.bundleDiscount || 0) + (order.couponDiscount || 0)
+  const discountLabel = order.couponCode ? `Discount (${order.couponCode}):` : 'Discount:'
 
-export default function OrderViewModal({ order, onClose }) {
   const handlePrint = () => {
     const printContent = document.getElementById('invoice-content')
     const originalContent = document.body.innerHTML
@@ -389,7 +403,7 @@ export default function OrderViewModal({ order, onClose }) {
                 </div>
                 <div class="info-item">
                   <div class="info-label">Status</div>
-                  <div class="info-value" style="color: #059669;">✓ Paid</div>
+                  <div class="info-value" style="color: ${order.status === 'paid' ? '#059669' : '#dc2626'};">${paymentStatusLabels[order.status]}</div>
                 </div>
               </div>
 
@@ -436,19 +450,22 @@ export default function OrderViewModal({ order, onClose }) {
                     </tr>
                   </thead>
                   <tbody>
+                    ${order.items.map((item) => `
                     <tr>
                       <td>
-                        <div class="course-name">${order.course?.courseName || 'N/A'}</div>
+                        <div class="course-name">${item.course?.courseName || item.courseName || 'N/A'}</div>
                         <div class="course-details">Lifetime Access • Digital Course</div>
                       </td>
                       <td>
-                        <div class="instructor-info">${order.course?.instructor?.firstName || 'DineshKumar'}</div>
-                        <div class="instructor-email">${order.course?.instructor?.email || 'dinesh@beejaacademy.com'}</div>
+                        <div class="instructor-info">${item.course?.instructor?.firstName || 'DineshKumar'}</div>
+                        <div class="instructor-email">${item.course?.instructor?.email || 'dinesh@beejaacademy.com'}</div>
                       </td>
                       <td style="text-align: right;">
-                        <div class="amount">${order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</div>
+                        <div class="amount">${formatAmount(item.amount)}</div>
+                        ${item.discount > 0 ? `<div class="course-details">List price Rs. ${item.price}</div>` : ''}
+                        ${item.status === 'refunded' ? `<div class="course-details">Refunded Rs. ${item.refundedAmount}</div>` : ''}
                       </td>
-                    </tr>
+                    </tr>`).join('')}
                   </tbody>
                 </table>
               </div>
@@ -456,19 +473,24 @@ export default function OrderViewModal({ order, onClose }) {
               <div class="total-section">
                 <div class="total-row">
                   <span class="total-label">Subtotal:</span>
-                  <span class="total-value">${order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</span>
+                  <span class="total-value">${formatAmount(order.subtotal)}</span>
                 </div>
                 <div class="total-row">
-                  <span class="total-label">Tax (GST):</span>
-                  <span class="total-value">Rs. 0.00</span>
+                  <span class="total-label">${discountLabel}</span>
+                  <span class="total-value">- Rs. ${totalDiscount.toFixed(2)}</span>
                 </div>
                 <div class="total-row">
-                  <span class="total-label">Discount:</span>
-                  <span class="total-value">Rs. 0.00</span>
+                  <span class="total-label">Tax (GST ${order.taxRate || 0}%, included):</span>
+                  <span class="total-value">Rs. ${(order.taxAmount || 0).toFixed(2)}</span>
                 </div>
+                ${order.refundedAmount > 0 ? `
+                <div class="total-row">
+                  <span class="total-label">Refunded:</span>
+                  <span class="total-value">- Rs. ${order.refundedAmount.toFixed(2)}</span>
+                </div>` : ''}
                 <div class="total-row">
                   <span>Total Amount:</span>
-                  <span style="color: #059669;">${order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</span>
+                  <span style="color: #059669;">${formatAmount(order.totalAmount)}</span>
                 </div>
               </div>
             </div>
@@ -597,17 +619,25 @@ export default function OrderViewModal({ order, onClose }) {
                 <span className="font-medium text-richblack-5">Transaction ID: </span>
                 <span className="text-richblack-300">{order.transactionId}</span>
               </div>
+              {order.invoiceNumber && (
+                <div>
+                  <span className="font-medium text-richblack-5">Invoice No: </span>
+                  <span className="text-richblack-300">{order.invoiceNumber}</span>
+                </div>
+              )}
               <div>
                 <span className="font-medium text-richblack-5">Payment Method: </span>
                 <span className="text-richblack-300">{order.paymentMethod}</span>
               </div>
               <div>
                 <span className="font-medium text-richblack-5">Currency: </span>
-                <span className="text-richblack-300">INR</span>
+                <span className="text-richblack-300">{order.currency || 'INR'}</span>
               </div>
               <div>
                 <span className="font-medium text-richblack-5">Payment Status: </span>
-                <span className="text-green-400">Received</span>
+                <span className={order.status === 'paid' ? 'text-green-400' : 'text-pink-200'}>
+                  {paymentStatusLabels[order.status]}
+                </span>
               </div>
               <div>
                 <span className="font-medium text-richblack-5">Enroll On: </span>
@@ -637,29 +667,59 @@ export default function OrderViewModal({ order, onClose }) {
                   </tr>
                 </thead>
                 <tbody>
-                  <tr className="border-t border-richblack-700 bg-richblack-700 bg-opacity-50">
-                    <td className="p-4">
-                      <div>
-                        <p className="font-medium text-richblack-5">{order.course?.courseName || 'N/A'}</p>
-                        <p className="text-xs text-richblack-300">Lifetime Access</p>
-                      </div>
-                    </td>
-                    <td className="p-4">
-                      <div>
-                        <p className="text-richblack-5">{order.course?.instructor?.firstName || 'DineshKumar'}</p>
-                        <p className="text-xs text-richblack-300">{order.course?.instructor?.email || 'dinesh@beejaacademy.com'}</p>
-                      </div>
-                    </td>
-                    <td className="p-4 text-right">
-                      <p className="font-medium text-yellow-50">{order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
-                    </td>
-                  </tr>
+                  {order.items.map((item) => (
+                    <tr key={item._id} className="border-t border-richblack-700 bg-richblack-700 bg-opacity-50">
+                      <td className="p-4">
+                        <div>
+                          <p className="font-medium text-richblack-5">{item.course?.courseName || item.courseName || 'N/A'}</p>
+                          <p className="text-xs text-richblack-300">Lifetime Access</p>
+                        </div>
+                      </td>
+                      <td className="p-4">
+                        <div>
+                          <p className="text-richblack-5">{item.course?.instructor?.firstName || 'DineshKumar'}</p>
+                          <p className="text-xs text-richblack-300">{item.course?.instructor?.email || 'dinesh@beejaacademy.com'}</p>
+                        </div>
+                      </td>
+                      <td className="p-4 text-right">
+                        <p className="font-medium text-yellow-50">{formatAmount(item.amount)}</p>
+                        {item.discount > 0 && (
+                          <p className="text-xs text-richblack-300 line-through">Rs. {item.price}</p>
+                        )}
+                        {item.status === 'refunded' && (
+                          <p className="text-xs text-pink-200">Refunded Rs. {item.refundedAmount}</p>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
                 </tbody>
                 <tfoot>
+                  <tr className="border-t border-richblack-600 bg-richblack-700">
+                    <td colSpan="2" className="p-4 text-right text-richblack-300">Subtotal:</td>
+                    <td className="p-4 text-right text-richblack-5">{formatAmount(order.subtotal)}</td>
+                  </tr>
+                  {totalDiscount > 0 && (
+                    <tr className="bg-richblack-700">
+                      <td colSpan="2" className="p-4 text-right text-richblack-300">{discountLabel}</td>
+                      <td className="p-4 text-right text-caribbeangreen-100">- Rs. {totalDiscount.toFixed(2)}</td>
+                    </tr>
+                  )}
+                  <tr className="bg-richblack-700">
+                    <td colSpan="2" className="p-4 text-right text-richblack-300">
+                      Tax (GST {order.taxRate || 0}%, included):
+                    </td>
+                    <td className="p-4 text-right text-richblack-5">Rs. {(order.taxAmount || 0).toFixed(2)}</td>
+                  </tr>
+                  {order.refundedAmount > 0 && (
+                    <tr className="bg-richblack-700">
+                      <td colSpan="2" className="p-4 text-right text-richblack-300">Refunded:</td>
+                      <td className="p-4 text-right text-pink-200">- Rs. {order.refundedAmount.toFixed(2)}</td>
+                    </tr>
+                  )}
                   <tr className="border-t border-richblack-600 bg-richblack-700">
                     <td colSpan="2" className="p-4 text-right font-semibold text-richblack-5">Total Amount:</td>
                     <td className="p-4 text-right">
-                      <p className="text-lg font-bold text-yellow-50">{order.amount === 0 ? 'Free' : `Rs. ${order.amount}`}</p>
+                      <p className="text-lg font-bold text-yellow-50">{formatAmount(order.totalAmount)}</p>
                     </td>
                   </tr>
                 </tfoot>
@@ -697,6 +757,8 @@ export default function OrderViewModal({ order, onClose }) {
             </div>
           </div>
         </div>
+
+        <RefundOrderForm key={order.refunds?.length || 0} order={order} onOrderUpdated={onOrderUpdated} />
       </div>
     </div>
   )
@@ -4,6 +4,20 @@ import { FiDownload, FiEye, FiSearch } from 'react-icons/fi'
 import { getAllOrders, updateOrderStatus, generateOrdersPDF } from '../../../services/operations/orderAPI'
 import OrderViewModal from './OrderViewModal'
 
+const getCourseNames = (order) =>
+  order.items?.map((item) => item.course?.courseName || item.courseName).join(', ') || 'N/A'
+
+// Paid orders show whether access is on; other orders show their payment status
+const getStatusLabel = (order) => {
+  if (order.status === 'partially_refunded') {
+    return 'Part Refunded'
+  }
+  if (order.status !== 'paid') {
+    return order.status.charAt(0).toUpperCase() + order.status.slice(1)
+  }
+  return order.isActive ? 'Active' : 'Inactive'
+}
+
 export default function Orders() {
   const { token } = useSelector((state) => state.auth)
   const [orders, setOrders] = useState([])
@@ -42,7 +56,7 @@ export default function Orders() {
         order.user?.firstName?.toLowerCase().includes(searchString) ||
         order.user?.lastName?.toLowerCase().includes(searchString) ||
         order.user?.email?.toLowerCase().includes(searchString) ||
-        order.course?.courseName?.toLowerCase().includes(searchString) ||
+        getCourseNames(order).toLowerCase().includes(searchString) ||
         order.transactionId?.toLowerCase().includes(searchString)
       )
     })
@@ -56,18 +70,26 @@ export default function Orders() {
       return 0
     })
 
-  // Handle status toggle
-  const handleStatusToggle = async (orderId, newStatus) => {
-    const success = await updateOrderStatus(token, orderId, newStatus)
+  // Handle access toggle
+  const handleStatusToggle = async (orderId, isActive) => {
+    const success = await updateOrderStatus(token, orderId, isActive)
     if (success) {
       setOrders((prev) =>
         prev.map((order) =>
-          order._id === orderId ? { ...order, status: newStatus } : order
+          order._id === orderId ? { ...order, isActive } : order
         )
       )
     }
   }
 
+  // Replace an order after a refund so the list and the open modal stay in sync
+  const handleOrderUpdated = (updatedOrder) => {
+    setOrders((prev) =>
+      prev.map((order) => (order._id === updatedOrder._id ? updatedOrder : order))
+    )
+    setSelectedOrder(updatedOrder)
+  }
+
   // Generate PDF
   const handleGeneratePDF = () => {
     generateOrdersPDF(token)
@@ -145,21 +167,21 @@ export default function Orders() {
                   </div>
                   <div className="flex items-center gap-2">
                     <button
-                      onClick={() => handleStatusToggle(order._id, !order.status)}
+                      onClick={() => handleStatusToggle(order._id, !order.isActive)}
                       className={`${
-                        order.status 
+                        order.isActive 
                           ? 'bg-gradient-to-r from-green-500 to-green-400' 
                           : 'bg-gradient-to-r from-richblack-600 to-richblack-500'
                       } relative inline-flex h-6 w-10 items-center rounded-full transition-all duration-300`}
                     >
                       <span
                         className={`${
-                          order.status ? 'translate-x-5' : 'translate-x-1'
+                          order.isActive ? 'translate-x-5' : 'translate-x-1'
                         } inline-block h-4 w-4 transform rounded-full bg-white transition-transform duration-300`}
                       />
                     </button>
-                    <span className={`text-xs ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
-                      {order.status ? 'Active' : 'Inactive'}
+                    <span className={`text-xs ${order.isActive && order.status === 'paid' ? 'text-green-400' : 'text-richblack-400'}`}>
+                      {getStatusLabel(order)}
                     </span>
                   </div>
                 </div>
@@ -170,7 +192,7 @@ export default function Orders() {
                     {order.user ? `${order.user.firstName || ''} ${order.user.lastName || ''}`.trim() : 'N/A'}
                   </p>
                   <p className="text-xs text-blue-300 truncate">{order.user?.email || 'N/A'}</p>
-                  <p className="text-xs text-green-300 truncate">{order.course?.courseName || 'N/A'}</p>
+                  <p className="text-xs text-green-300 truncate">{getCourseNames(order)}</p>
                 </div>
 
                 {/* Payment Details */}
@@ -183,7 +205,7 @@ export default function Orders() {
                     <span className="text-xs bg-richblack-600 px-2 py-1 rounded text-orange-300">
                       {order.paymentMethod}
                     </span>
-                    <span className="text-sm font-bold text-green-400">₹{order.amount}</span>
+                    <span className="text-sm font-bold text-green-400">₹{order.totalAmount}</span>
                   </div>
                 </div>
 
@@ -288,7 +310,7 @@ export default function Orders() {
                       </p>
                       <p className="flex items-center gap-2 text-xs text-richblack-300">
                         <span className="text-richblack-400">Course:</span> 
-                        <span className="text-green-300 truncate">{order.course?.courseName || 'N/A'}</span>
+                        <span className="text-green-300 truncate">{getCourseNames(order)}</span>
                       </p>
                     </div>
                   </td>
@@ -304,7 +326,7 @@ export default function Orders() {
                       </p>
                       <p className="flex items-center gap-2 text-sm xl:text-lg font-bold text-yellow-50">
                         <span className="text-richblack-400 text-xs font-normal">Amount:</span> 
-                        <span className="text-green-400">₹{order.amount}</span>
+                        <span className="text-green-400">₹{order.totalAmount}</span>
                       </p>
                     </div>
                   </td>
@@ -328,21 +350,21 @@ export default function Orders() {
                   <td className="p-4 xl:p-6">
                     <div className="flex flex-col items-start gap-2">
                       <button
-                        onClick={() => handleStatusToggle(order._id, !order.status)}
+                        onClick={() => handleStatusToggle(order._id, !order.isActive)}
                         className={`${
-                          order.status 
+                          order.isActive 
                             ? 'bg-gradient-to-r from-green-500 to-green-400 shadow-green-500/30' 
                             : 'bg-gradient-to-r from-richblack-600 to-richblack-500 shadow-richblack-600/30'
                         } relative inline-flex h-6 w-10 xl:h-7 xl:w-12 items-center rounded-full shadow-lg transition-all duration-300 hover:scale-110 focus:outline-none focus:ring-2 focus:ring-yellow-50 focus:ring-offset-2 focus:ring-offset-richblack-800`}
                       >
                         <span
                           className={`${
-                            order.status ? 'translate-x-5 xl:translate-x-6' : 'translate-x-1'
+                            order.isActive ? 'translate-x-5 xl:translate-x-6' : 'translate-x-1'
                           } inline-block h-4 w-4 xl:h-5 xl:w-5 transform rounded-full bg-white shadow-lg transition-transform duration-300`}
                         />
                       </button>
-                      <span className={`text-xs font-medium ${order.status ? 'text-green-400' : 'text-richblack-400'}`}>
-                        {order.status ? 'Active' : 'Inactive'}
+                      <span className={`text-xs font-medium ${order.isActive && order.status === 'paid' ? 'text-green-400' : 'text-richblack-400'}`}>
+                        {getStatusLabel(order)}
                       </span>
                     </div>
                   </td>
@@ -395,6 +417,7 @@ export default function Orders() {
       {showViewModal && selectedOrder && (
         <OrderViewModal
           order={selectedOrder}
+          onOrderUpdated={handleOrderUpdated}
           onClose={() => {
             setShowViewModal(false)
             setSelectedOrder(null)
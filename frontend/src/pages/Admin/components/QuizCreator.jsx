@@ -2,13 +2,107 @@ import { useState, useEffect, useRef } from "react"
 import { useSelector } from "react-redux"
 import { useForm } from "react-hook-form"
 import { toast } from "react-hot-toast"
-import { RiAddLine, RiDeleteBin6Line } from "react-icons/ri"
+import { RiAddLine, RiDeleteBin6Line, RiArrowUpLine, RiArrowDownLine } from "react-icons/ri"
 import { createQuiz, updateQuiz } from "../../../services/operations/quizAPI"
+import { getQuestionBanks, createQuestionBank, addBankQuestions } from "../../../services/operations/questionBankAPI"
+import QuizImportExport from "./QuizImportExport"
+
+const emptyDrawRule = () => ({ bank: "", topic: "", difficulty: "", count: 5 })
+
+// Blank n of a cloze question's text
+const CLOZE_MARKER = /\[\[(\d+)\]\]/g
+
+// Questions from a saved quiz or an imported file, filled out to the shape the editor works with
+const toEditorQuestion = (q) => {
+  let baseQuestion = {
+    questionText: q.questionText || "",
+    questionType: q.questionType || "multipleChoice",
+    options: [],
+    answers: [], // For match the following
+    correctAnswers: q.correctAnswers || [],
+    correctAnswer: q.correctAnswer !== undefined ? q.correctAnswer : null,
+    keywords: Array.isArray(q.keywords) ? [...q.keywords] : [], // Deep copy keywords array
+    keywordThreshold: q.keywordThreshold ?? 50,
+    manualGrading: q.manualGrading || false,
+    rubric: (q.rubric || []).map(line => ({ criterion: line.criterion, points: line.points })),
+    marks: q.marks || 5,
+    required: q.required !== undefined ? q.required : true,
+    topic: q.topic || "",
+    difficulty: q.difficulty || "medium",
+    explanation: q.explanation || ""
+  };
+
+  // Ensure keywords are properly initialized for short answer questions
+  if (q.questionType === "shortAnswer" && !baseQuestion.keywords.length && q.keywords) {
+    baseQuestion.keywords = Array.isArray(q.keywords) ? [...q.keywords] : [];
+  }
+
+  // Special handling for match the following questions
+  if (q.questionType === "matchTheFollowing") {
+    // Ensure both options and answers arrays exist and have proper length
+    const maxLength = Math.max(
+      (q.options || []).length,
+      (q.answers || []).length,
+      4 // minimum length
+    );
+    baseQuestion.options = Array(maxLength).fill("").map((_, i) => q.options?.[i] || "");
+    baseQuestion.answers = Array(maxLength).fill("").map((_, i) => q.answers?.[i] || "");
+  } else {
+    // For other question types
+    baseQuestion.options = q.options || ["", "", "", ""];
+    baseQuestion.answers = q.answers || [];
+  }
+
+  // Add code solving specific fields if it's a code solving question
+  if (q.questionType === "codeSolve") {
+    baseQuestion.programmingLanguage = q.programmingLanguage || 'javascript';
+    baseQuestion.starterCode = q.starterCode || '// Write your code here\n';
+    baseQuestion.testCases = q.testCases || [{
+      input: '',
+      expectedOutput: '',
+      isHidden: false,
+      weight: 1
+    }];
+    baseQuestion.outputComparison = q.outputComparison || 'trim';
+    baseQuestion.floatTolerance = q.floatTolerance ?? 0.000001;
+  }
+
+  if (q.questionType === "numeric") {
+    baseQuestion.numericAnswer = q.numericAnswer ?? "";
+    baseQuestion.tolerance = q.tolerance ?? 0;
+    baseQuestion.toleranceType = q.toleranceType || "absolute";
+    baseQuestion.units = (q.units || []).map(unit => ({ unit: unit.unit, multiplier: unit.multiplier ?? 1 }));
+    baseQuestion.unitRequired = q.unitRequired || false;
+  }
+
+  if (q.questionType === "cloze") {
+    baseQuestion.blanks = (q.blanks || []).map(blank => ({
+      answers: [...(blank.answers || [])],
+      caseSensitive: blank.caseSensitive || false
+    }));
+  }
+
+  return baseQuestion;
+}
 
 export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuccess }) {
   const { token } = useSelector((state) => state.auth)
   const [loading, setLoading] = useState(false)
   const [timeLimit, setTimeLimit] = useState(10) // Default 10 minutes
+  const [passingPercentage, setPassingPercentage] = useState(60)
+  const [maxAttempts, setMaxAttempts] = useState(0) // 0 = unlimited
+  const [cooldownMinutes, setCooldownMinutes] = useState(0)
+  const [scoringPolicy, setScoringPolicy] = useState("latest")
+  const [lateSubmissionPolicy, setLateSubmissionPolicy] = useState("autoSubmit")
+  const [reviewPolicy, setReviewPolicy] = useState("never")
+  const [questionSource, setQuestionSource] = useState("fixed")
+  const [drawRules, setDrawRules] = useState([emptyDrawRule()])
+  const [shuffleQuestions, setShuffleQuestions] = useState(false)
+  const [shuffleOptions, setShuffleOptions] = useState(false)
+  const [banks, setBanks] = useState([])
+  const [targetBankId, setTargetBankId] = useState("")
+  const [newBankName, setNewBankName] = useState("")
+  const [savingToBank, setSavingToBank] = useState(false)
   const [questions, setQuestions] = useState([
     {
         questionText: "",
@@ -18,8 +112,14 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         correctAnswers: [], // For multiple choice (array of indices)
         correctAnswer: null, // For single answer (single index)
         keywords: [], // For short answer questions
+        keywordThreshold: 50,
+        manualGrading: false,
+        rubric: [], // For short and long answer questions
         marks: 5,
-        required: true
+        required: true,
+        topic: "",
+        difficulty: "medium",
+        explanation: ""
     }
   ])
 
@@ -32,63 +132,46 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
   // Initialize with existing quiz data if editing
   useEffect(() => {
     if (existingQuiz) {
-      if (existingQuiz.questions) {
-        const processedQuestions = existingQuiz.questions.map(q => {
-          let baseQuestion = {
-            questionText: q.questionText || "",
-            questionType: q.questionType || "multipleChoice",
-            options: [],
-            answers: [], // For match the following
-            correctAnswers: q.correctAnswers || [],
-            correctAnswer: q.correctAnswer !== undefined ? q.correctAnswer : null,
-            keywords: Array.isArray(q.keywords) ? [...q.keywords] : [], // Deep copy keywords array
-            marks: q.marks || 5,
-            required: q.required !== undefined ? q.required : true
-          };
-
-          // Ensure keywords are properly initialized for short answer questions
-          if (q.questionType === "shortAnswer" && !baseQuestion.keywords.length && q.keywords) {
-            baseQuestion.keywords = Array.isArray(q.keywords) ? [...q.keywords] : [];
-          }
-
-          // Special handling for match the following questions
-          if (q.questionType === "matchTheFollowing") {
-            // Ensure both options and answers arrays exist and have proper length
-            const maxLength = Math.max(
-              (q.options || []).length,
-              (q.answers || []).length,
-              4 // minimum length
-            );
-            baseQuestion.options = Array(maxLength).fill("").map((_, i) => q.options?.[i] || "");
-            baseQuestion.answers = Array(maxLength).fill("").map((_, i) => q.answers?.[i] || "");
-          } else {
-            // For other question types
-            baseQuestion.options = q.options || ["", "", "", ""];
-            baseQuestion.answers = q.answers || [];
-          }
-
-          // Add code solving specific fields if it's a code solving question
-          if (q.questionType === "codeSolve") {
-            baseQuestion.programmingLanguage = q.programmingLanguage || 'javascript';
-            baseQuestion.starterCode = q.starterCode || '// Write your code here\n';
-            baseQuestion.testCases = q.testCases || [{
-              input: '',
-              expectedOutput: '',
-              isHidden: false
-            }];
-          }
-
-          return baseQuestion;
-        });
+      if (existingQuiz.questions?.length) {
+        const processedQuestions = existingQuiz.questions.map(toEditorQuestion);
         
         setQuestions(processedQuestions);
       }
       if (existingQuiz.timeLimit) {
         setTimeLimit(Math.floor(existingQuiz.timeLimit / 60)); // Convert seconds to minutes
       }
+      setPassingPercentage(existingQuiz.passingPercentage ?? 60);
+      setMaxAttempts(existingQuiz.maxAttempts ?? 0);
+      setCooldownMinutes(existingQuiz.cooldownMinutes ?? 0);
+      setScoringPolicy(existingQuiz.scoringPolicy || "latest");
+      setLateSubmissionPolicy(existingQuiz.lateSubmissionPolicy || "autoSubmit");
+      setReviewPolicy(existingQuiz.reviewPolicy || "never");
+      setQuestionSource(existingQuiz.questionSource || "fixed");
+      if (existingQuiz.drawRules?.length) {
+        setDrawRules(existingQuiz.drawRules.map(rule => ({
+          // The editor draws each rule from one bank (or all of them)
+          bank: rule.banks?.[0]?._id || rule.banks?.[0] || "",
+          topic: rule.topic || "",
+          difficulty: rule.difficulty || "",
+          count: rule.count || 1
+        })));
+      }
+      setShuffleQuestions(existingQuiz.shuffleQuestions ?? false);
+      setShuffleOptions(existingQuiz.shuffleOptions ?? false);
     }
   }, [existingQuiz])
 
+  // Load the question banks for draw rules and for saving questions to a bank
+  useEffect(() => {
+    const fetchBanks = async () => {
+      const result = await getQuestionBanks(token)
+      if (result) {
+        setBanks(result)
+      }
+    }
+    fetchBanks()
+  }, [token])
+
   const {
     register,
     handleSubmit,
@@ -106,8 +189,14 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         correctAnswers: [],
         correctAnswer: null,
         keywords: [], // For short answer questions
+        keywordThreshold: 50,
+        manualGrading: false,
+        rubric: [], // For short and long answer questions
         marks: 5,
-        required: true
+        required: true,
+        topic: "",
+        difficulty: "medium",
+        explanation: ""
       }])
     }
   }
@@ -121,6 +210,19 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     }
   }
 
+  // Add questions checked by the import preview, replacing the blank starter question
+  const importQuestions = (imported) => {
+    const kept = questions.filter(q => q.questionText.trim() !== "")
+    if (kept.length + imported.length > 25) {
+      toast.error(`A quiz can have at most 25 questions, ${25 - kept.length} more fit`)
+      return false
+    }
+    setQuestions([...kept, ...imported.map(toEditorQuestion)])
+    setValidationErrors({})
+    toast.success(`Added ${imported.length} question${imported.length === 1 ? "" : "s"}`)
+    return true
+  }
+
   // Handle question changes
   const handleQuestionChange = (index, field, value) => {
     const newQuestions = [...questions]
@@ -135,8 +237,8 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
     setQuestions(newQuestions)
   }
 
-  // Submit quiz
-  const onSubmit = async () => {
+  // Check every question, flagging the invalid ones. Returns whether all are valid
+  const validateQuestions = () => {
     // Clear previous validation errors
     setValidationErrors({});
     
@@ -154,9 +256,23 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         questionErrors.push('questionText');
       }
       
+      // Rubric lines need a description and must add up to the question's marks
+      if ((q.questionType === "shortAnswer" || q.questionType === "longAnswer") && q.rubric.length > 0) {
+        const rubricPoints = q.rubric.reduce((sum, line) => sum + (Number(line.points) || 0), 0);
+        if (q.rubric.some(line => !line.criterion.trim())) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Every rubric line needs a description`);
+          questionErrors.push('rubric');
+        } else if (rubricPoints !== q.marks) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Rubric points (${rubricPoints}) must add up to the marks (${q.marks})`);
+          questionErrors.push('rubric');
+        }
+      }
+
       if (q.questionType === "shortAnswer") {
-        // For short answer, check if keywords are provided
-        if (!q.keywords || q.keywords.length === 0) {
+        // For short answer, check if keywords are provided unless it is graded by hand
+        if (!q.manualGrading && (!q.keywords || q.keywords.length === 0)) {
           invalidQuestions.push(index);
           validationErrorsList.push(`Question ${index + 1}: At least one keyword is required`);
           questionErrors.push('keywords');
@@ -191,6 +307,48 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             questionErrors.push('testCases');
           }
         }
+      } else if (q.questionType === "numeric") {
+        if (q.numericAnswer === "" || !Number.isFinite(Number(q.numericAnswer))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: The answer must be a number`);
+          questionErrors.push('numericAnswer');
+        } else if (!(Number(q.tolerance) >= 0)) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Tolerance must be zero or more`);
+          questionErrors.push('numericAnswer');
+        }
+        if (q.units.some(unit => !unit.unit.trim() || !(Number(unit.multiplier) > 0))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Every unit needs a name and a multiplier above zero`);
+          questionErrors.push('units');
+        } else if (q.unitRequired && q.units.length === 0) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Add the units answers may be given in`);
+          questionErrors.push('units');
+        }
+      } else if (q.questionType === "ordering") {
+        const items = q.options.map(opt => opt.trim());
+        if (items.length < 2 || items.some(item => !item) || new Set(items).size !== items.length) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Ordering needs at least two different items, none of them empty`);
+          questionErrors.push('options');
+        }
+      } else if (q.questionType === "cloze") {
+        const markers = [...q.questionText.matchAll(CLOZE_MARKER)].map(match => Number(match[1]));
+        const unmarked = q.blanks.findIndex((_, blankIndex) => markers.filter(marker => marker === blankIndex + 1).length !== 1);
+        if (q.blanks.length === 0 || q.blanks.some(blank => !blank.answers.some(answer => answer.trim()))) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Every blank needs at least one accepted answer`);
+          questionErrors.push('blanks');
+        } else if (unmarked !== -1) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: Mark blank ${unmarked + 1} as [[${unmarked + 1}]] exactly once in the question text`);
+          questionErrors.push('blanks');
+        } else if (markers.some(marker => marker < 1 || marker > q.blanks.length)) {
+          invalidQuestions.push(index);
+          validationErrorsList.push(`Question ${index + 1}: The question text marks a blank that doesn't exist`);
+          questionErrors.push('blanks');
+        }
       } else if (q.questionType === "multipleChoice" || q.questionType === "singleAnswer") {
         // Validate options are filled
         if (q.options.some(opt => !opt.trim())) {
@@ -229,60 +387,166 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
       if (questionRefs.current[invalidQuestions[0]]) {
         questionRefs.current[invalidQuestions[0]].scrollIntoView({ behavior: 'smooth', block: 'center' });
       }
-      return;
+      return false;
     }
+    return true;
+  }
 
-    setLoading(true)
-    try {
-      // Clean up questions data
-      const cleanedQuestions = questions.map(q => {
-        const base = {
-          questionText: q.questionText.trim(),
-          questionType: q.questionType,
-          marks: q.marks,
-          required: q.required
-        }
+  // Questions as the API takes them
+  const getCleanedQuestions = () => questions.map(q => {
+    const base = {
+      questionText: q.questionText.trim(),
+      questionType: q.questionType,
+      marks: q.marks,
+      required: q.required,
+      topic: (q.topic || '').trim(),
+      difficulty: q.difficulty || 'medium',
+      explanation: (q.explanation || '').trim()
+    }
 
-        if (q.questionType === "shortAnswer") {
-          return { 
-            ...base, 
-            options: [],
-            keywords: q.keywords || []
-          }
-        }
+    if (q.questionType === "shortAnswer") {
+      return { 
+        ...base, 
+        options: [],
+        keywords: q.keywords || [],
+        keywordThreshold: Number(q.keywordThreshold) || 50,
+        manualGrading: q.manualGrading,
+        rubric: q.rubric.map(line => ({ criterion: line.criterion.trim(), points: Number(line.points) }))
+      }
+    }
 
-        if (q.questionType === "codeSolve") {
-          return {
-            ...base,
-            programmingLanguage: q.programmingLanguage || 'javascript',
-            starterCode: q.starterCode || '',
-            testCases: q.testCases || [],
-            options: [] // Code solving questions don't have options
-          }
-        }
+    if (q.questionType === "longAnswer") {
+      return {
+        ...base,
+        options: [],
+        rubric: q.rubric.map(line => ({ criterion: line.criterion.trim(), points: Number(line.points) }))
+      }
+    }
 
-        if (q.questionType === "matchTheFollowing") {
-          return {
-            ...base,
-            options: q.options.map(opt => opt.trim()),
-            answers: q.answers.map(ans => ans.trim()),
-            // For match the following, each index maps to its corresponding answer
-            correctAnswers: q.options.map((_, index) => index)
-          }
-        }
+    if (q.questionType === "codeSolve") {
+      return {
+        ...base,
+        programmingLanguage: q.programmingLanguage || 'javascript',
+        starterCode: q.starterCode || '',
+        testCases: (q.testCases || []).map(testCase => ({
+          ...testCase,
+          weight: testCase.weight === '' || testCase.weight === undefined ? 1 : Number(testCase.weight)
+        })),
+        outputComparison: q.outputComparison || 'trim',
+        floatTolerance: Number(q.floatTolerance ?? 0.000001),
+        options: [] // Code solving questions don't have options
+      }
+    }
 
-        return {
-          ...base,
-          options: q.options.map(opt => opt.trim()),
-          correctAnswers: q.questionType === "multipleChoice" ? (q.correctAnswers || []) : [],
-          correctAnswer: q.questionType === "singleAnswer" ? q.correctAnswer : null
-        }
-      })
+    if (q.questionType === "numeric") {
+      return {
+        ...base,
+        options: [],
+        numericAnswer: Number(q.numericAnswer),
+        tolerance: Number(q.tolerance) || 0,
+        toleranceType: q.toleranceType,
+        units: q.units.map(unit => ({ unit: unit.unit.trim(), multiplier: Number(unit.multiplier) })),
+        unitRequired: q.unitRequired
+      }
+    }
+
+    if (q.questionType === "ordering") {
+      // Items are saved in the correct order; students get them shuffled
+      return { ...base, options: q.options.map(opt => opt.trim()) }
+    }
+
+    if (q.questionType === "cloze") {
+      return {
+        ...base,
+        options: [],
+        blanks: q.blanks.map(blank => ({
+          answers: blank.answers.map(answer => answer.trim()).filter(Boolean),
+          caseSensitive: blank.caseSensitive
+        }))
+      }
+    }
+
+    if (q.questionType === "matchTheFollowing") {
+      return {
+        ...base,
+        options: q.options.map(opt => opt.trim()),
+        answers: q.answers.map(ans => ans.trim()),
+        // For match the following, each index maps to its corresponding answer
+        correctAnswers: q.options.map((_, index) => index)
+      }
+    }
+
+    return {
+      ...base,
+      options: q.options.map(opt => opt.trim()),
+      correctAnswers: q.questionType === "multipleChoice" ? (q.correctAnswers || []) : [],
+      correctAnswer: q.questionType === "singleAnswer" ? q.correctAnswer : null
+    }
+  })
+
+  // Handle draw rule changes
+  const handleDrawRuleChange = (index, field, value) => {
+    setDrawRules(drawRules.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)))
+  }
+
+  // Save the questions in the editor to the selected bank, or to a new one
+  const saveQuestionsToBank = async () => {
+    if (!targetBankId && !newBankName.trim()) {
+      toast.error("Choose a bank or enter a name for a new one")
+      return
+    }
+    if (!validateQuestions()) {
+      return
+    }
+
+    setSavingToBank(true)
+    const bankQuestions = getCleanedQuestions()
+    const bank = targetBankId
+      ? await addBankQuestions(targetBankId, bankQuestions, token)
+      : await createQuestionBank({ name: newBankName.trim(), questions: bankQuestions }, token)
+    if (bank) {
+      setBanks(await getQuestionBanks(token))
+      setTargetBankId(bank._id)
+      setNewBankName("")
+    }
+    setSavingToBank(false)
+  }
+
+  // Submit quiz
+  const onSubmit = async () => {
+    if (questionSource === "fixed" && !validateQuestions()) {
+      return;
+    }
+    if (questionSource === "bank" && drawRules.some(rule => !(rule.count >= 1))) {
+      toast.error("Every draw rule must draw at least one question");
+      return;
+    }
 
+    setLoading(true)
+    try {
       const quizData = {
         subSectionId,
-        questions: cleanedQuestions,
-        timeLimit: timeLimit * 60 // Convert minutes to seconds
+        questionSource,
+        // Bank quizzes keep whatever questions they had; only fixed quizzes ask them
+        ...(questionSource === "fixed"
+          ? { questions: getCleanedQuestions() }
+          : {
+              drawRules: drawRules.map(rule => ({
+                banks: rule.bank ? [rule.bank] : [],
+                topic: rule.topic.trim(),
+                difficulty: rule.difficulty,
+                count: Number(rule.count)
+              }))
+            }),
+        shuffleQuestions,
+        shuffleOptions,
+        timeLimit: timeLimit * 60, // Convert minutes to seconds
+        passingPercentage,
+        maxAttempts,
+        cooldownMinutes,
+        scoringPolicy,
+        lateSubmissionPolicy,
+        reviewPolicy
       }
       
       console.log("Submitting quiz data:", quizData)
@@ -339,13 +603,205 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
             </div>
               <p className="text-xs text-richblack-300 mt-1">Set between 1-180 minutes (default: 10 minutes)</p>
           </div>
+          <div className="flex-1">
+            <label className="text-sm text-richblack-300 mb-2 block">When Time Runs Out</label>
+            <select
+              value={lateSubmissionPolicy}
+              onChange={(e) => setLateSubmissionPolicy(e.target.value)}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="autoSubmit">Submit the last saved answers</option>
+              <option value="reject">Reject late submissions</option>
+            </select>
+            <p className="text-xs text-richblack-300 mt-1">Applies to attempts still open after the grace period</p>
+          </div>
+        </div>
+      </div>
+
+      {/* Attempt Settings */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-richblack-5 mb-4">Attempt Settings</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Passing Score (%)</label>
+            <input
+              type="number"
+              value={passingPercentage}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                if (value >= 0 && value <= 100) {
+                  setPassingPercentage(value);
+                }
+              }}
+              min="0"
+              max="100"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Maximum Attempts</label>
+            <input
+              type="number"
+              value={maxAttempts}
+              onChange={(e) => {
+                const value = parseInt(e.target.value);
+                if (value >= 0) {
+                  setMaxAttempts(value);
+                }
+              }}
+              min="0"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+            <p className="text-xs text-richblack-300 mt-1">0 allows unlimited attempts</p>
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Cooldown Between Attempts (minutes)</label>
+            <input
+              type="number"
+              value={cooldownMinutes}
+              onChange={(e) => {
+                const value = Number(e.target.value);
+                if (value >= 0) {
+                  setCooldownMinutes(value);
+                }
+              }}
+              min="0"
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            />
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Score That Counts</label>
+            <select
+              value={scoringPolicy}
+              onChange={(e) => setScoringPolicy(e.target.value)}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="latest">Latest attempt</option>
+              <option value="highest">Highest attempt</option>
+              <option value="average">Average of all attempts</option>
+            </select>
+          </div>
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Students See Correct Answers</label>
+            <select
+              value={reviewPolicy}
+              onChange={(e) => setReviewPolicy(e.target.value)}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="never">Never</option>
+              <option value="afterSubmit">After each submission</option>
+              <option value="afterPassing">After passing</option>
+              <option value="afterAttemptLimit">When no attempts are left</option>
+            </select>
+            <p className="text-xs text-richblack-300 mt-1">Reviews show each answer with the correct one and its explanation</p>
+          </div>
         </div>
       </div>
 
+      {/* Question Source */}
+      <div className="bg-richblack-700 rounded-lg p-4">
+        <h3 className="text-lg font-semibold text-richblack-5 mb-4">Question Source</h3>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="text-sm text-richblack-300 mb-2 block">Questions Asked</label>
+            <select
+              value={questionSource}
+              onChange={(e) => setQuestionSource(e.target.value)}
+              className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none transition-colors"
+            >
+              <option value="fixed">The questions below</option>
+              <option value="bank">Drawn from question banks per attempt</option>
+            </select>
+          </div>
+          <div className="flex flex-col justify-center gap-2">
+            <label className="flex items-center gap-2 text-sm text-richblack-5">
+              <input
+                type="checkbox"
+                checked={shuffleQuestions}
+                onChange={(e) => setShuffleQuestions(e.target.checked)}
+                className="form-checkbox h-4 w-4 text-yellow-50"
+              />
+              Shuffle question order
+            </label>
+            <label className="flex items-center gap-2 text-sm text-richblack-5">
+              <input
+                type="checkbox"
+                checked={shuffleOptions}
+                onChange={(e) => setShuffleOptions(e.target.checked)}
+                className="form-checkbox h-4 w-4 text-yellow-50"
+              />
+              Shuffle answer options
+            </label>
+          </div>
+        </div>
+
+        {questionSource === "bank" && (
+          <div className="mt-4 space-y-3">
+            <p className="text-sm text-richblack-300">
+              Each attempt draws its own questions: every rule picks the given number of questions at random from the matching bank questions
+            </p>
+            {drawRules.map((rule, rIndex) => (
+              <div key={rIndex} className="grid grid-cols-1 md:grid-cols-[2fr_2fr_1fr_1fr_auto] gap-2 items-center">
+                <select
+                  value={rule.bank}
+                  onChange={(e) => handleDrawRuleChange(rIndex, "bank", e.target.value)}
+                  className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                >
+                  <option value="">All banks</option>
+                  {banks.map(bank => (
+                    <option key={bank._id} value={bank._id}>
+                      {bank.name} ({bank.questionCount})
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={rule.topic}
+                  onChange={(e) => handleDrawRuleChange(rIndex, "topic", e.target.value)}
+                  placeholder="Any topic"
+                  className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                />
+                <select
+                  value={rule.difficulty}
+                  onChange={(e) => handleDrawRuleChange(rIndex, "difficulty", e.target.value)}
+                  className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                >
+                  <option value="">Any difficulty</option>
+                  <option value="easy">Easy</option>
+                  <option value="medium">Medium</option>
+                  <option value="hard">Hard</option>
+                </select>
+                <input
+                  type="number"
+                  value={rule.count}
+                  onChange={(e) => handleDrawRuleChange(rIndex, "count", parseInt(e.target.value) || "")}
+                  min="1"
+                  className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+                />
+                <button
+                  onClick={() => setDrawRules(drawRules.filter((_, i) => i !== rIndex))}
+                  disabled={drawRules.length <= 1}
+                  className="text-pink-300 hover:text-pink-200 p-1 disabled:opacity-50"
+                >
+                  <RiDeleteBin6Line />
+                </button>
+              </div>
+            ))}
+            <button
+              onClick={() => setDrawRules([...drawRules, emptyDrawRule()])}
+              className="flex items-center gap-2 text-yellow-50 text-sm"
+            >
+              <RiAddLine />
+              Add Draw Rule
+            </button>
+          </div>
+        )}
+      </div>
+
       {/* Questions Header */}
       <div className="flex items-center justify-between">
         <p className="text-lg font-semibold text-richblack-5">
-          Quiz Questions ({questions.length}/25)
+          {questionSource === "bank" ? "Questions to Add to a Bank" : "Quiz Questions"} ({questions.length}/25)
         </p>
         <button
           onClick={addQuestion}
@@ -357,6 +813,38 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
         </button>
       </div>
 
+      {/* Save to Bank */}
+      <div className="flex flex-col md:flex-row md:items-center gap-2">
+        <select
+          value={targetBankId}
+          onChange={(e) => setTargetBankId(e.target.value)}
+          className="bg-richblack-700 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+        >
+          <option value="">New bank...</option>
+          {banks.map(bank => (
+            <option key={bank._id} value={bank._id}>{bank.name}</option>
+          ))}
+        </select>
+        {!targetBankId && (
+          <input
+            type="text"
+            value={newBankName}
+            onChange={(e) => setNewBankName(e.target.value)}
+            placeholder="New bank name"
+            className="bg-richblack-700 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+          />
+        )}
+        <button
+          onClick={saveQuestionsToBank}
+          disabled={savingToBank}
+          className="bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200 disabled:opacity-50"
+        >
+          {savingToBank ? "Saving..." : "Add These Questions to the Bank"}
+        </button>
+      </div>
+
+      <QuizImportExport quizId={existingQuiz?._id} onImport={importQuestions} />
+
 
       <div className="space-y-6 max-h-[60vh] overflow-y-auto">
         {questions.map((question, qIndex) => (
@@ -419,10 +907,29 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                     newQuestion.testCases = [{
                       input: '',
                       expectedOutput: '',
-                      isHidden: false
+                      isHidden: false,
+                      weight: 1
                     }];
+                    newQuestion.outputComparison = 'trim';
+                    newQuestion.floatTolerance = 0.000001;
                   }
                   
+                  if (newType === 'numeric') {
+                    newQuestion.numericAnswer = questions[qIndex].numericAnswer ?? '';
+                    newQuestion.tolerance = questions[qIndex].tolerance ?? 0;
+                    newQuestion.toleranceType = questions[qIndex].toleranceType || 'absolute';
+                    newQuestion.units = questions[qIndex].units || [];
+                    newQuestion.unitRequired = questions[qIndex].unitRequired || false;
+                  }
+
+                  if (newType === 'ordering' && newQuestion.options.length < 2) {
+                    newQuestion.options = Array(3).fill('');
+                  }
+
+                  if (newType === 'cloze' && !newQuestion.blanks?.length) {
+                    newQuestion.blanks = [{ answers: [''], caseSensitive: false }];
+                  }
+
                   // Initialize match the following with 3 pairs
                   if (newType === 'matchTheFollowing') {
                     newQuestion.options = Array(3).fill('');
@@ -453,8 +960,12 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                 <option value="multipleChoice">Multiple Choice</option>
                 <option value="singleAnswer">Single Answer</option>
                 <option value="shortAnswer">Short Answer</option>
+                <option value="longAnswer">Long Answer</option>
                 <option value="matchTheFollowing">Match the Following</option>
                 <option value="codeSolve">Code Solving</option>
+                <option value="numeric">Numeric</option>
+                <option value="ordering">Ordering</option>
+                <option value="cloze">Fill in the Blanks</option>
               </select>
             </div>
 
@@ -494,6 +1005,42 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                   />
                 </div>
 
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="space-y-2">
+                    <label className="text-sm text-richblack-5">Output Comparison</label>
+                    <select
+                      value={question.outputComparison || 'trim'}
+                      onChange={(e) => handleQuestionChange(qIndex, "outputComparison", e.target.value)}
+                      className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                    >
+                      <option value="trim">Ignore trailing whitespace</option>
+                      <option value="exact">Exact match</option>
+                      <option value="token">Token by token</option>
+                      <option value="float">Numbers within tolerance</option>
+                      <option value="regex">Regular expression</option>
+                    </select>
+                    {question.outputComparison === 'regex' && (
+                      <p className="text-xs text-richblack-300">Each expected output is a pattern the whole output must match</p>
+                    )}
+                    {question.outputComparison === 'exact' && (
+                      <p className="text-xs text-richblack-300">Output must match as printed, including input prompts and blank lines</p>
+                    )}
+                  </div>
+                  {question.outputComparison === 'float' && (
+                    <div className="space-y-2">
+                      <label className="text-sm text-richblack-5">Float Tolerance</label>
+                      <input
+                        type="number"
+                        min="0"
+                        step="any"
+                        value={question.floatTolerance ?? 0.000001}
+                        onChange={(e) => handleQuestionChange(qIndex, "floatTolerance", e.target.value)}
+                        className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3"
+                      />
+                    </div>
+                  )}
+                </div>
+
                 <div className="space-y-2">
                   <div className="flex justify-between items-center">
                     <label className="text-sm text-richblack-5">Test Cases</label>
@@ -506,7 +1053,8 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                         newQuestions[qIndex].testCases.push({
                           input: '',
                           expectedOutput: '',
-                          isHidden: false
+                          isHidden: false,
+                          weight: 1
                         });
                         setQuestions(newQuestions);
                       }}
@@ -564,19 +1112,36 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                             />
                           </div>
                         </div>
-                        <label className="flex items-center gap-2 text-sm text-richblack-300">
-                          <input
-                            type="checkbox"
-                            checked={testCase.isHidden}
-                            onChange={(e) => {
-                              const newQuestions = [...questions];
-                              newQuestions[qIndex].testCases[tIndex].isHidden = e.target.checked;
-                              setQuestions(newQuestions);
-                            }}
-                            className="rounded"
-                          />
-                          Hidden Test Case
-                        </label>
+                        <div className="flex items-center justify-between gap-4">
+                          <label className="flex items-center gap-2 text-sm text-richblack-300">
+                            <input
+                              type="checkbox"
+                              checked={testCase.isHidden}
+                              onChange={(e) => {
+                                const newQuestions = [...questions];
+                                newQuestions[qIndex].testCases[tIndex].isHidden = e.target.checked;
+                                setQuestions(newQuestions);
+                              }}
+                              className="rounded"
+                            />
+                            Hidden Test Case
+                          </label>
+                          <label className="flex items-center gap-2 text-sm text-richblack-300">
+                            Weight
+                            <input
+                              type="number"
+                              min="0"
+                              step="any"
+                              value={testCase.weight ?? 1}
+                              onChange={(e) => {
+                                const newQuestions = [...questions];
+                                newQuestions[qIndex].testCases[tIndex].weight = e.target.value === '' ? '' : Number(e.target.value);
+                                setQuestions(newQuestions);
+                              }}
+                              className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-1 text-sm"
+                            />
+                          </label>
+                        </div>
                       </div>
                     ))}
                   </div>
@@ -737,10 +1302,248 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
               </div>
             )}
 
+            {/* Numeric answer, tolerance and units */}
+            {question.questionType === "numeric" && (
+              <div className="space-y-3">
+                <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                  <div className="flex flex-col gap-1">
+                    <label className="text-sm text-richblack-5">Answer *</label>
+                    <input
+                      type="number"
+                      step="any"
+                      value={question.numericAnswer}
+                      onChange={(e) => handleQuestionChange(qIndex, "numericAnswer", e.target.value)}
+                      className={`bg-richblack-700 text-richblack-5 rounded-lg p-2 border ${
+                        validationErrors[qIndex]?.includes('numericAnswer') ? 'border-red-500' : 'border-richblack-600'
+                      }`}
+                    />
+                  </div>
+                  <div className="flex flex-col gap-1">
+                    <label className="text-sm text-richblack-5">Tolerance</label>
+                    <input
+                      type="number"
+                      step="any"
+                      min="0"
+                      value={question.tolerance}
+                      onChange={(e) => handleQuestionChange(qIndex, "tolerance", e.target.value)}
+                      className="bg-richblack-700 text-richblack-5 rounded-lg p-2 border border-richblack-600"
+                    />
+                  </div>
+                  <div className="flex flex-col gap-1">
+                    <label className="text-sm text-richblack-5">Tolerance Type</label>
+                    <select
+                      value={question.toleranceType}
+                      onChange={(e) => handleQuestionChange(qIndex, "toleranceType", e.target.value)}
+                      className="bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                    >
+                      <option value="absolute">Absolute (± value)</option>
+                      <option value="relative">Relative (± % of the answer)</option>
+                    </select>
+                  </div>
+                </div>
+                {validationErrors[qIndex]?.includes('numericAnswer') && (
+                  <span className="text-red-400 text-xs">Enter a numeric answer and a tolerance of zero or more</span>
+                )}
+                <div className="space-y-2">
+                  <label className="text-sm text-richblack-5">Units</label>
+                  <p className="text-xs text-richblack-300">
+                    The multiplier converts the answer into a unit, e.g. with an answer in metres, cm has a multiplier of 100.
+                  </p>
+                  {question.units.map((unit, unitIndex) => (
+                    <div key={unitIndex} className="flex items-center gap-2">
+                      <input
+                        type="text"
+                        value={unit.unit}
+                        onChange={(e) => handleQuestionChange(qIndex, "units", question.units.map((entry, i) => (
+                          i === unitIndex ? { ...entry, unit: e.target.value } : entry
+                        )))}
+                        placeholder="Unit, e.g. cm"
+                        className={`flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 border ${
+                          validationErrors[qIndex]?.includes('units') ? 'border-red-500' : 'border-richblack-600'
+                        }`}
+                      />
+                      <input
+                        type="number"
+                        step="any"
+                        min="0"
+                        value={unit.multiplier}
+                        onChange={(e) => handleQuestionChange(qIndex, "units", question.units.map((entry, i) => (
+                          i === unitIndex ? { ...entry, multiplier: e.target.value } : entry
+                        )))}
+                        className="w-28 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                      />
+                      <button
+                        type="button"
+                        onClick={() => handleQuestionChange(qIndex, "units", question.units.filter((_, i) => i !== unitIndex))}
+                        className="text-pink-300 hover:text-pink-200 p-1"
+                      >
+                        <RiDeleteBin6Line />
+                      </button>
+                    </div>
+                  ))}
+                  <button
+                    type="button"
+                    onClick={() => handleQuestionChange(qIndex, "units", [...question.units, { unit: "", multiplier: 1 }])}
+                    className="flex items-center gap-2 text-yellow-50 text-sm"
+                  >
+                    <RiAddLine />
+                    Add Unit
+                  </button>
+                  {question.units.length > 0 && (
+                    <label className="flex items-center gap-2 text-sm text-richblack-5">
+                      <input
+                        type="checkbox"
+                        checked={question.unitRequired}
+                        onChange={(e) => handleQuestionChange(qIndex, "unitRequired", e.target.checked)}
+                        className="rounded"
+                      />
+                      Answers must name a unit
+                    </label>
+                  )}
+                  {validationErrors[qIndex]?.includes('units') && (
+                    <span className="text-red-400 text-xs block">Every unit needs a name and a multiplier above zero</span>
+                  )}
+                </div>
+              </div>
+            )}
+
+            {/* Ordering items, written in the correct order */}
+            {question.questionType === "ordering" && (
+              <div className="space-y-2">
+                <label className="text-sm text-richblack-5">Items in the Correct Order *</label>
+                <p className="text-xs text-richblack-300">
+                  Students see the items shuffled and have to put them back in this order.
+                </p>
+                {question.options.map((option, oIndex) => (
+                  <div key={oIndex} className="flex items-center gap-2">
+                    <span className="w-6 text-sm text-richblack-300">{oIndex + 1}.</span>
+                    <input
+                      type="text"
+                      value={option}
+                      onChange={(e) => handleOptionChange(qIndex, oIndex, e.target.value)}
+                      placeholder={`Item ${oIndex + 1}`}
+                      className={`flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 border ${
+                        validationErrors[qIndex]?.includes('options') ? 'border-red-500' : 'border-richblack-600'
+                      }`}
+                    />
+                    {[[-1, <RiArrowUpLine key="up" />], [1, <RiArrowDownLine key="down" />]].map(([step, icon]) => (
+                      <button
+                        key={step}
+                        type="button"
+                        disabled={oIndex + step < 0 || oIndex + step >= question.options.length}
+                        onClick={() => {
+                          const items = [...question.options];
+                          [items[oIndex], items[oIndex + step]] = [items[oIndex + step], items[oIndex]];
+                          handleQuestionChange(qIndex, "options", items);
+                        }}
+                        className="text-richblack-300 hover:text-richblack-5 p-1 disabled:opacity-30"
+                      >
+                        {icon}
+                      </button>
+                    ))}
+                    <button
+                      type="button"
+                      disabled={question.options.length <= 2}
+                      onClick={() => handleQuestionChange(qIndex, "options", question.options.filter((_, i) => i !== oIndex))}
+                      className="text-pink-300 hover:text-pink-200 p-1 disabled:opacity-30"
+                    >
+                      <RiDeleteBin6Line />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => handleQuestionChange(qIndex, "options", [...question.options, ""])}
+                  className="flex items-center gap-2 text-yellow-50 text-sm"
+                >
+                  <RiAddLine />
+                  Add Item
+                </button>
+                {validationErrors[qIndex]?.includes('options') && (
+                  <span className="text-red-400 text-xs block">Add at least two different items and fill them all in</span>
+                )}
+              </div>
+            )}
+
+            {/* Blanks of a fill-in-the-blanks question */}
+            {question.questionType === "cloze" && (
+              <div className="space-y-2">
+                <label className="text-sm text-richblack-5">Blanks *</label>
+                <p className="text-xs text-richblack-300">
+                  Mark blank 1 as [[1]] in the question text, blank 2 as [[2]] and so on. List every accepted answer on its own line.
+                </p>
+                {question.blanks.map((blank, blankIndex) => (
+                  <div key={blankIndex} className="flex items-start gap-2">
+                    <span className="w-10 pt-2 text-sm text-richblack-300">[[{blankIndex + 1}]]</span>
+                    <div className="flex-1 space-y-1">
+                      <textarea
+                        value={blank.answers.join("\n")}
+                        onChange={(e) => handleQuestionChange(qIndex, "blanks", question.blanks.map((entry, i) => (
+                          i === blankIndex ? { ...entry, answers: e.target.value.split("\n") } : entry
+                        )))}
+                        rows={2}
+                        placeholder="Accepted answers, one per line"
+                        className={`w-full bg-richblack-700 text-richblack-5 rounded-lg p-2 border ${
+                          validationErrors[qIndex]?.includes('blanks') ? 'border-red-500' : 'border-richblack-600'
+                        }`}
+                      />
+                      <label className="flex items-center gap-2 text-xs text-richblack-300">
+                        <input
+                          type="checkbox"
+                          checked={blank.caseSensitive}
+                          onChange={(e) => handleQuestionChange(qIndex, "blanks", question.blanks.map((entry, i) => (
+                            i === blankIndex ? { ...entry, caseSensitive: e.target.checked } : entry
+                          )))}
+                          className="rounded"
+                        />
+                        Case sensitive
+                      </label>
+                    </div>
+                    <button
+                      type="button"
+                      disabled={question.blanks.length <= 1}
+                      onClick={() => handleQuestionChange(qIndex, "blanks", question.blanks.filter((_, i) => i !== blankIndex))}
+                      className="text-pink-300 hover:text-pink-200 p-1 disabled:opacity-30"
+                    >
+                      <RiDeleteBin6Line />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => {
+                    const newQuestions = [...questions];
+                    newQuestions[qIndex] = {
+                      ...question,
+                      questionText: `${question.questionText} [[${question.blanks.length + 1}]]`,
+                      blanks: [...question.blanks, { answers: [""], caseSensitive: false }]
+                    };
+                    setQuestions(newQuestions);
+                  }}
+                  className="flex items-center gap-2 text-yellow-50 text-sm"
+                >
+                  <RiAddLine />
+                  Add Blank
+                </button>
+                {validationErrors[qIndex]?.includes('blanks') && (
+                  <span className="text-red-400 text-xs block">Each blank needs an accepted answer and one [[n]] marker in the question text</span>
+                )}
+              </div>
+            )}
+
             {/* Keywords for Short Answer Questions */}
             {question.questionType === "shortAnswer" && (
               <div className="space-y-2">
-                <label className="text-sm text-richblack-5">Keywords *</label>
+                <label className="flex items-center gap-2 text-sm text-richblack-5">
+                  <input
+                    type="checkbox"
+                    checked={question.manualGrading}
+                    onChange={(e) => handleQuestionChange(qIndex, "manualGrading", e.target.checked)}
+                    className="rounded"
+                  />
+                  Grade by hand (keywords only suggest a score)
+                </label>
+                <label className="text-sm text-richblack-5">Keywords{question.manualGrading ? "" : " *"}</label>
                 <div className="space-y-2">
                   {/* Display existing keywords as tags */}
                   {question.keywords.length > 0 && (
@@ -800,12 +1603,84 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                     <span className="text-red-400 text-xs">At least one keyword is required</span>
                   )}
                 </div>
+                <div className="flex items-center gap-2">
+                  <label className="text-sm text-richblack-5">Keywords to match (%):</label>
+                  <input
+                    type="number"
+                    value={question.keywordThreshold}
+                    onChange={(e) => {
+                      const value = parseInt(e.target.value);
+                      if (value >= 1 && value <= 100) {
+                        handleQuestionChange(qIndex, "keywordThreshold", value);
+                      }
+                    }}
+                    min="1"
+                    max="100"
+                    className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                  />
+                </div>
                 <p className="text-xs text-richblack-300">
-                  Type a keyword and press Enter to add it as a tag. Student must match at least 50% of these keywords for the answer to be correct.
+                  Type a keyword and press Enter to add it as a tag. Student must match at least {question.keywordThreshold}% of these keywords (as whole words) for the answer to be correct.
                 </p>
               </div>
             )}
 
+            {/* Grading Rubric for Free-Text Questions */}
+            {(question.questionType === "shortAnswer" || question.questionType === "longAnswer") && (
+              <div className="space-y-2">
+                <label className="text-sm text-richblack-5">Grading Rubric</label>
+                {question.questionType === "longAnswer" && (
+                  <p className="text-xs text-richblack-300">
+                    Long answers are graded by hand from the grading queue.
+                  </p>
+                )}
+                {question.rubric.map((line, lineIndex) => (
+                  <div key={lineIndex} className="flex items-center gap-2">
+                    <input
+                      type="text"
+                      value={line.criterion}
+                      onChange={(e) => handleQuestionChange(qIndex, "rubric", question.rubric.map((entry, i) => (
+                        i === lineIndex ? { ...entry, criterion: e.target.value } : entry
+                      )))}
+                      placeholder="What earns these points"
+                      className={`flex-1 bg-richblack-700 text-richblack-5 rounded-lg p-2 border ${
+                        validationErrors[qIndex]?.includes('rubric') ? 'border-red-500' : 'border-richblack-600'
+                      }`}
+                    />
+                    <input
+                      type="number"
+                      value={line.points}
+                      onChange={(e) => handleQuestionChange(qIndex, "rubric", question.rubric.map((entry, i) => (
+                        i === lineIndex ? { ...entry, points: Number(e.target.value) } : entry
+                      )))}
+                      min="0"
+                      className="w-20 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+                    />
+                    <button
+                      type="button"
+                      onClick={() => handleQuestionChange(qIndex, "rubric", question.rubric.filter((_, i) => i !== lineIndex))}
+                      className="text-pink-300 hover:text-pink-200 p-1"
+                    >
+                      <RiDeleteBin6Line />
+                    </button>
+                  </div>
+                ))}
+                <button
+                  type="button"
+                  onClick={() => handleQuestionChange(qIndex, "rubric", [...question.rubric, { criterion: "", points: 1 }])}
+                  className="flex items-center gap-2 text-yellow-50 text-sm"
+                >
+                  <RiAddLine />
+                  Add Rubric Line
+                </button>
+                {question.rubric.length > 0 && (
+                  <p className="text-xs text-richblack-300">
+                    Rubric points must add up to the question&apos;s marks ({question.marks}).
+                  </p>
+                )}
+              </div>
+            )}
+
             {/* Marks and Required */}
             <div className="flex items-center gap-4">
               <div className="flex items-center gap-2">
@@ -828,6 +1703,35 @@ export default function QuizCreator({ subSectionId, existingQuiz, onClose, onSuc
                 />
                 Required
               </label>
+              <input
+                type="text"
+                value={question.topic}
+                onChange={(e) => handleQuestionChange(qIndex, "topic", e.target.value)}
+                placeholder="Topic"
+                className="w-40 bg-richblack-700 text-richblack-5 rounded-lg p-2"
+              />
+              <select
+                value={question.difficulty}
+                onChange={(e) => handleQuestionChange(qIndex, "difficulty", e.target.value)}
+                className="bg-richblack-700 text-richblack-5 rounded-lg p-2"
+              >
+                <option value="easy">Easy</option>
+                <option value="medium">Medium</option>
+                <option value="hard">Hard</option>
+              </select>
+            </div>
+
+            {/* Explanation shown when students review their attempt */}
+            <div className="space-y-2">
+              <label className="text-sm text-richblack-5">Explanation</label>
+              <textarea
+                value={question.explanation}
+                onChange={(e) => handleQuestionChange(qIndex, "explanation", e.target.value)}
+                placeholder="Why the correct answer is right (optional)"
+                rows={2}
+                maxLength={5000}
+                className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-3 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+              />
             </div>
           </div>
         ))}
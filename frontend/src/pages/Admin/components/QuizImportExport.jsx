@@ -0,0 +1,195 @@
+import { useState, useRef } from "react"
+import { useSelector } from "react-redux"
+import { previewQuizImport, exportQuiz } from "../../../services/operations/quizAPI"
+
+const FORMATS = [
+  { value: "gift", label: "Moodle GIFT", accept: ".gift,.txt" },
+  { value: "qti", label: "IMS QTI 2.1", accept: ".zip,.xml" },
+  { value: "csv", label: "CSV", accept: ".csv" },
+]
+
+// Columns of the CSV layout (backend/services/quizFormats/csv.js)
+const CSV_COLUMNS = [
+  ["questionType", "multipleChoice, singleAnswer, shortAnswer, matchTheFollowing, longAnswer, codeSolve, numeric, ordering or cloze"],
+  ["questionText", "The question; cloze questions mark blank n as [[n]]"],
+  ["options", "Choices, the left-hand items of a matching question, or ordering items in the correct order"],
+  ["correct", "Number of the correct option (1 = first); several for multipleChoice"],
+  ["answers", "Right-hand items of a matching question, in option order"],
+  ["keywords", "Short answer keywords"],
+  ["keywordThreshold", "% of the keywords an answer needs (1-100)"],
+  ["manualGrading", "true to grade short answers by hand"],
+  ["rubric", "criterion:points items, e.g. Clarity:2|Accuracy:3"],
+  ["numericAnswer, tolerance, toleranceType", "Numeric questions; toleranceType is absolute or relative (%)"],
+  ["units, unitRequired", "unit:multiplier items, e.g. m:1|cm:100; true to require a unit"],
+  ["blanks", "JSON array of { answers: [...], caseSensitive } for cloze blanks"],
+  ["marks, required, topic, difficulty", "difficulty is easy, medium or hard"],
+  ["programmingLanguage, starterCode, solutionCode, outputComparison, floatTolerance", "Code questions"],
+  ["testCases", "JSON array of { input, expectedOutput, isHidden, weight }"],
+]
+
+// Files are sent as text, except ZIP packages which go base64 encoded
+const readImportFile = async (file) => {
+  if (!file.name.toLowerCase().endsWith(".zip")) {
+    return { content: await file.text(), encoding: "text" }
+  }
+  const bytes = new Uint8Array(await file.arrayBuffer())
+  let binary = ""
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return { content: btoa(binary), encoding: "base64" }
+}
+
+export default function QuizImportExport({ quizId, onImport }) {
+  const { token } = useSelector((state) => state.auth)
+  const [format, setFormat] = useState("gift")
+  const [preview, setPreview] = useState(null)
+  const [checking, setChecking] = useState(false)
+  const [exportResult, setExportResult] = useState(null)
+  const [exporting, setExporting] = useState(false)
+  const fileInputRef = useRef(null)
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files[0]
+    if (!file) {
+      return
+    }
+    setChecking(true)
+    const { content, encoding } = await readImportFile(file)
+    setPreview(await previewQuizImport(format, content, encoding, token))
+    setChecking(false)
+  }
+
+  const clearPreview = () => {
+    setPreview(null)
+    if (fileInputRef.current) {
+      fileInputRef.current.value = ""
+    }
+  }
+
+  const addValidQuestions = () => {
+    if (onImport(preview.questions)) {
+      clearPreview()
+    }
+  }
+
+  const handleExport = async () => {
+    setExporting(true)
+    setExportResult(await exportQuiz(quizId, format, token))
+    setExporting(false)
+  }
+
+  const invalidItems = preview ? preview.items.filter(item => item.error) : []
+
+  return (
+    <div className="bg-richblack-700 rounded-lg p-4 space-y-4">
+      <h3 className="text-lg font-semibold text-richblack-5">Import / Export</h3>
+      <div className="flex flex-col md:flex-row md:items-center gap-2">
+        <select
+          value={format}
+          onChange={(e) => {
+            setFormat(e.target.value)
+            clearPreview()
+            setExportResult(null)
+          }}
+          className="bg-richblack-800 text-richblack-5 rounded-lg p-2 border border-richblack-600 focus:border-yellow-50 focus:outline-none"
+        >
+          {FORMATS.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={FORMATS.find(option => option.value === format).accept}
+          onChange={handleFileChange}
+          disabled={checking}
+          className="text-sm text-richblack-300 file:mr-3 file:rounded-lg file:border-0 file:bg-richblack-600 file:px-3 file:py-2 file:text-richblack-5"
+        />
+        {quizId && (
+          <button
+            onClick={handleExport}
+            disabled={exporting}
+            className="bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200 disabled:opacity-50 md:ml-auto"
+          >
+            {exporting ? "Exporting..." : "Export Saved Questions"}
+          </button>
+        )}
+      </div>
+
+      {format === "csv" && (
+        <details className="text-xs text-richblack-300">
+          <summary className="cursor-pointer text-richblack-100">CSV layout</summary>
+          <p className="mt-2">
+            The first row names the columns, in any order. Only questionType and questionText are required.
+            Separate list items with | (write \| for a literal pipe).
+          </p>
+          <ul className="mt-2 space-y-1">
+            {CSV_COLUMNS.map(([column, description]) => (
+              <li key={column}>
+                <span className="text-richblack-5 font-mono">{column}</span> - {description}
+              </li>
+            ))}
+          </ul>
+        </details>
+      )}
+
+      {checking && <p className="text-sm text-richblack-300">Checking file...</p>}
+
+      {preview && (
+        <div className="space-y-3">
+          {preview.fileError ? (
+            <p className="text-sm text-pink-200">
+              Line {preview.fileError.line}: {preview.fileError.message}
+            </p>
+          ) : (
+            <>
+              <p className="text-sm text-richblack-100">
+                {preview.questions.length} of {preview.items.length} questions can be imported
+                {invalidItems.length > 0 && ` · ${invalidItems.length} will be left out`}
+              </p>
+              <ul className="max-h-48 overflow-y-auto space-y-1 text-sm">
+                {preview.items.map((item, index) => (
+                  <li key={index} className={item.error ? "text-pink-200" : "text-richblack-300"}>
+                    {item.file ? `${item.file}, line ${item.line}` : `Line ${item.line}`}
+                    {item.questionText && ` · ${item.questionText.slice(0, 60)}`}
+                    {item.error ? ` - ${item.error}` : ` (${item.questionType})`}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+          <div className="flex gap-2">
+            {preview.questions.length > 0 && (
+              <button
+                onClick={addValidQuestions}
+                className="bg-yellow-50 text-richblack-900 px-3 py-2 rounded-lg hover:scale-95 transition-all duration-200"
+              >
+                Add {preview.questions.length} Valid Question{preview.questions.length === 1 ? "" : "s"} to the Editor
+              </button>
+            )}
+            <button
+              onClick={clearPreview}
+              className="bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+            >
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {exportResult && (exportResult.skipped.length > 0 || exportResult.warnings.length > 0) && (
+        <div className="text-sm space-y-1">
+          {exportResult.skipped.map(item => (
+            <p key={item.number} className="text-pink-200">
+              Question {item.number} was not exported: {item.reason}
+            </p>
+          ))}
+          {exportResult.warnings.map((warning, index) => (
+            <p key={index} className="text-yellow-100">{warning}</p>
+          ))}
+        </div>
+      )}
+    </div>
+  )
+}
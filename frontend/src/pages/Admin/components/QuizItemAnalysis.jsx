@@ -0,0 +1,143 @@
+import { useState, useEffect } from "react"
+import { useSelector } from "react-redux"
+import { getQuizItemAnalysis, exportQuizItemAnalysis } from "../../../services/operations/quizAPI"
+
+const QUESTION_TYPE_LABELS = {
+  multipleChoice: "Multiple Choice",
+  singleAnswer: "Single Answer",
+  shortAnswer: "Short Answer",
+  longAnswer: "Long Answer",
+  matchTheFollowing: "Match the Following",
+  codeSolve: "Code Solving",
+  numeric: "Numeric",
+  ordering: "Ordering",
+  cloze: "Fill in the Blanks",
+}
+
+// Usual rules of thumb: difficulty (share of marks earned) between 0.3 and 0.9, and
+// discrimination of 0.2 or more, make a question worth keeping as it is
+const getDifficultyColor = (value) => (value === null ? "text-richblack-300" : value < 0.3 || value > 0.9 ? "text-yellow-100" : "text-caribbeangreen-200")
+const getDiscriminationColor = (value) => (value === null ? "text-richblack-300" : value < 0.2 ? "text-pink-200" : "text-caribbeangreen-200")
+
+const formatIndex = (value) => (value === null ? "-" : value.toFixed(2))
+
+export default function QuizItemAnalysis({ quiz }) {
+  const { token } = useSelector((state) => state.auth)
+  const [analysis, setAnalysis] = useState(null)
+  const [loading, setLoading] = useState(false)
+
+  useEffect(() => {
+    const fetchAnalysis = async () => {
+      setLoading(true)
+      setAnalysis(await getQuizItemAnalysis(quiz._id, token))
+      setLoading(false)
+    }
+    fetchAnalysis()
+  }, [quiz._id, token])
+
+  if (loading) {
+    return <p className="text-richblack-300">Loading report...</p>
+  }
+
+  if (!analysis) {
+    return null
+  }
+
+  if (analysis.attemptCount === 0) {
+    return <p className="text-richblack-300">No attempts have been recorded for this quiz yet.</p>
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-sm text-richblack-300">
+          {analysis.attemptCount} attempt{analysis.attemptCount === 1 ? "" : "s"} by {analysis.studentCount} student{analysis.studentCount === 1 ? "" : "s"}.
+          Difficulty is the share of marks earned (higher is easier); discrimination compares the top and bottom 27% of attempts.
+        </p>
+        <button
+          onClick={() => exportQuizItemAnalysis(quiz._id, quiz.lectureTitle || "quiz", token)}
+          className="shrink-0 bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+        >
+          Export CSV
+        </button>
+      </div>
+
+      {analysis.questions.map(question => (
+        <div key={question.questionId} className="bg-richblack-700 rounded-lg p-4 space-y-3">
+          <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+            <p className="text-richblack-5">
+              <span className="text-richblack-300 mr-2">{question.number}.</span>
+              {question.questionText}
+            </p>
+            <span className="shrink-0 text-xs text-richblack-300">
+              {QUESTION_TYPE_LABELS[question.questionType] || question.questionType}
+            </span>
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+            <div>
+              <p className="text-richblack-300">Difficulty</p>
+              <p className={getDifficultyColor(question.difficultyIndex)}>{formatIndex(question.difficultyIndex)}</p>
+            </div>
+            <div>
+              <p className="text-richblack-300">Discrimination</p>
+              <p className={getDiscriminationColor(question.discriminationIndex)}>{formatIndex(question.discriminationIndex)}</p>
+            </div>
+            <div>
+              <p className="text-richblack-300">Answered</p>
+              <p className="text-richblack-5">{question.answeredCount} of {question.timesAsked}</p>
+            </div>
+            <div>
+              <p className="text-richblack-300">Average Time</p>
+              <p className="text-richblack-5">{question.averageTime === null ? "-" : `${question.averageTime}s`}</p>
+            </div>
+          </div>
+
+          {question.gradedCount < question.timesAsked && (
+            <p className="text-xs text-yellow-100">
+              {question.timesAsked - question.gradedCount} answer(s) still wait to be graded and aren&apos;t counted yet.
+            </p>
+          )}
+
+          {question.options && (
+            <div className="space-y-1">
+              {question.options.map((option, index) => (
+                <div key={index} className="text-sm">
+                  <div className="flex justify-between gap-2">
+                    <span className={`truncate ${option.correct ? "text-caribbeangreen-200" : "text-richblack-100"}`}>
+                      {option.text}{option.correct ? " (correct)" : ""}
+                    </span>
+                    <span className="text-richblack-300">{option.count}</span>
+                  </div>
+                  <div className="h-1.5 bg-richblack-600 rounded-full mt-1">
+                    <div
+                      className={`h-1.5 rounded-full ${option.correct ? "bg-caribbeangreen-200" : "bg-pink-200"}`}
+                      style={{ width: `${question.timesAsked > 0 ? (option.count / question.timesAsked) * 100 : 0}%` }}
+                    />
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {question.wrongOutputs && question.wrongOutputs.length > 0 && (
+            <div className="space-y-1 text-sm">
+              <p className="text-richblack-300">Most common wrong outputs</p>
+              {question.wrongOutputs.map((entry, index) => (
+                <div key={index} className="flex items-start gap-3">
+                  <span className="shrink-0 text-richblack-300">
+                    {entry.testCase === null ? "Compile" : `Test ${entry.testCase + 1}`}
+                  </span>
+                  <pre className="flex-1 bg-richblack-800 text-richblack-100 rounded px-2 py-1 whitespace-pre-wrap break-all">
+                    {entry.output || "(no output)"}
+                  </pre>
+                  <span className="shrink-0 text-richblack-300">×{entry.count}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      ))}
+    </div>
+  )
+}
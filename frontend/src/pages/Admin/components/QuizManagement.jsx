@@ -1,10 +1,14 @@
 import { useState, useEffect } from 'react';
 import { useSelector } from 'react-redux';
-import { FaPlus, FaEdit } from 'react-icons/fa';
+import { FaPlus, FaEdit, FaClipboardCheck, FaChartBar, FaCode } from 'react-icons/fa';
 import { getAllCourses } from '../../../services/operations/adminAPI';
 import { getFullDetailsOfCourse } from '../../../services/operations/courseDetailsAPI';
 import { showAllCategories } from '../../../services/operations/categoryAPI';
+import { getQuizReviewSummary } from '../../../services/operations/quizAPI';
 import QuizCreator from './QuizCreator';
+import QuizReviewQueue from './QuizReviewQueue';
+import QuizItemAnalysis from './QuizItemAnalysis';
+import QuizSimilarityReport from './QuizSimilarityReport';
 
 const QuizManagement = () => {
   const { token } = useSelector((state) => state.auth);
@@ -18,11 +22,22 @@ const QuizManagement = () => {
   const [loading, setLoading] = useState(false);
   const [loadingCategories, setLoadingCategories] = useState(false);
   const [loadingCourseDetails, setLoadingCourseDetails] = useState(false);
+  const [pendingReviews, setPendingReviews] = useState({});
+  const [reviewQuiz, setReviewQuiz] = useState(null);
+  const [analysisQuiz, setAnalysisQuiz] = useState(null);
+  const [similarityQuiz, setSimilarityQuiz] = useState(null);
 
   useEffect(() => {
     fetchCategories();
+    fetchPendingReviews();
   }, []);
 
+  // Number of attempts waiting for review, by quiz id
+  const fetchPendingReviews = async () => {
+    const summary = await getQuizReviewSummary(token);
+    setPendingReviews(Object.fromEntries(summary.map(entry => [entry.quiz, entry.pendingAttempts])));
+  };
+
   const fetchCategories = async () => {
     setLoadingCategories(true);
     try {
@@ -268,7 +283,9 @@ const QuizManagement = () => {
                         {subsection.quiz && (
                           <div className="mt-2 space-y-1">
                             <p className="text-sm text-richblack-300">
-                              Questions: {subsection.quiz.questions?.length || 0}
+                              {subsection.quiz.questionSource === 'bank'
+                                ? `Questions: ${(subsection.quiz.drawRules || []).reduce((sum, rule) => sum + (rule.count || 0), 0)} drawn from question banks`
+                                : `Questions: ${subsection.quiz.questions?.length || 0}`}
                             </p>
                             <p className="text-sm text-richblack-300">
                               Total Marks: {subsection.quiz.questions?.reduce((sum, q) => sum + (q.marks || 0), 0) || 0}
@@ -279,7 +296,35 @@ const QuizManagement = () => {
                           </div>
                         )}
                       </div>
-                      <div className="ml-4">
+                      <div className="ml-4 flex flex-col sm:flex-row gap-2">
+                        {subsection.quiz && (
+                          <button
+                            onClick={() => setReviewQuiz({ ...subsection.quiz, lectureTitle: subsection.title })}
+                            className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+                          >
+                            <FaClipboardCheck className="text-sm" />
+                            <span>Grade{pendingReviews[subsection.quiz._id] ? ` (${pendingReviews[subsection.quiz._id]})` : ''}</span>
+                          </button>
+                        )}
+                        {subsection.quiz && (
+                          <button
+                            onClick={() => setAnalysisQuiz({ ...subsection.quiz, lectureTitle: subsection.title })}
+                            className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+                          >
+                            <FaChartBar className="text-sm" />
+                            <span>Report</span>
+                          </button>
+                        )}
+                        {subsection.quiz && (subsection.quiz.questionSource === 'bank' ||
+                          subsection.quiz.questions?.some(question => question.questionType === 'codeSolve')) && (
+                          <button
+                            onClick={() => setSimilarityQuiz({ ...subsection.quiz, lectureTitle: subsection.title })}
+                            className="flex items-center gap-2 bg-richblack-600 text-richblack-5 px-4 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200"
+                          >
+                            <FaCode className="text-sm" />
+                            <span>Similarity</span>
+                          </button>
+                        )}
                         {subsection.quiz ? (
                           <button
                             onClick={() => {
@@ -343,6 +388,70 @@ const QuizManagement = () => {
             </div>
           </div>
         )}
+
+        {/* Grading Queue Modal */}
+        {reviewQuiz && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[800px] max-h-[90vh] overflow-auto">
+              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  Grade Answers - {reviewQuiz.lectureTitle}
+                </h3>
+                <button
+                  onClick={() => setReviewQuiz(null)}
+                  className="text-richblack-300 hover:text-richblack-50 text-xl self-end sm:self-auto"
+                >
+                  ✕
+                </button>
+              </div>
+              <QuizReviewQueue
+                quiz={reviewQuiz}
+                onClose={() => setReviewQuiz(null)}
+                onGraded={fetchPendingReviews}
+              />
+            </div>
+          </div>
+        )}
+
+        {/* Item Analysis Modal */}
+        {analysisQuiz && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[900px] max-h-[90vh] overflow-auto">
+              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  Item Analysis - {analysisQuiz.lectureTitle}
+                </h3>
+                <button
+                  onClick={() => setAnalysisQuiz(null)}
+                  className="text-richblack-300 hover:text-richblack-50 text-xl self-end sm:self-auto"
+                >
+                  ✕
+                </button>
+              </div>
+              <QuizItemAnalysis quiz={analysisQuiz} />
+            </div>
+          </div>
+        )}
+
+        {/* Code Similarity Modal */}
+        {similarityQuiz && (
+          <div className="fixed inset-0 z-[1000] flex items-center justify-center bg-black bg-opacity-50 p-4">
+            <div className="bg-richblack-800 rounded-lg p-4 sm:p-6 w-full max-w-[1100px] max-h-[90vh] overflow-auto">
+              <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center mb-6 gap-3">
+                <h3 className="text-lg sm:text-xl font-semibold text-richblack-5">
+                  Similar Code Answers - {similarityQuiz.lectureTitle}
+                </h3>
+                <button
+                  onClick={() => setSimilarityQuiz(null)}
+                  className="text-richblack-300 hover:text-richblack-50 text-xl self-end sm:self-auto"
+                >
+                  ✕
+                </button>
+              </div>
+              <QuizSimilarityReport quiz={similarityQuiz} onClose={() => setSimilarityQuiz(null)} />
+            </div>
+          </div>
+        )}
       </div>
     );
   } catch (error) {
@@ -0,0 +1,244 @@
+import { useState, useEffect } from "react"
+import { useSelector } from "react-redux"
+import { toast } from "react-hot-toast"
+import { getQuizReviewQueue, gradeQuizAttempt } from "../../../services/operations/quizAPI"
+
+// The grader's starting values for an answer: its current grade, or the keyword
+// suggestion for answers still waiting
+const toDraft = (item) => ({
+  score: item.score ?? item.suggestedScore ?? "",
+  rubricScores: item.rubric.length > 0
+    ? item.rubric.map((_, index) => item.rubricScores?.[index] ?? "")
+    : [],
+  comment: item.comment || ""
+})
+
+export default function QuizReviewQueue({ quiz, onClose, onGraded }) {
+  const { token } = useSelector((state) => state.auth)
+  const [includeGraded, setIncludeGraded] = useState(false)
+  const [attempts, setAttempts] = useState([])
+  const [drafts, setDrafts] = useState({})
+  const [loading, setLoading] = useState(false)
+  const [savingAttemptId, setSavingAttemptId] = useState(null)
+
+  useEffect(() => {
+    const fetchQueue = async () => {
+      setLoading(true)
+      const result = await getQuizReviewQueue(quiz._id, includeGraded, token)
+      const queue = result?.attempts || []
+      setAttempts(queue)
+      setDrafts(Object.fromEntries(queue.map(attempt => [
+        attempt.attemptId,
+        Object.fromEntries(attempt.items.map(item => [item.question, toDraft(item)]))
+      ])))
+      setLoading(false)
+    }
+    fetchQueue()
+  }, [quiz._id, includeGraded, token])
+
+  const updateDraft = (attemptId, questionId, changes) => {
+    setDrafts({
+      ...drafts,
+      [attemptId]: {
+        ...drafts[attemptId],
+        [questionId]: { ...drafts[attemptId][questionId], ...changes }
+      }
+    })
+  }
+
+  const updateRubricScore = (attemptId, questionId, index, value) => {
+    const rubricScores = [...drafts[attemptId][questionId].rubricScores]
+    rubricScores[index] = value
+    updateDraft(attemptId, questionId, { rubricScores })
+  }
+
+  // Grades for every answer the grader has filled in
+  const getGrades = (attempt) => attempt.items.flatMap(item => {
+    const draft = drafts[attempt.attemptId][item.question]
+    if (item.rubric.length > 0) {
+      if (draft.rubricScores.some(points => points === "")) {
+        return []
+      }
+      return [{ questionId: item.question, rubricScores: draft.rubricScores.map(Number), comment: draft.comment }]
+    }
+    if (draft.score === "") {
+      return []
+    }
+    return [{ questionId: item.question, score: Number(draft.score), comment: draft.comment }]
+  })
+
+  const saveGrades = async (attempt) => {
+    const grades = getGrades(attempt)
+    if (grades.length === 0) {
+      toast.error("Score at least one answer first")
+      return
+    }
+
+    setSavingAttemptId(attempt.attemptId)
+    const result = await gradeQuizAttempt(attempt.attemptId, grades, token)
+    if (result) {
+      const updated = result.attempt
+      // Fully graded attempts leave the queue unless graded ones are shown
+      setAttempts(attempts.flatMap(entry => {
+        if (entry.attemptId !== updated.attemptId) {
+          return [entry]
+        }
+        return includeGraded || updated.status === "pendingReview" ? [updated] : []
+      }))
+      onGraded && onGraded()
+    }
+    setSavingAttemptId(null)
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <p className="text-sm text-richblack-300">
+          {attempts.length} attempt{attempts.length === 1 ? "" : "s"} {includeGraded ? "with free-text answers" : "waiting for review"}
+        </p>
+        <label className="flex items-center gap-2 text-sm text-richblack-5">
+          <input
+            type="checkbox"
+            checked={includeGraded}
+            onChange={(e) => setIncludeGraded(e.target.checked)}
+            className="rounded"
+          />
+          Show graded attempts
+        </label>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+        </div>
+      ) : attempts.length === 0 ? (
+        <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+          <p className="text-lg font-semibold text-richblack-100">Nothing to grade</p>
+          <p className="text-sm text-richblack-400">Free-text answers show up here once students submit them.</p>
+        </div>
+      ) : (
+        <div className="space-y-6 max-h-[65vh] overflow-y-auto">
+          {attempts.map(attempt => (
+            <div key={attempt.attemptId} className="border border-richblack-700 rounded-lg p-4 space-y-4">
+              <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+                <div>
+                  <p className="text-richblack-5 font-medium">
+                    {attempt.student ? `${attempt.student.firstName} ${attempt.student.lastName}` : "Unknown student"}
+                    <span className="text-richblack-300 text-sm"> · Attempt {attempt.attemptNumber}</span>
+                  </p>
+                  <p className="text-xs text-richblack-400">
+                    Submitted {new Date(attempt.submittedAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="text-sm text-right">
+                  <p className={attempt.status === "pendingReview" ? "text-yellow-50" : "text-caribbeangreen-200"}>
+                    {attempt.status === "pendingReview" ? "Waiting for review" : "Graded"}
+                  </p>
+                  <p className="text-richblack-300">
+                    Score so far: {attempt.score}/{attempt.totalMarks}
+                  </p>
+                </div>
+              </div>
+
+              {attempt.items.map((item, index) => {
+                const draft = drafts[attempt.attemptId]?.[item.question]
+                if (!draft) {
+                  return null
+                }
+                return (
+                  <div key={item.question} className="bg-richblack-700 rounded-lg p-3 space-y-3">
+                    <div className="flex justify-between gap-4">
+                      <p className="text-sm text-richblack-5 font-medium">
+                        {index + 1}. {item.questionText}
+                      </p>
+                      <span className="text-xs text-richblack-300 whitespace-nowrap">
+                        {item.questionType === "longAnswer" ? "Long answer" : "Short answer"} · {item.maxScore} marks
+                      </span>
+                    </div>
+                    <p className="text-sm text-richblack-50 whitespace-pre-wrap bg-richblack-800 rounded p-3">
+                      {String(item.answer)}
+                    </p>
+                    {item.keywords.length > 0 && (
+                      <p className="text-xs text-richblack-300">
+                        Keywords: {item.keywords.join(", ")}
+                        {item.suggestedScore !== null && ` (keyword score: ${item.suggestedScore}/${item.maxScore})`}
+                      </p>
+                    )}
+
+                    {item.rubric.length > 0 ? (
+                      <div className="space-y-2">
+                        {item.rubric.map((line, lineIndex) => (
+                          <div key={lineIndex} className="flex items-center justify-between gap-4">
+                            <span className="text-sm text-richblack-100">{line.criterion}</span>
+                            <div className="flex items-center gap-2">
+                              <input
+                                type="number"
+                                value={draft.rubricScores[lineIndex]}
+                                onChange={(e) => updateRubricScore(attempt.attemptId, item.question, lineIndex, e.target.value)}
+                                min="0"
+                                max={line.points}
+                                step="0.5"
+                                className="w-20 bg-richblack-800 text-richblack-5 rounded-lg p-2"
+                              />
+                              <span className="text-xs text-richblack-300">/ {line.points}</span>
+                            </div>
+                          </div>
+                        ))}
+                      </div>
+                    ) : (
+                      <div className="flex items-center gap-2">
+                        <label className="text-sm text-richblack-5">Score:</label>
+                        <input
+                          type="number"
+                          value={draft.score}
+                          onChange={(e) => updateDraft(attempt.attemptId, item.question, { score: e.target.value })}
+                          min="0"
+                          max={item.maxScore}
+                          step="0.5"
+                          className="w-20 bg-richblack-800 text-richblack-5 rounded-lg p-2"
+                        />
+                        <span className="text-xs text-richblack-300">/ {item.maxScore}</span>
+                      </div>
+                    )}
+
+                    <textarea
+                      value={draft.comment}
+                      onChange={(e) => updateDraft(attempt.attemptId, item.question, { comment: e.target.value })}
+                      placeholder="Comment for the student (optional)"
+                      className="w-full bg-richblack-800 text-richblack-5 rounded-lg p-2 min-h-[60px] resize-none text-sm"
+                    />
+                    {item.status === "graded" && (
+                      <p className="text-xs text-richblack-400">
+                        {item.gradedBy ? "Graded" : "Graded by keywords"}
+                        {item.gradedAt && ` on ${new Date(item.gradedAt).toLocaleString()}`} · {item.score}/{item.maxScore}
+                      </p>
+                    )}
+                  </div>
+                )
+              })}
+
+              <div className="flex justify-end">
+                <button
+                  onClick={() => saveGrades(attempt)}
+                  disabled={savingAttemptId === attempt.attemptId}
+                  className="px-4 py-2 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 disabled:opacity-50"
+                >
+                  {savingAttemptId === attempt.attemptId ? "Saving..." : "Save Grades"}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end pt-4 border-t border-richblack-700">
+        <button
+          onClick={onClose}
+          className="px-6 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600 transition-all duration-200"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  )
+}
@@ -0,0 +1,257 @@
+import { useState, useEffect } from "react"
+import { useSelector } from "react-redux"
+import { toast } from "react-hot-toast"
+import {
+  getSimilarityFlags,
+  scanQuizSimilarity,
+  getSimilarityFlag,
+  reviewSimilarityFlag,
+} from "../../../services/operations/quizAPI"
+
+const STATUS_FILTERS = [
+  { value: "flagged", label: "To review" },
+  { value: "cleared", label: "Cleared" },
+  { value: "voided", label: "Voided" },
+  { value: "", label: "All" },
+]
+
+const STATUS_COLORS = {
+  flagged: "text-yellow-50",
+  cleared: "text-caribbeangreen-200",
+  voided: "text-pink-200",
+}
+
+const DIFF_ROW_COLORS = {
+  same: "",
+  changed: "bg-yellow-800/20",
+  removed: "bg-pink-900/40",
+  added: "bg-caribbeangreen-900/40",
+}
+
+const studentName = (side) => (side.student ? `${side.student.firstName} ${side.student.lastName}` : "Unknown student")
+
+const formatSimilarity = (similarity) => `${Math.round(similarity * 100)}%`
+
+export default function QuizSimilarityReport({ quiz, onClose }) {
+  const { token } = useSelector((state) => state.auth)
+  const [status, setStatus] = useState("flagged")
+  const [report, setReport] = useState(null)
+  const [loading, setLoading] = useState(false)
+  const [refreshKey, setRefreshKey] = useState(0)
+  const [flag, setFlag] = useState(null)
+  const [voidAttemptIds, setVoidAttemptIds] = useState([])
+  const [note, setNote] = useState("")
+  const [saving, setSaving] = useState(false)
+
+  useEffect(() => {
+    const fetchFlags = async () => {
+      setLoading(true)
+      setReport(await getSimilarityFlags(quiz._id, status, token))
+      setLoading(false)
+    }
+    fetchFlags()
+  }, [quiz._id, status, token, refreshKey])
+
+  const runScan = async () => {
+    setLoading(true)
+    await scanQuizSimilarity(quiz._id, token)
+    setLoading(false)
+    setRefreshKey(refreshKey + 1)
+  }
+
+  const openFlag = async (flagId) => {
+    const detail = await getSimilarityFlag(flagId, token)
+    if (detail) {
+      setFlag(detail)
+      setVoidAttemptIds([])
+      setNote(detail.note || "")
+    }
+  }
+
+  const toggleVoidAttempt = (attemptId) => {
+    setVoidAttemptIds(voidAttemptIds.includes(attemptId)
+      ? voidAttemptIds.filter(id => id !== attemptId)
+      : [...voidAttemptIds, attemptId])
+  }
+
+  const saveReview = async (action) => {
+    if (action === "void" && voidAttemptIds.length === 0) {
+      toast.error("Select the attempts to void first")
+      return
+    }
+    setSaving(true)
+    const result = await reviewSimilarityFlag(flag.flagId, {
+      action,
+      note,
+      ...(action === "void" && { attemptIds: voidAttemptIds }),
+    }, token)
+    setSaving(false)
+    if (result) {
+      setFlag(null)
+      setRefreshKey(refreshKey + 1)
+    }
+  }
+
+  if (flag) {
+    return (
+      <div className="space-y-4">
+        <button
+          onClick={() => setFlag(null)}
+          className="text-sm text-yellow-50 hover:underline"
+        >
+          ← Back to flagged pairs
+        </button>
+
+        <div>
+          <p className="text-richblack-5 whitespace-pre-wrap">{flag.questionText}</p>
+          <p className="text-sm text-richblack-300 mt-1">
+            {formatSimilarity(flag.similarity)} similar ·{" "}
+            <span className={STATUS_COLORS[flag.status]}>{flag.status}</span>
+            {flag.reviewedAt && ` on ${new Date(flag.reviewedAt).toLocaleString()}`}
+            {flag.reviewedBy && ` by ${flag.reviewedBy.firstName} ${flag.reviewedBy.lastName}`}
+          </p>
+        </div>
+
+        <div className="grid grid-cols-2 gap-2 text-sm">
+          {[flag.first, flag.second].map(side => (
+            <div key={side.submissionId} className="bg-richblack-700 rounded-lg p-3">
+              <p className="text-richblack-5 font-medium">{studentName(side)}</p>
+              <p className="text-xs text-richblack-300">
+                Attempt {side.attemptNumber} · {side.language} · {new Date(side.submittedAt).toLocaleString()}
+                {side.attemptStatus === "voided" && <span className="text-pink-200"> · voided</span>}
+              </p>
+            </div>
+          ))}
+        </div>
+
+        <div className="max-h-[45vh] overflow-auto rounded-lg border border-richblack-700">
+          <table className="w-full text-xs font-mono">
+            <tbody>
+              {flag.diff.map((row, index) => (
+                <tr key={index} className={DIFF_ROW_COLORS[row.type]}>
+                  <td className="w-8 px-2 text-right text-richblack-400 select-none align-top">{row.leftLine ?? ""}</td>
+                  <td className="w-1/2 px-2 text-richblack-50 whitespace-pre-wrap break-all align-top border-r border-richblack-700">{row.left ?? ""}</td>
+                  <td className="w-8 px-2 text-right text-richblack-400 select-none align-top">{row.rightLine ?? ""}</td>
+                  <td className="w-1/2 px-2 text-richblack-50 whitespace-pre-wrap break-all align-top">{row.right ?? ""}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <textarea
+          value={note}
+          onChange={(e) => setNote(e.target.value)}
+          placeholder="Note (optional)"
+          className="w-full bg-richblack-700 text-richblack-5 rounded-lg p-2 min-h-[60px] resize-none text-sm"
+        />
+
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <div className="flex flex-wrap gap-4">
+            {[flag.first, flag.second].filter(side => side.attemptId && side.attemptStatus !== "voided").map(side => (
+              <label key={side.attemptId} className="flex items-center gap-2 text-sm text-richblack-5">
+                <input
+                  type="checkbox"
+                  checked={voidAttemptIds.includes(side.attemptId)}
+                  onChange={() => toggleVoidAttempt(side.attemptId)}
+                  className="rounded"
+                />
+                {studentName(side)}&apos;s attempt {side.attemptNumber}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2">
+            {flag.status !== "voided" && (
+              <button
+                onClick={() => saveReview("clear")}
+                disabled={saving}
+                className="px-4 py-2 bg-richblack-600 text-richblack-5 rounded-lg hover:bg-richblack-500 transition-all duration-200 disabled:opacity-50"
+              >
+                Clear Pair
+              </button>
+            )}
+            <button
+              onClick={() => saveReview("void")}
+              disabled={saving || voidAttemptIds.length === 0}
+              className="px-4 py-2 bg-pink-700 text-white rounded-lg hover:bg-pink-600 transition-all duration-200 disabled:opacity-50"
+            >
+              Void Selected
+            </button>
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-sm text-richblack-300">
+          Code answers to the same question are compared after grading, ignoring names, comments and formatting.
+          {report && ` Pairs at least ${formatSimilarity(report.threshold)} similar are flagged.`}
+        </p>
+        <div className="flex shrink-0 gap-2">
+          <select
+            value={status}
+            onChange={(e) => setStatus(e.target.value)}
+            className="bg-richblack-700 text-richblack-5 rounded-lg px-3 py-2 text-sm"
+          >
+            {STATUS_FILTERS.map(filter => (
+              <option key={filter.label} value={filter.value}>{filter.label}</option>
+            ))}
+          </select>
+          <button
+            onClick={runScan}
+            disabled={loading}
+            className="bg-richblack-600 text-richblack-5 px-3 py-2 rounded-lg hover:bg-richblack-500 transition-all duration-200 disabled:opacity-50"
+          >
+            Check Again
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="flex items-center justify-center h-40">
+          <div className="animate-spin rounded-full h-8 w-8 border-t-2 border-b-2 border-yellow-50"></div>
+        </div>
+      ) : !report || report.flags.length === 0 ? (
+        <div className="flex flex-col items-center justify-center gap-3 p-6 text-center bg-richblack-700 rounded-lg">
+          <p className="text-lg font-semibold text-richblack-100">No similar answers</p>
+          <p className="text-sm text-richblack-400">Pairs of code answers that look copied show up here.</p>
+        </div>
+      ) : (
+        <div className="space-y-2 max-h-[60vh] overflow-y-auto">
+          {report.flags.map(entry => (
+            <div key={entry.flagId} className="bg-richblack-700 rounded-lg p-3 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm text-richblack-5 truncate">{entry.questionText}</p>
+                <p className="text-xs text-richblack-300">
+                  {studentName(entry.first)} (attempt {entry.first.attemptNumber}) and {studentName(entry.second)} (attempt {entry.second.attemptNumber})
+                </p>
+              </div>
+              <div className="flex shrink-0 items-center gap-4">
+                <span className="text-lg font-semibold text-richblack-5">{formatSimilarity(entry.similarity)}</span>
+                <span className={`text-xs ${STATUS_COLORS[entry.status]}`}>{entry.status}</span>
+                <button
+                  onClick={() => openFlag(entry.flagId)}
+                  className="px-3 py-1 bg-yellow-50 text-richblack-900 rounded-lg hover:scale-95 transition-all duration-200 text-sm"
+                >
+                  Compare
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="flex justify-end pt-4 border-t border-richblack-700">
+        <button
+          onClick={onClose}
+          className="px-6 py-2 bg-richblack-700 text-richblack-50 rounded-lg hover:bg-richblack-600 transition-all duration-200"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  )
+}
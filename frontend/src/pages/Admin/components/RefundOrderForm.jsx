@@ -0,0 +1,141 @@
+import { useState } from 'react'
+import { useSelector } from 'react-redux'
+import { refundOrder } from '../../../services/operations/orderAPI'
+
+const refundStatusStyles = {
+  processed: 'text-caribbeangreen-100',
+  pending: 'text-yellow-100',
+  failed: 'text-pink-200',
+}
+
+export default function RefundOrderForm({ order, onOrderUpdated }) {
+  const { token } = useSelector((state) => state.auth)
+  const activeItems = order.items.filter((item) => item.status !== 'refunded')
+  const [selectedItems, setSelectedItems] = useState(activeItems.map((item) => item._id))
+  const [amount, setAmount] = useState('')
+  const [reason, setReason] = useState('')
+  const [gatewayReference, setGatewayReference] = useState('')
+  const [submitting, setSubmitting] = useState(false)
+
+  const canRefund = ['paid', 'partially_refunded'].includes(order.status) && activeItems.length > 0
+  const refundableAmount = activeItems
+    .filter((item) => selectedItems.includes(item._id))
+    .reduce((sum, item) => sum + item.amount - (item.refundedAmount || 0), 0)
+
+  const toggleItem = (itemId) => {
+    setSelectedItems((prev) =>
+      prev.includes(itemId) ? prev.filter((id) => id !== itemId) : [...prev, itemId]
+    )
+  }
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setSubmitting(true)
+    const updatedOrder = await refundOrder(token, order._id, {
+      itemIds: selectedItems,
+      amount: amount === '' ? undefined : Number(amount),
+      reason,
+      gatewayReference: gatewayReference || undefined,
+    })
+    setSubmitting(false)
+
+    if (updatedOrder) {
+      setAmount('')
+      setReason('')
+      setGatewayReference('')
+      onOrderUpdated(updatedOrder)
+    }
+  }
+
+  return (
+    <div className="mt-6 rounded-lg border border-richblack-700 bg-richblack-900 p-6">
+      <h3 className="mb-4 text-lg font-semibold text-yellow-50">Refunds</h3>
+
+      {order.refunds?.length > 0 && (
+        <div className="mb-6 space-y-2">
+          {order.refunds.map((refund) => (
+            <div key={refund._id} className="flex flex-col gap-1 rounded-md bg-richblack-700 p-3 text-sm md:flex-row md:items-center md:justify-between">
+              <div>
+                <p className="font-medium text-richblack-5">Rs. {refund.amount} — {refund.reason || 'No reason given'}</p>
+                <p className="text-xs text-richblack-300">
+                  {new Date(refund.createdAt).toLocaleDateString('en-IN')}
+                  {refund.gatewayRefundId && ` • Ref: ${refund.gatewayRefundId}`}
+                </p>
+              </div>
+              <span className={`text-xs font-semibold uppercase ${refundStatusStyles[refund.status]}`}>
+                {refund.status}
+              </span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canRefund ? (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="space-y-2">
+            <p className="text-sm text-richblack-300">Courses to refund (access will be removed):</p>
+            {activeItems.map((item) => (
+              <label key={item._id} className="flex items-center gap-3 text-sm text-richblack-5">
+                <input
+                  type="checkbox"
+                  checked={selectedItems.includes(item._id)}
+                  onChange={() => toggleItem(item._id)}
+                  className="h-4 w-4 accent-yellow-50"
+                />
+                <span className="flex-1">{item.course?.courseName || item.courseName}</span>
+                <span className="text-richblack-300">Rs. {item.amount - (item.refundedAmount || 0)}</span>
+              </label>
+            ))}
+          </div>
+
+          <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+            <label className="text-sm text-richblack-300">
+              Amount (Rs.)
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                max={refundableAmount}
+                value={amount}
+                onChange={(e) => setAmount(e.target.value)}
+                placeholder={`Full: ${refundableAmount.toFixed(2)}`}
+                className="mt-1 w-full rounded-md bg-richblack-700 p-2 text-richblack-5"
+              />
+            </label>
+            <label className="text-sm text-richblack-300">
+              Gateway reference (manual refunds only)
+              <input
+                type="text"
+                value={gatewayReference}
+                onChange={(e) => setGatewayReference(e.target.value)}
+                placeholder={order.paymentMethod === 'razorpay' ? 'Leave empty to refund via Razorpay' : 'Bank or UPI reference'}
+                className="mt-1 w-full rounded-md bg-richblack-700 p-2 text-richblack-5"
+              />
+            </label>
+          </div>
+
+          <label className="block text-sm text-richblack-300">
+            Reason
+            <textarea
+              required
+              rows={2}
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              className="mt-1 w-full rounded-md bg-richblack-700 p-2 text-richblack-5"
+            />
+          </label>
+
+          <button
+            type="submit"
+            disabled={submitting || selectedItems.length === 0 || !reason.trim()}
+            className="rounded-md bg-pink-600 px-4 py-2 font-medium text-white transition-colors hover:bg-pink-500 disabled:cursor-not-allowed disabled:opacity-50"
+          >
+            {submitting ? 'Refunding...' : 'Issue Refund'}
+          </button>
+        </form>
+      ) : (
+        <p className="text-sm text-richblack-300">This order has nothing left to refund.</p>
+      )}
+    </div>
+  )
+}
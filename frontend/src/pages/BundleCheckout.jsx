@@ -18,10 +18,12 @@ function BundleCheckout() {
   const { token } = useSelector((state) => state.auth)
   const { user } = useSelector((state) => state.profile)
   const [couponDiscount, setCouponDiscount] = useState(0)
+  const [appliedCoupon, setAppliedCoupon] = useState(null)
 
   const handleCouponApply = (discountDetails) => {
     const discountAmount = discountDetails.discountAmount;
     setCouponDiscount(discountAmount);
+    setAppliedCoupon(discountDetails.code ? discountDetails : null);
   }
 
   const selectedCourses = state?.selectedCourses || []
@@ -71,7 +73,6 @@ function BundleCheckout() {
   const paidCourses = selectedCourses.filter(course => course.courseType !== 'Free')
 
   const handleBuyBundle = async () => {
-    const finalPrice = Math.max(0, getFinalPrice() - couponDiscount)
     const courseIds = selectedCourses.map(course => course._id)
     const paidCourseIds = paidCourses.map(course => course._id)
     const freeCourseIds = freeCourses.map(course => course._id)
@@ -95,23 +96,13 @@ function BundleCheckout() {
         toast.error("Failed to send bundle access request")
       }
     } else if (paidCourses.length > 0 && freeCourses.length === 0) {
-      // Scenario 2: All courses are paid - check payment requirement
-      if (finalPrice !== 0) {
-        toast.error("First pay the course amount.")
-        return
-      }
-      // Proceed with payment for all paid courses
-      buyCourse(token, paidCourseIds, user, navigate, dispatch)
+      // Scenario 2: All courses are paid - proceed with payment for all of them
+      buyCourse(token, paidCourseIds, user, navigate, dispatch, appliedCoupon, "bundle")
     } else if (paidCourses.length > 0 && freeCourses.length > 0) {
       // Scenario 3: Mixed bundle (paid + free courses)
-      if (finalPrice !== 0) {
-        toast.error("First pay the course amount.")
-        return
-      }
-      
       // First, process payment for paid courses
       try {
-        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch)
+        const paymentResult = await buyCourse(token, paidCourseIds, user, navigate, dispatch, appliedCoupon, "bundle")
         
         // After successful payment, request access for free courses
         if (paymentResult !== false) { // Assuming buyCourse returns false on failure
@@ -252,6 +243,7 @@ function BundleCheckout() {
                 {/* Coupon Input */}
                 <CouponInput 
                   totalAmount={getOriginalPrice()} 
+                  coursesId={paidCourses.map(course => course._id)}
                   onCouponApply={handleCouponApply}
                   checkoutType="bundle"
                 />
@@ -7,7 +7,6 @@ import CouponInput from "../components/core/Dashboard/Cart/CouponInput"
 import { useDispatch } from "react-redux"
 import { FiArrowLeft, FiShoppingCart, FiCheck, FiStar, FiUsers } from "react-icons/fi"
 import RatingStars from "../components/common/RatingStars"
-import toast from "react-hot-toast"
 
 function CourseCheckout() {
   const { state } = useLocation()
@@ -53,17 +52,7 @@ function CourseCheckout() {
   }
 
   const handleBuyCourse = () => {
-    const finalPrice = getFinalPrice()
-    
-    // Check if total amount is not zero - prevent purchase and show popup
-    if (finalPrice !== 0) {
-      toast.error("First pay the course amount.")
-      return
-    }
-    
     const coursesId = [course._id]
-    
-    // Only proceed if total amount is 0
     buyCourse(token, coursesId, user, navigate, dispatch, appliedCoupon)
   }
 
@@ -168,6 +157,7 @@ function CourseCheckout() {
                 {course.courseType !== 'Free' && (
                   <CouponInput 
                     totalAmount={getOriginalPrice()} 
+                    coursesId={[course._id]}
                     onCouponApply={handleCouponApply}
                     checkoutType="course"
                   />
@@ -25,6 +25,7 @@ export const studentEndpoints = {
   COURSE_PAYMENT_API: BASE_URL + "/api/v1/payment/capturePayment",
   COURSE_VERIFY_API: BASE_URL + "/api/v1/payment/verifyPayment",
   SEND_PAYMENT_SUCCESS_EMAIL_API: BASE_URL + "/api/v1/payment/sendPaymentSuccessEmail",
+  DOWNLOAD_INVOICE_API: BASE_URL + "/api/v1/payment/invoice/:orderId",
 }
 
 // COURSE ENDPOINTS
@@ -45,6 +46,9 @@ export const courseEndpoints = {
   COURSE_PURCHASE_HISTORY_API: BASE_URL + "/api/v1/payment/purchaseHistory",
   DELETE_SECTION_API: BASE_URL + "/api/v1/course/deleteSection",
   DELETE_SUBSECTION_API: BASE_URL + "/api/v1/course/deleteSubSection",
+  REORDER_SECTIONS_API: BASE_URL + "/api/v1/course/reorderSections",
+  REORDER_SUBSECTIONS_API: BASE_URL + "/api/v1/course/reorderSubSections",
+  MOVE_SUBSECTION_API: BASE_URL + "/api/v1/course/moveSubSection",
   DELETE_COURSE_API: BASE_URL + "/api/v1/course/deleteCourse",
   GET_FULL_COURSE_DETAILS_AUTHENTICATED: BASE_URL + "/api/v1/course/getFullCourseDetails",
   LECTURE_COMPLETION_API: BASE_URL + "/api/v1/course/updateCourseProgress",
@@ -112,7 +116,11 @@ export const adminEndpoints = {
   VALIDATE_COUPON_API: BASE_URL + "/api/v1/admin/coupons/validate",
   APPLY_COUPON_API: BASE_URL + "/api/v1/admin/coupons/apply",
   VALIDATE_AND_APPLY_COUPON_API: BASE_URL + "/api/v1/admin/coupons/validate-and-apply",
+  BEST_COUPONS_API: BASE_URL + "/api/v1/admin/coupons/best",
   TOGGLE_COUPON_STATUS_API: BASE_URL + "/api/v1/admin/coupons/:couponId/toggle",
+  COUPON_CAMPAIGNS_API: BASE_URL + "/api/v1/admin/coupons/campaigns",
+  EXPORT_COUPON_CAMPAIGN_API: BASE_URL + "/api/v1/admin/coupons/campaigns/:campaignId/export",
+  TOGGLE_COUPON_CAMPAIGN_API: BASE_URL + "/api/v1/admin/coupons/campaigns/:campaignId/toggle",
 
   // Course Management
   GET_ALL_COURSES_API: BASE_URL + "/api/v1/admin/courses",
@@ -133,6 +141,7 @@ export const adminEndpoints = {
   GET_ALL_ORDERS_API: BASE_URL + "/api/v1/admin/orders",
   DELETE_ORDER_API: BASE_URL + "/api/v1/admin/orders/:orderId",
   UPDATE_ORDER_STATUS_API: BASE_URL + "/api/v1/admin/orders/:orderId/status",
+  REFUND_ORDER_API: BASE_URL + "/api/v1/admin/orders/:orderId/refund",
   GENERATE_ORDERS_PDF_API: BASE_URL + "/api/v1/admin/orders/export-pdf",
   // Notification Management
   SEND_NOTIFICATION_API: BASE_URL + "/api/v1/admin/notifications/send",
@@ -167,6 +176,28 @@ export const quizEndpoints = {
   GET_QUIZ_RESULTS_API: BASE_URL + "/api/v1/quiz/results/:quizId",
   GET_QUIZ_STATUS_API: BASE_URL + "/api/v1/quiz/status/:quizId",
   VALIDATE_SECTION_ACCESS_API: BASE_URL + "/api/v1/quiz/validate-access/:sectionId",
+  RUN_CODE_API: BASE_URL + "/api/v1/quiz/run-code",
+  GET_QUIZ_SUBMISSION_API: BASE_URL + "/api/v1/quiz/submissions/:submissionId",
+  GET_QUIZ_ATTEMPTS_API: BASE_URL + "/api/v1/quiz/attempts/:quizId",
+  START_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/start",
+  SAVE_QUIZ_ANSWERS_API: BASE_URL + "/api/v1/quiz/save-answers",
+  GET_QUIZ_REVIEW_SUMMARY_API: BASE_URL + "/api/v1/quiz/reviews",
+  GET_QUIZ_REVIEW_QUEUE_API: BASE_URL + "/api/v1/quiz/reviews/:quizId",
+  GRADE_QUIZ_ATTEMPT_API: BASE_URL + "/api/v1/quiz/reviews/attempts/:attemptId",
+  PREVIEW_QUIZ_IMPORT_API: BASE_URL + "/api/v1/quiz/import/preview",
+  EXPORT_QUIZ_API: BASE_URL + "/api/v1/quiz/export/:quizId",
+  GET_QUIZ_ITEM_ANALYSIS_API: BASE_URL + "/api/v1/quiz/analysis/:quizId",
+  GET_ATTEMPT_REVIEW_API: BASE_URL + "/api/v1/quiz/attempts/:attemptId/review",
+  GET_SIMILARITY_FLAGS_API: BASE_URL + "/api/v1/quiz/similarity/:quizId",
+  SCAN_QUIZ_SIMILARITY_API: BASE_URL + "/api/v1/quiz/similarity/:quizId/scan",
+  SIMILARITY_FLAG_API: BASE_URL + "/api/v1/quiz/similarity/flags/:flagId",
+}
+
+// QUESTION BANK ENDPOINTS
+export const questionBankEndpoints = {
+  GET_QUESTION_BANKS_API: BASE_URL + "/api/v1/question-banks",
+  CREATE_QUESTION_BANK_API: BASE_URL + "/api/v1/question-banks",
+  ADD_BANK_QUESTIONS_API: BASE_URL + "/api/v1/question-banks/:bankId/questions",
 }
 
 // CERTIFICATE ENDPOINTS
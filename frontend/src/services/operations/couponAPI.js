@@ -2,7 +2,7 @@ import { toast } from "react-hot-toast";
 import { apiConnector } from "../apiConnector";
 import { adminEndpoints } from "../apis";
 
-const { GET_ALL_COUPONS_API, GET_FRONTEND_COUPONS_API, CREATE_COUPON_API, VALIDATE_COUPON_API, APPLY_COUPON_API, VALIDATE_AND_APPLY_COUPON_API, TOGGLE_COUPON_STATUS_API } = adminEndpoints;
+const { GET_ALL_COUPONS_API, GET_FRONTEND_COUPONS_API, CREATE_COUPON_API, VALIDATE_COUPON_API, APPLY_COUPON_API, VALIDATE_AND_APPLY_COUPON_API, BEST_COUPONS_API, TOGGLE_COUPON_STATUS_API, COUPON_CAMPAIGNS_API, EXPORT_COUPON_CAMPAIGN_API, TOGGLE_COUPON_CAMPAIGN_API } = adminEndpoints;
 
 export function createCoupon(data, token) {
   return async (dispatch) => {
@@ -27,6 +27,29 @@ export function createCoupon(data, token) {
   };
 }
 
+export function createCouponCampaign(data, token) {
+  return async () => {
+    const toastId = toast.loading("Generating Coupon Codes...");
+    try {
+      const response = await apiConnector("POST", COUPON_CAMPAIGNS_API, data, {
+        Authorization: `Bearer ${token}`,
+      });
+
+      if (!response?.data?.success) {
+        throw new Error(response?.data?.message || "Could Not Create Campaign");
+      }
+
+      toast.success(response.data.message);
+      toast.dismiss(toastId);
+      return response.data.data;
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Could Not Create Campaign");
+      toast.dismiss(toastId);
+      return null;
+    }
+  };
+}
+
 // Validate and apply coupon in a single request
 export async function validateAndApplyCoupon(data, token) {
   try {
@@ -106,6 +129,44 @@ export async function getAllCoupons(token, linkedTo = null) {
   }
 }
 
+// Best coupon or coupon stack for a cart; null when nothing applies or the lookup fails
+export async function getBestCoupons(data, token) {
+  try {
+    const response = await apiConnector("POST", BEST_COUPONS_API, data, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      return null;
+    }
+
+    return response.data.data;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Storefront coupons; with a token the list only holds coupons this user can use
+export async function getFrontendCoupons(linkedTo, token = null) {
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_FRONTEND_COUPONS_API,
+      null,
+      token ? { Authorization: `Bearer ${token}` } : {},
+      linkedTo ? { linkedTo } : null
+    );
+
+    if (!response?.data?.success) {
+      return [];
+    }
+
+    return response.data.data;
+  } catch (error) {
+    return [];
+  }
+}
+
 export async function toggleCouponStatus(couponId, token) {
   try {
     const url = TOGGLE_COUPON_STATUS_API.replace(':couponId', couponId);
@@ -165,3 +226,69 @@ export async function cleanupExpiredCoupons(token) {
     throw error;
   }
 }
+
+export async function getCouponCampaigns(token) {
+  try {
+    const response = await apiConnector("GET", COUPON_CAMPAIGNS_API, null, {
+      Authorization: `Bearer ${token}`,
+    });
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Fetch Campaigns");
+    }
+
+    return response.data.data;
+  } catch (error) {
+    toast.error(error.response?.data?.message || "Could Not Fetch Campaigns");
+    return [];
+  }
+}
+
+// Download the codes of a campaign as a CSV file
+export async function exportCouponCampaign(token, campaignId, campaignName) {
+  const toastId = toast.loading("Exporting codes...");
+  try {
+    const response = await apiConnector(
+      "GET",
+      EXPORT_COUPON_CAMPAIGN_API.replace(':campaignId', campaignId),
+      null,
+      { Authorization: `Bearer ${token}` },
+      null,
+      { responseType: "blob" }
+    );
+
+    const fileURL = URL.createObjectURL(new Blob([response.data], { type: "text/csv" }));
+    const link = document.createElement("a");
+    link.href = fileURL;
+    link.download = `${campaignName.replace(/[^a-z0-9-]+/gi, '-').toLowerCase() || 'campaign'}-codes.csv`;
+    document.body.appendChild(link);
+    link.click();
+    URL.revokeObjectURL(fileURL);
+    document.body.removeChild(link);
+  } catch (error) {
+    toast.error("Could not export campaign codes");
+  } finally {
+    toast.dismiss(toastId);
+  }
+}
+
+export async function toggleCouponCampaignStatus(token, campaignId, isActive) {
+  try {
+    const response = await apiConnector(
+      "PATCH",
+      TOGGLE_COUPON_CAMPAIGN_API.replace(':campaignId', campaignId),
+      { isActive },
+      { Authorization: `Bearer ${token}` }
+    );
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Update Campaign");
+    }
+
+    toast.success(response.data.message);
+    return true;
+  } catch (error) {
+    toast.error(error.response?.data?.message || "Could Not Update Campaign");
+    return false;
+  }
+}
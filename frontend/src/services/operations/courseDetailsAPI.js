@@ -17,6 +17,9 @@ const {
   UPDATE_SUBSECTION_API,
   DELETE_SECTION_API,
   DELETE_SUBSECTION_API,
+  REORDER_SECTIONS_API,
+  REORDER_SUBSECTIONS_API,
+  MOVE_SUBSECTION_API,
   GET_ALL_INSTRUCTOR_COURSES_API,
   DELETE_COURSE_API,
   GET_FULL_COURSE_DETAILS_AUTHENTICATED,
@@ -326,6 +329,72 @@ export const deleteSubSection = async (data, token) => {
   return result
 }
 
+
+// ================ reorder Sections ================
+export const reorderSections = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving order...")
+  try {
+    const response = await apiConnector("POST", REORDER_SECTIONS_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("REORDER SECTIONS API RESPONSE............", response)
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Reorder Sections")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("REORDER SECTIONS API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message || "Could Not Reorder Sections")
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+
+// ================ reorder SubSections ================
+export const reorderSubSections = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving order...")
+  try {
+    const response = await apiConnector("POST", REORDER_SUBSECTIONS_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("REORDER SUB-SECTIONS API RESPONSE............", response)
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Reorder Lectures")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("REORDER SUB-SECTIONS API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message || "Could Not Reorder Lectures")
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+
+// ================ move SubSection ================
+export const moveSubSection = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Saving order...")
+  try {
+    const response = await apiConnector("POST", MOVE_SUBSECTION_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+    console.log("MOVE SUB-SECTION API RESPONSE............", response)
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Move Lecture")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("MOVE SUB-SECTION API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message || "Could Not Move Lecture")
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
 // ================ fetch Instructor Courses ================
 export const fetchInstructorCourses = async (token, userRole) => {
   let result = []
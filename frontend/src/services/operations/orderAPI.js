@@ -45,12 +45,12 @@ export const deleteOrder = async (token, orderId) => {
   }
 }
 
-export const updateOrderStatus = async (token, orderId, status) => {
+export const updateOrderStatus = async (token, orderId, isActive) => {
   try {
     const response = await apiConnector(
       "PATCH",
       adminEndpoints.UPDATE_ORDER_STATUS_API.replace(":orderId", orderId),
-      { status },
+      { isActive },
       {
         Authorization: `Bearer ${token}`,
       }
@@ -67,6 +67,31 @@ export const updateOrderStatus = async (token, orderId, status) => {
   }
 }
 
+export const refundOrder = async (token, orderId, refundData) => {
+  const toastId = toast.loading("Processing refund...")
+  try {
+    const response = await apiConnector(
+      "POST",
+      adminEndpoints.REFUND_ORDER_API.replace(":orderId", orderId),
+      refundData,
+      {
+        Authorization: `Bearer ${token}`,
+      }
+    )
+    if (!response.data.success) {
+      throw new Error(response.data.message)
+    }
+    toast.success(response.data.message)
+    return response.data.order
+  } catch (error) {
+    console.error("REFUND_ORDER_API API ERROR............", error)
+    toast.error(error.response?.data?.message || "Could not refund order")
+    return null
+  } finally {
+    toast.dismiss(toastId)
+  }
+}
+
 export const generateOrdersPDF = async (token) => {
   const toastId = toast.loading("Generating PDF...")
   try {
@@ -0,0 +1,71 @@
+import { toast } from "react-hot-toast"
+import { apiConnector } from "../apiConnector"
+import { questionBankEndpoints } from "../apis"
+
+const {
+  GET_QUESTION_BANKS_API,
+  CREATE_QUESTION_BANK_API,
+  ADD_BANK_QUESTIONS_API,
+} = questionBankEndpoints
+
+// ================ Get Question Banks ================
+export const getQuestionBanks = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_QUESTION_BANKS_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Fetch Question Banks")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUESTION_BANKS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Create Question Bank ================
+export const createQuestionBank = async (data, token) => {
+  let result = null
+  const toastId = toast.loading("Creating question bank...")
+  try {
+    const response = await apiConnector("POST", CREATE_QUESTION_BANK_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Create Question Bank")
+    }
+    result = response?.data?.data
+    toast.success("Question bank created")
+  } catch (error) {
+    console.log("CREATE_QUESTION_BANK_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Add Questions to a Bank ================
+export const addBankQuestions = async (bankId, questions, token) => {
+  let result = null
+  const toastId = toast.loading("Adding questions to bank...")
+  try {
+    const response = await apiConnector("POST", ADD_BANK_QUESTIONS_API.replace(":bankId", bankId), { questions }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Add Questions")
+    }
+    result = response?.data?.data
+    toast.success(response.data.message)
+  } catch (error) {
+    console.log("ADD_BANK_QUESTIONS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
@@ -11,6 +11,20 @@ const {
   GET_QUIZ_RESULTS_API,
   GET_QUIZ_STATUS_API,
   VALIDATE_SECTION_ACCESS_API,
+  GET_QUIZ_SUBMISSION_API,
+  GET_QUIZ_ATTEMPTS_API,
+  START_QUIZ_ATTEMPT_API,
+  SAVE_QUIZ_ANSWERS_API,
+  GET_QUIZ_REVIEW_SUMMARY_API,
+  GET_QUIZ_REVIEW_QUEUE_API,
+  GRADE_QUIZ_ATTEMPT_API,
+  PREVIEW_QUIZ_IMPORT_API,
+  EXPORT_QUIZ_API,
+  GET_QUIZ_ITEM_ANALYSIS_API,
+  GET_ATTEMPT_REVIEW_API,
+  GET_SIMILARITY_FLAGS_API,
+  SCAN_QUIZ_SIMILARITY_API,
+  SIMILARITY_FLAG_API,
 } = quizEndpoints
 
 // ================ Get All Quizzes ================
@@ -68,7 +82,7 @@ export const createQuiz = async (data, token) => {
     toast.success("Quiz Created Successfully")
   } catch (error) {
     console.log("CREATE_QUIZ_API ERROR............", error)
-    toast.error(error.message)
+    toast.error(error.response?.data?.message || error.message)
   }
   toast.dismiss(toastId)
   return result
@@ -90,7 +104,7 @@ export const updateQuiz = async (quizId, data, token) => {
     toast.success("Quiz Updated Successfully")
   } catch (error) {
     console.log("UPDATE_QUIZ_API ERROR............", error)
-    toast.error(error.message)
+    toast.error(error.response?.data?.message || error.message)
   }
   toast.dismiss(toastId)
   return result
@@ -122,14 +136,18 @@ export const submitQuiz = async (data, token) => {
     }
     result = response?.data?.data
     
-    if (data.timerExpired) {
+    if (result.submissionId) {
+      // Code answers are graded in the background
+      toast.success("Quiz submitted. Grading your code...")
+    } else if (data.timerExpired) {
       toast.success("Quiz auto-submitted due to time expiry")
     } else {
       toast.success("Quiz Submitted Successfully")
     }
   } catch (error) {
     console.log("SUBMIT_QUIZ_API ERROR............", error)
-    toast.error(error.message)
+    // Attempt limits and cooldowns come back as 403/429 with a message for the student
+    toast.error(error.response?.data?.message || error.message)
   }
   toast.dismiss(toastId)
   return result
@@ -200,3 +218,344 @@ export const validateSectionAccess = async (sectionId, token) => {
   }
   return result
 }
+
+// ================ Get Quiz Submission ================
+// Grading status of a submission with code answers, for when the socket update was missed
+export const getQuizSubmission = async (submissionId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_SUBMISSION_API.replace(":submissionId", submissionId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Quiz Submission")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_SUBMISSION_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Get Quiz Attempt History ================
+export const getQuizAttempts = async (quizId, token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_ATTEMPTS_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Quiz Attempts")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_ATTEMPTS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Start (or Resume) a Timed Attempt ================
+export const startQuizAttempt = async (data, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("POST", START_QUIZ_ATTEMPT_API, data, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error(response?.data?.message || "Could Not Start Quiz")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("START_QUIZ_ATTEMPT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Autosave Answers ================
+export const saveQuizAnswers = async (attemptToken, answers, questionTimes, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("PUT", SAVE_QUIZ_ANSWERS_API, { attemptToken, answers, questionTimes }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Answers")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    // The next change saves again; don't interrupt the quiz with a toast
+    console.log("SAVE_QUIZ_ANSWERS_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Attempts Waiting for Review, per Quiz ================
+export const getQuizReviewSummary = async (token) => {
+  let result = []
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_REVIEW_SUMMARY_API, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Review Summary")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_REVIEW_SUMMARY_API ERROR............", error)
+  }
+  return result
+}
+
+// ================ Grading Queue of a Quiz ================
+export const getQuizReviewQueue = async (quizId, includeGraded, token) => {
+  let result = null
+  try {
+    const url = GET_QUIZ_REVIEW_QUEUE_API.replace(":quizId", quizId) + (includeGraded ? "?include=graded" : "")
+    const response = await apiConnector("GET", url, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Grading Queue")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_REVIEW_QUEUE_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Grade Free-Text Answers of an Attempt ================
+export const gradeQuizAttempt = async (attemptId, grades, token) => {
+  let result = null
+  const toastId = toast.loading("Saving grades...")
+  try {
+    const response = await apiConnector("PUT", GRADE_QUIZ_ATTEMPT_API.replace(":attemptId", attemptId), { grades }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Grades")
+    }
+    result = response?.data?.data
+    toast.success(response?.data?.message)
+  } catch (error) {
+    console.log("GRADE_QUIZ_ATTEMPT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Check a GIFT / QTI / CSV File Before Importing ================
+export const previewQuizImport = async (format, content, encoding, token) => {
+  let result = null
+  const toastId = toast.loading("Checking file...")
+  try {
+    const response = await apiConnector("POST", PREVIEW_QUIZ_IMPORT_API, { format, content, encoding }, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Check File")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("PREVIEW_QUIZ_IMPORT_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Download a Quiz as GIFT / QTI / CSV ================
+export const exportQuiz = async (quizId, format, token) => {
+  let result = null
+  const toastId = toast.loading("Exporting quiz...")
+  try {
+    const response = await apiConnector("GET", EXPORT_QUIZ_API.replace(":quizId", quizId) + `?format=${format}`, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Export Quiz")
+    }
+    result = response?.data?.data
+
+    // QTI packages come base64 encoded
+    const fileContent = result.encoding === "base64"
+      ? Uint8Array.from(atob(result.content), (character) => character.charCodeAt(0))
+      : result.content
+    const fileURL = URL.createObjectURL(new Blob([fileContent], {
+      type: result.encoding === "base64" ? "application/zip" : "text/plain",
+    }))
+    const link = document.createElement("a")
+    link.href = fileURL
+    link.download = result.fileName
+    document.body.appendChild(link)
+    link.click()
+    URL.revokeObjectURL(fileURL)
+    document.body.removeChild(link)
+  } catch (error) {
+    console.log("EXPORT_QUIZ_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ Item Analysis of a Quiz ================
+export const getQuizItemAnalysis = async (quizId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_QUIZ_ITEM_ANALYSIS_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Item Analysis")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_QUIZ_ITEM_ANALYSIS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Download the Item Analysis as CSV ================
+export const exportQuizItemAnalysis = async (quizId, fileName, token) => {
+  const toastId = toast.loading("Exporting report...")
+  try {
+    const response = await apiConnector(
+      "GET",
+      GET_QUIZ_ITEM_ANALYSIS_API.replace(":quizId", quizId) + "?format=csv",
+      null,
+      { Authorization: `Bearer ${token}` },
+      null,
+      { responseType: "blob" }
+    )
+
+    const fileURL = URL.createObjectURL(new Blob([response.data], { type: "text/csv" }))
+    const link = document.createElement("a")
+    link.href = fileURL
+    link.download = `${fileName.replace(/[^a-z0-9-]+/gi, "-").toLowerCase() || "quiz"}-item-analysis.csv`
+    document.body.appendChild(link)
+    link.click()
+    URL.revokeObjectURL(fileURL)
+    document.body.removeChild(link)
+  } catch (error) {
+    console.log("GET_QUIZ_ITEM_ANALYSIS_API ERROR............", error)
+    toast.error("Could not export the report")
+  }
+  toast.dismiss(toastId)
+}
+
+// ================ Review an Attempt with the Correct Answers ================
+export const getAttemptReview = async (attemptId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", GET_ATTEMPT_REVIEW_API.replace(":attemptId", attemptId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Attempt Review")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_ATTEMPT_REVIEW_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Pairs of Similar Code Answers in a Quiz ================
+export const getSimilarityFlags = async (quizId, status, token) => {
+  let result = null
+  try {
+    const url = GET_SIMILARITY_FLAGS_API.replace(":quizId", quizId) + (status ? `?status=${status}` : "")
+    const response = await apiConnector("GET", url, null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Similar Answers")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("GET_SIMILARITY_FLAGS_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Check Every Code Answer of a Quiz Again ================
+export const scanQuizSimilarity = async (quizId, token) => {
+  let result = null
+  const toastId = toast.loading("Comparing code answers...")
+  try {
+    const response = await apiConnector("POST", SCAN_QUIZ_SIMILARITY_API.replace(":quizId", quizId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Compare Code Answers")
+    }
+    result = response?.data?.data
+    toast.success(response?.data?.message)
+  } catch (error) {
+    console.log("SCAN_QUIZ_SIMILARITY_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
+
+// ================ A Flagged Pair with Its Diff ================
+export const getSimilarityFlag = async (flagId, token) => {
+  let result = null
+  try {
+    const response = await apiConnector("GET", SIMILARITY_FLAG_API.replace(":flagId", flagId), null, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Get Similar Answers")
+    }
+    result = response?.data?.data
+  } catch (error) {
+    console.log("SIMILARITY_FLAG_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  return result
+}
+
+// ================ Clear a Flagged Pair or Void Its Attempts ================
+export const reviewSimilarityFlag = async (flagId, review, token) => {
+  let result = null
+  const toastId = toast.loading("Saving...")
+  try {
+    const response = await apiConnector("PUT", SIMILARITY_FLAG_API.replace(":flagId", flagId), review, {
+      Authorization: `Bearer ${token}`,
+    })
+
+    if (!response?.data?.success) {
+      throw new Error("Could Not Save Review")
+    }
+    result = response?.data?.data
+    toast.success(response?.data?.message)
+  } catch (error) {
+    console.log("SIMILARITY_FLAG_API ERROR............", error)
+    toast.error(error.response?.data?.message || error.message)
+  }
+  toast.dismiss(toastId)
+  return result
+}
@@ -6,7 +6,7 @@ import { setPaymentLoading } from "../../slices/courseSlice";
 import { resetCart } from "../../slices/cartSlice";
 
 
-const { COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API } = studentEndpoints;
+const { COURSE_PAYMENT_API, COURSE_VERIFY_API, SEND_PAYMENT_SUCCESS_EMAIL_API, DOWNLOAD_INVOICE_API } = studentEndpoints;
 
 function loadScript(src) {
     return new Promise((resolve) => {
@@ -24,19 +24,20 @@ function loadScript(src) {
 }
 
 // ================ buyCourse ================ 
-export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null) {
+export async function buyCourse(token, coursesId, userDetails, navigate, dispatch, couponData = null, checkoutType = "course") {
     const toastId = toast.loading("Processing your enrollment...");
 
     try {
         // Prepare request body with coupon information if available
-        const requestBody = { coursesId };
-        if (couponData) {
+        const requestBody = { coursesId, checkoutType };
+        if (couponData?.codes?.length) {
+            requestBody.couponCodes = couponData.codes;
+        } else if (couponData?.code) {
             requestBody.couponCode = couponData.code;
-            requestBody.discountAmount = couponData.discountAmount;
         }
 
-        // First API call - capture payment/initiate enrollment
-        const courseResponse = await apiConnector(
+        // First API call - create the payment order (amount is priced on the server)
+        const orderResponse = await apiConnector(
             "POST", 
             COURSE_PAYMENT_API,
             requestBody,
@@ -45,37 +46,130 @@ export async function buyCourse(token, coursesId, userDetails, navigate, dispatc
             }
         );
 
-        if (!courseResponse.data.success) {
-            throw new Error(courseResponse.data.message);
+        if (!orderResponse.data.success) {
+            throw new Error(orderResponse.data.message);
         }
 
-        // If first call succeeds, proceed with verification
-        const verifyResponse = await apiConnector(
-            "POST", 
-            COURSE_VERIFY_API, 
-            requestBody,
-            {
-                Authorization: `Bearer ${token}`,
-            }
-        );
+        const orderData = orderResponse.data.data;
 
-        if (!verifyResponse.data.success) {
-            throw new Error(verifyResponse.data.message);
+        // Nothing to pay - enroll straight away
+        if (!orderData?.orderId) {
+            return await verifyPayment(requestBody, token, navigate, dispatch);
         }
 
-        toast.success("Successfully enrolled in the course!");
-        navigate("/dashboard/enrolled-courses");
-        dispatch(resetCart());
+        // Load the Razorpay checkout script
+        const scriptLoaded = await loadScript("https://checkout.razorpay.com/v1/checkout.js");
+        if (!scriptLoaded) {
+            throw new Error("Razorpay SDK failed to load. Check your Internet Connection.");
+        }
+
+        toast.dismiss(toastId);
+
+        // Resolves once the payment is verified, or with false if it fails or is dismissed
+        return await new Promise((resolve) => {
+            const options = {
+                key: orderData.key,
+                currency: orderData.currency,
+                amount: `${orderData.amount}`,
+                order_id: orderData.orderId,
+                name: "Beeja Academy",
+                description: "Thank you for purchasing the course",
+                image: rzpLogo,
+                prefill: {
+                    name: `${userDetails?.firstName || ""} ${userDetails?.lastName || ""}`.trim(),
+                    email: userDetails?.email,
+                },
+                handler: async function (response) {
+                    resolve(await verifyPayment({ ...requestBody, ...response }, token, navigate, dispatch));
+                },
+                modal: {
+                    ondismiss: () => resolve(false),
+                },
+            };
+
+            const paymentObject = new window.Razorpay(options);
+            paymentObject.on("payment.failed", function (response) {
+                toast.error("Oops, payment failed");
+                console.log("PAYMENT FAILED....", response.error);
+            });
+            paymentObject.open();
+        });
 
     } catch (error) {
         console.log("ENROLLMENT API ERROR.....", error);
-        toast.error(error.response?.data?.message || "Could not complete enrollment");
+        toast.error(error.response?.data?.message || error.message || "Could not complete enrollment");
+        return false;
     } finally {
         toast.dismiss(toastId);
     }
 }
 
 
+// ================ verify payment ================
+async function verifyPayment(bodyData, token, navigate, dispatch) {
+    const toastId = toast.loading("Verifying Payment....");
+    dispatch(setPaymentLoading(true));
+
+    try {
+        const response = await apiConnector("POST", COURSE_VERIFY_API, bodyData, {
+            Authorization: `Bearer ${token}`,
+        });
+
+        if (!response.data.success) {
+            throw new Error(response.data.message);
+        }
+
+        toast.success("Successfully enrolled in the course!");
+        navigate("/dashboard/enrolled-courses");
+        dispatch(resetCart());
+        return true;
+    }
+    catch (error) {
+        console.log("PAYMENT VERIFY ERROR....", error);
+        toast.error(error.response?.data?.message || "Could not verify payment");
+        return false;
+    }
+    finally {
+        toast.dismiss(toastId);
+        dispatch(setPaymentLoading(false));
+    }
+}
+
+
+// ================ download Invoice ================
+export async function downloadInvoice(token, orderId, invoiceNumber) {
+    const toastId = toast.loading("Downloading invoice...");
+    try {
+        const response = await apiConnector(
+            "GET",
+            DOWNLOAD_INVOICE_API.replace(":orderId", orderId),
+            null,
+            {
+                Authorization: `Bearer ${token}`,
+            },
+            null,
+            { responseType: "blob" }
+        );
+
+        const fileURL = URL.createObjectURL(new Blob([response.data], { type: "application/pdf" }));
+        const link = document.createElement("a");
+        link.href = fileURL;
+        link.download = `invoice-${(invoiceNumber || orderId).replace(/\//g, "-")}.pdf`;
+        document.body.appendChild(link);
+        link.click();
+        URL.revokeObjectURL(fileURL);
+        document.body.removeChild(link);
+    }
+    catch (error) {
+        console.log("DOWNLOAD INVOICE ERROR....", error);
+        toast.error("Could not download invoice");
+    }
+    finally {
+        toast.dismiss(toastId);
+    }
+}
+
+
 // ================ send Payment Success Email ================
 async function sendPaymentSuccessEmail(response, amount, token) {
     try {
@@ -0,0 +1,64 @@
+import { arrayMove } from "@dnd-kit/sortable"
+
+// Works out what a drag in a course builder changed. Sections are sortable with the
+// data { type: "section" } and lectures with { type: "subSection", sectionId }.
+// Returns null when nothing moved, otherwise which reorder request to send, its body
+// and the course content as it looks after the drop
+export const getContentReorder = (courseContent, active, over) => {
+  if (!over || active.id === over.id) return null
+  const activeData = active.data.current
+  const overData = over.data.current
+  const overSectionId = overData?.type === "section" ? over.id : overData?.sectionId
+
+  if (activeData?.type === "section") {
+    const fromIndex = courseContent.findIndex((section) => section._id === active.id)
+    const toIndex = courseContent.findIndex((section) => section._id === overSectionId)
+    if (fromIndex === -1 || toIndex === -1 || fromIndex === toIndex) return null
+    const reordered = arrayMove(courseContent, fromIndex, toIndex)
+    return {
+      type: "sections",
+      courseContent: reordered,
+      request: { sectionIds: reordered.map((section) => section._id) },
+    }
+  }
+
+  const fromSection = courseContent.find((section) => section._id === activeData?.sectionId)
+  const toSection = courseContent.find((section) => section._id === overSectionId)
+  if (!fromSection || !toSection) return null
+  const fromIndex = fromSection.subSection.findIndex((subSection) => subSection._id === active.id)
+  // Dropped on a section rather than one of its lectures: it goes last
+  const toIndex = overData?.type === "section"
+    ? toSection.subSection.length
+    : toSection.subSection.findIndex((subSection) => subSection._id === over.id)
+  if (fromIndex === -1 || toIndex === -1) return null
+
+  if (fromSection === toSection) {
+    const lastIndex = Math.min(toIndex, fromSection.subSection.length - 1)
+    if (lastIndex === fromIndex) return null
+    const subSection = arrayMove(fromSection.subSection, fromIndex, lastIndex)
+    return {
+      type: "subSections",
+      courseContent: courseContent.map((section) =>
+        section._id === fromSection._id ? { ...section, subSection } : section
+      ),
+      request: { sectionId: fromSection._id, subSectionIds: subSection.map((item) => item._id) },
+    }
+  }
+
+  const moved = fromSection.subSection[fromIndex]
+  return {
+    type: "move",
+    courseContent: courseContent.map((section) => {
+      if (section._id === fromSection._id) {
+        return { ...section, subSection: section.subSection.filter((item) => item._id !== moved._id) }
+      }
+      if (section._id === toSection._id) {
+        const subSection = [...section.subSection]
+        subSection.splice(toIndex, 0, moved)
+        return { ...section, subSection }
+      }
+      return section
+    }),
+    request: { subSectionId: moved._id, fromSectionId: fromSection._id, toSectionId: toSection._id, index: toIndex },
+  }
+}
@@ -0,0 +1,6 @@
+// "340 KB" / "12.5 MB" for file lists
+export const formatFileSize = (bytes) => {
+  if (!bytes) return ""
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`
+}